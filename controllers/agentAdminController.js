@@ -0,0 +1,129 @@
+const agentService = require('../services/agentService');
+const { changeAgentType, deactivateAgent, getAgentCodeHistory } = require('../services/agentCodeChangeService');
+const { runAgentIntegrityCheck } = require('../services/agentIntegrityService');
+
+const sendError = (req, res, error, fallbackMessage) => {
+    const status = error.status || 500;
+    return res.status(status).json({
+        success: false,
+        error: error.message || fallbackMessage,
+        requestId: req.id
+    });
+};
+
+class AgentAdminController {
+    async changeType(req, res) {
+        try {
+            const { targetType, uplineCode, reason, preview } = req.body;
+            const result = await changeAgentType({
+                agentCode: req.params.agentCode,
+                targetType,
+                uplineCode,
+                reason,
+                preview: preview === true,
+                adminUser: req.admin
+            });
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to change agent type');
+        }
+    }
+
+    async deactivate(req, res) {
+        try {
+            const { downline, uplineCode, reason, preview } = req.body;
+            const result = await deactivateAgent({
+                agentCode: req.params.agentCode,
+                downline,
+                uplineCode,
+                reason,
+                preview: preview === true,
+                adminUser: req.admin
+            });
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to deactivate agent');
+        }
+    }
+
+    async generateCode(req, res) {
+        try {
+            const { referrerCode, agentNumber, reason } = req.body;
+            const result = await agentService.generateAgentCode(referrerCode, agentNumber, {
+                override: { reason, adminUser: req.admin }
+            });
+
+            if (!result.success) {
+                const { status, ...failure } = result;
+                return res.status(status || 400).json({ ...failure, requestId: req.id });
+            }
+
+            return res.json({
+                success: true,
+                data: result.data,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to generate agent code');
+        }
+    }
+
+    async checkIntegrity(req, res) {
+        try {
+            const result = await runAgentIntegrityCheck();
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to check agent hierarchy');
+        }
+    }
+
+    async repairIntegrity(req, res) {
+        try {
+            const { types, preview } = req.body;
+            const result = await runAgentIntegrityCheck({
+                repair: preview !== true,
+                types,
+                adminUser: req.admin
+            });
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to repair agent hierarchy');
+        }
+    }
+
+    async getCodeHistory(req, res) {
+        try {
+            const history = await getAgentCodeHistory(req.params.agentCode);
+
+            return res.json({
+                success: true,
+                data: history,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to load agent code history');
+        }
+    }
+}
+
+module.exports = new AgentAdminController();
@@ -1,6 +1,19 @@
 const agentService = require('../services/agentService');
 const hierarchyService = require('../services/hierarchyService');
 const Agent = require('../models/Agent');
+const {
+    getAgentStatement,
+    toStatementCsv,
+    listAgentMonthlyStatements
+} = require('../services/agentStatementService');
+const { renderStatementPdf } = require('../utils/agentStatementDocument');
+const { requestAgentPayout, listAgentPayouts } = require('../services/agentPayoutService');
+const {
+    getAgentLeaderboard,
+    exportAgentLeaderboard,
+    getAgentPerformance,
+    toPerformanceCsv
+} = require('../services/agentPerformanceService');
 
 class AgentController {
     constructor() {
@@ -8,6 +21,12 @@ class AgentController {
         this.getAllAgents = this.getAllAgents.bind(this);
         this.getAgentByCode = this.getAgentByCode.bind(this);
         this.getAgentHierarchy = this.getAgentHierarchy.bind(this);
+        this.getAgentStatement = this.getAgentStatement.bind(this);
+        this.listAgentStatements = this.listAgentStatements.bind(this);
+        this.getLeaderboard = this.getLeaderboard.bind(this);
+        this.getAgentPerformance = this.getAgentPerformance.bind(this);
+        this.requestPayout = this.requestPayout.bind(this);
+        this.listPayouts = this.listPayouts.bind(this);
         this.generateAgentCode = this.generateAgentCode.bind(this);
     }
 
@@ -85,6 +104,188 @@ class AgentController {
         }
     }
 
+    /**
+     * Get an agent's commission statement for a date range (JSON, CSV or PDF)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getAgentStatement(req, res) {
+        try {
+            const { agentCode } = req.params;
+            const { from, to, currency, format } = req.query;
+            const statement = await getAgentStatement({ agentCode, from, to, currency });
+            const filename = `agent-statement-${agentCode}-${statement.period.from}-${statement.period.to}`;
+
+            if (format === 'csv') {
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+                return res.send(toStatementCsv(statement));
+            }
+
+            if (format === 'pdf') {
+                res.setHeader('Content-Type', 'application/pdf');
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+                return res.send(renderStatementPdf(statement));
+            }
+
+            res.json({
+                success: true,
+                data: statement,
+                requestId: req.id
+            });
+        } catch (error) {
+            console.error('Controller error building agent statement:', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.message || 'Failed to build agent statement',
+                requestId: req.id
+            });
+        }
+    }
+
+    /**
+     * List the monthly statements generated for an agent
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async listAgentStatements(req, res) {
+        try {
+            const { agentCode } = req.params;
+            const { page, limit } = req.query;
+            const result = await listAgentMonthlyStatements({ agentCode, page, limit });
+
+            res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            console.error('Controller error listing agent statements:', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.message || 'Failed to list agent statements',
+                requestId: req.id
+            });
+        }
+    }
+
+    /**
+     * Rank agents over a date range, with Master Agent team totals (JSON or CSV)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getLeaderboard(req, res) {
+        try {
+            const { metric, type, from, to, currency, page, limit, format, groupBy } = req.query;
+
+            if (format === 'csv') {
+                const { period, csv } = await exportAgentLeaderboard({ metric, type, from, to, currency, groupBy });
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="agent-leaderboard-${groupBy || 'agent'}-${period.from}-${period.to}.csv"`);
+                return res.send(csv);
+            }
+
+            const leaderboard = await getAgentLeaderboard({ metric, type, from, to, currency, page, limit });
+            res.json({
+                success: true,
+                data: leaderboard,
+                requestId: req.id
+            });
+        } catch (error) {
+            console.error('Controller error building agent leaderboard:', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.message || 'Failed to build agent leaderboard',
+                requestId: req.id
+            });
+        }
+    }
+
+    /**
+     * Get an agent's production for a date range (JSON or CSV)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getAgentPerformance(req, res) {
+        try {
+            const { agentCode } = req.params;
+            const { from, to, currency, format } = req.query;
+            const performance = await getAgentPerformance({ agentCode, from, to, currency });
+
+            if (format === 'csv') {
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="agent-performance-${agentCode}-${performance.period.from}-${performance.period.to}.csv"`);
+                return res.send(toPerformanceCsv(performance));
+            }
+
+            res.json({
+                success: true,
+                data: performance,
+                requestId: req.id
+            });
+        } catch (error) {
+            console.error('Controller error building agent performance:', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.message || 'Failed to build agent performance',
+                requestId: req.id
+            });
+        }
+    }
+
+    /**
+     * Request a payout of the agent's commission wallet
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async requestPayout(req, res) {
+        try {
+            const { agentCode } = req.params;
+            const { amount, currency, destination, note, requestId } = req.body;
+            const result = await requestAgentPayout({ agentCode, amount, currency, destination, note, requestId });
+
+            res.status(result.idempotent ? 200 : 201).json({
+                success: true,
+                data: result.payout,
+                idempotent: result.idempotent,
+                requestId: req.id
+            });
+        } catch (error) {
+            console.error('Controller error requesting agent payout:', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.message || 'Failed to request payout',
+                requestId: req.id
+            });
+        }
+    }
+
+    /**
+     * List an agent's payout requests
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async listPayouts(req, res) {
+        try {
+            const { agentCode } = req.params;
+            const { status, currency, page, limit } = req.query;
+            const result = await listAgentPayouts({ agentCode, status, currency, page, limit });
+
+            res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            console.error('Controller error listing agent payouts:', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.message || 'Failed to list payouts',
+                requestId: req.id
+            });
+        }
+    }
+
     /**
      * Generate agent code for new registration
      * @param {Object} req - Express request object
@@ -104,7 +305,9 @@ class AgentController {
             const result = await agentService.generateAgentCode(referrerCode, agentNumber);
 
             if (!result.success) {
-                return res.status(400).json(result);
+                // code and details tell the client why, e.g. REFERRER_AT_CAPACITY with maxRecruits
+                const { status, ...failure } = result;
+                return res.status(status || 400).json(failure);
             }
 
             res.json(result);
@@ -1,4 +1,5 @@
 const admin = require('firebase-admin');
+const { getAgentNetwork, exportAgentNetwork } = require('../services/agentNetworkService');
 
 class AgentHierarchyController {
     /**
@@ -261,6 +262,61 @@ class AgentHierarchyController {
 
         return downline;
     }
+
+    /**
+     * Get an agent's network totals and a page of direct recruits
+     */
+    async getAgentNetwork(req, res) {
+        try {
+            const { agentCode } = req.params;
+            const { page, limit } = req.query;
+            const network = await getAgentNetwork({ agentCode, page, limit });
+
+            res.json({
+                success: true,
+                data: network,
+                requestId: req.id
+            });
+        } catch (error) {
+            console.error('[AGENT-HIERARCHY] Network error:', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.message || 'Failed to fetch agent network',
+                requestId: req.id
+            });
+        }
+    }
+
+    /**
+     * Export an agent's whole network as JSON or GraphViz DOT
+     */
+    async exportAgentNetwork(req, res) {
+        try {
+            const { agentCode } = req.params;
+            const format = req.query.format || 'json';
+            const network = await exportAgentNetwork({ agentCode, format });
+
+            if (format === 'dot') {
+                res.setHeader('Content-Type', 'text/vnd.graphviz; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="agent-network-${agentCode}.dot"`);
+                return res.send(network);
+            }
+
+            res.setHeader('Content-Disposition', `attachment; filename="agent-network-${agentCode}.json"`);
+            res.json({
+                success: true,
+                data: network,
+                requestId: req.id
+            });
+        } catch (error) {
+            console.error('[AGENT-HIERARCHY] Network export error:', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.message || 'Failed to export agent network',
+                requestId: req.id
+            });
+        }
+    }
 }
 
 module.exports = new AgentHierarchyController();
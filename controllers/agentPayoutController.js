@@ -0,0 +1,92 @@
+const {
+    listAgentPayouts,
+    getAgentPayout,
+    approveAgentPayout,
+    rejectAgentPayout
+} = require('../services/agentPayoutService');
+
+const sendError = (req, res, error, fallbackMessage) => {
+    const status = error.status || 500;
+    return res.status(status).json({
+        success: false,
+        error: error.message || fallbackMessage,
+        requestId: req.id
+    });
+};
+
+class AgentPayoutController {
+    async list(req, res) {
+        try {
+            const { status, currency, agentCode, page, limit } = req.query;
+            const result = await listAgentPayouts({
+                status,
+                currency,
+                agentCode,
+                page,
+                limit,
+                includeAccountNumber: true
+            });
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to load agent payouts');
+        }
+    }
+
+    async getById(req, res) {
+        try {
+            const payout = await getAgentPayout(req.params.payoutId);
+
+            return res.json({
+                success: true,
+                data: payout,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to load agent payout');
+        }
+    }
+
+    async approve(req, res) {
+        try {
+            const payout = await approveAgentPayout({
+                payoutId: req.params.payoutId,
+                reference: req.body.reference,
+                note: req.body.note,
+                adminUser: req.admin
+            });
+
+            return res.json({
+                success: true,
+                data: payout,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to approve agent payout');
+        }
+    }
+
+    async reject(req, res) {
+        try {
+            const payout = await rejectAgentPayout({
+                payoutId: req.params.payoutId,
+                reason: req.body.reason,
+                adminUser: req.admin
+            });
+
+            return res.json({
+                success: true,
+                data: payout,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to reject agent payout');
+        }
+    }
+}
+
+module.exports = new AgentPayoutController();
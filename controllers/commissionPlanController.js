@@ -0,0 +1,92 @@
+const {
+    resolveCommissionPlan,
+    listCommissionPlans,
+    createCommissionPlanVersion
+} = require('../services/commissionPlanService');
+const hierarchyService = require('../services/hierarchyService');
+
+const sendError = (req, res, error, fallbackMessage) => {
+    const status = error.status || 500;
+    return res.status(status).json({
+        success: false,
+        error: error.message || fallbackMessage,
+        requestId: req.id
+    });
+};
+
+class CommissionPlanController {
+    async list(req, res) {
+        try {
+            const { page = 1, limit = 20 } = req.query;
+            const result = await listCommissionPlans({ page, limit });
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to load commission plans');
+        }
+    }
+
+    async getActive(req, res) {
+        try {
+            const result = await resolveCommissionPlan({
+                asOf: req.query.asOf ? new Date(req.query.asOf) : undefined
+            });
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to load commission plan');
+        }
+    }
+
+    async create(req, res) {
+        try {
+            const { effectiveFrom, note, ...payload } = req.body;
+            const version = await createCommissionPlanVersion({
+                payload,
+                effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : null,
+                note,
+                adminUser: req.admin
+            });
+
+            return res.status(201).json({
+                success: true,
+                data: version,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to save commission plan');
+        }
+    }
+
+    async simulate(req, res) {
+        try {
+            const { amount, agentCode, product, commissionPercentage, asOf, plan } = req.body;
+            const result = await hierarchyService.simulateCommission({
+                amount,
+                agentCode,
+                product,
+                commissionPercentage,
+                asOf: asOf ? new Date(asOf) : undefined,
+                draft: plan
+            });
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to simulate commission');
+        }
+    }
+}
+
+module.exports = new CommissionPlanController();
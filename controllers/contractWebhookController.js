@@ -0,0 +1,24 @@
+const { applyContractEvent } = require('../services/contractLinkService');
+
+class ContractWebhookController {
+    async handleEvent(req, res) {
+        try {
+            const result = await applyContractEvent(req.body);
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            const status = error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Failed to process contract event',
+                requestId: req.id
+            });
+        }
+    }
+}
+
+module.exports = new ContractWebhookController();
@@ -1,5 +1,6 @@
 const User = require('../models/User');
 const logger = require('../utils/logger');
+const { DEFAULT_CURRENCY, CURRENCIES, SUPPORTED_CURRENCIES } = require('../utils/currency');
 
 const buildTrend = (current, previous) => {
     const diff = current - previous;
@@ -12,6 +13,20 @@ const buildTrend = (current, previous) => {
     };
 };
 
+const createCurrencyTotals = () => Object.fromEntries(SUPPORTED_CURRENCIES.map((currency) => [currency, {
+    timeDeposits: 0,
+    availableBalance: 0
+}]));
+
+// Adds a user's balances to each currency's totals, using that currency's own balance fields
+const addUserBalances = (totalsByCurrency, user) => {
+    SUPPORTED_CURRENCIES.forEach((currency) => {
+        const { depositField, availableField } = CURRENCIES[currency];
+        totalsByCurrency[currency].timeDeposits += user[depositField] || 0;
+        totalsByCurrency[currency].availableBalance += user[availableField] || 0;
+    });
+};
+
 class DashboardController {
     async getSummary(req, res) {
         try {
@@ -19,8 +34,7 @@ class DashboardController {
             const allUsers = await User.findMany({});
 
             let totalUsers = 0;
-            let totalTimeDeposits = 0;
-            let totalAvailBalance = 0;
+            const totals = createCurrencyTotals();
 
             const now = new Date();
             const currentStart = new Date(now);
@@ -30,15 +44,12 @@ class DashboardController {
 
             let currentNewUsers = 0;
             let previousNewUsers = 0;
-            let currentTimeDeposits = 0;
-            let previousTimeDeposits = 0;
-            let currentAvailBalance = 0;
-            let previousAvailBalance = 0;
+            const currentTotals = createCurrencyTotals();
+            const previousTotals = createCurrencyTotals();
 
             for (const user of allUsers) {
                 totalUsers++;
-                totalTimeDeposits += user.timeDepositAmount || 0;
-                totalAvailBalance += user.availBalanceAmount || 0;
+                addUserBalances(totals, user);
 
                 const createdAt = user.createdAt instanceof Date
                     ? user.createdAt
@@ -47,29 +58,35 @@ class DashboardController {
                 if (createdAt) {
                     if (createdAt >= currentStart) {
                         currentNewUsers++;
-                        currentTimeDeposits += user.timeDepositAmount || 0;
-                        currentAvailBalance += user.availBalanceAmount || 0;
+                        addUserBalances(currentTotals, user);
                     } else if (createdAt >= previousStart && createdAt < currentStart) {
                         previousNewUsers++;
-                        previousTimeDeposits += user.timeDepositAmount || 0;
-                        previousAvailBalance += user.availBalanceAmount || 0;
+                        addUserBalances(previousTotals, user);
                     }
                 }
             }
 
+            const byCurrency = Object.fromEntries(SUPPORTED_CURRENCIES.map((currency) => [currency, {
+                totals: totals[currency],
+                trends: {
+                    timeDeposits: buildTrend(currentTotals[currency].timeDeposits, previousTotals[currency].timeDeposits),
+                    availableBalance: buildTrend(currentTotals[currency].availableBalance, previousTotals[currency].availableBalance)
+                }
+            }]));
+
+            // The top-level money totals stay in PHP; byCurrency has each currency on its own
             res.json({
                 success: true,
                 data: {
                     totals: {
                         users: totalUsers,
-                        timeDeposits: totalTimeDeposits,
-                        availableBalance: totalAvailBalance
+                        ...byCurrency[DEFAULT_CURRENCY].totals
                     },
                     trends: {
                         users: buildTrend(currentNewUsers, previousNewUsers),
-                        timeDeposits: buildTrend(currentTimeDeposits, previousTimeDeposits),
-                        availableBalance: buildTrend(currentAvailBalance, previousAvailBalance)
-                    }
+                        ...byCurrency[DEFAULT_CURRENCY].trends
+                    },
+                    byCurrency
                 }
             });
         } catch (error) {
@@ -1,5 +1,15 @@
 const { getFirestore } = require('../config/firebase');
 const logger = require('../utils/logger');
+const {
+    DEFAULT_RATES_DOC_ID,
+    resolveRatesVersion,
+    submitRatesProposal,
+    approveRatesProposal,
+    rejectRatesProposal,
+    listRatesProposals,
+    listRatesVersions,
+    diffRatesVersions
+} = require('../services/investmentRatesService');
 
 const INVESTMENT_RATES_COLLECTION = 'investmentRates';
 
@@ -7,6 +17,11 @@ class InvestmentRatesController {
     constructor() {
         this.getRates = this.getRates.bind(this);
         this.updateRates = this.updateRates.bind(this);
+        this.getHistory = this.getHistory.bind(this);
+        this.diffVersions = this.diffVersions.bind(this);
+        this.listProposals = this.listProposals.bind(this);
+        this.approveProposal = this.approveProposal.bind(this);
+        this.rejectProposal = this.rejectProposal.bind(this);
     }
 
     /**
@@ -36,10 +51,12 @@ class InvestmentRatesController {
             }
 
             const data = ratesDoc.data();
+            const current = await resolveRatesVersion({ docId });
 
             logger.info({
                 msg: 'Investment rates fetched',
                 docId,
+                versionId: current.versionId,
                 userId: req.user?.uid,
                 requestId: req.id
             });
@@ -48,7 +65,10 @@ class InvestmentRatesController {
                 success: true,
                 data: {
                     docId,
-                    ...data
+                    ...data,
+                    ...current.rates,
+                    currentVersionId: current.versionId,
+                    effectiveFrom: current.effectiveFrom
                 }
             });
 
@@ -68,14 +88,14 @@ class InvestmentRatesController {
     }
 
     /**
-     * PUT /api/investment-rates/:docId
-     * Updates investment rate tiers in Firestore
-     * Admin only - affects all future deposits
+     * PUT /api/investment-rates/:docId (also POST /api/investment-rates/:docId/proposals)
+     * Submits a rate change for approval; a different admin must approve it before it goes live
+     * Admin only - once approved, affects deposits whose initialDate falls on or after effectiveFrom
      */
     async updateRates(req, res) {
         try {
             const { docId } = req.params;
-            const { sixMonths, oneYear, twoYears, agentRates } = req.body;
+            const { effectiveFrom, note, ...rateTables } = req.body;
 
             if (!docId) {
                 return res.status(400).json({
@@ -84,52 +104,45 @@ class InvestmentRatesController {
                 });
             }
 
-            // Validate at least one term is provided
-            if (!sixMonths && !oneYear && !twoYears && !agentRates) {
+            // Prepare version payload (only include provided tables; the rest carry over)
+            const updatePayload = Object.fromEntries(
+                Object.entries(rateTables).filter(([, table]) => table !== undefined)
+            );
+
+            // Validate at least one table is provided
+            if (!Object.keys(updatePayload).length) {
                 return res.status(400).json({
                     success: false,
-                    error: 'At least one rate tier (sixMonths, oneYear, twoYears, or agentRates) must be provided'
+                    error: 'At least one term rate tier, agentRates or preTerminationPenalties must be provided'
                 });
             }
 
-            const db = getFirestore();
-            const ratesDocRef = db.collection(INVESTMENT_RATES_COLLECTION).doc(docId);
-
-            // Check if document exists
-            const existingDoc = await ratesDocRef.get();
-            if (!existingDoc.exists) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Investment rates document not found'
-                });
-            }
-
-            // Prepare update payload (only include provided terms)
-            const updatePayload = {};
-            if (sixMonths !== undefined) updatePayload.sixMonths = sixMonths;
-            if (oneYear !== undefined) updatePayload.oneYear = oneYear;
-            if (twoYears !== undefined) updatePayload.twoYears = twoYears;
-            if (agentRates !== undefined) updatePayload.agentRates = agentRates;
-
-            // Update Firestore
-            await ratesDocRef.update(updatePayload);
+            const proposal = await submitRatesProposal({
+                docId,
+                payload: updatePayload,
+                effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : null,
+                note,
+                adminUser: req.admin
+            });
 
             // Audit log
             logger.info({
-                msg: 'Investment rates updated',
+                msg: 'Investment rates proposal submitted',
                 docId,
-                adminUid: req.admin?.uid,
+                proposalId: proposal.proposalId,
+                adminUid: req.admin?.id,
                 adminEmail: req.admin?.email,
                 updatedTerms: Object.keys(updatePayload),
                 requestId: req.id
             });
 
-            return res.json({
+            return res.status(202).json({
                 success: true,
-                message: 'Investment rates updated successfully',
+                message: 'Investment rates change submitted for approval',
                 data: {
                     docId,
-                    updatedTerms: Object.keys(updatePayload)
+                    updatedTerms: Object.keys(updatePayload),
+                    ...proposal
                 }
             });
 
@@ -138,13 +151,192 @@ class InvestmentRatesController {
                 msg: 'Failed to update investment rates',
                 error: error.message,
                 stack: error.stack,
-                adminUid: req.admin?.uid,
+                adminUid: req.admin?.id,
+                requestId: req.id
+            });
+
+            return res.status(error.status || 500).json({
+                success: false,
+                error: error.status ? error.message : 'Failed to update investment rates'
+            });
+        }
+    }
+
+    /**
+     * GET /api/investment-rates/:docId/proposals
+     * Lists rate change proposals, newest first
+     */
+    async listProposals(req, res) {
+        try {
+            const { docId } = req.params;
+            const { status, page = 1, limit = 20 } = req.query;
+            const result = await listRatesProposals({ docId, status, page, limit });
+
+            return res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error({
+                msg: 'Failed to fetch investment rates proposals',
+                error: error.message,
+                stack: error.stack,
+                requestId: req.id
+            });
+
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to fetch investment rates proposals'
+            });
+        }
+    }
+
+    /**
+     * POST /api/investment-rates/:docId/proposals/:proposalId/approve
+     * Approves a pending proposal submitted by another admin and records it as a rate version
+     */
+    async approveProposal(req, res) {
+        try {
+            const { docId, proposalId } = req.params;
+            const result = await approveRatesProposal({
+                docId,
+                proposalId,
+                reviewNote: req.body.note,
+                adminUser: req.admin
+            });
+
+            logger.info({
+                msg: 'Investment rates proposal approved',
+                docId,
+                proposalId,
+                versionId: result.version.versionId,
+                adminUid: req.admin?.id,
+                requestId: req.id
+            });
+
+            return res.json({
+                success: true,
+                message: result.version.isLive
+                    ? 'Investment rates updated successfully'
+                    : `Investment rates scheduled to take effect ${result.version.effectiveFrom}`,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error({
+                msg: 'Failed to approve investment rates proposal',
+                error: error.message,
+                stack: error.stack,
+                adminUid: req.admin?.id,
+                requestId: req.id
+            });
+
+            return res.status(error.status || 500).json({
+                success: false,
+                error: error.status ? error.message : 'Failed to approve investment rates proposal'
+            });
+        }
+    }
+
+    /**
+     * POST /api/investment-rates/:docId/proposals/:proposalId/reject
+     * Rejects a pending proposal submitted by another admin
+     */
+    async rejectProposal(req, res) {
+        try {
+            const { docId, proposalId } = req.params;
+            const proposal = await rejectRatesProposal({
+                docId,
+                proposalId,
+                reason: req.body.reason,
+                adminUser: req.admin
+            });
+
+            logger.info({
+                msg: 'Investment rates proposal rejected',
+                docId,
+                proposalId,
+                adminUid: req.admin?.id,
+                requestId: req.id
+            });
+
+            return res.json({
+                success: true,
+                message: 'Investment rates proposal rejected',
+                data: proposal
+            });
+
+        } catch (error) {
+            logger.error({
+                msg: 'Failed to reject investment rates proposal',
+                error: error.message,
+                stack: error.stack,
+                adminUid: req.admin?.id,
+                requestId: req.id
+            });
+
+            return res.status(error.status || 500).json({
+                success: false,
+                error: error.status ? error.message : 'Failed to reject investment rates proposal'
+            });
+        }
+    }
+
+    /**
+     * GET /api/investment-rates/history
+     * Lists rate versions, newest effectiveFrom first
+     */
+    async getHistory(req, res) {
+        try {
+            const { docId = DEFAULT_RATES_DOC_ID, page = 1, limit = 20 } = req.query;
+            const result = await listRatesVersions({ docId, page, limit });
+
+            return res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error({
+                msg: 'Failed to fetch investment rates history',
+                error: error.message,
+                stack: error.stack,
                 requestId: req.id
             });
 
             return res.status(500).json({
                 success: false,
-                error: 'Failed to update investment rates'
+                error: 'Failed to fetch investment rates history'
+            });
+        }
+    }
+
+    /**
+     * GET /api/investment-rates/diff?from=&to=
+     * Compares two rate versions table by table
+     */
+    async diffVersions(req, res) {
+        try {
+            const { docId = DEFAULT_RATES_DOC_ID, from, to } = req.query;
+            const diff = await diffRatesVersions({ docId, fromVersionId: from, toVersionId: to });
+
+            return res.json({
+                success: true,
+                data: diff
+            });
+
+        } catch (error) {
+            logger.error({
+                msg: 'Failed to diff investment rates versions',
+                error: error.message,
+                stack: error.stack,
+                requestId: req.id
+            });
+
+            return res.status(error.status || 500).json({
+                success: false,
+                error: error.status ? error.message : 'Failed to diff investment rates versions'
             });
         }
     }
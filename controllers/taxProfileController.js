@@ -0,0 +1,83 @@
+const {
+    listTaxProfiles,
+    upsertTaxProfile,
+    getUserTaxProfiles,
+    assignUserTaxProfiles
+} = require('../services/taxProfileService');
+
+const sendError = (req, res, error, fallbackMessage) => {
+    const status = error.status || 500;
+    return res.status(status).json({
+        success: false,
+        error: error.message || fallbackMessage,
+        requestId: req.id
+    });
+};
+
+class TaxProfileController {
+    async list(req, res) {
+        try {
+            const profiles = await listTaxProfiles();
+
+            return res.json({
+                success: true,
+                data: profiles,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to load tax profiles');
+        }
+    }
+
+    async upsert(req, res) {
+        try {
+            const profile = await upsertTaxProfile({
+                key: req.params.key,
+                profile: req.body,
+                adminUser: req.admin
+            });
+
+            return res.json({
+                success: true,
+                data: profile,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to save tax profile');
+        }
+    }
+
+    async getUserAssignments(req, res) {
+        try {
+            const result = await getUserTaxProfiles({ userId: req.params.userId });
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to load user tax profiles');
+        }
+    }
+
+    async assignUserProfiles(req, res) {
+        try {
+            const result = await assignUserTaxProfiles({
+                userId: req.params.userId,
+                assignments: req.body,
+                adminUser: req.admin
+            });
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to assign tax profiles');
+        }
+    }
+}
+
+module.exports = new TaxProfileController();
@@ -1,5 +1,27 @@
-const { quoteTimeDeposit, createTimeDeposit } = require('../services/timeDepositService');
+const {
+    quoteTimeDeposit,
+    createTimeDeposit,
+    listTimeDeposits,
+    getTimeDepositDetail,
+    quotePreTermination,
+    executePreTermination,
+    voidTimeDeposit,
+    updateRolloverInstruction
+} = require('../services/timeDepositService');
+const { runMaturityJob } = require('../services/timeDepositMaturityService');
+const { runCyclePayoutJob } = require('../services/timeDepositCycleService');
+const { listTerms, upsertTerm, getTermDefinition } = require('../services/termCatalogService');
+const { getQuoteSchedule, getTimeDepositSchedule, toScheduleCsv } = require('../services/timeDepositScheduleService');
 const { generateTimeDepositContract } = require('../services/contractService');
+const { isRetryableContractError } = require('../services/contractQueueService');
+const {
+    runContractRetryJob,
+    listDepositsMissingContracts,
+    backfillMissingContracts,
+    retryDepositContract
+} = require('../services/contractRetryService');
+const { regenerateDepositContractLinks } = require('../services/contractLinkService');
+const { importTimeDeposits } = require('../services/timeDepositImportService');
 const { calculateCompletionDate } = require('../utils/timeDepositCalculator');
 
 const getRequestId = (req) => {
@@ -10,10 +32,44 @@ const getRequestId = (req) => {
     return req.id;
 };
 
+const getTargetUserId = (req) => req.params.userId || req.params.id;
+
+const sendSchedule = (req, res, schedule, filename) => {
+    if (req.query.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+        return res.send(toScheduleCsv(schedule));
+    }
+
+    return res.json({
+        success: true,
+        data: schedule,
+        requestId: req.id
+    });
+};
+
 class TimeDepositController {
     constructor() {
         this.quote = this.quote.bind(this);
         this.create = this.create.bind(this);
+        this.list = this.list.bind(this);
+        this.getById = this.getById.bind(this);
+        this.runMaturity = this.runMaturity.bind(this);
+        this.runCyclePayouts = this.runCyclePayouts.bind(this);
+        this.quotePreTermination = this.quotePreTermination.bind(this);
+        this.preTerminate = this.preTerminate.bind(this);
+        this.voidDeposit = this.voidDeposit.bind(this);
+        this.updateRollover = this.updateRollover.bind(this);
+        this.importDeposits = this.importDeposits.bind(this);
+        this.listMissingContracts = this.listMissingContracts.bind(this);
+        this.runContractRetries = this.runContractRetries.bind(this);
+        this.backfillContracts = this.backfillContracts.bind(this);
+        this.retryContract = this.retryContract.bind(this);
+        this.regenerateContractLinks = this.regenerateContractLinks.bind(this);
+        this.quoteSchedule = this.quoteSchedule.bind(this);
+        this.getSchedule = this.getSchedule.bind(this);
+        this.listTerms = this.listTerms.bind(this);
+        this.upsertTerm = this.upsertTerm.bind(this);
     }
 
     async quote(req, res) {
@@ -35,8 +91,23 @@ class TimeDepositController {
         }
     }
 
+    async quoteSchedule(req, res) {
+        try {
+            const schedule = await getQuoteSchedule(req.body);
+            return sendSchedule(req, res, schedule, `time-deposit-quote-${schedule.term}-${schedule.initialDate}`);
+        } catch (error) {
+            const status = error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Failed to build time deposit schedule',
+                requestId: req.id
+            });
+        }
+    }
+
     async create(req, res) {
         const requestId = getRequestId(req);
+        const targetUserId = getTargetUserId(req);
 
         try {
             const contractConfig = req.body.contract || {};
@@ -45,13 +116,19 @@ class TimeDepositController {
 
             let contractResult = null;
             let contractWarning;
+            // Set when the contract is left to the retry queue; the deposit is created with contractStatus 'pending'
+            let pendingContract = null;
 
-            if (shouldGenerateContract) {
+            if (shouldGenerateContract && contractConfig.defer) {
+                pendingContract = { lastError: null };
+            } else if (shouldGenerateContract) {
                 try {
-                    const completionDate = calculateCompletionDate(req.body.initialDate, req.body.term);
+                    const termDefinition = await getTermDefinition(req.body.term);
+                    const completionDate = calculateCompletionDate(req.body.initialDate, termDefinition);
                     contractResult = await generateTimeDepositContract({
-                        userId: req.params.id,
+                        userId: targetUserId,
                         amount: req.body.amount,
+                        currency: req.body.currency,
                         term: req.body.term,
                         rate: req.body.finalInterestRate,
                         initialDate: req.body.initialDate,
@@ -59,19 +136,27 @@ class TimeDepositController {
                         requestId
                     });
                 } catch (contractError) {
-                    if (strictContract) {
+                    if (isRetryableContractError(contractError)) {
+                        pendingContract = {
+                            lastError: contractError.message || 'Contract generation failed',
+                            lastErrorCode: contractError.code || null
+                        };
+                        contractWarning = `${pendingContract.lastError}; contract generation queued for retry`;
+                    } else if (strictContract) {
                         throw contractError;
+                    } else {
+                        contractWarning = contractError.message || 'Contract generation failed';
                     }
-                    contractWarning = contractError.message || 'Contract generation failed';
                 }
             }
 
             const result = await createTimeDeposit({
-                targetUserId: req.params.id,
+                targetUserId,
                 payload: req.body,
                 requestId,
                 adminUser: req.admin,
-                contractResult
+                contractResult,
+                pendingContract
             });
 
             return res.json({
@@ -93,6 +178,421 @@ class TimeDepositController {
             });
         }
     }
+
+    async list(req, res) {
+        try {
+            const {
+                page,
+                limit,
+                status,
+                term,
+                currency,
+                maturityFrom,
+                maturityTo,
+                sortBy,
+                sortOrder
+            } = req.query;
+
+            const result = await listTimeDeposits({
+                page,
+                limit,
+                status,
+                term,
+                currency,
+                maturityFrom,
+                maturityTo,
+                sortBy,
+                sortOrder
+            });
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            const status = error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Failed to fetch time deposits',
+                requestId: req.id
+            });
+        }
+    }
+
+    async getById(req, res) {
+        try {
+            const detail = await getTimeDepositDetail({
+                userId: req.params.userId,
+                timeDepositId: req.params.id
+            });
+
+            return res.json({
+                success: true,
+                data: detail,
+                requestId: req.id
+            });
+        } catch (error) {
+            const status = error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Failed to fetch time deposit',
+                requestId: req.id
+            });
+        }
+    }
+
+    async getSchedule(req, res) {
+        try {
+            const schedule = await getTimeDepositSchedule({
+                userId: req.params.userId,
+                timeDepositId: req.params.id
+            });
+
+            return sendSchedule(req, res, schedule, `time-deposit-${schedule.displayId || schedule.id}-schedule`);
+        } catch (error) {
+            const status = error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Failed to build time deposit schedule',
+                requestId: req.id
+            });
+        }
+    }
+
+    async runMaturity(req, res) {
+        try {
+            const { dryRun, asOf, limit } = req.body;
+
+            const result = await runMaturityJob({
+                asOf: asOf ? new Date(asOf) : new Date(),
+                dryRun: Boolean(dryRun),
+                adminUser: req.admin,
+                limit
+            });
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            const status = error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Failed to process time deposit maturities',
+                requestId: req.id
+            });
+        }
+    }
+
+    async runCyclePayouts(req, res) {
+        try {
+            const { dryRun, asOf, limit } = req.body;
+
+            const result = await runCyclePayoutJob({
+                asOf: asOf ? new Date(asOf) : new Date(),
+                dryRun: Boolean(dryRun),
+                adminUser: req.admin,
+                limit
+            });
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            const status = error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Failed to process time deposit interest cycles',
+                requestId: req.id
+            });
+        }
+    }
+
+    async quotePreTermination(req, res) {
+        try {
+            const { terminationDate } = req.body;
+
+            const quote = await quotePreTermination({
+                userId: req.params.userId,
+                timeDepositId: req.params.id,
+                terminationDate: terminationDate ? new Date(terminationDate) : new Date()
+            });
+
+            return res.json({
+                success: true,
+                data: quote,
+                requestId: req.id
+            });
+        } catch (error) {
+            const status = error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Failed to quote time deposit pre-termination',
+                requestId: req.id
+            });
+        }
+    }
+
+    async preTerminate(req, res) {
+        try {
+            const { terminationDate, reason } = req.body;
+
+            const result = await executePreTermination({
+                userId: req.params.userId,
+                timeDepositId: req.params.id,
+                terminationDate: terminationDate ? new Date(terminationDate) : new Date(),
+                reason,
+                adminUser: req.admin
+            });
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            const status = error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Failed to pre-terminate time deposit',
+                requestId: req.id
+            });
+        }
+    }
+
+    async voidDeposit(req, res) {
+        try {
+            const result = await voidTimeDeposit({
+                userId: req.params.userId,
+                timeDepositId: req.params.id,
+                reason: req.body.reason,
+                adminUser: req.admin
+            });
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            const status = error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Failed to void time deposit',
+                requestId: req.id
+            });
+        }
+    }
+
+    async updateRollover(req, res) {
+        try {
+            const timeDeposit = await updateRolloverInstruction({
+                userId: req.params.userId,
+                timeDepositId: req.params.id,
+                rollover: req.body,
+                adminUser: req.admin
+            });
+
+            return res.json({
+                success: true,
+                data: timeDeposit,
+                requestId: req.id
+            });
+        } catch (error) {
+            const status = error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Failed to update rollover instruction',
+                requestId: req.id
+            });
+        }
+    }
+
+    async importDeposits(req, res) {
+        try {
+            const { csv, dryRun, queueContracts } = req.body;
+
+            const result = await importTimeDeposits({
+                csv,
+                dryRun: dryRun !== false,
+                queueContracts: Boolean(queueContracts),
+                adminUser: req.admin
+            });
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            const status = error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Failed to import time deposits',
+                requestId: req.id
+            });
+        }
+    }
+
+    async listMissingContracts(req, res) {
+        try {
+            const result = await listDepositsMissingContracts(req.query);
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            const status = error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Failed to list time deposits without contracts',
+                requestId: req.id
+            });
+        }
+    }
+
+    async runContractRetries(req, res) {
+        try {
+            const { dryRun, limit } = req.body;
+
+            const result = await runContractRetryJob({
+                dryRun: Boolean(dryRun),
+                limit
+            });
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            const status = error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Failed to process contract retry queue',
+                requestId: req.id
+            });
+        }
+    }
+
+    async backfillContracts(req, res) {
+        try {
+            const { dryRun, limit } = req.body;
+
+            const result = await backfillMissingContracts({
+                dryRun: Boolean(dryRun),
+                limit,
+                adminUser: req.admin
+            });
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            const status = error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Failed to backfill time deposit contracts',
+                requestId: req.id
+            });
+        }
+    }
+
+    async retryContract(req, res) {
+        try {
+            const result = await retryDepositContract({
+                userId: req.params.userId,
+                timeDepositId: req.params.id,
+                adminUser: req.admin
+            });
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            const status = error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Failed to retry time deposit contract',
+                requestId: req.id
+            });
+        }
+    }
+
+    async regenerateContractLinks(req, res) {
+        try {
+            const result = await regenerateDepositContractLinks({
+                userId: req.params.userId,
+                timeDepositId: req.params.id,
+                adminUser: req.admin
+            });
+
+            return res.json({
+                success: true,
+                data: result,
+                requestId: req.id
+            });
+        } catch (error) {
+            const status = error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Failed to regenerate contract links',
+                requestId: req.id
+            });
+        }
+    }
+
+    async listTerms(req, res) {
+        try {
+            const terms = await listTerms({ enabledOnly: req.query.enabledOnly === 'true' });
+
+            return res.json({
+                success: true,
+                data: terms,
+                requestId: req.id
+            });
+        } catch (error) {
+            const status = error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Failed to list time deposit terms',
+                requestId: req.id
+            });
+        }
+    }
+
+    async upsertTerm(req, res) {
+        try {
+            const term = await upsertTerm({
+                key: req.params.key,
+                definition: req.body,
+                adminUser: req.admin
+            });
+
+            return res.json({
+                success: true,
+                data: term,
+                requestId: req.id
+            });
+        } catch (error) {
+            const status = error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Failed to save time deposit term',
+                requestId: req.id
+            });
+        }
+    }
 }
 
 module.exports = new TimeDepositController();
\ No newline at end of file
@@ -0,0 +1,72 @@
+const {
+    listWithholdingReport,
+    buildWithholdingReport,
+    toWithholdingCsv,
+    buildWithholdingCertificate
+} = require('../services/withholdingTaxService');
+const { renderCertificateHtml, renderCertificatePdf } = require('../utils/withholdingCertificate');
+
+const sendError = (req, res, error, fallbackMessage) => {
+    const status = error.status || 500;
+    return res.status(status).json({
+        success: false,
+        error: error.message || fallbackMessage,
+        requestId: req.id
+    });
+};
+
+class WithholdingTaxController {
+    async getReport(req, res) {
+        try {
+            const { quarter, incomeType, userId, page, limit, format } = req.query;
+
+            if (format === 'csv') {
+                const report = await buildWithholdingReport({ quarter, incomeType, userId });
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="withholding-tax-${report.period.key}.csv"`);
+                return res.send(toWithholdingCsv(report.rows));
+            }
+
+            const report = await listWithholdingReport({ quarter, incomeType, userId, page, limit });
+
+            return res.json({
+                success: true,
+                data: report,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to build withholding tax report');
+        }
+    }
+
+    async getCertificate(req, res) {
+        try {
+            const certificate = await buildWithholdingCertificate({
+                userId: req.params.userId,
+                quarter: req.query.quarter
+            });
+            const filename = certificate.certificateNumber.replace(/[^A-Za-z0-9_-]/g, '_');
+
+            if (req.query.format === 'html') {
+                res.setHeader('Content-Type', 'text/html; charset=utf-8');
+                return res.send(renderCertificateHtml(certificate));
+            }
+
+            if (req.query.format === 'pdf') {
+                res.setHeader('Content-Type', 'application/pdf');
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+                return res.send(renderCertificatePdf(certificate));
+            }
+
+            return res.json({
+                success: true,
+                data: certificate,
+                requestId: req.id
+            });
+        } catch (error) {
+            return sendError(req, res, error, 'Failed to build withholding tax certificate');
+        }
+    }
+}
+
+module.exports = new WithholdingTaxController();
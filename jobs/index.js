@@ -0,0 +1,82 @@
+const { scheduleJob } = require('../utils/scheduler');
+const { runMaturityJob } = require('../services/timeDepositMaturityService');
+const { runCyclePayoutJob } = require('../services/timeDepositCycleService');
+const { runContractRetryJob } = require('../services/contractRetryService');
+const { runMonthlyStatementJob } = require('../services/agentStatementService');
+
+const getNumber = (value, fallback) => {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Register all in-process background jobs.
+ * Intervals come from env vars; a job with no interval configured stays off.
+ * @returns {Array} Handles of the jobs that were scheduled
+ */
+const startScheduledJobs = () => {
+    const jobs = [
+        scheduleJob({
+            name: 'timeDepositCyclePayout',
+            intervalMs: getNumber(process.env.TIME_DEPOSIT_CYCLE_JOB_INTERVAL_MS, 0),
+            run: async () => {
+                const result = await runCyclePayoutJob();
+                return {
+                    total: result.total,
+                    paid: result.paid.length,
+                    skipped: result.skipped.length,
+                    failed: result.failed.length,
+                    netTotal: result.netTotal
+                };
+            }
+        }),
+        scheduleJob({
+            name: 'timeDepositMaturity',
+            intervalMs: getNumber(process.env.TIME_DEPOSIT_MATURITY_JOB_INTERVAL_MS, 0),
+            run: async () => {
+                const result = await runMaturityJob();
+                return {
+                    total: result.total,
+                    matured: result.matured.length,
+                    skipped: result.skipped.length,
+                    failed: result.failed.length
+                };
+            }
+        }),
+        scheduleJob({
+            name: 'timeDepositContractRetry',
+            intervalMs: getNumber(process.env.CONTRACT_RETRY_JOB_INTERVAL_MS, 0),
+            run: async () => {
+                const result = await runContractRetryJob();
+                return {
+                    total: result.total,
+                    completed: result.completed.length,
+                    retrying: result.retrying.length,
+                    failed: result.failed.length,
+                    cancelled: result.cancelled.length
+                };
+            }
+        }),
+        scheduleJob({
+            // Generates last month's statements; months already generated are skipped, so an hourly or daily interval is fine
+            name: 'agentMonthlyStatements',
+            intervalMs: getNumber(process.env.AGENT_STATEMENT_JOB_INTERVAL_MS, 0),
+            run: async () => {
+                const result = await runMonthlyStatementJob();
+                return {
+                    month: result.month,
+                    total: result.total,
+                    generated: result.generated.length,
+                    skipped: result.skipped.length,
+                    failed: result.failed.length
+                };
+            }
+        })
+    ];
+
+    return jobs.filter(Boolean);
+};
+
+module.exports = {
+    startScheduledJobs
+};
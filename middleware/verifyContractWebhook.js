@@ -0,0 +1,42 @@
+const logger = require('../utils/logger');
+const { verifyWebhookSignature } = require('../utils/webhookSignature');
+
+const SIGNATURE_HEADER = 'X-Contract-Signature';
+const TIMESTAMP_HEADER = 'X-Contract-Timestamp';
+
+/**
+ * Authenticate contract service webhooks with the CONTRACT_WEBHOOK_SECRET HMAC.
+ * Needs req.rawBody, which the JSON body parser keeps for this purpose.
+ */
+function verifyContractWebhook(req, res, next) {
+    const secret = process.env.CONTRACT_WEBHOOK_SECRET;
+
+    if (!secret) {
+        logger.error('CONTRACT_WEBHOOK_SECRET is not set; rejecting contract webhook');
+        return res.status(503).json({
+            success: false,
+            error: 'Contract webhook is not configured',
+            requestId: req.id
+        });
+    }
+
+    const result = verifyWebhookSignature({
+        secret,
+        signature: req.header(SIGNATURE_HEADER),
+        timestamp: req.header(TIMESTAMP_HEADER),
+        rawBody: req.rawBody || Buffer.alloc(0)
+    });
+
+    if (!result.valid) {
+        logger.warn({ reason: result.reason, requestId: req.id }, 'Rejected contract webhook');
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid webhook signature',
+            requestId: req.id
+        });
+    }
+
+    return next();
+}
+
+module.exports = verifyContractWebhook;
@@ -1,5 +1,6 @@
 const BaseModel = require('./BaseModel');
 const { AgentTypeFactory } = require('./AgentType');
+const { resolveCommissionPlan } = require('../services/commissionPlanService');
 
 /**
  * AgentModel - Handles all agent-related database operations
@@ -138,13 +139,14 @@ class AgentModel extends BaseModel {
     /**
      * Get agent with its type information (polymorphic)
      * @param {string} agentCode - Agent code
+     * @param {Object} [plan] - Commission plan (defaults to the plan in effect now)
      * @returns {Promise<Object|null>} Agent with type info or null
      */
-    async findByCodeWithType(agentCode) {
+    async findByCodeWithType(agentCode, plan = null) {
         const agent = await this.findByCode(agentCode);
         if (!agent) return null;
 
-        const agentType = AgentTypeFactory.fromAgentCode(agentCode);
+        const agentType = AgentTypeFactory.fromAgentCode(agentCode, plan || (await resolveCommissionPlan()).plan);
         if (agentType) {
             return {
                 ...agent,
@@ -163,10 +165,11 @@ class AgentModel extends BaseModel {
      * Calculate commission for an agent
      * @param {string} agentCode - Agent code
      * @param {number} amount - Transaction amount
+     * @param {Object} [plan] - Commission plan (defaults to the plan in effect now)
      * @returns {Promise<number>} Commission amount
      */
-    async calculateCommission(agentCode, amount) {
-        const agentType = AgentTypeFactory.fromAgentCode(agentCode);
+    async calculateCommission(agentCode, amount, plan = null) {
+        const agentType = AgentTypeFactory.fromAgentCode(agentCode, plan || (await resolveCommissionPlan()).plan);
         if (agentType) {
             return agentType.calculateCommission(amount);
         }
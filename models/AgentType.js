@@ -1,3 +1,5 @@
+const { DEFAULT_COMMISSION_PLAN } = require('../utils/commissionPlans');
+
 /**
  * AgentType - Abstract base class for agent types
  * Implements polymorphism for different agent types
@@ -9,22 +11,23 @@ class AgentType {
     /**
      * Create a new AgentType instance
      * @param {string} name - The type name
+     * @param {Object} [config] - This type's entry in a commission plan's agentTypes
      */
-    constructor(name) {
+    constructor(name, config = null) {
         if (this.constructor === AgentType) {
             throw new Error('AgentType is an abstract class and cannot be instantiated directly');
         }
         this.name = name;
+        this.config = config || DEFAULT_COMMISSION_PLAN.agentTypes[name] || {};
     }
 
     /**
      * Calculate commission for a transaction
-     * @abstract
      * @param {number} amount - Transaction amount
      * @returns {number} Commission amount
      */
     calculateCommission(amount) {
-        throw new Error('calculateCommission() must be implemented by subclass');
+        return amount * (this.getCommissionPercentage() / 100);
     }
 
     /**
@@ -37,12 +40,11 @@ class AgentType {
     }
 
     /**
-     * Get commission percentage
-     * @abstract
+     * Get commission percentage from the commission plan
      * @returns {number} Commission percentage (0-100)
      */
     getCommissionPercentage() {
-        throw new Error('getCommissionPercentage() must be implemented by subclass');
+        return Number(this.config.commissionPercentage) || 0;
     }
 
     /**
@@ -91,22 +93,14 @@ class AgentType {
  * @extends AgentType
  */
 class MasterAgent extends AgentType {
-    constructor() {
-        super('Master Agent');
-    }
-
-    calculateCommission(amount) {
-        return amount * 0.10; // 10% commission
+    constructor(config = null) {
+        super('Master Agent', config);
     }
 
     getMaxRecruits() {
         return 100;
     }
 
-    getCommissionPercentage() {
-        return 10;
-    }
-
     getHierarchyLevel() {
         return 1;
     }
@@ -118,22 +112,14 @@ class MasterAgent extends AgentType {
  * @extends AgentType
  */
 class Agent extends AgentType {
-    constructor() {
-        super('Agent');
-    }
-
-    calculateCommission(amount) {
-        return amount * 0.05; // 5% commission
+    constructor(config = null) {
+        super('Agent', config);
     }
 
     getMaxRecruits() {
         return 50;
     }
 
-    getCommissionPercentage() {
-        return 5;
-    }
-
     getHierarchyLevel() {
         return 2;
     }
@@ -145,22 +131,14 @@ class Agent extends AgentType {
  * @extends AgentType
  */
 class ConsultantAgent extends AgentType {
-    constructor() {
-        super('Consultant Agent');
-    }
-
-    calculateCommission(amount) {
-        return amount * 0.02; // 2% commission
+    constructor(config = null) {
+        super('Consultant Agent', config);
     }
 
     getMaxRecruits() {
         return 10;
     }
 
-    getCommissionPercentage() {
-        return 2;
-    }
-
     getHierarchyLevel() {
         return 3;
     }
@@ -184,12 +162,13 @@ class AgentTypeFactory {
     /**
      * Create an agent type instance from type name
      * @param {string} typeName - The agent type name
+     * @param {Object} [plan] - Commission plan (defaults to the built-in plan)
      * @returns {AgentType|null} Agent type instance or null
      */
-    static create(typeName) {
+    static create(typeName, plan = null) {
         const TypeClass = this.types[typeName];
         if (TypeClass) {
-            return new TypeClass();
+            return new TypeClass(this.getTypeConfig(typeName, plan));
         }
         return null;
     }
@@ -197,22 +176,33 @@ class AgentTypeFactory {
     /**
      * Create an agent type instance from agent code
      * @param {string} agentCode - The agent code (XXXXX-XXXXX-XXXXX)
+     * @param {Object} [plan] - Commission plan (defaults to the built-in plan)
      * @returns {AgentType|null} Agent type instance or null
      */
-    static fromAgentCode(agentCode) {
+    static fromAgentCode(agentCode, plan = null) {
         if (!agentCode) return null;
 
         const parts = agentCode.split('-');
         if (parts.length !== 3) return null;
 
         // Determine type based on code pattern
-        if (parts[2] !== '00000') return new ConsultantAgent();
-        if (parts[1] !== '00000') return new Agent();
-        if (parts[0] !== '00000') return new MasterAgent();
+        if (parts[2] !== '00000') return this.create('Consultant Agent', plan);
+        if (parts[1] !== '00000') return this.create('Agent', plan);
+        if (parts[0] !== '00000') return this.create('Master Agent', plan);
 
         return null;
     }
 
+    /**
+     * Agent type settings from a commission plan
+     * @param {string} typeName - The agent type name
+     * @param {Object} [plan] - Commission plan
+     * @returns {Object|null}
+     */
+    static getTypeConfig(typeName, plan = null) {
+        return (plan && plan.agentTypes && plan.agentTypes[typeName]) || null;
+    }
+
     /**
      * Get all available agent type names
      * @returns {string[]}
@@ -223,13 +213,11 @@ class AgentTypeFactory {
 
     /**
      * Get all agent types as objects
+     * @param {Object} [plan] - Commission plan (defaults to the built-in plan)
      * @returns {Object[]}
      */
-    static getAllTypes() {
-        return Object.keys(this.types).map(name => {
-            const instance = new this.types[name]();
-            return instance.toJSON();
-        });
+    static getAllTypes(plan = null) {
+        return Object.keys(this.types).map(name => this.create(name, plan).toJSON());
     }
 }
 
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const agentAdminController = require('../controllers/agentAdminController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/requireAdmin');
+const validateRequest = require('../middleware/validateRequest');
+const {
+    agentCodeParamsSchema,
+    agentTypeChangeSchema,
+    agentAdminGenerateSchema,
+    agentDeactivateSchema,
+    agentIntegrityRepairSchema
+} = require('../validation/schemas');
+
+// All routes require an authenticated admin
+router.use(authenticateToken, requireAdmin);
+
+// GET /api/agent-admin/integrity - Report drift between users, agents records and codes, with proposed fixes
+router.get('/integrity', agentAdminController.checkIntegrity);
+
+// POST /api/agent-admin/integrity/repair - Apply the proposed fixes (preview: true only reports them)
+router.post(
+    '/integrity/repair',
+    validateRequest({ body: agentIntegrityRepairSchema }),
+    agentAdminController.repairIntegrity
+);
+
+// POST /api/agent-admin/generate-code - Generate a code even when the referrer is at its recruit limit (reason is logged)
+router.post(
+    '/generate-code',
+    validateRequest({ body: agentAdminGenerateSchema }),
+    agentAdminController.generateCode
+);
+
+// POST /api/agent-admin/:agentCode/type-change - Promote or demote an agent; preview: true only returns the plan
+router.post(
+    '/:agentCode/type-change',
+    validateRequest({ params: agentCodeParamsSchema, body: agentTypeChangeSchema }),
+    agentAdminController.changeType
+);
+
+// POST /api/agent-admin/:agentCode/deactivate - Stop crediting an agent; reassign the downline or route the share upward
+router.post(
+    '/:agentCode/deactivate',
+    validateRequest({ params: agentCodeParamsSchema, body: agentDeactivateSchema }),
+    agentAdminController.deactivate
+);
+
+// GET /api/agent-admin/:agentCode/code-history - Codes an agent held before, for attributing old commissions
+router.get(
+    '/:agentCode/code-history',
+    validateRequest({ params: agentCodeParamsSchema }),
+    agentAdminController.getCodeHistory
+);
+
+module.exports = router;
@@ -2,6 +2,13 @@ const express = require('express');
 const router = express.Router();
 const agentHierarchyController = require('../controllers/agentHierarchyController');
 const { authenticateToken } = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/requireAdmin');
+const validateRequest = require('../middleware/validateRequest');
+const {
+    agentCodeParamsSchema,
+    agentNetworkQuerySchema,
+    agentNetworkExportQuerySchema
+} = require('../validation/schemas');
 
 // All routes require authentication
 router.use(authenticateToken);
@@ -11,4 +18,20 @@ router.get('/number/:agentNumber', (req, res) =>
     agentHierarchyController.getAgentHierarchyByNumber(req, res)
 );
 
+// GET /api/agent-hierarchy/network/:agentCode?page=1&limit=50 - Network totals and one page of direct recruits
+router.get(
+    '/network/:agentCode',
+    requireAdmin,
+    validateRequest({ params: agentCodeParamsSchema, query: agentNetworkQuerySchema }),
+    (req, res) => agentHierarchyController.getAgentNetwork(req, res)
+);
+
+// GET /api/agent-hierarchy/network/:agentCode/export?format=dot - Whole network as nested JSON or GraphViz DOT
+router.get(
+    '/network/:agentCode/export',
+    requireAdmin,
+    validateRequest({ params: agentCodeParamsSchema, query: agentNetworkExportQuerySchema }),
+    (req, res) => agentHierarchyController.exportAgentNetwork(req, res)
+);
+
 module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const agentPayoutController = require('../controllers/agentPayoutController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/requireAdmin');
+const validateRequest = require('../middleware/validateRequest');
+const {
+    agentPayoutListQuerySchema,
+    agentPayoutParamsSchema,
+    agentPayoutApproveSchema,
+    agentPayoutRejectSchema
+} = require('../validation/schemas');
+
+// All routes require an authenticated admin
+router.use(authenticateToken, requireAdmin);
+
+// GET /api/agent-payouts?status=pending - Payout requests from every agent, newest first
+router.get(
+    '/',
+    validateRequest({ query: agentPayoutListQuerySchema }),
+    agentPayoutController.list
+);
+
+// GET /api/agent-payouts/:payoutId - One payout request, with the full account number
+router.get(
+    '/:payoutId',
+    validateRequest({ params: agentPayoutParamsSchema }),
+    agentPayoutController.getById
+);
+
+// POST /api/agent-payouts/:payoutId/approve - Debit the agent wallet and record the payout
+router.post(
+    '/:payoutId/approve',
+    validateRequest({ params: agentPayoutParamsSchema, body: agentPayoutApproveSchema }),
+    agentPayoutController.approve
+);
+
+// POST /api/agent-payouts/:payoutId/reject - Release the held amount back to the agent
+router.post(
+    '/:payoutId/reject',
+    validateRequest({ params: agentPayoutParamsSchema, body: agentPayoutRejectSchema }),
+    agentPayoutController.reject
+);
+
+module.exports = router;
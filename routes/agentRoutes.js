@@ -3,15 +3,53 @@ const router = express.Router();
 const agentController = require('../controllers/agentController');
 const apiKeyAuth = require('../middleware/apiKeyAuth');
 const validateRequest = require('../middleware/validateRequest');
-const { agentGenerateSchema, agentCodeParamsSchema } = require('../validation/schemas');
+const {
+    agentGenerateSchema,
+    agentCodeParamsSchema,
+    agentStatementQuerySchema,
+    agentStatementListQuerySchema,
+    agentLeaderboardQuerySchema,
+    agentPerformanceQuerySchema,
+    agentPayoutRequestSchema,
+    agentPayoutListQuerySchema
+} = require('../validation/schemas');
 
 // Apply API key authentication to all routes
 router.use(apiKeyAuth);
 
 // Read-only routes
 router.get('/', agentController.getAllAgents);
+// GET /api/agents/leaderboard?metric=depositVolume&type=Agent&from=2026-09-01&to=2026-09-30 (format=csv&groupBy=team to download)
+router.get('/leaderboard', validateRequest({ query: agentLeaderboardQuerySchema }), agentController.getLeaderboard);
 router.get('/:agentCode', validateRequest({ params: agentCodeParamsSchema }), agentController.getAgentByCode);
 router.get('/:agentCode/hierarchy', validateRequest({ params: agentCodeParamsSchema }), agentController.getAgentHierarchy);
+router.get(
+    '/:agentCode/statement',
+    validateRequest({ params: agentCodeParamsSchema, query: agentStatementQuerySchema }),
+    agentController.getAgentStatement
+);
+router.get(
+    '/:agentCode/performance',
+    validateRequest({ params: agentCodeParamsSchema, query: agentPerformanceQuerySchema }),
+    agentController.getAgentPerformance
+);
+router.get(
+    '/:agentCode/statements',
+    validateRequest({ params: agentCodeParamsSchema, query: agentStatementListQuerySchema }),
+    agentController.listAgentStatements
+);
+router.get(
+    '/:agentCode/payouts',
+    validateRequest({ params: agentCodeParamsSchema, query: agentPayoutListQuerySchema }),
+    agentController.listPayouts
+);
+
+// Payout requests (the amount is held until an admin approves or rejects it)
+router.post(
+    '/:agentCode/payouts',
+    validateRequest({ params: agentCodeParamsSchema, body: agentPayoutRequestSchema }),
+    agentController.requestPayout
+);
 
 // Generate agent code route (with validation middleware)
 router.post('/generate-code', validateRequest({ body: agentGenerateSchema }), agentController.generateAgentCode);
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const commissionPlanController = require('../controllers/commissionPlanController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/requireAdmin');
+const validateRequest = require('../middleware/validateRequest');
+const {
+    commissionPlanCreateSchema,
+    commissionPlanListQuerySchema,
+    commissionPlanActiveQuerySchema,
+    commissionSimulationSchema
+} = require('../validation/schemas');
+
+// All routes require an authenticated admin
+router.use(authenticateToken, requireAdmin);
+
+// GET /api/commission-plans - Plan versions, newest effectiveFrom first
+router.get(
+    '/',
+    validateRequest({ query: commissionPlanListQuerySchema }),
+    commissionPlanController.list
+);
+
+// GET /api/commission-plans/active?asOf= - Plan in effect now or at asOf
+router.get(
+    '/active',
+    validateRequest({ query: commissionPlanActiveQuerySchema }),
+    commissionPlanController.getActive
+);
+
+// POST /api/commission-plans - Save a new plan version (sections left out carry over)
+router.post(
+    '/',
+    validateRequest({ body: commissionPlanCreateSchema }),
+    commissionPlanController.create
+);
+
+// POST /api/commission-plans/simulate - Preview a commission split, optionally with draft plan changes
+router.post(
+    '/simulate',
+    validateRequest({ body: commissionSimulationSchema }),
+    commissionPlanController.simulate
+);
+
+module.exports = router;
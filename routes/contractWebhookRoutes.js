@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const contractWebhookController = require('../controllers/contractWebhookController');
+const verifyContractWebhook = require('../middleware/verifyContractWebhook');
+const validateRequest = require('../middleware/validateRequest');
+const { contractWebhookEventSchema } = require('../validation/schemas');
+
+// POST /api/webhooks/contracts - Signed, voided and expired events from the contract service
+router.post(
+    '/',
+    verifyContractWebhook,
+    validateRequest({ body: contractWebhookEventSchema }),
+    contractWebhookController.handleEvent
+);
+
+module.exports = router;
@@ -23,6 +23,14 @@ const settingsRoutes = require('./settingsRoutes');
 const adminProfileRoutes = require('./adminProfileRoutes');
 const agentHierarchyRoutes = require('./agentHierarchyRoutes');
 const ticketRoutes = require('./ticketRoutes');
+const timeDepositRoutes = require('./timeDepositRoutes');
+const investmentRatesRoutes = require('./investmentRatesRoutes');
+const contractWebhookRoutes = require('./contractWebhookRoutes');
+const taxProfileRoutes = require('./taxProfileRoutes');
+const withholdingTaxRoutes = require('./withholdingTaxRoutes');
+const commissionPlanRoutes = require('./commissionPlanRoutes');
+const agentPayoutRoutes = require('./agentPayoutRoutes');
+const agentAdminRoutes = require('./agentAdminRoutes');
 
 // Health check route
 router.get('/health', (req, res) => {
@@ -69,13 +77,29 @@ router.use('/admin-logs', adminLogsRoutes);
 // Task withdrawals routes (taskWithdrawRequest collection)
 router.use('/task-withdrawals', taskWithdrawalsRoutes);
 
-// Time deposit routes (quote + shared admin-only helpers)
-// TODO: Implement timeDepositRoutes
-// router.use('/time-deposits', timeDepositRoutes);
+// Time deposit routes (quote, create, list and detail; admin only)
+router.use('/time-deposits', timeDepositRoutes);
 
-// Investment rates routes (manage rate tiers in Firestore)
-// TODO: Implement investmentRatesRoutes
-// router.use('/investment-rates', investmentRatesRoutes);
+// Investment rates routes (versioned rate tiers in Firestore)
+router.use('/investment-rates', investmentRatesRoutes);
+
+// Tax profile routes (withholding rates per user and income type; admin only)
+router.use('/tax-profiles', taxProfileRoutes);
+
+// Withholding tax routes (quarterly reports and payee certificates; admin only)
+router.use('/withholding-tax', withholdingTaxRoutes);
+
+// Commission plan routes (versioned agent commission splits; admin only)
+router.use('/commission-plans', commissionPlanRoutes);
+
+// Agent payout routes (review agent wallet payout requests; admin only)
+router.use('/agent-payouts', agentPayoutRoutes);
+
+// Agent admin routes (promotions, demotions and code history; admin only)
+router.use('/agent-admin', agentAdminRoutes);
+
+// Contract service webhooks (HMAC signed, no user session)
+router.use('/webhooks/contracts', contractWebhookRoutes);
 
 // Settings routes
 router.use('/settings', settingsRoutes);
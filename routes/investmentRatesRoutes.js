@@ -4,11 +4,36 @@ const investmentRatesController = require('../controllers/investmentRatesControl
 const { authenticateToken } = require('../middleware/authMiddleware');
 const { requireAdmin } = require('../middleware/requireAdmin');
 const validateRequest = require('../middleware/validateRequest');
-const { investmentRatesUpdateSchema, docIdParamsSchema } = require('../validation/schemas');
+const {
+    investmentRatesUpdateSchema,
+    investmentRatesHistoryQuerySchema,
+    investmentRatesDiffQuerySchema,
+    investmentRatesProposalParamsSchema,
+    investmentRatesProposalListQuerySchema,
+    investmentRatesApproveSchema,
+    investmentRatesRejectSchema,
+    docIdParamsSchema
+} = require('../validation/schemas');
 
 // All routes require authentication
 router.use(authenticateToken);
 
+// GET /api/investment-rates/history - Rate versions, newest effectiveFrom first (admin only)
+router.get(
+    '/history',
+    requireAdmin,
+    validateRequest({ query: investmentRatesHistoryQuerySchema }),
+    investmentRatesController.getHistory
+);
+
+// GET /api/investment-rates/diff?from=&to= - Compare two rate versions (admin only)
+router.get(
+    '/diff',
+    requireAdmin,
+    validateRequest({ query: investmentRatesDiffQuerySchema }),
+    investmentRatesController.diffVersions
+);
+
 // GET /api/investment-rates/:docId - Get investment rates
 router.get(
     '/:docId',
@@ -16,7 +41,7 @@ router.get(
     investmentRatesController.getRates
 );
 
-// PUT /api/investment-rates/:docId - Update investment rates (admin only)
+// PUT /api/investment-rates/:docId - Submit a rate change for approval (admin only)
 router.put(
     '/:docId',
     requireAdmin,
@@ -24,4 +49,36 @@ router.put(
     investmentRatesController.updateRates
 );
 
+// GET /api/investment-rates/:docId/proposals - List rate change proposals (admin only)
+router.get(
+    '/:docId/proposals',
+    requireAdmin,
+    validateRequest({ params: docIdParamsSchema, query: investmentRatesProposalListQuerySchema }),
+    investmentRatesController.listProposals
+);
+
+// POST /api/investment-rates/:docId/proposals - Submit a rate change for approval (admin only)
+router.post(
+    '/:docId/proposals',
+    requireAdmin,
+    validateRequest({ params: docIdParamsSchema, body: investmentRatesUpdateSchema }),
+    investmentRatesController.updateRates
+);
+
+// POST /api/investment-rates/:docId/proposals/:proposalId/approve - Approve another admin's proposal
+router.post(
+    '/:docId/proposals/:proposalId/approve',
+    requireAdmin,
+    validateRequest({ params: investmentRatesProposalParamsSchema, body: investmentRatesApproveSchema }),
+    investmentRatesController.approveProposal
+);
+
+// POST /api/investment-rates/:docId/proposals/:proposalId/reject - Reject another admin's proposal
+router.post(
+    '/:docId/proposals/:proposalId/reject',
+    requireAdmin,
+    validateRequest({ params: investmentRatesProposalParamsSchema, body: investmentRatesRejectSchema }),
+    investmentRatesController.rejectProposal
+);
+
 module.exports = router;
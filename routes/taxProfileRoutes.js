@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const taxProfileController = require('../controllers/taxProfileController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/requireAdmin');
+const validateRequest = require('../middleware/validateRequest');
+const {
+    taxProfileParamsSchema,
+    taxProfileBodySchema,
+    userTaxProfilesParamsSchema,
+    userTaxProfilesBodySchema
+} = require('../validation/schemas');
+
+// All routes require an authenticated admin
+router.use(authenticateToken, requireAdmin);
+
+// GET /api/tax-profiles - Withholding tax profiles, built-in ones included
+router.get('/', taxProfileController.list);
+
+// GET /api/tax-profiles/users/:userId - A user's assigned and effective profiles per income type
+router.get(
+    '/users/:userId',
+    validateRequest({ params: userTaxProfilesParamsSchema }),
+    taxProfileController.getUserAssignments
+);
+
+// PUT /api/tax-profiles/users/:userId - Assign interest/commission profiles (null resets to standard)
+router.put(
+    '/users/:userId',
+    validateRequest({ params: userTaxProfilesParamsSchema, body: userTaxProfilesBodySchema }),
+    taxProfileController.assignUserProfiles
+);
+
+// PUT /api/tax-profiles/:key - Create or update a profile (rate is a fraction, 0.1 = 10%)
+router.put(
+    '/:key',
+    validateRequest({ params: taxProfileParamsSchema, body: taxProfileBodySchema }),
+    taxProfileController.upsert
+);
+
+module.exports = router;
@@ -4,11 +4,130 @@ const timeDepositController = require('../controllers/timeDepositController');
 const { authenticateToken } = require('../middleware/authMiddleware');
 const { requireAdmin } = require('../middleware/requireAdmin');
 const validateRequest = require('../middleware/validateRequest');
-const { timeDepositQuoteBodySchema } = require('../validation/schemas');
+const {
+    timeDepositQuoteBodySchema,
+    timeDepositCreateBodySchema,
+    timeDepositUserParamsSchema,
+    timeDepositDetailParamsSchema,
+    timeDepositListQuerySchema,
+    timeDepositJobRunSchema,
+    timeDepositPreTerminationQuoteSchema,
+    timeDepositPreTerminationSchema,
+    timeDepositVoidSchema,
+    timeDepositImportSchema,
+    timeDepositRolloverSchema,
+    timeDepositTermParamsSchema,
+    timeDepositTermBodySchema,
+    timeDepositTermListQuerySchema,
+    timeDepositScheduleQuerySchema,
+    timeDepositContractRunSchema,
+    timeDepositMissingContractsQuerySchema
+} = require('../validation/schemas');
 
 router.use(authenticateToken);
 router.use(requireAdmin);
 
+// GET /api/time-deposits - List time deposits across all users
+router.get('/', validateRequest({ query: timeDepositListQuerySchema }), timeDepositController.list);
+
+// GET /api/time-deposits/terms - Term catalog (enabledOnly=true for terms open to new deposits)
+router.get('/terms', validateRequest({ query: timeDepositTermListQuerySchema }), timeDepositController.listTerms);
+
+// PUT /api/time-deposits/terms/:key - Create or update a term definition
+router.put(
+    '/terms/:key',
+    validateRequest({ params: timeDepositTermParamsSchema, body: timeDepositTermBodySchema }),
+    timeDepositController.upsertTerm
+);
+
 router.post('/quote', validateRequest({ body: timeDepositQuoteBodySchema }), timeDepositController.quote);
 
-module.exports = router;
\ No newline at end of file
+// POST /api/time-deposits/quote/schedule - Cycle-by-cycle earnings for a quote (?format=csv to download)
+router.post(
+    '/quote/schedule',
+    validateRequest({ body: timeDepositQuoteBodySchema, query: timeDepositScheduleQuerySchema }),
+    timeDepositController.quoteSchedule
+);
+
+// POST /api/time-deposits/maturity/run - Mature due deposits now (dryRun reports only)
+router.post('/maturity/run', validateRequest({ body: timeDepositJobRunSchema }), timeDepositController.runMaturity);
+
+// POST /api/time-deposits/cycles/run - Pay due interest cycles now (dryRun reports only)
+router.post('/cycles/run', validateRequest({ body: timeDepositJobRunSchema }), timeDepositController.runCyclePayouts);
+
+// POST /api/time-deposits/import - Bulk create from CSV text (previews unless dryRun is false)
+router.post('/import', validateRequest({ body: timeDepositImportSchema }), timeDepositController.importDeposits);
+
+// GET /api/time-deposits/contracts/missing - Deposits without a contract, with their retry queue state
+router.get(
+    '/contracts/missing',
+    validateRequest({ query: timeDepositMissingContractsQuerySchema }),
+    timeDepositController.listMissingContracts
+);
+
+// POST /api/time-deposits/contracts/run - Attempt due contract queue entries now (dryRun reports only)
+router.post('/contracts/run', validateRequest({ body: timeDepositContractRunSchema }), timeDepositController.runContractRetries);
+
+// POST /api/time-deposits/contracts/backfill - Queue contracts for active deposits that have none
+router.post('/contracts/backfill', validateRequest({ body: timeDepositContractRunSchema }), timeDepositController.backfillContracts);
+
+// POST /api/time-deposits/users/:userId - Create a time deposit (X-Request-Id is the idempotency key)
+router.post(
+    '/users/:userId',
+    validateRequest({ params: timeDepositUserParamsSchema, body: timeDepositCreateBodySchema }),
+    timeDepositController.create
+);
+
+// GET /api/time-deposits/:userId/:id - Time deposit detail with contract link and transaction
+router.get('/:userId/:id', validateRequest({ params: timeDepositDetailParamsSchema }), timeDepositController.getById);
+
+// GET /api/time-deposits/:userId/:id/schedule - Earnings schedule with paid cycles marked (?format=csv to download)
+router.get(
+    '/:userId/:id/schedule',
+    validateRequest({ params: timeDepositDetailParamsSchema, query: timeDepositScheduleQuerySchema }),
+    timeDepositController.getSchedule
+);
+
+// POST /api/time-deposits/:userId/:id/pre-termination/quote - Refund, penalty and clawback preview
+router.post(
+    '/:userId/:id/pre-termination/quote',
+    validateRequest({ params: timeDepositDetailParamsSchema, body: timeDepositPreTerminationQuoteSchema }),
+    timeDepositController.quotePreTermination
+);
+
+// POST /api/time-deposits/:userId/:id/pre-termination - Terminate early and refund to available balance
+router.post(
+    '/:userId/:id/pre-termination',
+    validateRequest({ params: timeDepositDetailParamsSchema, body: timeDepositPreTerminationSchema }),
+    timeDepositController.preTerminate
+);
+
+// POST /api/time-deposits/:userId/:id/contract/retry - Re-queue the contract and attempt it immediately
+router.post(
+    '/:userId/:id/contract/retry',
+    validateRequest({ params: timeDepositDetailParamsSchema }),
+    timeDepositController.retryContract
+);
+
+// POST /api/time-deposits/:userId/:id/contract/links - Fetch fresh contract view/download links
+router.post(
+    '/:userId/:id/contract/links',
+    validateRequest({ params: timeDepositDetailParamsSchema }),
+    timeDepositController.regenerateContractLinks
+);
+
+// POST /api/time-deposits/:userId/:id/void - Reverse a deposit booked by mistake (within the void window)
+router.post(
+    '/:userId/:id/void',
+    validateRequest({ params: timeDepositDetailParamsSchema, body: timeDepositVoidSchema }),
+    timeDepositController.voidDeposit
+);
+
+// PUT /api/time-deposits/:userId/:id/rollover - Set the maturity rollover instruction
+router.put(
+    '/:userId/:id/rollover',
+    validateRequest({ params: timeDepositDetailParamsSchema, body: timeDepositRolloverSchema }),
+    timeDepositController.updateRollover
+);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const withholdingTaxController = require('../controllers/withholdingTaxController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/requireAdmin');
+const validateRequest = require('../middleware/validateRequest');
+const {
+    withholdingReportQuerySchema,
+    withholdingCertificateParamsSchema,
+    withholdingCertificateQuerySchema
+} = require('../validation/schemas');
+
+// All routes require an authenticated admin
+router.use(authenticateToken, requireAdmin);
+
+// GET /api/withholding-tax/report?quarter=2026-Q1 - Gross, tax withheld and net per payee (add format=csv to download)
+router.get(
+    '/report',
+    validateRequest({ query: withholdingReportQuerySchema }),
+    withholdingTaxController.getReport
+);
+
+// GET /api/withholding-tax/certificates/:userId?quarter=2026-Q1&format=pdf - Payee certificate (json, html or pdf)
+router.get(
+    '/certificates/:userId',
+    validateRequest({ params: withholdingCertificateParamsSchema, query: withholdingCertificateQuerySchema }),
+    withholdingTaxController.getCertificate
+);
+
+module.exports = router;
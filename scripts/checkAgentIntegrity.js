@@ -0,0 +1,54 @@
+require('dotenv').config();
+
+const { initializeFirebase } = require('../config/firebase');
+const { runAgentIntegrityCheck } = require('../services/agentIntegrityService');
+const { AGENT_INTEGRITY_ISSUES } = require('../utils/agentIntegrity');
+
+// Usage: node scripts/checkAgentIntegrity.js [--repair] [--type=TYPE_MISMATCH,STALE_USER_CODE] [--json]
+const args = process.argv.slice(2);
+
+const getArgValue = (name, fallback = null) => {
+    const prefix = `--${name}=`;
+    const arg = args.find((item) => item.startsWith(prefix));
+    return arg ? arg.slice(prefix.length) : fallback;
+};
+
+const hasFlag = (name) => args.includes(`--${name}`);
+
+const repair = hasFlag('repair');
+const json = hasFlag('json');
+const types = (getArgValue('type', '') || '').split(',').map((type) => type.trim()).filter(Boolean);
+
+const run = async () => {
+    const unknown = types.filter((type) => !AGENT_INTEGRITY_ISSUES[type]);
+    if (unknown.length) {
+        throw new Error(`Unknown issue type(s): ${unknown.join(', ')}`);
+    }
+
+    initializeFirebase();
+    const result = await runAgentIntegrityCheck({ repair, types });
+
+    if (json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+    }
+
+    result.issues.forEach((issue) => {
+        const fix = issue.fix ? ` -> ${issue.fix.action} ${issue.fix.target} ${JSON.stringify(issue.fix.data)}` : '';
+        console.log(`[${issue.type}] ${issue.message}${issue.userId ? ` (user ${issue.userId})` : ''}${fix}`);
+    });
+
+    console.log(`\nChecked ${result.totals.users} users and ${result.totals.agents} agent records.`);
+    Object.entries(result.summary).forEach(([type, count]) => console.log(`${type}: ${count}`));
+    console.log(`Issues: ${result.totals.issues} (${result.totals.fixable} with a proposed fix)`);
+    console.log(repair
+        ? `Applied ${result.repaired ? result.fixes.length : 0} fix(es).`
+        : `Dry run: ${result.fixes.length} fix(es) would be applied with --repair.`);
+};
+
+run()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('Agent integrity check failed:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,75 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const { initializeFirebase } = require('../config/firebase');
+const { toCsv } = require('../utils/csv');
+const { importTimeDeposits } = require('../services/timeDepositImportService');
+
+// Usage: node scripts/importTimeDeposits.js <file.csv> [--execute] [--queue-contracts] [--admin-id=<id>] [--report=<out.csv>]
+// Without --execute the file is only validated and priced.
+const args = process.argv.slice(2);
+
+const getArgValue = (name, fallback = null) => {
+    const prefix = `--${name}=`;
+    const arg = args.find((item) => item.startsWith(prefix));
+    return arg ? arg.slice(prefix.length) : fallback;
+};
+
+const hasFlag = (name) => args.includes(`--${name}`);
+
+const filePath = args.find((item) => !item.startsWith('--'));
+const execute = hasFlag('execute');
+const queueContracts = hasFlag('queue-contracts');
+const adminId = getArgValue('admin-id');
+const reportPath = getArgValue('report');
+
+const REPORT_COLUMNS = [
+    { header: 'Row', key: 'row' },
+    { header: 'User', key: 'userId' },
+    { header: 'Amount', key: 'amount' },
+    { header: 'Term', key: 'term' },
+    { header: 'Initial Date', key: 'initialDate' },
+    { header: 'Status', key: 'status' },
+    { header: 'Final Rate', value: (row) => (row.quote ? row.quote.finalInterestRate : '') },
+    { header: 'Display ID', key: 'displayId' },
+    { header: 'Request ID', key: 'requestId' },
+    { header: 'Errors', value: (row) => (row.errors || []).map((error) => `${error.path}: ${error.message}`).join('; ') || row.reason || '' }
+];
+
+const run = async () => {
+    if (!filePath) {
+        throw new Error('Usage: node scripts/importTimeDeposits.js <file.csv> [--execute] [--queue-contracts] [--admin-id=<id>] [--report=<out.csv>]');
+    }
+
+    // Created deposits are logged in admin_history_logs under this admin
+    if (execute && !adminId) {
+        throw new Error('--admin-id is required with --execute');
+    }
+
+    initializeFirebase();
+
+    const report = await importTimeDeposits({
+        csv: fs.readFileSync(filePath, 'utf8'),
+        dryRun: !execute,
+        queueContracts,
+        adminUser: adminId ? { id: adminId, displayName: 'importTimeDeposits.js' } : null
+    });
+
+    if (reportPath) {
+        fs.writeFileSync(reportPath, toCsv(REPORT_COLUMNS, report.rows));
+    }
+
+    console.log(`${report.dryRun ? 'Dry run' : 'Import'} of ${report.total} row(s): ${report.valid} valid, ${report.created} created, ${report.skipped} already imported, ${report.invalid} invalid, ${report.failed} failed.`);
+    report.rows
+        .filter((row) => row.errors)
+        .forEach((row) => console.log(`  Row ${row.row}: ${row.errors.map((error) => error.message).join('; ')}`));
+
+    return report;
+};
+
+run()
+    .then((report) => process.exit(report.invalid || report.failed ? 2 : 0))
+    .catch((error) => {
+        console.error('Failed to import time deposits:', error.message || error);
+        process.exit(1);
+    });
@@ -22,6 +22,13 @@ const DEFAULT_RATES = {
         50000: 6.0,
         100000: 7.0
     },
+    // Tiers keyed by completed cycles; a term key (e.g. twoYears) overrides 'default'
+    preTerminationPenalties: {
+        default: [
+            { minCycles: 0, forfeitInterest: 'all', penaltyPercent: 2, commissionClawbackPercent: 100 },
+            { minCycles: 1, forfeitInterest: 'unpaid', penaltyPercent: 1, commissionClawbackPercent: 50 }
+        ]
+    },
     updatedAt: new Date().toISOString(),
     source: 'seedInvestmentRates.js'
 };
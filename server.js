@@ -8,6 +8,7 @@ const os = require('os');
 
 // Import Firebase config
 const { initializeFirebase } = require('./config/firebase');
+const { startScheduledJobs } = require('./jobs');
 
 // Import routes
 const routes = require('./routes');
@@ -92,7 +93,13 @@ app.use(cors({
     optionsSuccessStatus: 204
 }));
 app.use(cookieParser());
-app.use(express.json({ limit: process.env.REQUEST_BODY_LIMIT || '1mb' }));
+app.use(express.json({
+    limit: process.env.REQUEST_BODY_LIMIT || '1mb',
+    // Webhook signatures are computed over the body exactly as it was sent
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: process.env.REQUEST_BODY_LIMIT || '1mb' }));
 app.use(hpp());
 app.use(apiLimiter);
@@ -146,6 +153,9 @@ async function startServer() {
         initializeFirebase();
         console.log('');
 
+        // Background jobs (each is disabled unless its interval env var is set)
+        startScheduledJobs();
+
         // Start server
         const PORT = process.env.PORT || 4000;
         const HOST = '0.0.0.0'; // Listen on all network interfaces
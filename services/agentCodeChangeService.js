@@ -0,0 +1,511 @@
+const { admin, getFirestore } = require('../config/firebase');
+const Agent = require('../models/Agent');
+const agentService = require('./agentService');
+const { writeAdminHistoryLog, resolveActor } = require('../utils/adminHistoryLogs');
+const {
+    AGENT_TYPES_BY_LEVEL,
+    parseAgentCode,
+    getTypeLevel,
+    getParentCode,
+    getAncestorCode,
+    planSubtreeMove,
+    checkRecruitCapacity
+} = require('../utils/agentCodes');
+const { AgentTypeFactory } = require('../models/AgentType');
+const { getUserByIdOrUserId } = require('./timeDepositService');
+const { createHttpError } = require('../utils/httpError');
+
+const AGENTS_COLLECTION = 'agents';
+const AGENT_CODE_CHANGES_COLLECTION = 'agentCodeChanges';
+
+const AGENT_STATUS = {
+    ACTIVE: 'active',
+    INACTIVE: 'inactive',
+    SUPERSEDED: 'superseded'
+};
+
+// One change rewrites the new and old agent documents and the user (plus both uplines); stay well inside Firestore's 500-write limit
+const MAX_AGENTS_PER_CHANGE = 150;
+
+const toActorRecord = (adminUser) => {
+    const actor = resolveActor(adminUser);
+    return {
+        id: actor.id,
+        email: actor.email,
+        displayName: actor.name
+    };
+};
+
+const getAgentName = (agent) => agent.fullName || `${agent.firstName || ''} ${agent.lastName || ''}`.trim() || null;
+
+const isCurrent = (agent) => agent.status === AGENT_STATUS.ACTIVE || agent.status === AGENT_STATUS.INACTIVE;
+
+/**
+ * Every agent record split into current agents (active or deactivated; both still hold their code
+ * and move with their upline), the active ones, and the superseded codes that can never be reused.
+ */
+const loadAgentDirectory = async () => {
+    const agents = await Agent.findAll();
+    return {
+        current: agents.filter(isCurrent),
+        active: agents.filter((agent) => agent.status === AGENT_STATUS.ACTIVE),
+        reservedCodes: agents.filter((agent) => !isCurrent(agent)).map((agent) => agent.agentCode)
+    };
+};
+
+const isWithin = (code, ancestorCode) => {
+    for (let current = code; current; current = getParentCode(current)) {
+        if (current === ancestorCode) {
+            return true;
+        }
+    }
+    return false;
+};
+
+const toChangeSummary = (change) => ({
+    agentCode: change.agentCode,
+    newAgentCode: change.newAgentCode,
+    userId: change.agent.userId || null,
+    name: getAgentName(change.agent),
+    type: change.type,
+    newType: change.newType,
+    parentCode: change.parentCode,
+    newParentCode: change.newParentCode,
+    commissionNumbers: agentService.getAgentNumbers(change.newAgentCode)
+});
+
+/**
+ * Recode agents and their downlines under new uplines once the plan is known. Old agent records
+ * are kept and marked superseded (pointing at the new code); each new record carries a
+ * codeHistory entry so commissions booked before the change stay attributable.
+ * @param {Object} options
+ * @param {Array<Object>} options.changes - From planSubtreeMove, possibly for several agents
+ * @param {Array<Object>} options.agents - The current agents the plan was made from; older records are
+ *   not keyed by their code, so documents are looked up by each record's id
+ * @param {Object} [options.agentUpdates] - Fields to set on other agents in the same transaction, by agent code;
+ *   each of them must still be active
+ * @param {Object} options.changeRecord - Stored in agentCodeChanges (without the per-agent list)
+ * @param {Object} options.adminLog - Admin history log entry
+ * @param {Object} options.adminUser
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<string>} The agentCodeChanges id
+ */
+const applyAgentCodeChanges = async ({ changes, agents, agentUpdates = {}, changeRecord, adminLog, adminUser, now = new Date() }) => {
+    if (changes.length > MAX_AGENTS_PER_CHANGE) {
+        throw createHttpError(409, `This change would recode ${changes.length} agents; the limit is ${MAX_AGENTS_PER_CHANGE}`, 'TOO_MANY_AGENT_CHANGES');
+    }
+
+    const db = getFirestore();
+    const agentsRef = db.collection(AGENTS_COLLECTION);
+    const changeRef = db.collection(AGENT_CODE_CHANGES_COLLECTION).doc();
+    const codeMap = new Map(changes.map((change) => [change.agentCode, change.newAgentCode]));
+    const remapCode = (value) => (typeof value === 'string' && codeMap.has(value) ? codeMap.get(value) : value);
+    const docIds = new Map(agents.map((agent) => [agent.agentCode, agent.id]));
+    const agentRef = (code) => agentsRef.doc(docIds.get(code) || code);
+
+    await db.runTransaction(async (transaction) => {
+        const reads = [];
+        for (const change of changes) {
+            const oldDoc = await transaction.get(agentRef(change.agentCode));
+            const newDoc = await transaction.get(agentsRef.doc(change.newAgentCode));
+
+            if (!oldDoc.exists || (oldDoc.data() || {}).status !== change.agent.status) {
+                throw createHttpError(409, `Agent ${change.agentCode} changed since the plan was made; preview again`, 'AGENT_CHANGED');
+            }
+            if (newDoc.exists) {
+                throw createHttpError(409, `${change.newAgentCode} is already assigned to another agent`, 'AGENT_CODE_TAKEN');
+            }
+
+            let userRef = null;
+            if (change.agent.userId) {
+                try {
+                    userRef = (await getUserByIdOrUserId(db, change.agent.userId, transaction)).ref;
+                } catch (error) {
+                    if (error.status !== 404) {
+                        throw error;
+                    }
+                }
+            }
+
+            reads.push({ change, oldRef: oldDoc.ref, oldData: oldDoc.data() || {}, userRef });
+        }
+
+        // Each moved agent leaves its old upline's recruits and joins the new upline's
+        const recruitCode = (recruit) => (recruit && typeof recruit === 'object' ? recruit.agentCode : recruit);
+        const roots = changes.filter((change) => !codeMap.has(change.parentCode));
+        const uplineCodes = [...new Set([
+            ...roots.flatMap((change) => [change.parentCode, change.newParentCode]),
+            ...Object.keys(agentUpdates)
+        ].filter(Boolean))];
+        const uplines = new Map();
+
+        for (const code of uplineCodes) {
+            const doc = await transaction.get(agentRef(code));
+            if (agentUpdates[code] && (!doc.exists || (doc.data() || {}).status !== AGENT_STATUS.ACTIVE)) {
+                throw createHttpError(409, `Agent ${code} changed since the plan was made; preview again`, 'AGENT_CHANGED');
+            }
+            if (doc.exists) {
+                uplines.set(code, { ref: doc.ref, recruits: doc.data().recruits || [] });
+            }
+        }
+
+        roots.forEach((change) => {
+            const oldUpline = uplines.get(change.parentCode);
+            const newUpline = uplines.get(change.newParentCode);
+            if (oldUpline) {
+                oldUpline.recruits = oldUpline.recruits.filter((recruit) => recruitCode(recruit) !== change.agentCode);
+            }
+            if (newUpline && !newUpline.recruits.some((recruit) => recruitCode(recruit) === change.newAgentCode)) {
+                newUpline.recruits = [...newUpline.recruits, change.newAgentCode];
+            }
+        });
+
+        uplines.forEach(({ ref, recruits }, code) => {
+            transaction.update(ref, { ...(agentUpdates[code] || {}), recruits, updatedAt: now });
+        });
+
+        reads.forEach(({ change, oldRef, oldData, userRef }) => {
+            const { number } = parseAgentCode(change.newAgentCode);
+
+            transaction.set(agentsRef.doc(change.newAgentCode), {
+                ...oldData,
+                agentCode: change.newAgentCode,
+                agentNumber: number,
+                type: change.newType,
+                commissionNumbers: agentService.getAgentNumbers(change.newAgentCode),
+                referrerCode: change.newParentCode,
+                recruits: (oldData.recruits || []).map((recruit) => (recruit && typeof recruit === 'object'
+                    ? { ...recruit, agentCode: remapCode(recruit.agentCode) }
+                    : remapCode(recruit))),
+                previousAgentCode: change.agentCode,
+                codeHistory: [
+                    ...(oldData.codeHistory || []),
+                    {
+                        agentCode: change.agentCode,
+                        type: oldData.type || change.type,
+                        commissionNumbers: oldData.commissionNumbers || agentService.getAgentNumbers(change.agentCode),
+                        until: now,
+                        changeId: changeRef.id
+                    }
+                ],
+                updatedAt: now
+            });
+
+            transaction.update(oldRef, {
+                status: AGENT_STATUS.SUPERSEDED,
+                supersededBy: change.newAgentCode,
+                supersededAt: now,
+                changeId: changeRef.id,
+                updatedAt: now
+            });
+
+            if (userRef) {
+                transaction.update(userRef, { agentCode: change.newAgentCode, agentNumber: number });
+            }
+        });
+
+        transaction.set(changeRef, {
+            ...changeRecord,
+            changes: changes.map(toChangeSummary),
+            changedBy: toActorRecord(adminUser),
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        writeAdminHistoryLog(db, transaction, adminUser, {
+            ...adminLog,
+            changeId: changeRef.id
+        });
+    });
+
+    return changeRef.id;
+};
+
+const planTypeChange = async ({ agentCode, targetType, uplineCode }) => {
+    const { current: agents, active, reservedCodes } = await loadAgentDirectory();
+    const agent = active.find((item) => item.agentCode === agentCode);
+    const current = parseAgentCode(agentCode);
+
+    if (!agent || !current) {
+        throw createHttpError(404, 'Agent not found', 'AGENT_NOT_FOUND');
+    }
+
+    const targetLevel = getTypeLevel(targetType);
+    if (targetLevel === current.level) {
+        throw createHttpError(400, `Agent type is already ${targetType}`, 'AGENT_TYPE_UNCHANGED');
+    }
+
+    const direction = targetLevel < current.level ? 'promotion' : 'demotion';
+    let parentCode = null;
+
+    if (targetLevel > 0) {
+        // Promotions stay under the same line by default; demotions need a new upline one level above the target
+        parentCode = uplineCode || (direction === 'promotion' ? getAncestorCode(agentCode, targetLevel - 1) : null);
+        const upline = parseAgentCode(parentCode);
+
+        if (!parentCode) {
+            throw createHttpError(400, `uplineCode is required to make this agent a ${targetType}`, 'UPLINE_REQUIRED');
+        }
+        if (!upline || upline.level !== targetLevel - 1) {
+            throw createHttpError(400, `The upline of a ${targetType} must be at ${AGENT_TYPES_BY_LEVEL[targetLevel - 1]} level`, 'INVALID_UPLINE');
+        }
+        if (!active.some((item) => item.agentCode === parentCode)) {
+            throw createHttpError(404, `Upline ${parentCode} not found`, 'UPLINE_NOT_FOUND');
+        }
+        if (isWithin(parentCode, agentCode)) {
+            throw createHttpError(400, 'An agent cannot be moved under its own downline', 'INVALID_UPLINE');
+        }
+    } else if (uplineCode) {
+        throw createHttpError(400, 'Master Agents have no upline', 'INVALID_UPLINE');
+    }
+
+    const plan = planSubtreeMove({ agents, agentCode, parentCode, reservedCodes });
+    if (plan.errors.length) {
+        throw createHttpError(409, `Cannot change ${agentCode} to ${targetType}: ${plan.errors.join('; ')}`, 'AGENT_CODE_CHANGE_CONFLICT');
+    }
+
+    return { agents, agent, direction, parentCode, changes: plan.changes };
+};
+
+/**
+ * Promote or demote an agent. The type lives in the code, so the agent gets a new code under
+ * the new upline and its downline is recoded with it (an Agent promoted to Master Agent keeps its
+ * consultants, who become its Agents). Preview returns the same plan without writing anything.
+ * @param {Object} options
+ * @param {string} options.agentCode
+ * @param {string} options.targetType - 'Master Agent', 'Agent' or 'Consultant Agent'
+ * @param {string} [options.uplineCode] - New direct upline; required for demotions
+ * @param {string} options.reason
+ * @param {boolean} [options.preview=false]
+ * @param {Object} options.adminUser
+ * @returns {Promise<Object>}
+ */
+const changeAgentType = async ({ agentCode, targetType, uplineCode, reason, preview = false, adminUser }) => {
+    const { agents, agent, direction, parentCode, changes } = await planTypeChange({ agentCode, targetType, uplineCode });
+    const summary = {
+        agentCode,
+        newAgentCode: changes[0].newAgentCode,
+        name: getAgentName(agent),
+        fromType: changes[0].type,
+        toType: targetType,
+        direction,
+        uplineCode: parentCode,
+        reason: String(reason || '').trim()
+    };
+
+    if (preview) {
+        return {
+            preview: true,
+            ...summary,
+            changes: changes.map(toChangeSummary)
+        };
+    }
+
+    const action = direction === 'promotion' ? 'Promote Agent' : 'Demote Agent';
+    const changeId = await applyAgentCodeChanges({
+        changes,
+        agents,
+        changeRecord: { kind: direction, ...summary },
+        adminUser,
+        adminLog: {
+            action,
+            resourceType: 'AGENT',
+            resourceId: agentCode,
+            newAgentCode: summary.newAgentCode,
+            fromType: summary.fromType,
+            toType: targetType,
+            affectedAgents: changes.length,
+            details: `${action === 'Promote Agent' ? 'Promoted' : 'Demoted'} ${summary.name || agentCode} from ${summary.fromType} to ${targetType}: ${agentCode} -> ${summary.newAgentCode}${changes.length > 1 ? `, ${changes.length - 1} downline agent(s) recoded` : ''}. Reason: ${summary.reason}`
+        }
+    });
+
+    return {
+        preview: false,
+        changeId,
+        ...summary,
+        changes: changes.map(toChangeSummary)
+    };
+};
+
+const DEACTIVATION_DOWNLINE_MODES = {
+    REASSIGN: 'reassign',
+    ROUTE_UPLINE: 'route_upline'
+};
+
+/**
+ * Deactivate an agent who leaves. The agent stops being credited: hierarchy commissions skip
+ * inactive agents. Their direct recruits either move, with their whole downline, under another
+ * agent of the same type (new codes as for promotions), or stay put and the deactivated agent's
+ * share goes to the next upline. The record, its code and past commissions are kept.
+ * @param {Object} options
+ * @param {string} options.agentCode
+ * @param {string} [options.downline='route_upline'] - 'reassign' or 'route_upline'
+ * @param {string} [options.uplineCode] - New upline for the direct recruits; required with 'reassign'
+ * @param {string} options.reason
+ * @param {boolean} [options.preview=false]
+ * @param {Object} options.adminUser
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<Object>}
+ */
+const deactivateAgent = async ({
+    agentCode,
+    downline = DEACTIVATION_DOWNLINE_MODES.ROUTE_UPLINE,
+    uplineCode,
+    reason,
+    preview = false,
+    adminUser,
+    now = new Date()
+}) => {
+    const { current, active, reservedCodes } = await loadAgentDirectory();
+    const agent = active.find((item) => item.agentCode === agentCode);
+
+    if (!agent) {
+        if (current.some((item) => item.agentCode === agentCode)) {
+            throw createHttpError(409, 'Agent is already inactive', 'AGENT_ALREADY_INACTIVE');
+        }
+        throw createHttpError(404, 'Agent not found', 'AGENT_NOT_FOUND');
+    }
+
+    const { type } = parseAgentCode(agentCode);
+    const directRecruits = current.filter((item) => getParentCode(item.agentCode) === agentCode);
+    let changes = [];
+
+    if (downline === DEACTIVATION_DOWNLINE_MODES.REASSIGN) {
+        if (!uplineCode) {
+            throw createHttpError(400, 'uplineCode is required to reassign the downline', 'UPLINE_REQUIRED');
+        }
+        if (uplineCode === agentCode || !parseAgentCode(uplineCode) || parseAgentCode(uplineCode).type !== type) {
+            throw createHttpError(400, `The downline can only be reassigned to another ${type}`, 'INVALID_UPLINE');
+        }
+
+        const upline = active.find((item) => item.agentCode === uplineCode);
+        if (!upline) {
+            throw createHttpError(404, `Upline ${uplineCode} not found`, 'UPLINE_NOT_FOUND');
+        }
+
+        if (directRecruits.length) {
+            const uplineRecruits = new Set([
+                ...(upline.recruits || []).map((recruit) => (recruit && typeof recruit === 'object' ? recruit.agentCode : recruit)),
+                ...current.filter((item) => getParentCode(item.agentCode) === uplineCode).map((item) => item.agentCode)
+            ]);
+            const refusal = checkRecruitCapacity({
+                referrerType: AgentTypeFactory.fromAgentCode(uplineCode),
+                recruitCount: uplineRecruits.size + directRecruits.length - 1
+            });
+            if (refusal) {
+                throw createHttpError(409, `${uplineCode} cannot take ${directRecruits.length} more recruits: ${refusal.message}`, refusal.code);
+            }
+        }
+
+        const plans = directRecruits.map((recruit) => planSubtreeMove({
+            agents: current,
+            agentCode: recruit.agentCode,
+            parentCode: uplineCode,
+            reservedCodes
+        }));
+        const errors = plans.flatMap((plan) => plan.errors);
+        if (errors.length) {
+            throw createHttpError(409, `Cannot reassign the downline of ${agentCode}: ${errors.join('; ')}`, 'AGENT_CODE_CHANGE_CONFLICT');
+        }
+        changes = plans.flatMap((plan) => plan.changes);
+    } else if (uplineCode) {
+        throw createHttpError(400, 'uplineCode is only used when reassigning the downline', 'INVALID_UPLINE');
+    }
+
+    const summary = {
+        agentCode,
+        name: getAgentName(agent),
+        type,
+        downline,
+        uplineCode: downline === DEACTIVATION_DOWNLINE_MODES.REASSIGN ? uplineCode : null,
+        directRecruits: directRecruits.length,
+        reason: String(reason || '').trim()
+    };
+
+    if (preview) {
+        return {
+            preview: true,
+            ...summary,
+            changes: changes.map(toChangeSummary)
+        };
+    }
+
+    const changeId = await applyAgentCodeChanges({
+        changes,
+        agents: current,
+        agentUpdates: {
+            [agentCode]: {
+                status: AGENT_STATUS.INACTIVE,
+                commissionRouting: downline === DEACTIVATION_DOWNLINE_MODES.ROUTE_UPLINE ? 'upline' : 'none',
+                deactivatedAt: now,
+                deactivatedBy: toActorRecord(adminUser),
+                deactivationReason: summary.reason
+            }
+        },
+        changeRecord: { kind: 'deactivation', ...summary },
+        adminUser,
+        now,
+        adminLog: {
+            action: 'Deactivate Agent',
+            resourceType: 'AGENT',
+            resourceId: agentCode,
+            downline,
+            uplineCode: summary.uplineCode,
+            affectedAgents: changes.length,
+            details: `Deactivated ${summary.name || agentCode} (${agentCode}); ${downline === DEACTIVATION_DOWNLINE_MODES.REASSIGN
+                ? `${directRecruits.length} direct recruit(s) and their downline moved under ${uplineCode}`
+                : 'downline kept, share routed to the next upline'}. Reason: ${summary.reason}`
+        }
+    });
+
+    return {
+        preview: false,
+        changeId,
+        ...summary,
+        changes: changes.map(toChangeSummary)
+    };
+};
+
+/**
+ * Current record and code history for an agent code, following superseded codes to the code in use now
+ */
+const getAgentCodeHistory = async (agentCode) => {
+    let agent = await Agent.findByCode(agentCode);
+    if (!agent) {
+        throw createHttpError(404, 'Agent not found', 'AGENT_NOT_FOUND');
+    }
+
+    const seen = new Set([agent.agentCode]);
+    while (agent.status === AGENT_STATUS.SUPERSEDED && agent.supersededBy && !seen.has(agent.supersededBy)) {
+        seen.add(agent.supersededBy);
+        const next = await Agent.findByCode(agent.supersededBy);
+        if (!next) {
+            break;
+        }
+        agent = next;
+    }
+
+    return {
+        requestedAgentCode: agentCode,
+        agentCode: agent.agentCode,
+        type: agent.type || null,
+        status: agent.status || null,
+        userId: agent.userId || null,
+        codeHistory: (agent.codeHistory || []).map((entry) => ({
+            ...entry,
+            until: entry.until instanceof Date ? entry.until.toISOString() : entry.until && typeof entry.until.toDate === 'function'
+                ? entry.until.toDate().toISOString()
+                : entry.until || null
+        }))
+    };
+};
+
+module.exports = {
+    AGENT_CODE_CHANGES_COLLECTION,
+    AGENT_STATUS,
+    DEACTIVATION_DOWNLINE_MODES,
+    loadAgentDirectory,
+    applyAgentCodeChanges,
+    changeAgentType,
+    deactivateAgent,
+    getAgentCodeHistory
+};
@@ -0,0 +1,105 @@
+const { getFirestore } = require('../config/firebase');
+const Agent = require('../models/Agent');
+const agentService = require('./agentService');
+const { writeAdminHistoryLog } = require('../utils/adminHistoryLogs');
+const {
+    FIX_ACTIONS,
+    checkAgentIntegrity,
+    collectFixes
+} = require('../utils/agentIntegrity');
+
+const USERS_COLLECTION = 'users';
+const AGENTS_COLLECTION = 'agents';
+// Leave room under Firestore's 500 writes per batch for the admin log entry
+const REPAIR_BATCH_SIZE = 400;
+
+const summarizeIssues = (issues) => issues.reduce((summary, issue) => ({
+    ...summary,
+    [issue.type]: (summary[issue.type] || 0) + 1
+}), {});
+
+const applyFixes = async (db, fixes, { adminUser, now, summary }) => {
+    for (let start = 0; start < fixes.length; start += REPAIR_BATCH_SIZE) {
+        const batch = db.batch();
+        const chunk = fixes.slice(start, start + REPAIR_BATCH_SIZE);
+
+        chunk.forEach(({ action, target, data }) => {
+            if (action === FIX_ACTIONS.CREATE_AGENT) {
+                batch.set(db.collection(AGENTS_COLLECTION).doc(target), {
+                    ...data,
+                    recruits: [],
+                    createdAt: now,
+                    updatedAt: now
+                });
+            } else if (action === FIX_ACTIONS.UPDATE_AGENT) {
+                batch.update(db.collection(AGENTS_COLLECTION).doc(target), { ...data, updatedAt: now });
+            } else if (action === FIX_ACTIONS.UPDATE_USER) {
+                batch.update(db.collection(USERS_COLLECTION).doc(target), { ...data, updatedAt: now });
+            }
+        });
+
+        if (start === 0) {
+            writeAdminHistoryLog(db, batch, adminUser, {
+                action: 'Repair Agent Hierarchy',
+                resourceType: 'AGENT',
+                resourceId: null,
+                fixes: fixes.length,
+                issues: summary,
+                details: `Applied ${fixes.length} agent hierarchy fix(es)`
+            });
+        }
+
+        await batch.commit();
+    }
+};
+
+/**
+ * Check that users, agents records and the codes they carry agree, and optionally apply the
+ * proposed fixes. Issues without a fix (orphaned records, missing uplines, duplicate numbers, ...)
+ * are only reported.
+ * @param {Object} [options]
+ * @param {boolean} [options.repair=false] - Apply the proposed fixes
+ * @param {Array<string>} [options.types] - Only repair issues of these types
+ * @param {Object} [options.adminUser] - null for the CLI (logged as the system actor)
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<Object>} { checkedAt, repaired, totals, summary, issues, fixes }
+ */
+const runAgentIntegrityCheck = async ({ repair = false, types = null, adminUser = null, now = new Date() } = {}) => {
+    const db = getFirestore();
+    const [usersSnapshot, agents] = await Promise.all([
+        db.collection(USERS_COLLECTION).get(),
+        Agent.findAll()
+    ]);
+    const users = usersSnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+    const issues = checkAgentIntegrity({
+        users,
+        agents,
+        determineAgentType: (agentCode) => agentService.determineAgentType(agentCode),
+        getAgentNumbers: (agentCode) => agentService.getAgentNumbers(agentCode)
+    });
+    const summary = summarizeIssues(issues);
+    const fixes = collectFixes(types && types.length ? issues.filter((issue) => types.includes(issue.type)) : issues);
+
+    if (repair && fixes.length) {
+        await applyFixes(db, fixes, { adminUser, now, summary });
+    }
+
+    return {
+        checkedAt: now.toISOString(),
+        repaired: Boolean(repair && fixes.length),
+        totals: {
+            users: users.length,
+            agents: agents.length,
+            issues: issues.length,
+            fixable: issues.filter((issue) => issue.fix).length
+        },
+        summary,
+        issues,
+        fixes
+    };
+};
+
+module.exports = {
+    runAgentIntegrityCheck
+};
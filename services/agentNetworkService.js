@@ -0,0 +1,127 @@
+const { getFirestore } = require('../config/firebase');
+const { loadAgentDirectory } = require('./agentCodeChangeService');
+const { parseNumeric } = require('../utils/timeDepositCalculator');
+const { SUPPORTED_CURRENCIES, getCurrencyConfig } = require('../utils/currency');
+const { getParentCode } = require('../utils/agentCodes');
+const {
+    buildNetworkIndex,
+    toNetworkNode,
+    toNestedNetwork,
+    toNetworkDot
+} = require('../utils/agentNetwork');
+const { createHttpError } = require('../utils/httpError');
+
+const USERS_COLLECTION = 'users';
+// Firestore caps `in` queries at 30 values
+const USER_QUERY_CHUNK = 30;
+const USER_READ_CHUNK = 300;
+
+const chunk = (items, size) => Array.from({ length: Math.ceil(items.length / size) }, (_, index) => items.slice(index * size, (index + 1) * size));
+
+const toInvestedByCurrency = (userData) => SUPPORTED_CURRENCIES.reduce((invested, currency) => ({
+    ...invested,
+    [currency]: parseNumeric(userData[getCurrencyConfig(currency).depositField]) || 0
+}), {});
+
+/**
+ * Time deposit balances of each agent's user, by currency. Agent records hold either the users
+ * document id or the Firebase userId, so ids not found as documents are looked up by the userId field.
+ * @returns {Promise<Map<string, Object>>} By the agent record's userId
+ */
+const loadInvestedByUserId = async (db, userIds) => {
+    const invested = new Map();
+    const usersRef = db.collection(USERS_COLLECTION);
+
+    for (const ids of chunk(userIds, USER_READ_CHUNK)) {
+        const docs = await db.getAll(...ids.map((id) => usersRef.doc(id)));
+        docs.filter((doc) => doc.exists).forEach((doc) => {
+            invested.set(doc.id, toInvestedByCurrency(doc.data()));
+        });
+    }
+
+    const missing = userIds.filter((id) => !invested.has(id));
+    for (const ids of chunk(missing, USER_QUERY_CHUNK)) {
+        const snapshot = await usersRef.where('userId', 'in', ids).get();
+        snapshot.docs.forEach((doc) => {
+            invested.set(doc.data().userId, toInvestedByCurrency(doc.data()));
+        });
+    }
+
+    return invested;
+};
+
+const isInNetwork = (code, rootCode) => {
+    for (let current = code; current; current = getParentCode(current)) {
+        if (current === rootCode) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Index the network under an agent (deactivated agents included, superseded codes left out),
+ * reading only the users in that network
+ */
+const loadNetwork = async (agentCode) => {
+    const { current } = await loadAgentDirectory();
+    const members = current.filter((agent) => isInNetwork(agent.agentCode, agentCode));
+    const userIds = [...new Set(members.map((agent) => agent.userId).filter((id) => typeof id === 'string' && id.trim()))];
+    const invested = userIds.length ? await loadInvestedByUserId(getFirestore(), userIds) : new Map();
+
+    const index = buildNetworkIndex({
+        agents: members.map((agent) => ({ ...agent, invested: invested.get(agent.userId) })),
+        rootCode: agentCode
+    });
+
+    if (!index) {
+        throw createHttpError(404, 'Agent not found', 'AGENT_NOT_FOUND');
+    }
+    return index;
+};
+
+/**
+ * An agent with totals for its whole network (agents per level and invested AUM per currency) and one page of
+ * its direct recruits, each with the same totals for their own network. Load deeper levels by
+ * asking for a recruit's code.
+ * @param {Object} options
+ * @param {string} options.agentCode
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=50]
+ * @returns {Promise<Object>}
+ */
+const getAgentNetwork = async ({ agentCode, page = 1, limit = 50 }) => {
+    const index = await loadNetwork(agentCode);
+    const root = index.get(agentCode);
+    const start = (page - 1) * limit;
+
+    return {
+        agent: toNetworkNode(root),
+        children: {
+            items: root.children.slice(start, start + limit).map((code) => toNetworkNode(index.get(code))),
+            pagination: {
+                total: root.children.length,
+                page,
+                limit,
+                totalPages: Math.ceil(root.children.length / limit) || 1
+            }
+        }
+    };
+};
+
+/**
+ * The whole network under an agent for offline use
+ * @param {Object} options
+ * @param {string} options.agentCode
+ * @param {string} [options.format='json'] - 'json' (nested nodes) or 'dot' (GraphViz)
+ * @returns {Promise<Object|string>}
+ */
+const exportAgentNetwork = async ({ agentCode, format = 'json' }) => {
+    const index = await loadNetwork(agentCode);
+    return format === 'dot' ? toNetworkDot(index, agentCode) : toNestedNetwork(index, agentCode);
+};
+
+module.exports = {
+    getAgentNetwork,
+    exportAgentNetwork
+};
@@ -0,0 +1,398 @@
+const crypto = require('crypto');
+const { admin, getFirestore } = require('../config/firebase');
+const Agent = require('../models/Agent');
+const { getTimestampMs } = require('../utils/firestoreUtils');
+const { roundTo } = require('../utils/timeDepositCalculator');
+const { DEFAULT_CURRENCY, getCurrencyConfig, formatMoney } = require('../utils/currency');
+const { writeAdminHistoryLog, resolveActor } = require('../utils/adminHistoryLogs');
+const { AGENT_ENTRY_TYPES } = require('../utils/agentLedger');
+const {
+    PAYOUT_STATUS,
+    PAYOUT_DESTINATION_TYPES,
+    getMinimumPayoutAmount,
+    normalizePayoutDestination,
+    checkPayoutAmount,
+    canTransitionPayout
+} = require('../utils/agentPayouts');
+const {
+    AGENT_TRANSACTIONS_SUBCOLLECTION,
+    getUserByIdOrUserId,
+    getDisplayName
+} = require('./timeDepositService');
+const { queueUserNotification, sendPushNotification } = require('./notificationService');
+const { createHttpError } = require('../utils/httpError');
+
+const AGENT_PAYOUTS_COLLECTION = 'agentPayouts';
+const USERS_COLLECTION = 'users';
+
+const toIsoString = (value) => {
+    const timestamp = getTimestampMs(value);
+    return timestamp === null ? null : new Date(timestamp).toISOString();
+};
+
+const toActorRecord = (adminUser) => {
+    const actor = resolveActor(adminUser);
+    return {
+        id: actor.id,
+        email: actor.email,
+        displayName: actor.name
+    };
+};
+
+// Masked destination for responses; the full account number stays in Firestore for finance
+const toPublicDestination = (destination = {}) => ({
+    type: destination.type || null,
+    provider: destination.provider || null,
+    accountName: destination.accountName || null,
+    label: destination.label || null
+});
+
+const normalizePayout = (doc, { includeAccountNumber = false } = {}) => {
+    const data = doc.data() || {};
+
+    return {
+        payoutId: doc.id,
+        agentCode: data.agentCode,
+        userId: data.userId,
+        agentName: data.agentName || null,
+        amount: Number(data.amount || 0),
+        currency: data.currency || DEFAULT_CURRENCY,
+        destination: includeAccountNumber ? { ...data.destination } : toPublicDestination(data.destination),
+        note: data.note || '',
+        status: data.status,
+        requestedAt: toIsoString(data.requestedAt),
+        reviewedBy: data.reviewedBy || null,
+        reviewedAt: toIsoString(data.reviewedAt),
+        reviewNote: data.reviewNote || null,
+        reference: data.reference || null,
+        agentTransactionId: data.agentTransactionId || null,
+        walletBalanceAfter: data.walletBalanceAfter === undefined ? null : data.walletBalanceAfter
+    };
+};
+
+const notifyAgent = (payout, notification) => sendPushNotification({
+    userId: payout.userId,
+    title: notification.title,
+    message: notification.message
+});
+
+// Deactivated agents can still withdraw what they earned; a superseded code pays out under its new code
+const loadPayoutAgent = async (agentCode) => {
+    const agent = await Agent.findByCode(agentCode);
+    if (!agent) {
+        throw createHttpError(404, 'Agent not found', 'AGENT_NOT_FOUND');
+    }
+    if (agent.status === 'superseded') {
+        throw createHttpError(409, `Agent code was replaced by ${agent.supersededBy}`, 'AGENT_CODE_SUPERSEDED');
+    }
+    if (!agent.userId) {
+        throw createHttpError(404, 'Agent is not linked to a user', 'AGENT_USER_NOT_FOUND');
+    }
+    return agent;
+};
+
+/**
+ * Request a payout of an agent's commission wallet. The amount is held (it no longer counts as
+ * available for another request) until an admin approves or rejects it; the wallet itself is only
+ * debited on approval.
+ * @param {Object} options
+ * @param {string} options.agentCode
+ * @param {number} options.amount
+ * @param {string} [options.currency='PHP']
+ * @param {Object} options.destination - { type: 'bank'|'ewallet', provider, accountName, accountNumber }
+ * @param {string} [options.note]
+ * @param {string} [options.requestId] - Idempotency key; repeating it returns the original request.
+ *   A key already used by another agent is refused.
+ * @returns {Promise<{payout: Object, idempotent: boolean}>}
+ */
+const requestAgentPayout = async ({ agentCode, amount, currency = DEFAULT_CURRENCY, destination, note, requestId }) => {
+    const db = getFirestore();
+    const agent = await loadPayoutAgent(agentCode);
+    const payoutDestination = normalizePayoutDestination(destination);
+
+    if (!PAYOUT_DESTINATION_TYPES.includes(payoutDestination.type)
+        || !payoutDestination.provider
+        || !payoutDestination.accountName
+        || !payoutDestination.accountNumber) {
+        throw createHttpError(400, 'Payout destination needs a type (bank or ewallet), provider, account name and account number', 'INVALID_PAYOUT_DESTINATION');
+    }
+
+    const payoutRef = db.collection(AGENT_PAYOUTS_COLLECTION).doc((requestId && requestId.trim()) || crypto.randomUUID());
+    const walletField = getCurrencyConfig(currency).agentWalletField;
+    const minimum = getMinimumPayoutAmount(currency);
+
+    const result = await db.runTransaction(async (transaction) => {
+        const existingDoc = await transaction.get(payoutRef);
+        const { ref: userRef, snapshot: userDoc } = await getUserByIdOrUserId(db, agent.userId, transaction);
+        if (existingDoc.exists) {
+            if ((existingDoc.data() || {}).userId !== userRef.id) {
+                throw createHttpError(409, 'requestId is already used by another payout request', 'PAYOUT_REQUEST_ID_CONFLICT');
+            }
+            return { payout: normalizePayout(existingDoc), idempotent: true };
+        }
+
+        const userData = userDoc.data() || {};
+        const pendingSnapshot = await transaction.get(
+            db.collection(AGENT_PAYOUTS_COLLECTION)
+                .where('userId', '==', userRef.id)
+                .where('status', '==', PAYOUT_STATUS.PENDING)
+        );
+        const heldAmount = pendingSnapshot.docs
+            .map((doc) => doc.data() || {})
+            .filter((data) => (data.currency || DEFAULT_CURRENCY) === currency)
+            .reduce((sum, data) => sum + Number(data.amount || 0), 0);
+
+        const problem = checkPayoutAmount({
+            amount,
+            walletBalance: Number(userData[walletField] || 0),
+            heldAmount,
+            minimum
+        });
+        if (problem) {
+            throw createHttpError(problem.code === 'INSUFFICIENT_AGENT_BALANCE' ? 409 : 400, problem.message, problem.code);
+        }
+
+        const payoutData = {
+            agentCode: agent.agentCode || agentCode,
+            userId: userRef.id,
+            agentName: getDisplayName(userData, userRef.id),
+            amount: roundTo(amount, 2),
+            currency,
+            destination: payoutDestination,
+            note: String(note || '').trim(),
+            status: PAYOUT_STATUS.PENDING,
+            requestedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+        transaction.set(payoutRef, payoutData);
+
+        const notification = {
+            title: 'Payout Request Received',
+            message: `Your payout request of ${formatMoney(payoutData.amount, currency)} to ${payoutDestination.label} is being reviewed.`,
+            type: 'agent_payout_requested',
+            payoutId: payoutRef.id
+        };
+        queueUserNotification(transaction, userRef, notification);
+
+        return {
+            payout: normalizePayout({ id: payoutRef.id, data: () => ({ ...payoutData, requestedAt: new Date() }) }),
+            idempotent: false,
+            notification
+        };
+    });
+
+    if (result.notification) {
+        await notifyAgent(result.payout, result.notification);
+    }
+
+    return { payout: result.payout, idempotent: result.idempotent };
+};
+
+const getPendingPayout = (payoutDoc) => {
+    if (!payoutDoc.exists) {
+        throw createHttpError(404, 'Payout request not found', 'PAYOUT_NOT_FOUND');
+    }
+
+    const data = payoutDoc.data() || {};
+    if (!canTransitionPayout(data.status, PAYOUT_STATUS.APPROVED)) {
+        throw createHttpError(409, `Payout request is already ${data.status}`, 'PAYOUT_NOT_PENDING');
+    }
+    return data;
+};
+
+/**
+ * Approve a pending payout: debit the agent wallet and book the payout in agentTransactions, in
+ * one transaction. Fails if clawbacks have since left the wallet short.
+ * @param {Object} options
+ * @param {string} options.payoutId
+ * @param {string} [options.reference] - Bank or e-wallet transfer reference
+ * @param {string} [options.note]
+ * @param {Object} options.adminUser
+ * @returns {Promise<Object>} The approved payout
+ */
+const approveAgentPayout = async ({ payoutId, reference, note, adminUser }) => {
+    const db = getFirestore();
+    const payoutRef = db.collection(AGENT_PAYOUTS_COLLECTION).doc(payoutId);
+
+    const result = await db.runTransaction(async (transaction) => {
+        const data = getPendingPayout(await transaction.get(payoutRef));
+        const userRef = db.collection(USERS_COLLECTION).doc(data.userId);
+        const userDoc = await transaction.get(userRef);
+
+        if (!userDoc.exists) {
+            throw createHttpError(404, 'User not found', 'USER_NOT_FOUND');
+        }
+
+        const currency = data.currency || DEFAULT_CURRENCY;
+        const walletField = getCurrencyConfig(currency).agentWalletField;
+        const wallet = Number((userDoc.data() || {})[walletField] || 0);
+        const amount = Number(data.amount || 0);
+
+        if (wallet < amount) {
+            throw createHttpError(409, `Agent wallet has only ${formatMoney(wallet, currency)}; reject the request or wait for new commissions`, 'INSUFFICIENT_AGENT_BALANCE');
+        }
+
+        const walletBalanceAfter = roundTo(wallet - amount, 2);
+        transaction.update(userRef, { [walletField]: walletBalanceAfter });
+
+        const agentTransactionRef = userRef.collection(AGENT_TRANSACTIONS_SUBCOLLECTION).doc();
+        transaction.set(agentTransactionRef, {
+            amount: -amount,
+            debitedAmount: amount,
+            currency,
+            entryType: AGENT_ENTRY_TYPES.PAYOUT,
+            date: admin.firestore.FieldValue.serverTimestamp(),
+            type: `Commission Payout - ${data.destination.type === 'bank' ? 'Bank Transfer' : 'E-Wallet'}`,
+            payoutId,
+            method: data.destination.type,
+            provider: data.destination.provider,
+            destination: data.destination.label,
+            reference: reference ? String(reference).trim() : null
+        });
+
+        const review = {
+            status: PAYOUT_STATUS.APPROVED,
+            reviewedBy: toActorRecord(adminUser),
+            reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+            reviewNote: note ? String(note).trim() : null,
+            reference: reference ? String(reference).trim() : null,
+            agentTransactionId: agentTransactionRef.id,
+            walletBalanceAfter
+        };
+        transaction.update(payoutRef, review);
+
+        const notification = {
+            title: 'Payout Approved',
+            message: `Your payout of ${formatMoney(amount, currency)} to ${data.destination.label} has been approved and sent.${review.reference ? ` Reference: ${review.reference}.` : ''}`,
+            type: 'agent_payout_approved',
+            payoutId
+        };
+        queueUserNotification(transaction, userRef, notification);
+
+        writeAdminHistoryLog(db, transaction, adminUser, {
+            action: 'Approve Agent Payout',
+            resourceType: 'AGENT_PAYOUT',
+            resourceId: payoutId,
+            agentCode: data.agentCode,
+            targetUserId: data.userId,
+            amount,
+            currency,
+            details: `Approved payout ${payoutId} of ${formatMoney(amount, currency)} for agent ${data.agentCode} (${data.agentName}) to ${data.destination.label}. Agent wallet ${formatMoney(wallet, currency)} -> ${formatMoney(walletBalanceAfter, currency)}.`
+        });
+
+        return {
+            payout: normalizePayout({ id: payoutId, data: () => ({ ...data, ...review, reviewedAt: new Date() }) }),
+            notification
+        };
+    });
+
+    await notifyAgent(result.payout, result.notification);
+    return result.payout;
+};
+
+/**
+ * Reject a pending payout. Nothing was debited, so the held amount is simply available again.
+ */
+const rejectAgentPayout = async ({ payoutId, reason, adminUser }) => {
+    const db = getFirestore();
+    const payoutRef = db.collection(AGENT_PAYOUTS_COLLECTION).doc(payoutId);
+
+    const result = await db.runTransaction(async (transaction) => {
+        const data = getPendingPayout(await transaction.get(payoutRef));
+        const currency = data.currency || DEFAULT_CURRENCY;
+
+        const review = {
+            status: PAYOUT_STATUS.REJECTED,
+            reviewedBy: toActorRecord(adminUser),
+            reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+            reviewNote: String(reason || '').trim()
+        };
+        transaction.update(payoutRef, review);
+
+        const notification = {
+            title: 'Payout Rejected',
+            message: `Your payout request of ${formatMoney(data.amount, currency)} was rejected: ${review.reviewNote}. The amount is available in your agent wallet again.`,
+            type: 'agent_payout_rejected',
+            payoutId
+        };
+        queueUserNotification(transaction, db.collection(USERS_COLLECTION).doc(data.userId), notification);
+
+        writeAdminHistoryLog(db, transaction, adminUser, {
+            action: 'Reject Agent Payout',
+            resourceType: 'AGENT_PAYOUT',
+            resourceId: payoutId,
+            agentCode: data.agentCode,
+            targetUserId: data.userId,
+            amount: Number(data.amount || 0),
+            currency,
+            details: `Rejected payout ${payoutId} of ${formatMoney(data.amount, currency)} for agent ${data.agentCode} (${data.agentName}). Reason: ${review.reviewNote}`
+        });
+
+        return {
+            payout: normalizePayout({ id: payoutId, data: () => ({ ...data, ...review, reviewedAt: new Date() }) }),
+            notification
+        };
+    });
+
+    await notifyAgent(result.payout, result.notification);
+    return result.payout;
+};
+
+/**
+ * Payout requests, newest first. Admins see full account numbers; agents see masked ones.
+ * @param {Object} [options]
+ * @param {string} [options.agentCode] - Limit to one agent
+ * @param {string} [options.status]
+ * @param {string} [options.currency]
+ * @param {boolean} [options.includeAccountNumber=false]
+ */
+const listAgentPayouts = async ({ agentCode, status, currency, page = 1, limit = 20, includeAccountNumber = false } = {}) => {
+    const db = getFirestore();
+    let query = db.collection(AGENT_PAYOUTS_COLLECTION);
+    if (agentCode) {
+        query = query.where('agentCode', '==', agentCode);
+    }
+
+    const snapshot = await query.get();
+    const items = snapshot.docs
+        .map((doc) => normalizePayout(doc, { includeAccountNumber }))
+        .filter((payout) => (!status || payout.status === status) && (!currency || payout.currency === currency))
+        .sort((a, b) => (Date.parse(b.requestedAt) || 0) - (Date.parse(a.requestedAt) || 0));
+    const start = (page - 1) * limit;
+    const pending = items.filter((payout) => payout.status === PAYOUT_STATUS.PENDING);
+
+    return {
+        items: items.slice(start, start + limit),
+        pagination: {
+            total: items.length,
+            page,
+            limit,
+            totalPages: Math.ceil(items.length / limit) || 1
+        },
+        stats: {
+            pending: pending.length,
+            approved: items.filter((payout) => payout.status === PAYOUT_STATUS.APPROVED).length,
+            rejected: items.filter((payout) => payout.status === PAYOUT_STATUS.REJECTED).length,
+            pendingAmount: pending.reduce((totals, payout) => ({
+                ...totals,
+                [payout.currency]: roundTo((totals[payout.currency] || 0) + payout.amount, 2)
+            }), {})
+        }
+    };
+};
+
+const getAgentPayout = async (payoutId) => {
+    const doc = await getFirestore().collection(AGENT_PAYOUTS_COLLECTION).doc(payoutId).get();
+    if (!doc.exists) {
+        throw createHttpError(404, 'Payout request not found', 'PAYOUT_NOT_FOUND');
+    }
+    return normalizePayout(doc, { includeAccountNumber: true });
+};
+
+module.exports = {
+    AGENT_PAYOUTS_COLLECTION,
+    requestAgentPayout,
+    approveAgentPayout,
+    rejectAgentPayout,
+    listAgentPayouts,
+    getAgentPayout
+};
@@ -0,0 +1,320 @@
+const { admin, getFirestore } = require('../config/firebase');
+const { loadAgentDirectory } = require('./agentCodeChangeService');
+const {
+    TIME_DEPOSITS_SUBCOLLECTION,
+    AGENT_TRANSACTIONS_SUBCOLLECTION
+} = require('./timeDepositService');
+const { getTimestampMs } = require('../utils/firestoreUtils');
+const { DEFAULT_CURRENCY, normalizeCurrency } = require('../utils/currency');
+const { resolveStatementPeriod } = require('../utils/agentLedger');
+const { getParentCode } = require('../utils/agentCodes');
+const { toCsv } = require('../utils/csv');
+const {
+    PERFORMANCE_METRICS,
+    summarizeAgentProduction,
+    rankByMetric,
+    rollUpTeams,
+    sumTotals
+} = require('../utils/agentPerformance');
+const { createHttpError } = require('../utils/httpError');
+
+const USERS_COLLECTION = 'users';
+// Firestore caps `in` queries at 30 values
+const USER_QUERY_CHUNK = 30;
+const USER_READ_CHUNK = 300;
+
+const TOTALS_CSV_COLUMNS = [
+    { header: 'New Investors', value: (row) => row.totals.newInvestors },
+    { header: 'Deposits', value: (row) => row.totals.depositCount },
+    { header: 'Deposit Volume', value: (row) => row.totals.depositVolume },
+    { header: 'Commission Gross', value: (row) => row.totals.commissions.gross },
+    { header: 'Commission Tax', value: (row) => row.totals.commissions.tax },
+    { header: 'Commission Net', value: (row) => row.totals.commissions.net },
+    { header: 'Adjustments', value: (row) => row.totals.commissions.adjustments },
+    { header: 'Commission Earned', value: (row) => row.totals.commissions.earned }
+];
+
+const LEADERBOARD_CSV_COLUMNS = [
+    { header: 'Rank', key: 'rank' },
+    { header: 'Agent Code', key: 'agentCode' },
+    { header: 'Name', key: 'name' },
+    { header: 'Type', key: 'type' },
+    { header: 'Status', key: 'status' },
+    { header: 'Master Agent', key: 'masterAgentCode' },
+    ...TOTALS_CSV_COLUMNS
+];
+
+const TEAM_CSV_COLUMNS = [
+    { header: 'Rank', key: 'rank' },
+    { header: 'Master Agent', key: 'masterAgentCode' },
+    { header: 'Name', key: 'name' },
+    { header: 'Agents', key: 'agents' },
+    ...TOTALS_CSV_COLUMNS
+];
+
+const PERFORMANCE_CSV_COLUMNS = [
+    { header: 'Date', value: (row) => row.date.slice(0, 10) },
+    { header: 'Display ID', key: 'displayId' },
+    { header: 'Investor ID', key: 'investorId' },
+    { header: 'Investor', key: 'investorName' },
+    { header: 'Amount', key: 'amount' },
+    { header: 'New Investor', value: (row) => (row.newInvestor ? 'Yes' : 'No') }
+];
+
+const getAgentName = (agent) => agent.fullName || `${agent.firstName || ''} ${agent.lastName || ''}`.trim() || null;
+
+// Deposits and agentTransactions written before currencies were introduced have no currency field
+// and count as PHP, so only the other currencies can be filtered on in the query
+const whereCurrency = (query, currency) => (currency === DEFAULT_CURRENCY ? query : query.where('currency', '==', currency));
+
+const chunk = (items, size) => Array.from({ length: Math.ceil(items.length / size) }, (_, index) => items.slice(index * size, (index + 1) * size));
+
+/**
+ * users document id of each agent. Agent records hold either the document id or the Firebase
+ * userId, while deposits (referrerId) and agentTransactions are keyed by the document id.
+ * @returns {Promise<Map<string, string>>} Agent code by users document id
+ */
+const mapAgentsByUserDoc = async (db, agents) => {
+    const codesByUserId = new Map();
+    agents
+        .filter((agent) => typeof agent.userId === 'string' && agent.userId.trim())
+        .forEach((agent) => codesByUserId.set(agent.userId, agent.agentCode));
+
+    const userIds = [...codesByUserId.keys()];
+    const byDoc = new Map();
+    const usersRef = db.collection(USERS_COLLECTION);
+
+    for (const ids of chunk(userIds, USER_READ_CHUNK)) {
+        const docs = await db.getAll(...ids.map((id) => usersRef.doc(id)));
+        docs.filter((doc) => doc.exists).forEach((doc) => byDoc.set(doc.id, codesByUserId.get(doc.id)));
+    }
+
+    const missing = userIds.filter((id) => !byDoc.has(id));
+    for (const ids of chunk(missing, USER_QUERY_CHUNK)) {
+        const snapshot = await usersRef.where('userId', 'in', ids).get();
+        snapshot.docs.forEach((doc) => byDoc.set(doc.id, codesByUserId.get(doc.data().userId)));
+    }
+
+    return byDoc;
+};
+
+/**
+ * Every deposit the given investors made up to the end of a period, in any currency. An investor
+ * only counts as new in the period of their first deposit with an agent, so the earlier ones and
+ * those in other currencies are needed even though they are not added up.
+ */
+const loadInvestorDeposits = async (db, investorIds, end) => {
+    const usersRef = db.collection(USERS_COLLECTION);
+    const docs = [];
+
+    for (const ids of chunk(investorIds, USER_READ_CHUNK)) {
+        const snapshots = await Promise.all(ids.map((id) => usersRef.doc(id)
+            .collection(TIME_DEPOSITS_SUBCOLLECTION)
+            .where('initialDate', '<', end)
+            .get()));
+        snapshots.forEach((snapshot) => docs.push(...snapshot.docs));
+    }
+
+    return docs;
+};
+
+/**
+ * Production of every current agent (deactivated ones included) over a period. Deposits follow
+ * the referrer's users document, so an agent keeps its production across code changes. Only the
+ * period's deposits and agentTransactions are queried, then the deposit history of the investors
+ * found in it.
+ */
+const loadProduction = async ({ from, to, currency, now }) => {
+    const period = resolveStatementPeriod({ from, to, now });
+    if (!period) {
+        throw createHttpError(400, 'from and to must be YYYY-MM-DD dates with from on or before to', 'INVALID_PERFORMANCE_PERIOD');
+    }
+
+    const db = getFirestore();
+    const { current } = await loadAgentDirectory();
+    const agentsByUserDoc = await mapAgentsByUserDoc(db, current);
+
+    const start = admin.firestore.Timestamp.fromDate(period.start);
+    const end = admin.firestore.Timestamp.fromDate(period.end);
+    const [depositSnapshot, entrySnapshot] = await Promise.all([
+        whereCurrency(db.collectionGroup(TIME_DEPOSITS_SUBCOLLECTION), currency)
+            .where('initialDate', '>=', start)
+            .where('initialDate', '<', end)
+            .get(),
+        whereCurrency(db.collectionGroup(AGENT_TRANSACTIONS_SUBCOLLECTION), currency)
+            .where('date', '>=', start)
+            .where('date', '<', end)
+            .get()
+    ]);
+
+    // Commission entries carry the client's name, which saves reading every investor
+    const investorNames = new Map();
+    const entries = entrySnapshot.docs.map((doc) => {
+        const data = doc.data() || {};
+        if (data.referredUserId && data.referredClient) {
+            investorNames.set(data.referredUserId, data.referredClient);
+        }
+        return {
+            ...data,
+            agentCode: agentsByUserDoc.get(doc.ref.parent.parent.id) || null,
+            currency: normalizeCurrency(data.currency) || DEFAULT_CURRENCY,
+            dateMs: getTimestampMs(data.date)
+        };
+    });
+
+    const investorIds = [...new Set(depositSnapshot.docs
+        .filter((doc) => (doc.data() || {}).referrerId)
+        .map((doc) => doc.ref.parent.parent.id))];
+    const investorDocs = await loadInvestorDeposits(db, investorIds, end);
+
+    const deposits = investorDocs
+        .filter((doc) => (doc.data() || {}).referrerId)
+        .map((doc) => {
+            const data = doc.data() || {};
+            const investorId = doc.ref.parent.parent.id;
+            return {
+                agentCode: agentsByUserDoc.get(data.referrerId) || null,
+                investorId,
+                investorName: investorNames.get(investorId) || null,
+                amount: data.amount,
+                currency: normalizeCurrency(data.currency) || DEFAULT_CURRENCY,
+                dateMs: getTimestampMs(data.initialDate || data.createdAt),
+                displayId: data.displayId || null,
+                status: data.status || data.isActive || null
+            };
+        });
+
+    const rows = summarizeAgentProduction({
+        agents: current.map((agent) => ({ ...agent, name: getAgentName(agent) })),
+        deposits,
+        entries,
+        period,
+        currency
+    });
+
+    return { period: { from: period.from, to: period.to }, rows };
+};
+
+const withoutDeposits = ({ deposits, ...row }) => row;
+
+const buildLeaderboard = async ({ metric = 'depositVolume', type, from, to, currency = DEFAULT_CURRENCY, now = new Date() }) => {
+    const { period, rows } = await loadProduction({ from, to, currency, now });
+    const agents = [...rows.values()]
+        .filter((row) => !type || row.type === type)
+        .map(withoutDeposits);
+
+    return {
+        metric,
+        type: type || null,
+        currency,
+        period,
+        totals: sumTotals(agents),
+        agents: rankByMetric(agents, metric),
+        teams: rankByMetric(rollUpTeams(agents), metric)
+    };
+};
+
+/**
+ * Agents ranked by a metric over a period, with the same figures rolled up by Master Agent team
+ * @param {Object} options
+ * @param {string} [options.metric='depositVolume'] - newInvestors, depositVolume or commissions (net earned)
+ * @param {string} [options.type] - Only rank agents of this type; teams then add up those agents only
+ * @param {string} [options.from] - 'YYYY-MM-DD', inclusive; defaults to the first of this month
+ * @param {string} [options.to] - 'YYYY-MM-DD', inclusive; defaults to today
+ * @param {string} [options.currency='PHP']
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=50]
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<Object>}
+ */
+const getAgentLeaderboard = async ({ page = 1, limit = 50, ...options }) => {
+    const { agents, teams, ...leaderboard } = await buildLeaderboard(options);
+    const start = (page - 1) * limit;
+
+    return {
+        ...leaderboard,
+        items: agents.slice(start, start + limit),
+        pagination: {
+            total: agents.length,
+            page,
+            limit,
+            totalPages: Math.ceil(agents.length / limit) || 1
+        },
+        teams
+    };
+};
+
+/**
+ * The whole ranking as CSV, one row per agent or per Master Agent team
+ * @param {Object} options - As getAgentLeaderboard, without paging
+ * @param {string} [options.groupBy='agent'] - 'agent' or 'team'
+ * @returns {Promise<{period: Object, csv: string}>}
+ */
+const exportAgentLeaderboard = async ({ groupBy = 'agent', ...options }) => {
+    const leaderboard = await buildLeaderboard(options);
+    return {
+        period: leaderboard.period,
+        csv: groupBy === 'team'
+            ? toCsv(TEAM_CSV_COLUMNS, leaderboard.teams)
+            : toCsv(LEADERBOARD_CSV_COLUMNS, leaderboard.agents)
+    };
+};
+
+/**
+ * One agent's production over a period: its own figures and referred deposits, its rank among
+ * agents of the same type and what its downline produced
+ * @param {Object} options
+ * @param {string} options.agentCode
+ * @param {string} [options.from] - 'YYYY-MM-DD', inclusive; defaults to the first of this month
+ * @param {string} [options.to] - 'YYYY-MM-DD', inclusive; defaults to today
+ * @param {string} [options.currency='PHP']
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<Object>}
+ */
+const getAgentPerformance = async ({ agentCode, from, to, currency = DEFAULT_CURRENCY, now = new Date() }) => {
+    const { period, rows } = await loadProduction({ from, to, currency, now });
+    const row = rows.get(agentCode);
+    if (!row) {
+        throw createHttpError(404, 'Agent not found', 'AGENT_NOT_FOUND');
+    }
+
+    const peers = [...rows.values()].filter((item) => item.type === row.type);
+    const downline = [...rows.values()].filter((item) => {
+        for (let code = getParentCode(item.agentCode); code; code = getParentCode(code)) {
+            if (code === agentCode) {
+                return true;
+            }
+        }
+        return false;
+    });
+
+    const ranks = PERFORMANCE_METRICS.reduce((result, metric) => ({
+        ...result,
+        [metric]: rankByMetric(peers, metric).find((item) => item.agentCode === agentCode).rank
+    }), {});
+
+    return {
+        agent: {
+            agentCode: row.agentCode,
+            name: row.name,
+            type: row.type,
+            status: row.status,
+            masterAgentCode: row.masterAgentCode
+        },
+        currency,
+        period,
+        totals: row.totals,
+        rank: { ...ranks, of: peers.length },
+        downline: { agents: downline.length, totals: sumTotals(downline) },
+        deposits: row.deposits
+    };
+};
+
+const toPerformanceCsv = (performance) => toCsv(PERFORMANCE_CSV_COLUMNS, performance.deposits);
+
+module.exports = {
+    getAgentLeaderboard,
+    exportAgentLeaderboard,
+    getAgentPerformance,
+    toPerformanceCsv
+};
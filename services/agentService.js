@@ -1,5 +1,10 @@
 const Agent = require('../models/Agent');
 const { AgentTypeFactory, MasterAgent, Agent: AgentType, ConsultantAgent } = require('../models/AgentType');
+const { resolveCommissionPlan } = require('./commissionPlanService');
+const { getFirestore } = require('../config/firebase');
+const { writeAdminHistoryLog } = require('../utils/adminHistoryLogs');
+const { checkRecruitCapacity } = require('../utils/agentCodes');
+const { createHttpError } = require('../utils/httpError');
 
 /**
  * AgentService - Business logic for agent operations
@@ -62,10 +67,11 @@ class AgentService {
     /**
      * Get AgentType instance from agent code
      * @param {string} agentCode - Agent code
-     * @returns {AgentType|null} Agent type instance
+     * @param {Object} [plan] - Commission plan (defaults to the plan in effect now)
+     * @returns {Promise<AgentType|null>} Agent type instance
      */
-    getAgentTypeInstance(agentCode) {
-        return AgentTypeFactory.fromAgentCode(agentCode);
+    async getAgentTypeInstance(agentCode, plan = null) {
+        return AgentTypeFactory.fromAgentCode(agentCode, plan || (await resolveCommissionPlan()).plan);
     }
 
     /**
@@ -73,10 +79,11 @@ class AgentService {
      * Uses polymorphic commission calculation
      * @param {string} agentCode - Agent code
      * @param {number} amount - Transaction amount
-     * @returns {number} Commission amount
+     * @param {Object} [plan] - Commission plan (defaults to the plan in effect now)
+     * @returns {Promise<number>} Commission amount
      */
-    calculateCommission(agentCode, amount) {
-        const agentType = AgentTypeFactory.fromAgentCode(agentCode);
+    async calculateCommission(agentCode, amount, plan = null) {
+        const agentType = await this.getAgentTypeInstance(agentCode, plan);
         if (agentType) {
             return agentType.calculateCommission(amount);
         }
@@ -87,14 +94,18 @@ class AgentService {
      * Calculate commissions for entire hierarchy
      * @param {string} agentCode - Starting agent code
      * @param {number} amount - Transaction amount
+     * @param {Object} [plan] - Commission plan (defaults to the plan in effect now)
      * @returns {Promise<Array>} Array of commission breakdowns
      */
-    async calculateHierarchyCommissions(agentCode, amount) {
+    async calculateHierarchyCommissions(agentCode, amount, plan = null) {
         const commissions = [];
-        const hierarchy = await Agent.getHierarchy(agentCode);
+        const [hierarchy, activePlan] = await Promise.all([
+            Agent.getHierarchy(agentCode),
+            plan ? null : resolveCommissionPlan()
+        ]);
 
         for (const agent of hierarchy) {
-            const agentType = AgentTypeFactory.fromAgentCode(agent.agentCode);
+            const agentType = AgentTypeFactory.fromAgentCode(agent.agentCode, plan || activePlan.plan);
             if (agentType) {
                 commissions.push({
                     agentCode: agent.agentCode,
@@ -137,38 +148,45 @@ class AgentService {
     }
 
     /**
-     * Generate agent code for new registration based on referrer and agent number
+     * Generate agent code for new registration based on referrer and agent number.
+     * The code is reserved in the referrer's recruits inside a transaction, so the referrer's
+     * recruit limit (AgentType.getMaxRecruits) holds even when codes are generated concurrently.
      * @param {string} referrerCode - The referrer's agent code
      * @param {string} newAgentNumber - The new agent's number (XXXXX)
-     * @returns {Promise<Object>} Generated agent code and details
+     * @param {Object} [options]
+     * @param {Object} [options.override] - Admin override of the recruit limit: { reason, adminUser }
+     * @returns {Promise<Object>} Generated agent code and details, or { success: false, error, code, status, details }
      */
-    async generateAgentCode(referrerCode, newAgentNumber) {
+    async generateAgentCode(referrerCode, newAgentNumber, options = {}) {
+        const { override = null } = options;
+
         try {
             // Validate new agent number format
             if (!newAgentNumber || !/^[A-Z0-9]{5}$/.test(newAgentNumber)) {
-                throw new Error('Invalid agent number. Must be exactly 5 alphanumeric characters.');
+                throw createHttpError(400, 'Invalid agent number. Must be exactly 5 alphanumeric characters.', 'INVALID_AGENT_NUMBER');
             }
 
             // Get referrer's information from Firestore
             const referrer = await Agent.findByCode(referrerCode);
             if (!referrer) {
-                throw new Error('Referrer not found');
+                throw createHttpError(404, 'Referrer not found', 'REFERRER_NOT_FOUND');
             }
 
             const referrerParts = referrerCode.split('-');
             if (referrerParts.length !== 3) {
-                throw new Error('Invalid referrer code format');
+                throw createHttpError(400, 'Invalid referrer code format', 'INVALID_REFERRER_CODE');
             }
 
             // Get referrer's type using polymorphism
             const referrerType = AgentTypeFactory.fromAgentCode(referrerCode);
             if (!referrerType) {
-                throw new Error('Invalid referrer type');
+                throw createHttpError(400, 'Invalid referrer type', 'INVALID_REFERRER_CODE');
             }
 
             // Check if referrer can recruit
             if (!referrerType.canRecruit()) {
-                throw new Error(`${referrerType.getTypeName()} cannot recruit new agents`);
+                const refusal = checkRecruitCapacity({ referrerType, recruitCount: 0 });
+                throw createHttpError(403, refusal.message, refusal.code, refusal.details);
             }
 
             let generatedCode;
@@ -181,24 +199,17 @@ class AgentService {
             } else if (referrerType instanceof AgentType) {
                 generatedCode = `${referrerParts[0]}-${referrerParts[1]}-${newAgentNumber}`;
                 newAgentTypeInstance = new ConsultantAgent();
-            } else if (referrerType instanceof ConsultantAgent) {
-                // Consultant agents shouldn't be able to recruit (handled above)
-                throw new Error('Consultant agents cannot recruit');
             } else {
-                throw new Error('Invalid referrer type');
+                throw createHttpError(400, 'Invalid referrer type', 'INVALID_REFERRER_CODE');
             }
 
             // Validate generated code
             const validation = this.validateAgentCode(generatedCode);
             if (!validation.isValid) {
-                throw new Error(`Generated invalid agent code: ${validation.error}`);
+                throw createHttpError(400, `Generated invalid agent code: ${validation.error}`, 'INVALID_AGENT_CODE');
             }
 
-            // Check if code already exists
-            const codeExists = await Agent.codeExists(generatedCode);
-            if (codeExists) {
-                throw new Error('Generated agent code already exists. Please try again.');
-            }
+            const recruitment = await this.reserveRecruit({ referrer, referrerType, generatedCode, override });
 
             // Get commission numbers for the new code
             const commissionNumbers = this.getAgentNumbers(generatedCode);
@@ -215,19 +226,100 @@ class AgentService {
                         userId: referrer.userId,
                         name: referrer.fullName || `${referrer.firstName} ${referrer.lastName}`,
                         agentCode: referrer.agentCode,
-                        type: referrerType.getTypeName()
-                    }
+                        type: referrerType.getTypeName(),
+                        recruitCount: recruitment.recruitCount,
+                        maxRecruits: referrerType.getMaxRecruits()
+                    },
+                    limitOverridden: recruitment.limitOverridden
                 }
             };
         } catch (error) {
             console.error('Error generating agent code:', error);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                code: error.code || 'AGENT_CODE_GENERATION_FAILED',
+                status: error.status || 400,
+                ...(error.details ? { details: error.details } : {})
             };
         }
     }
 
+    /**
+     * Add a generated code to the referrer's recruits, checking the recruit limit and the
+     * referrer's status in the same transaction. Generating a reserved, unregistered code again is a no-op.
+     * @param {Object} options
+     * @param {Object} options.referrer - Referrer agent record
+     * @param {AgentType} options.referrerType
+     * @param {string} options.generatedCode
+     * @param {Object} [options.override] - { reason, adminUser }; logged to the admin history
+     * @returns {Promise<{recruitCount: number, limitOverridden: boolean}>}
+     */
+    async reserveRecruit({ referrer, referrerType, generatedCode, override = null }) {
+        const db = getFirestore();
+        const agentsRef = Agent.getCollection();
+        const referrerRef = agentsRef.doc(referrer.id);
+
+        return await db.runTransaction(async (transaction) => {
+            const referrerDoc = await transaction.get(referrerRef);
+            const codeDoc = await transaction.get(agentsRef.doc(generatedCode));
+            // Older agent records are not keyed by their code
+            const codeSnapshot = await transaction.get(agentsRef.where('agentCode', '==', generatedCode).limit(1));
+            const recruitsSnapshot = await transaction.get(agentsRef.where('referrerCode', '==', referrer.agentCode));
+
+            const referrerData = referrerDoc.exists ? referrerDoc.data() : null;
+            if (!referrerData) {
+                throw createHttpError(404, 'Referrer not found', 'REFERRER_NOT_FOUND');
+            }
+            if ((referrerData.status || 'active') !== 'active') {
+                throw createHttpError(403, `Referrer ${referrer.agentCode} is ${referrerData.status} and cannot recruit`, 'REFERRER_INACTIVE');
+            }
+
+            // Reserved codes live in recruits until the agent registers; older records only have referrerCode
+            const recruits = Array.isArray(referrerData.recruits) ? referrerData.recruits : [];
+            const recruitCodes = new Set(recruits.map((recruit) => (recruit && typeof recruit === 'object' ? recruit.agentCode : recruit)));
+            recruitsSnapshot.docs
+                .filter((doc) => (doc.data().status || 'active') === 'active')
+                .forEach((doc) => recruitCodes.add(doc.data().agentCode || doc.id));
+
+            if (codeDoc.exists || !codeSnapshot.empty) {
+                throw createHttpError(409, 'Generated agent code already exists. Please try again.', 'AGENT_CODE_EXISTS');
+            }
+
+            // Already reserved and not registered yet
+            if (recruitCodes.has(generatedCode)) {
+                return { recruitCount: recruitCodes.size, limitOverridden: false };
+            }
+
+            const refusal = checkRecruitCapacity({ referrerType, recruitCount: recruitCodes.size, override: Boolean(override) });
+            if (refusal) {
+                throw createHttpError(refusal.code === 'REFERRER_AT_CAPACITY' ? 409 : 403, refusal.message, refusal.code, refusal.details);
+            }
+
+            const limitOverridden = recruitCodes.size >= referrerType.getMaxRecruits();
+            transaction.update(referrerRef, {
+                recruits: [...recruits, generatedCode],
+                updatedAt: new Date()
+            });
+
+            if (override) {
+                writeAdminHistoryLog(db, transaction, override.adminUser, {
+                    action: 'Generate Agent Code',
+                    resourceType: 'AGENT',
+                    resourceId: referrer.agentCode,
+                    agentCode: generatedCode,
+                    limitOverridden,
+                    reason: override.reason,
+                    details: `Generated ${generatedCode} under ${referrer.agentCode}${limitOverridden
+                        ? ` over the ${referrerType.getMaxRecruits()} recruit limit (${recruitCodes.size} recruits)`
+                        : ''}. Reason: ${override.reason}`
+                });
+            }
+
+            return { recruitCount: recruitCodes.size + 1, limitOverridden };
+        });
+    }
+
     /**
      * Get agent by code
      * @param {string} agentCode - Agent code
@@ -243,7 +335,7 @@ class AgentService {
      * @returns {Promise<Object|null>} Agent with type info or null
      */
     async getAgentByCodeWithType(agentCode) {
-        return await Agent.findByCodeWithType(agentCode);
+        return await Agent.findByCodeWithType(agentCode, (await resolveCommissionPlan()).plan);
     }
 
     /**
@@ -274,10 +366,11 @@ class AgentService {
 
     /**
      * Get all available agent types
-     * @returns {Array} Array of agent type info objects
+     * @param {Object} [plan] - Commission plan (defaults to the plan in effect now)
+     * @returns {Promise<Array>} Array of agent type info objects
      */
-    getAvailableAgentTypes() {
-        return AgentTypeFactory.getAllTypes();
+    async getAvailableAgentTypes(plan = null) {
+        return AgentTypeFactory.getAllTypes(plan || (await resolveCommissionPlan()).plan);
     }
 
     /**
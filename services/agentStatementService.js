@@ -0,0 +1,231 @@
+const { admin, getFirestore } = require('../config/firebase');
+const Agent = require('../models/Agent');
+const { getTimestampMs } = require('../utils/firestoreUtils');
+const { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES, normalizeCurrency, getCurrencyConfig } = require('../utils/currency');
+const { toCsv } = require('../utils/csv');
+const {
+    resolveStatementPeriod,
+    getMonthPeriod,
+    getPreviousMonthKey,
+    buildAgentStatement
+} = require('../utils/agentLedger');
+const {
+    AGENT_TRANSACTIONS_SUBCOLLECTION,
+    getUserByIdOrUserId,
+    getDisplayName
+} = require('./timeDepositService');
+const { createHttpError } = require('../utils/httpError');
+
+const AGENT_STATEMENTS_COLLECTION = 'agentStatements';
+
+const STATEMENT_CSV_COLUMNS = [
+    { header: 'Date', value: (row) => (row.date ? row.date.slice(0, 10) : '') },
+    { header: 'Entry Type', key: 'entryType' },
+    { header: 'Description', key: 'description' },
+    { header: 'Display ID', key: 'displayId' },
+    { header: 'Referred Client', key: 'referredClient' },
+    { header: 'Investment Amount', key: 'investmentAmount' },
+    { header: 'Percentage', key: 'percentage' },
+    { header: 'Gross', key: 'grossAmount' },
+    { header: 'Tax', key: 'taxAmount' },
+    { header: 'Net', key: 'walletEffect' },
+    { header: 'Balance', key: 'balance' }
+];
+
+/**
+ * Agent, linked user and every agentTransactions entry, loaded once so several periods or
+ * currencies can be built from the same read.
+ */
+const loadAgentLedger = async (db, agentCode) => {
+    const agent = await Agent.findByCode(agentCode);
+    if (!agent) {
+        throw createHttpError(404, 'Agent not found', 'AGENT_NOT_FOUND');
+    }
+    if (!agent.userId) {
+        throw createHttpError(404, 'Agent is not linked to a user', 'AGENT_USER_NOT_FOUND');
+    }
+
+    const { ref: userRef, snapshot: userDoc } = await getUserByIdOrUserId(db, agent.userId);
+    const userData = userDoc.data() || {};
+    const snapshot = await userRef.collection(AGENT_TRANSACTIONS_SUBCOLLECTION).get();
+
+    return {
+        agent: {
+            agentCode: agent.agentCode || agentCode,
+            type: agent.type || null,
+            userId: userRef.id,
+            name: getDisplayName(userData, userRef.id)
+        },
+        userData,
+        entries: snapshot.docs.map((doc) => {
+            const data = doc.data() || {};
+            return {
+                ...data,
+                id: doc.id,
+                currency: normalizeCurrency(data.currency) || DEFAULT_CURRENCY,
+                dateMs: getTimestampMs(data.date)
+            };
+        })
+    };
+};
+
+const composeStatement = (ledger, period, currency, now) => ({
+    agent: ledger.agent,
+    currency,
+    period: { from: period.from, to: period.to },
+    generatedAt: now.toISOString(),
+    ...buildAgentStatement({
+        entries: ledger.entries.filter((entry) => entry.currency === currency),
+        walletBalance: ledger.userData[getCurrencyConfig(currency).agentWalletField],
+        period
+    })
+});
+
+/**
+ * Commission statement for one agent wallet: opening balance, commission lines, payouts,
+ * adjustments (clawbacks and reversals) and closing balance.
+ * @param {Object} options
+ * @param {string} options.agentCode
+ * @param {string} [options.from] - 'YYYY-MM-DD', inclusive; defaults to the first of this month
+ * @param {string} [options.to] - 'YYYY-MM-DD', inclusive; defaults to today
+ * @param {string} [options.currency='PHP']
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<Object>}
+ */
+const getAgentStatement = async ({ agentCode, from, to, currency = DEFAULT_CURRENCY, now = new Date() }) => {
+    const period = resolveStatementPeriod({ from, to, now });
+    if (!period) {
+        throw createHttpError(400, 'from and to must be YYYY-MM-DD dates with from on or before to', 'INVALID_STATEMENT_PERIOD');
+    }
+
+    const ledger = await loadAgentLedger(getFirestore(), agentCode);
+    return composeStatement(ledger, period, currency, now);
+};
+
+// Opening and closing balances bracket the lines so the export reconciles on its own
+const toStatementCsv = (statement) => toCsv(STATEMENT_CSV_COLUMNS, [
+    { date: `${statement.period.from}T00:00:00.000Z`, description: 'Opening balance', balance: statement.openingBalance },
+    ...statement.lines,
+    { date: `${statement.period.to}T00:00:00.000Z`, description: 'Closing balance', balance: statement.closingBalance }
+]);
+
+const summarizeStatement = (statement) => ({
+    currency: statement.currency,
+    openingBalance: statement.openingBalance,
+    closingBalance: statement.closingBalance,
+    ...statement.totals,
+    payoutCount: statement.payouts.length,
+    adjustmentCount: statement.adjustments.length
+});
+
+/**
+ * Monthly statements saved by the batch job for one agent, newest month first
+ */
+const listAgentMonthlyStatements = async ({ agentCode, page = 1, limit = 12 }) => {
+    const db = getFirestore();
+    const snapshot = await db.collection(AGENT_STATEMENTS_COLLECTION).where('agentCode', '==', agentCode).get();
+    const docs = snapshot.docs.sort((a, b) => String(b.data().month).localeCompare(String(a.data().month)));
+    const start = (page - 1) * limit;
+
+    return {
+        items: docs.slice(start, start + limit).map((doc) => {
+            const data = doc.data() || {};
+            return {
+                id: doc.id,
+                month: data.month,
+                period: data.period,
+                generatedAt: data.generatedAt ? new Date(getTimestampMs(data.generatedAt)).toISOString() : null,
+                summaries: (data.statements || []).map(summarizeStatement)
+            };
+        }),
+        pagination: {
+            total: docs.length,
+            page,
+            limit,
+            totalPages: Math.ceil(docs.length / limit) || 1
+        }
+    };
+};
+
+const hasStatementActivity = (statement) => statement.lines.length > 0
+    || statement.openingBalance !== 0
+    || statement.closingBalance !== 0;
+
+// Statements worth keeping for a month: the default currency always, others only when they have activity or a balance
+const buildMonthlyStatements = (ledger, period, now) => SUPPORTED_CURRENCIES
+    .map((currency) => composeStatement(ledger, period, currency, now))
+    .filter((statement) => statement.currency === DEFAULT_CURRENCY || hasStatementActivity(statement));
+
+/**
+ * Generate and store last month's statement for every active agent, and for deactivated agents
+ * that still hold a balance or had activity that month. Already generated months are skipped, so
+ * the job can run as often as the scheduler likes.
+ * @param {Object} [options]
+ * @param {string} [options.month] - 'YYYY-MM'; defaults to the month before now
+ * @param {Date} [options.now=new Date()]
+ * @param {boolean} [options.dryRun=false] - Build statements without saving them
+ * @returns {Promise<{month: string, total: number, generated: Array, skipped: Array, failed: Array}>}
+ */
+const runMonthlyStatementJob = async ({ month, now = new Date(), dryRun = false } = {}) => {
+    const period = getMonthPeriod(month || getPreviousMonthKey(now));
+    if (!period) {
+        throw createHttpError(400, 'Month must look like 2026-09', 'INVALID_STATEMENT_MONTH');
+    }
+    // A month still in progress would be saved half-done and then skipped on every later run
+    if (period.end.getTime() > now.getTime()) {
+        throw createHttpError(400, 'Statements can only be generated for a month that has ended', 'INVALID_STATEMENT_MONTH');
+    }
+
+    const db = getFirestore();
+    const [activeAgents, inactiveAgents] = await Promise.all([
+        Agent.findAll({ status: 'active' }),
+        Agent.findAll({ status: 'inactive' })
+    ]);
+    const agents = [...activeAgents, ...inactiveAgents];
+    const result = { month: period.month, total: agents.length, generated: [], skipped: [], failed: [] };
+
+    for (const agent of agents) {
+        const agentCode = agent.agentCode || agent.id;
+        const statementRef = db.collection(AGENT_STATEMENTS_COLLECTION).doc(`${agentCode}_${period.month}`);
+
+        try {
+            const existing = await statementRef.get();
+            if (existing.exists) {
+                result.skipped.push({ agentCode, reason: 'Already generated' });
+                continue;
+            }
+
+            const ledger = await loadAgentLedger(db, agentCode);
+            const statements = buildMonthlyStatements(ledger, period, now);
+            if (agent.status === 'inactive' && !statements.some(hasStatementActivity)) {
+                result.skipped.push({ agentCode, reason: 'Inactive with no balance' });
+                continue;
+            }
+
+            if (!dryRun) {
+                await statementRef.set({
+                    agentCode,
+                    userId: ledger.agent.userId,
+                    month: period.month,
+                    period: { from: period.from, to: period.to },
+                    statements,
+                    generatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            }
+
+            result.generated.push({ agentCode, currencies: statements.map((statement) => statement.currency) });
+        } catch (error) {
+            result.failed.push({ agentCode, error: error.message });
+        }
+    }
+
+    return result;
+};
+
+module.exports = {
+    AGENT_STATEMENTS_COLLECTION,
+    getAgentStatement,
+    toStatementCsv,
+    listAgentMonthlyStatements,
+    runMonthlyStatementJob
+};
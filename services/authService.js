@@ -266,6 +266,7 @@ class AuthService {
                 accountType: 'Basic',
                 timeDepositAmount: 0,
                 agentWalletAmount: 0,
+                agentDollarWalletAmount: 0,
                 usdtAmount: 0,
                 availBalanceAmount: 0,
                 dollarDepositAmount: 0,
@@ -476,6 +477,7 @@ class AuthService {
                     accountType: firebaseUserData.accountType || 'Basic',
                     timeDepositAmount: firebaseUserData.timeDepositAmount || 0,
                     agentWalletAmount: firebaseUserData.agentWalletAmount || 0,
+                    agentDollarWalletAmount: firebaseUserData.agentDollarWalletAmount || 0,
                     usdtAmount: firebaseUserData.usdtAmount || 0,
                     availBalanceAmount: firebaseUserData.availBalanceAmount || 0,
                     dollarDepositAmount: firebaseUserData.dollarDepositAmount || 0,
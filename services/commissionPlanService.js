@@ -0,0 +1,173 @@
+const { admin, getFirestore } = require('../config/firebase');
+const { getTimestampMs } = require('../utils/firestoreUtils');
+const { writeAdminHistoryLog, resolveActor } = require('../utils/adminHistoryLogs');
+const {
+    DEFAULT_COMMISSION_PLAN,
+    normalizeCommissionPlan,
+    validateCommissionPlan,
+    mergeCommissionPlan
+} = require('../utils/commissionPlans');
+const { createHttpError } = require('../utils/httpError');
+
+const COMMISSION_PLANS_COLLECTION = 'commissionPlans';
+
+const toIsoString = (value) => {
+    const timestamp = getTimestampMs(value);
+    return timestamp === null ? null : new Date(timestamp).toISOString();
+};
+
+const pickPlan = (data = {}) => normalizeCommissionPlan({
+    agentTypes: data.agentTypes,
+    overrideDepth: data.overrideDepth,
+    products: data.products
+});
+
+// Plan versions, newest effectiveFrom first
+const fetchPlanDocs = async (db) => {
+    const snapshot = await db.collection(COMMISSION_PLANS_COLLECTION).get();
+    return snapshot.docs.sort(
+        (a, b) => (getTimestampMs(b.data().effectiveFrom) || 0) - (getTimestampMs(a.data().effectiveFrom) || 0)
+    );
+};
+
+const findPlanInEffect = (planDocs, asOfMs) =>
+    planDocs.find((doc) => (getTimestampMs(doc.data().effectiveFrom) || 0) <= asOfMs) || null;
+
+const normalizePlanVersion = (doc, currentVersionId = null) => {
+    const data = doc.data() || {};
+
+    return {
+        versionId: doc.id,
+        version: Number(data.version || 0),
+        effectiveFrom: toIsoString(data.effectiveFrom),
+        createdAt: toIsoString(data.createdAt),
+        createdBy: data.createdBy || null,
+        note: data.note || '',
+        previousVersionId: data.previousVersionId || null,
+        isCurrent: doc.id === currentVersionId,
+        ...pickPlan(data)
+    };
+};
+
+/**
+ * Commission plan in effect at a point in time. The built-in plan applies until a version is saved.
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - Point in time (defaults to now)
+ * @returns {Promise<{versionId: string|null, version: number, effectiveFrom: string|null, plan: Object}>}
+ */
+const resolveCommissionPlan = async ({ asOf } = {}) => {
+    const db = getFirestore();
+    const planDoc = findPlanInEffect(await fetchPlanDocs(db), (asOf || new Date()).getTime());
+
+    if (!planDoc) {
+        return { versionId: null, version: 0, effectiveFrom: null, plan: normalizeCommissionPlan(DEFAULT_COMMISSION_PLAN) };
+    }
+
+    const data = planDoc.data() || {};
+    return {
+        versionId: planDoc.id,
+        version: Number(data.version || 0),
+        effectiveFrom: toIsoString(data.effectiveFrom),
+        plan: pickPlan(data)
+    };
+};
+
+/**
+ * Plan versions newest effectiveFrom first, flagged with the one in effect now
+ */
+const listCommissionPlans = async ({ page = 1, limit = 20 } = {}) => {
+    const db = getFirestore();
+    const planDocs = await fetchPlanDocs(db);
+    const current = findPlanInEffect(planDocs, Date.now());
+    const total = planDocs.length;
+    const start = (page - 1) * limit;
+
+    return {
+        items: planDocs
+            .slice(start, start + limit)
+            .map((doc) => normalizePlanVersion(doc, current ? current.id : null)),
+        pagination: {
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit) || 1
+        }
+    };
+};
+
+// Merge changes into a plan and validate the result
+const buildPlanOrThrow = (base, changes) => {
+    const plan = mergeCommissionPlan(base, changes);
+    const errors = validateCommissionPlan(plan);
+
+    if (errors.length) {
+        throw createHttpError(400, `Invalid commission plan: ${errors.join('; ')}`, 'INVALID_COMMISSION_PLAN');
+    }
+
+    return plan;
+};
+
+/**
+ * Save a new plan version. Sections left out of the payload carry over from the plan in effect
+ * at effectiveFrom. Deposits record the version they were paid under, so earlier commissions
+ * are never recalculated.
+ * @param {Object} options
+ * @param {Object} options.payload - { agentTypes?, overrideDepth?, products? }
+ * @param {Date|null} [options.effectiveFrom=null] - null means immediately
+ * @param {string} options.note - Change note
+ * @param {Object} options.adminUser
+ * @returns {Promise<Object>} The new version
+ */
+const createCommissionPlanVersion = async ({ payload, effectiveFrom = null, note, adminUser }) => {
+    const db = getFirestore();
+    const planDocs = await fetchPlanDocs(db);
+    const effectiveDate = effectiveFrom || new Date();
+    const previousDoc = findPlanInEffect(planDocs, effectiveDate.getTime());
+    const basePlan = previousDoc ? pickPlan(previousDoc.data() || {}) : DEFAULT_COMMISSION_PLAN;
+    const plan = buildPlanOrThrow(basePlan, payload);
+    const actor = resolveActor(adminUser);
+
+    const versionRef = db.collection(COMMISSION_PLANS_COLLECTION).doc();
+    const versionData = {
+        ...plan,
+        version: planDocs.reduce((max, doc) => Math.max(max, Number(doc.data().version || 0)), 0) + 1,
+        effectiveFrom: admin.firestore.Timestamp.fromDate(effectiveDate),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        createdBy: { id: actor.id, email: actor.email, displayName: actor.name },
+        note: String(note || '').trim(),
+        previousVersionId: previousDoc ? previousDoc.id : null
+    };
+
+    const batch = db.batch();
+    batch.set(versionRef, versionData);
+
+    writeAdminHistoryLog(db, batch, adminUser, {
+        action: 'Create Commission Plan',
+        resourceType: 'COMMISSION_PLAN',
+        resourceId: versionRef.id,
+        version: versionData.version,
+        effectiveFrom: effectiveDate.toISOString(),
+        previousVersionId: versionData.previousVersionId,
+        details: `Created commission plan v${versionData.version} effective ${effectiveDate.toISOString()}: ${versionData.note}`
+    });
+
+    await batch.commit();
+
+    return {
+        versionId: versionRef.id,
+        version: versionData.version,
+        effectiveFrom: effectiveDate.toISOString(),
+        createdBy: versionData.createdBy,
+        note: versionData.note,
+        previousVersionId: versionData.previousVersionId,
+        ...plan
+    };
+};
+
+module.exports = {
+    COMMISSION_PLANS_COLLECTION,
+    resolveCommissionPlan,
+    listCommissionPlans,
+    createCommissionPlanVersion,
+    buildPlanOrThrow
+};
@@ -0,0 +1,223 @@
+const { admin, getFirestore } = require('../config/firebase');
+const { getTimestampMs } = require('../utils/firestoreUtils');
+const { writeAdminHistoryLog } = require('../utils/adminHistoryLogs');
+const { regenerateContractLinks } = require('./contractService');
+const { CONTRACT_STATUS } = require('./contractQueueService');
+const {
+    TIME_DEPOSITS_SUBCOLLECTION,
+    CONTRACT_LINKS_SUBCOLLECTION,
+    getUserByIdOrUserId
+} = require('./timeDepositService');
+const { createHttpError } = require('../utils/httpError');
+
+const CONTRACT_WEBHOOK_EVENTS_COLLECTION = 'contractWebhookEvents';
+
+// contractLinks.status values ('Active' is set when the contract is generated)
+const LINK_STATUS = {
+    ACTIVE: 'Active',
+    SIGNED: 'Signed',
+    VOIDED: 'Voided',
+    EXPIRED: 'Expired'
+};
+
+const EVENT_TYPES = {
+    signed: { linkStatus: LINK_STATUS.SIGNED, contractStatus: CONTRACT_STATUS.SIGNED, timestampField: 'signedAt', action: 'Time Deposit Contract Signed' },
+    voided: { linkStatus: LINK_STATUS.VOIDED, contractStatus: CONTRACT_STATUS.VOIDED, timestampField: 'voidedAt', action: 'Time Deposit Contract Voided' },
+    expired: { linkStatus: LINK_STATUS.EXPIRED, contractStatus: CONTRACT_STATUS.EXPIRED, timestampField: 'expiredAt', action: 'Time Deposit Contract Expired' }
+};
+
+// Only the URLs included in the event are replaced
+const buildLinkUrlUpdate = (urls = {}, expiresAt) => ({
+    ...(urls.view !== undefined ? { viewUrl: urls.view } : {}),
+    ...(urls.download !== undefined ? { downloadUrl: urls.download } : {}),
+    ...(urls.pdf !== undefined ? { pdfUrl: urls.pdf } : {}),
+    ...(expiresAt !== undefined ? { expiresAt } : {})
+});
+
+const findContractLink = async (db, contractId) => {
+    const snapshot = await db
+        .collectionGroup(CONTRACT_LINKS_SUBCOLLECTION)
+        .where('contractId', '==', contractId)
+        .limit(1)
+        .get();
+
+    return snapshot.empty ? null : snapshot.docs[0];
+};
+
+const findDepositByContract = async (userRef, contractId) => {
+    const snapshot = await userRef
+        .collection(TIME_DEPOSITS_SUBCOLLECTION)
+        .where('contractId', '==', contractId)
+        .limit(1)
+        .get();
+
+    return snapshot.empty ? null : snapshot.docs[0];
+};
+
+/**
+ * Apply a signed, voided or expired event from the contract service.
+ * Each eventId is processed once. A voided contract stays voided, and an event older than the
+ * link's last status change is recorded but not applied, so redelivered or out-of-order events are harmless.
+ * @param {Object} event - Validated webhook payload
+ * @returns {Promise<Object>} Outcome: 'applied', 'ignored' or 'duplicate'
+ */
+const applyContractEvent = async (event) => {
+    const db = getFirestore();
+    const eventConfig = EVENT_TYPES[event.type];
+    const linkDoc = await findContractLink(db, event.contractId);
+
+    if (!linkDoc) {
+        throw createHttpError(404, 'Contract not found', 'CONTRACT_NOT_FOUND');
+    }
+
+    const linkRef = linkDoc.ref;
+    const userRef = linkRef.parent.parent;
+    const depositDoc = await findDepositByContract(userRef, event.contractId);
+    const depositRef = depositDoc ? depositDoc.ref : null;
+    const eventRef = db.collection(CONTRACT_WEBHOOK_EVENTS_COLLECTION).doc(event.eventId);
+    const occurredAt = event.occurredAt ? new Date(event.occurredAt) : new Date();
+
+    return db.runTransaction(async (transaction) => {
+        const eventDoc = await transaction.get(eventRef);
+        const currentLinkDoc = await transaction.get(linkRef);
+
+        const result = {
+            eventId: event.eventId,
+            type: event.type,
+            contractId: event.contractId,
+            userId: userRef.id,
+            timeDepositId: depositRef ? depositRef.id : null
+        };
+
+        if (eventDoc.exists) {
+            return { ...result, outcome: 'duplicate' };
+        }
+
+        const link = currentLinkDoc.data() || {};
+        const lastChangeMs = getTimestampMs(link.statusChangedAt);
+        let ignoredReason = null;
+
+        if (link.status === LINK_STATUS.VOIDED && event.type !== 'voided') {
+            ignoredReason = 'Contract is voided';
+        } else if (lastChangeMs !== null && occurredAt.getTime() < lastChangeMs) {
+            ignoredReason = 'A newer status has already been applied';
+        }
+
+        transaction.set(eventRef, {
+            ...result,
+            outcome: ignoredReason ? 'ignored' : 'applied',
+            reason: ignoredReason,
+            occurredAt: admin.firestore.Timestamp.fromDate(occurredAt),
+            receivedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        if (ignoredReason) {
+            return { ...result, outcome: 'ignored', reason: ignoredReason };
+        }
+
+        const occurredTimestamp = admin.firestore.Timestamp.fromDate(occurredAt);
+        transaction.update(linkRef, {
+            status: eventConfig.linkStatus,
+            statusChangedAt: occurredTimestamp,
+            [eventConfig.timestampField]: occurredTimestamp,
+            ...buildLinkUrlUpdate(event.urls, event.expiresAt)
+        });
+
+        if (depositRef) {
+            transaction.update(depositRef, {
+                contractStatus: eventConfig.contractStatus,
+                contractStatusUpdatedAt: occurredTimestamp
+            });
+        }
+
+        const displayId = link.displayId || (depositRef ? depositRef.id : event.contractId);
+        writeAdminHistoryLog(db, transaction, null, {
+            action: eventConfig.action,
+            targetUserId: userRef.id,
+            contractId: event.contractId,
+            displayId: link.displayId || null,
+            resourceType: 'DEPOSIT',
+            resourceId: displayId,
+            details: `Contract service reported contract ${event.contractId} for time deposit ${displayId} as ${event.type}.`
+        });
+
+        return { ...result, outcome: 'applied', status: eventConfig.linkStatus };
+    });
+};
+
+/**
+ * Fetch fresh links for a deposit's contract. An expired contract returns to Signed (or Active
+ * if it was never signed); a voided contract cannot be reissued.
+ * @returns {Promise<Object>} New status, URLs and expiry
+ */
+const regenerateDepositContractLinks = async ({ userId, timeDepositId, adminUser }) => {
+    const db = getFirestore();
+    const userLookup = await getUserByIdOrUserId(db, userId);
+    const timeDepositRef = userLookup.ref.collection(TIME_DEPOSITS_SUBCOLLECTION).doc(timeDepositId);
+    const timeDepositDoc = await timeDepositRef.get();
+
+    if (!timeDepositDoc.exists) {
+        throw createHttpError(404, 'Time deposit not found', 'TIME_DEPOSIT_NOT_FOUND');
+    }
+
+    const data = timeDepositDoc.data() || {};
+
+    if (!data.contractId) {
+        throw createHttpError(409, 'Time deposit does not have a contract yet', 'CONTRACT_NOT_GENERATED');
+    }
+
+    const linkRef = userLookup.ref.collection(CONTRACT_LINKS_SUBCOLLECTION).doc(data.contractId);
+    const linkDoc = await linkRef.get();
+    const link = linkDoc.exists ? linkDoc.data() || {} : {};
+
+    if (link.status === LINK_STATUS.VOIDED) {
+        throw createHttpError(409, 'Contract has been voided', 'CONTRACT_VOIDED');
+    }
+
+    const links = await regenerateContractLinks({ contractId: data.contractId });
+
+    let status = link.status || LINK_STATUS.ACTIVE;
+    if (status === LINK_STATUS.EXPIRED) {
+        status = link.signedAt ? LINK_STATUS.SIGNED : LINK_STATUS.ACTIVE;
+    }
+
+    const displayId = data.displayId || timeDepositId;
+    const batch = db.batch();
+
+    batch.set(linkRef, {
+        contractId: data.contractId,
+        status,
+        ...buildLinkUrlUpdate(links.urls, links.expiresAt),
+        linksRegeneratedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    batch.update(timeDepositRef, {
+        contractStatus: status === LINK_STATUS.SIGNED ? CONTRACT_STATUS.SIGNED : CONTRACT_STATUS.GENERATED
+    });
+
+    writeAdminHistoryLog(db, batch, adminUser, {
+        action: 'Time Deposit Contract Links Regenerated',
+        targetUserId: (userLookup.snapshot.data() || {}).userId || userLookup.ref.id,
+        contractId: data.contractId,
+        displayId: data.displayId,
+        resourceType: 'DEPOSIT',
+        resourceId: displayId,
+        details: `Regenerated contract links for time deposit ${displayId} (contract ${data.contractId}).`
+    });
+
+    await batch.commit();
+
+    return {
+        contractId: data.contractId,
+        status,
+        urls: links.urls,
+        expiresAt: links.expiresAt
+    };
+};
+
+module.exports = {
+    CONTRACT_WEBHOOK_EVENTS_COLLECTION,
+    LINK_STATUS,
+    applyContractEvent,
+    regenerateDepositContractLinks
+};
@@ -0,0 +1,92 @@
+const { admin } = require('../config/firebase');
+const { computeBackoffDelayMs } = require('../utils/retryBackoff');
+
+const CONTRACT_QUEUE_COLLECTION = 'contractQueue';
+
+const QUEUE_STATUS = {
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+// Contract status stored on inspireAuto records. The last three are reported by the contract service webhook.
+const CONTRACT_STATUS = {
+    PENDING: 'pending',
+    GENERATED: 'generated',
+    FAILED: 'failed',
+    SIGNED: 'signed',
+    VOIDED: 'voided',
+    EXPIRED: 'expired'
+};
+
+const getNumber = (value, fallback) => {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+};
+
+const getRetrySettings = () => ({
+    baseDelayMs: getNumber(process.env.CONTRACT_RETRY_BASE_DELAY_MS, 60 * 1000),
+    maxDelayMs: getNumber(process.env.CONTRACT_RETRY_MAX_DELAY_MS, 6 * 60 * 60 * 1000),
+    maxAttempts: getNumber(process.env.CONTRACT_RETRY_MAX_ATTEMPTS, 8),
+    // A 'processing' entry older than this was left behind by a crashed run and is picked up again
+    staleAfterMs: getNumber(process.env.CONTRACT_RETRY_STALE_AFTER_MS, 10 * 60 * 1000)
+});
+
+const getNextAttemptDate = (attempts, now = new Date()) =>
+    new Date(now.getTime() + computeBackoffDelayMs(attempts, getRetrySettings()));
+
+// One queue entry per deposit, so re-queueing a deposit never creates a second contract request
+const getContractQueueRef = (db, userId, timeDepositId) =>
+    db.collection(CONTRACT_QUEUE_COLLECTION).doc(`${userId}_${timeDepositId}`);
+
+/**
+ * Queue contract generation for a deposit on a transaction or batch. The entry is due immediately
+ * unless nextAttemptAt is given; attempts start from zero again when a deposit is re-queued.
+ * @returns {FirebaseFirestore.DocumentReference} Queue entry reference
+ */
+const enqueueContractGeneration = (db, writer, {
+    userId,
+    timeDepositId,
+    displayId = null,
+    source,
+    lastError = null,
+    lastErrorCode = null,
+    attempts = 0,
+    nextAttemptAt = new Date()
+}) => {
+    const queueRef = getContractQueueRef(db, userId, timeDepositId);
+
+    writer.set(queueRef, {
+        userId,
+        timeDepositId,
+        displayId,
+        source,
+        status: QUEUE_STATUS.PENDING,
+        attempts,
+        maxAttempts: getRetrySettings().maxAttempts,
+        nextAttemptAt: admin.firestore.Timestamp.fromDate(nextAttemptAt),
+        lastError,
+        lastErrorCode,
+        contractId: null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        queuedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    return queueRef;
+};
+
+// Failures the contract service may recover from (timeouts, 5xx, bad responses)
+const isRetryableContractError = (error) => (error && error.status ? error.status >= 500 : true);
+
+module.exports = {
+    CONTRACT_QUEUE_COLLECTION,
+    QUEUE_STATUS,
+    CONTRACT_STATUS,
+    getRetrySettings,
+    getNextAttemptDate,
+    getContractQueueRef,
+    enqueueContractGeneration,
+    isRetryableContractError
+};
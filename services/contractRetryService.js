@@ -0,0 +1,502 @@
+const { admin, getFirestore } = require('../config/firebase');
+const logger = require('../utils/logger');
+const { getTimestampMs } = require('../utils/firestoreUtils');
+const { getDepositCurrency } = require('../utils/currency');
+const { writeAdminHistoryLog } = require('../utils/adminHistoryLogs');
+const { generateTimeDepositContract } = require('./contractService');
+const {
+    CONTRACT_QUEUE_COLLECTION,
+    QUEUE_STATUS,
+    CONTRACT_STATUS,
+    getRetrySettings,
+    getNextAttemptDate,
+    getContractQueueRef,
+    enqueueContractGeneration,
+    isRetryableContractError
+} = require('./contractQueueService');
+const {
+    TIME_DEPOSITS_SUBCOLLECTION,
+    CONTRACT_LINKS_SUBCOLLECTION,
+    buildContractLinkDoc,
+    getUserByIdOrUserId,
+    formatDate,
+    isActiveDeposit
+} = require('./timeDepositService');
+const { createHttpError } = require('../utils/httpError');
+
+const USERS_COLLECTION = 'users';
+// Deposits with no contract and no contractStatus predate contract tracking
+const MISSING_CONTRACT_STATUS = 'missing';
+const BACKFILL_BATCH_SIZE = 200;
+
+const isOpenQueueEntry = (entry = {}) =>
+    entry.status === QUEUE_STATUS.PENDING || entry.status === QUEUE_STATUS.PROCESSING;
+
+/**
+ * A pending entry is due once nextAttemptAt has passed. A processing entry is only picked up
+ * again when its claim is older than staleAfterMs.
+ */
+const isQueueEntryDue = (entry = {}, now = new Date(), settings = getRetrySettings()) => {
+    if (entry.status === QUEUE_STATUS.PENDING) {
+        const nextAttemptMs = getTimestampMs(entry.nextAttemptAt);
+        return nextAttemptMs === null || nextAttemptMs <= now.getTime();
+    }
+
+    if (entry.status === QUEUE_STATUS.PROCESSING) {
+        const claimedMs = getTimestampMs(entry.claimedAt);
+        return claimedMs === null || now.getTime() - claimedMs >= settings.staleAfterMs;
+    }
+
+    return false;
+};
+
+const toIsoString = (value) => {
+    const ms = getTimestampMs(value);
+    return ms === null ? null : new Date(ms).toISOString();
+};
+
+const describeQueueEntry = (id, entry = {}) => ({
+    id,
+    userId: entry.userId,
+    timeDepositId: entry.timeDepositId,
+    displayId: entry.displayId || null,
+    source: entry.source || null,
+    status: entry.status,
+    attempts: Number(entry.attempts || 0),
+    maxAttempts: Number(entry.maxAttempts || getRetrySettings().maxAttempts),
+    nextAttemptAt: toIsoString(entry.nextAttemptAt),
+    lastError: entry.lastError || null,
+    lastErrorCode: entry.lastErrorCode || null
+});
+
+const describeInactiveDeposit = (data) => `Time deposit is ${data.status || data.isActive || 'not active'}`;
+
+const getTimeDepositRef = (db, userId, timeDepositId) =>
+    db.collection(USERS_COLLECTION).doc(userId).collection(TIME_DEPOSITS_SUBCOLLECTION).doc(timeDepositId);
+
+/**
+ * Claim a queue entry so concurrent runs never call the contract service twice for it.
+ * @returns {Promise<Object|null>} Entry data with the incremented attempt count, or null when not claimable
+ */
+const claimQueueEntry = async (db, queueRef, { now, force }) => db.runTransaction(async (transaction) => {
+    const queueDoc = await transaction.get(queueRef);
+
+    if (!queueDoc.exists) {
+        return null;
+    }
+
+    const entry = queueDoc.data() || {};
+    if (!isQueueEntryDue(entry, now) && !(force && entry.status === QUEUE_STATUS.PENDING)) {
+        return null;
+    }
+
+    const attempts = (Number.parseInt(entry.attempts, 10) || 0) + 1;
+    transaction.update(queueRef, {
+        status: QUEUE_STATUS.PROCESSING,
+        attempts,
+        claimedAt: admin.firestore.Timestamp.fromDate(now),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { ...entry, attempts };
+});
+
+const closeQueueEntry = (queueRef, status, fields = {}) => queueRef.update({
+    status,
+    ...fields,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+});
+
+/**
+ * Make one contract generation attempt for a queue entry.
+ * The deposit's requestId is reused as the contract requestId so a retry after a lost response
+ * is idempotent on the contract service side.
+ * @param {Object} options
+ * @param {FirebaseFirestore.DocumentReference} options.queueRef - contractQueue entry reference
+ * @param {Date} [options.now=new Date()] - Current time
+ * @param {boolean} [options.force=false] - Attempt a pending entry before its nextAttemptAt
+ * @returns {Promise<Object>} Result with status 'completed', 'retrying', 'failed', 'cancelled' or 'skipped'
+ */
+const processQueueEntry = async ({ queueRef, now = new Date(), force = false }) => {
+    const db = getFirestore();
+    const entry = await claimQueueEntry(db, queueRef, { now, force });
+
+    if (!entry) {
+        return { id: queueRef.id, status: 'skipped', reason: 'Queue entry is not due' };
+    }
+
+    const settings = getRetrySettings();
+    const result = {
+        id: queueRef.id,
+        userId: entry.userId,
+        timeDepositId: entry.timeDepositId,
+        displayId: entry.displayId || null,
+        attempts: entry.attempts
+    };
+
+    const timeDepositRef = getTimeDepositRef(db, entry.userId, entry.timeDepositId);
+    const timeDepositDoc = await timeDepositRef.get();
+
+    if (!timeDepositDoc.exists) {
+        await closeQueueEntry(queueRef, QUEUE_STATUS.CANCELLED, { lastError: 'Time deposit not found' });
+        return { ...result, status: 'cancelled', reason: 'Time deposit not found' };
+    }
+
+    const data = timeDepositDoc.data() || {};
+
+    if (data.contractId) {
+        await closeQueueEntry(queueRef, QUEUE_STATUS.COMPLETED, { contractId: data.contractId });
+        return { ...result, status: 'completed', contractId: data.contractId };
+    }
+
+    // Voided or pre-terminated deposits no longer need a contract
+    if (!isActiveDeposit(data)) {
+        const reason = describeInactiveDeposit(data);
+        await closeQueueEntry(queueRef, QUEUE_STATUS.CANCELLED, { lastError: reason });
+        return { ...result, status: 'cancelled', reason };
+    }
+
+    const currency = getDepositCurrency(data);
+    const completionMs = getTimestampMs(data.completionDate);
+    const requestId = data.requestId || timeDepositRef.id;
+
+    try {
+        const contractResult = await generateTimeDepositContract({
+            userId: entry.userId,
+            amount: data.amount,
+            currency,
+            term: data.contractType || data.term,
+            rate: data.rate ?? data.finalInterestRate,
+            initialDate: formatDate(data.initialDate),
+            completionDate: formatDate(data.completionDate),
+            displayId: data.displayId,
+            requestId
+        });
+
+        // Re-read the deposit so a void or pre-termination during the call is not overwritten
+        const cancelReason = await db.runTransaction(async (transaction) => {
+            const currentDoc = await transaction.get(timeDepositRef);
+            const current = currentDoc.exists ? currentDoc.data() || {} : null;
+
+            if (!current || !isActiveDeposit(current)) {
+                const reason = current ? describeInactiveDeposit(current) : 'Time deposit not found';
+                transaction.update(queueRef, {
+                    status: QUEUE_STATUS.CANCELLED,
+                    contractId: contractResult.contractId,
+                    lastError: reason,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                return reason;
+            }
+
+            transaction.update(timeDepositRef, {
+                contractId: contractResult.contractId,
+                contractStatus: CONTRACT_STATUS.GENERATED,
+                contractError: null
+            });
+            transaction.set(
+                timeDepositRef.parent.parent.collection(CONTRACT_LINKS_SUBCOLLECTION).doc(contractResult.contractId),
+                buildContractLinkDoc({
+                    contractResult,
+                    amount: data.amount,
+                    currency,
+                    rate: data.rate ?? data.finalInterestRate,
+                    completionDate: new Date(completionMs),
+                    term: data.contractType || data.term,
+                    displayId: data.displayId,
+                    requestId
+                })
+            );
+            transaction.update(queueRef, {
+                status: QUEUE_STATUS.COMPLETED,
+                contractId: contractResult.contractId,
+                lastError: null,
+                lastErrorCode: null,
+                completedAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return null;
+        });
+
+        if (cancelReason) {
+            return { ...result, status: 'cancelled', reason: cancelReason, contractId: contractResult.contractId };
+        }
+        return { ...result, status: 'completed', contractId: contractResult.contractId };
+    } catch (error) {
+        const message = error.message || 'Contract generation failed';
+        const maxAttempts = Number(entry.maxAttempts || settings.maxAttempts);
+        const exhausted = !isRetryableContractError(error) || entry.attempts >= maxAttempts;
+
+        logger.warn({ err: error, queueId: queueRef.id, attempts: entry.attempts }, 'Contract generation attempt failed');
+
+        if (exhausted) {
+            const batch = db.batch();
+            batch.update(queueRef, {
+                status: QUEUE_STATUS.FAILED,
+                lastError: message,
+                lastErrorCode: error.code || null,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            batch.update(timeDepositRef, {
+                contractStatus: CONTRACT_STATUS.FAILED,
+                contractError: message
+            });
+            await batch.commit();
+
+            return { ...result, status: 'failed', error: message };
+        }
+
+        const nextAttemptAt = getNextAttemptDate(entry.attempts, now);
+        await closeQueueEntry(queueRef, QUEUE_STATUS.PENDING, {
+            nextAttemptAt: admin.firestore.Timestamp.fromDate(nextAttemptAt),
+            lastError: message,
+            lastErrorCode: error.code || null
+        });
+
+        return { ...result, status: 'retrying', error: message, nextAttemptAt: nextAttemptAt.toISOString() };
+    }
+};
+
+/**
+ * Attempt every due contract queue entry, oldest nextAttemptAt first. With dryRun, only reports
+ * which entries are due.
+ * @param {Object} options
+ * @param {Date} [options.now=new Date()] - Current time
+ * @param {number} [options.limit] - Maximum number of entries to attempt
+ * @param {boolean} [options.dryRun=false] - Report without calling the contract service
+ * @returns {Promise<Object>} Run summary
+ */
+const runContractRetryJob = async ({ now = new Date(), limit, dryRun = false } = {}) => {
+    const db = getFirestore();
+    const settings = getRetrySettings();
+    const snapshot = await db.collection(CONTRACT_QUEUE_COLLECTION).get();
+
+    const dueDocs = snapshot.docs
+        .filter((doc) => isQueueEntryDue(doc.data() || {}, now, settings))
+        .sort((a, b) => (getTimestampMs(a.data().nextAttemptAt) || 0) - (getTimestampMs(b.data().nextAttemptAt) || 0));
+    const candidates = limit ? dueDocs.slice(0, limit) : dueDocs;
+
+    if (dryRun) {
+        return {
+            asOf: now.toISOString(),
+            dryRun: true,
+            total: candidates.length,
+            items: candidates.map((doc) => describeQueueEntry(doc.id, doc.data() || {}))
+        };
+    }
+
+    const summary = {
+        asOf: now.toISOString(),
+        dryRun: false,
+        total: candidates.length,
+        completed: [],
+        retrying: [],
+        failed: [],
+        cancelled: [],
+        skipped: []
+    };
+
+    for (const doc of candidates) {
+        try {
+            const result = await processQueueEntry({ queueRef: doc.ref, now });
+            summary[result.status].push(result);
+        } catch (error) {
+            logger.error({ err: error, queueId: doc.id }, 'Failed to process contract queue entry');
+            summary.failed.push({ id: doc.id, error: error.message });
+        }
+    }
+
+    return summary;
+};
+
+const loadQueueEntries = async (db) => {
+    const snapshot = await db.collection(CONTRACT_QUEUE_COLLECTION).get();
+    return new Map(snapshot.docs.map((doc) => [doc.id, doc.data() || {}]));
+};
+
+const findDepositsMissingContracts = async (db) => {
+    const [snapshot, queueEntries] = await Promise.all([
+        db.collectionGroup(TIME_DEPOSITS_SUBCOLLECTION).get(),
+        loadQueueEntries(db)
+    ]);
+
+    return snapshot.docs
+        .filter((doc) => !(doc.data() || {}).contractId)
+        .map((doc) => {
+            const data = doc.data() || {};
+            const userId = doc.ref.parent.parent.id;
+            const queueId = getContractQueueRef(db, userId, doc.id).id;
+            const queueEntry = queueEntries.get(queueId);
+
+            return {
+                doc,
+                queueEntry,
+                item: {
+                    id: doc.id,
+                    userId,
+                    displayId: data.displayId,
+                    status: data.status || data.isActive || 'Active',
+                    amount: Number(data.amount || 0),
+                    currency: getDepositCurrency(data),
+                    term: data.contractType || data.term,
+                    initialDate: formatDate(data.initialDate),
+                    contractStatus: data.contractStatus || MISSING_CONTRACT_STATUS,
+                    contractError: data.contractError || null,
+                    queue: queueEntry ? describeQueueEntry(queueId, queueEntry) : null
+                }
+            };
+        });
+};
+
+/**
+ * List inspireAuto records that have no contract, with their retry queue state
+ * @param {Object} options
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @param {string} [options.contractStatus] - 'pending', 'failed' or 'missing'
+ * @returns {Promise<{items: Array, pagination: Object}>}
+ */
+const listDepositsMissingContracts = async ({ page = 1, limit = 20, contractStatus } = {}) => {
+    const db = getFirestore();
+    const missing = await findDepositsMissingContracts(db);
+
+    const filtered = missing
+        .map(({ item }) => item)
+        .filter((item) => !contractStatus || item.contractStatus === contractStatus)
+        .sort((a, b) => String(b.initialDate || '').localeCompare(String(a.initialDate || '')));
+
+    const pageValue = Number.parseInt(page, 10) || 1;
+    const limitValue = Number.parseInt(limit, 10) || 20;
+    const skip = (pageValue - 1) * limitValue;
+    const total = filtered.length;
+
+    return {
+        items: filtered.slice(skip, skip + limitValue),
+        pagination: {
+            total,
+            page: pageValue,
+            limit: limitValue,
+            totalPages: Math.ceil(total / limitValue) || 1
+        }
+    };
+};
+
+/**
+ * Queue contract generation for active deposits that have none and are not already queued.
+ * Failed entries are queued again with a fresh attempt count.
+ * @param {Object} options
+ * @param {number} [options.limit] - Maximum number of deposits to queue
+ * @param {boolean} [options.dryRun=false] - Report without queueing
+ * @param {Object|null} [options.adminUser=null] - Triggering admin
+ * @returns {Promise<Object>} Backfill summary
+ */
+const backfillMissingContracts = async ({ limit, dryRun = false, adminUser = null } = {}) => {
+    const db = getFirestore();
+    const missing = await findDepositsMissingContracts(db);
+
+    const eligible = missing.filter(({ doc, queueEntry }) =>
+        isActiveDeposit(doc.data() || {}) && !isOpenQueueEntry(queueEntry));
+    const candidates = limit ? eligible.slice(0, limit) : eligible;
+    const items = candidates.map(({ item }) => item);
+
+    if (dryRun || !candidates.length) {
+        return { dryRun, total: items.length, items };
+    }
+
+    for (let start = 0; start < candidates.length; start += BACKFILL_BATCH_SIZE) {
+        const chunk = candidates.slice(start, start + BACKFILL_BATCH_SIZE);
+        const batch = db.batch();
+
+        chunk.forEach(({ doc, item }) => {
+            enqueueContractGeneration(db, batch, {
+                userId: item.userId,
+                timeDepositId: doc.id,
+                displayId: item.displayId || null,
+                source: 'backfill'
+            });
+            batch.update(doc.ref, { contractStatus: CONTRACT_STATUS.PENDING });
+        });
+
+        if (start === 0) {
+            writeAdminHistoryLog(db, batch, adminUser, {
+                action: 'Time Deposit Contract Backfill',
+                count: candidates.length,
+                resourceType: 'DEPOSIT',
+                resourceId: 'contracts',
+                details: `Queued contract generation for ${candidates.length} time deposit(s) without a contract.`
+            });
+        }
+
+        await batch.commit();
+    }
+
+    return { dryRun: false, total: items.length, items };
+};
+
+/**
+ * Queue a deposit's contract with a fresh attempt count and attempt it immediately.
+ * Refused while another attempt for the deposit is still running.
+ * @returns {Promise<Object>} Result of the attempt (see processQueueEntry)
+ */
+const retryDepositContract = async ({ userId, timeDepositId, adminUser = null, now = new Date() }) => {
+    const db = getFirestore();
+    const userLookup = await getUserByIdOrUserId(db, userId);
+    const timeDepositRef = userLookup.ref.collection(TIME_DEPOSITS_SUBCOLLECTION).doc(timeDepositId);
+    const queueRef = getContractQueueRef(db, userLookup.ref.id, timeDepositId);
+
+    await db.runTransaction(async (transaction) => {
+        const [timeDepositDoc, queueDoc] = await Promise.all([
+            transaction.get(timeDepositRef),
+            transaction.get(queueRef)
+        ]);
+
+        if (!timeDepositDoc.exists) {
+            throw createHttpError(404, 'Time deposit not found', 'TIME_DEPOSIT_NOT_FOUND');
+        }
+
+        const data = timeDepositDoc.data() || {};
+
+        if (data.contractId) {
+            throw createHttpError(409, 'Time deposit already has a contract', 'CONTRACT_ALREADY_GENERATED');
+        }
+        if (!isActiveDeposit(data)) {
+            throw createHttpError(409, describeInactiveDeposit(data), 'TIME_DEPOSIT_NOT_ACTIVE');
+        }
+
+        // Re-queueing a claimed entry would reset it under the running attempt; a stale claim is due again
+        const entry = queueDoc.exists ? queueDoc.data() || {} : {};
+        if (entry.status === QUEUE_STATUS.PROCESSING && !isQueueEntryDue(entry, now)) {
+            throw createHttpError(409, 'A contract generation attempt is already running for this time deposit', 'CONTRACT_RETRY_IN_PROGRESS');
+        }
+
+        const displayId = data.displayId || timeDepositId;
+        enqueueContractGeneration(db, transaction, {
+            userId: userLookup.ref.id,
+            timeDepositId,
+            displayId: data.displayId || null,
+            source: 'admin',
+            nextAttemptAt: now
+        });
+        transaction.update(timeDepositRef, { contractStatus: CONTRACT_STATUS.PENDING });
+        writeAdminHistoryLog(db, transaction, adminUser, {
+            action: 'Time Deposit Contract Retry',
+            targetUserId: (userLookup.snapshot.data() || {}).userId || userLookup.ref.id,
+            displayId: data.displayId,
+            resourceType: 'DEPOSIT',
+            resourceId: displayId,
+            details: `Retried contract generation for time deposit ${displayId}.`
+        });
+    });
+
+    return processQueueEntry({ queueRef, now, force: true });
+};
+
+module.exports = {
+    MISSING_CONTRACT_STATUS,
+    isQueueEntryDue,
+    processQueueEntry,
+    runContractRetryJob,
+    listDepositsMissingContracts,
+    backfillMissingContracts,
+    retryDepositContract
+};
@@ -1,16 +1,8 @@
 const crypto = require('crypto');
+const { createHttpError } = require('../utils/httpError');
 
 const DEFAULT_TIMEOUT_MS = Number.parseInt(process.env.CONTRACT_SERVICE_TIMEOUT_MS || '10000', 10);
 
-const createHttpError = (status, message, code) => {
-    const error = new Error(message);
-    error.status = status;
-    if (code) {
-        error.code = code;
-    }
-    return error;
-};
-
 const normalizeServiceUrl = (value) => {
     if (typeof value !== 'string') return '';
     return value.trim().replace(/\/+$/, '');
@@ -55,9 +47,19 @@ const mapServiceError = (error) => {
     return createHttpError(502, error.message || 'Contract service is unavailable', 'CONTRACT_SERVICE_UNAVAILABLE');
 };
 
+const normalizeContractLinks = (data = {}) => ({
+    urls: {
+        view: data.urls?.view || null,
+        download: data.urls?.download || null,
+        pdf: data.urls?.pdf || null
+    },
+    expiresAt: data.expiresAt || null
+});
+
 const generateTimeDepositContract = async ({
     userId,
     amount,
+    currency = 'PHP',
     term,
     rate,
     initialDate,
@@ -77,6 +79,7 @@ const generateTimeDepositContract = async ({
         requestId: requestId || crypto.randomUUID(),
         userId,
         amount,
+        currency,
         term,
         rate,
         initialDate,
@@ -115,18 +118,60 @@ const generateTimeDepositContract = async ({
 
         return {
             contractId: data.contractId,
-            urls: {
-                view: data.urls?.view || null,
-                download: data.urls?.download || null,
-                pdf: data.urls?.pdf || null
-            },
-            expiresAt: data.expiresAt || null
+            ...normalizeContractLinks(data)
         };
     } catch (error) {
         throw mapServiceError(error);
     }
 };
 
+/**
+ * Ask the contract service for fresh view/download links for an existing contract
+ * @returns {Promise<{urls: Object, expiresAt: string|null}>}
+ */
+const regenerateContractLinks = async ({ contractId, serviceUrl, timeoutMs = DEFAULT_TIMEOUT_MS }) => {
+    const baseUrl = normalizeServiceUrl(serviceUrl || process.env.CONTRACT_SERVICE_URL || '');
+
+    if (!baseUrl) {
+        throw createHttpError(400, 'Contract service URL is not configured', 'CONTRACT_SERVICE_URL_MISSING');
+    }
+
+    try {
+        const response = await withTimeout(`${baseUrl}/contracts/${encodeURIComponent(contractId)}/links`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ contractId })
+        }, timeoutMs);
+
+        if (!response.ok) {
+            const serviceMessage = await parseErrorPayload(response);
+
+            if (response.status === 404) {
+                throw createHttpError(404, serviceMessage || 'Contract not found on the contract service', 'CONTRACT_NOT_FOUND');
+            }
+
+            if (response.status >= 500) {
+                throw createHttpError(502, serviceMessage || 'Contract service failed to process request', 'CONTRACT_SERVICE_ERROR');
+            }
+
+            throw createHttpError(400, serviceMessage || 'Invalid contract request payload', 'CONTRACT_BAD_REQUEST');
+        }
+
+        const data = await response.json();
+
+        if (!data || !data.urls) {
+            throw createHttpError(502, 'Contract service returned an invalid payload', 'CONTRACT_INVALID_RESPONSE');
+        }
+
+        return normalizeContractLinks(data);
+    } catch (error) {
+        throw mapServiceError(error);
+    }
+};
+
 module.exports = {
-    generateTimeDepositContract
+    generateTimeDepositContract,
+    regenerateContractLinks
 };
\ No newline at end of file
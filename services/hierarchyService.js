@@ -1,92 +1,52 @@
 const Agent = require('../models/Agent');
 const agentService = require('./agentService');
+const { AgentTypeFactory } = require('../models/AgentType');
+const { resolveCommissionPlan, buildPlanOrThrow } = require('./commissionPlanService');
+const { roundTo, parseNumeric } = require('../utils/timeDepositCalculator');
+const {
+    COMMISSION_PRODUCTS,
+    DEFAULT_COMMISSION_PLAN,
+    buildCommissionDistribution
+} = require('../utils/commissionPlans');
+const { createHttpError } = require('../utils/httpError');
 
 class HierarchyService {
     /**
      * Get commission distribution for an agent and their upline
+     * Shares come from the commission plan's splits for the seller's type and the product
      * @param {Object} agent - The agent who found the investor
      * @param {Array} allAgents - All agents in the system
+     * @param {Object} [options]
+     * @param {Object} [options.plan] - Commission plan (defaults to the built-in plan)
+     * @param {string} [options.product='default'] - 'default' or 'timeDeposit'
      * @returns {Array} Commission distribution
      */
-    getCommissionDistribution(agent, allAgents) {
-        const distribution = [];
-
-        // For Master Agents, they keep 100%
-        if (agent.type === 'Master Agent') {
-            distribution.push({
-                userId: agent.userId,
-                name: agent.fullName || `${agent.firstName} ${agent.lastName}`,
-                agentCode: agent.agentCode,
-                agentNumber: agent.agentNumber,
-                type: agent.type,
-                commission: 100
-            });
-            return distribution;
-        }
-
+    getCommissionDistribution(agent, allAgents, { plan = DEFAULT_COMMISSION_PLAN, product = COMMISSION_PRODUCTS.DEFAULT } = {}) {
         // Get the commission numbers from the agent code
         const numbers = agent.commissionNumbers || agentService.getAgentNumbers(agent.agentCode);
 
-        // Add the current agent
-        distribution.push({
-            userId: agent.userId,
-            name: agent.fullName || `${agent.firstName} ${agent.lastName}`,
-            agentCode: agent.agentCode,
-            agentNumber: agent.agentNumber,
-            type: agent.type,
-            commission: 70 // Both Agent and Consultant get 70%
-        });
-
-        // If this is an Agent, Master Agent gets 30%
-        if (agent.type === 'Agent' && numbers.masterAgent) {
-            const masterAgent = this.findAgentByNumber(numbers.masterAgent, allAgents);
-            if (masterAgent) {
-                distribution.push({
-                    userId: masterAgent.userId,
-                    name: masterAgent.fullName || `${masterAgent.firstName} ${masterAgent.lastName}`,
-                    agentCode: masterAgent.agentCode,
-                    agentNumber: masterAgent.agentNumber,
-                    type: masterAgent.type,
-                    commission: 30 // Master Agent gets 30% from Agent's sales
-                });
-            }
-            return distribution;
-        }
-
-        // If this is a Consultant, distribute remaining 30%
-        if (agent.type === 'Consultant Agent') {
-            // Add the immediate agent (20%)
-            if (numbers.agent) {
-                const immediateAgent = this.findAgentByNumber(numbers.agent, allAgents);
-                if (immediateAgent) {
-                    distribution.push({
-                        userId: immediateAgent.userId,
-                        name: immediateAgent.fullName || `${immediateAgent.firstName} ${immediateAgent.lastName}`,
-                        agentCode: immediateAgent.agentCode,
-                        agentNumber: immediateAgent.agentNumber,
-                        type: immediateAgent.type,
-                        commission: 20
-                    });
-                }
-            }
-
-            // Add the master agent (10%)
-            if (numbers.masterAgent) {
-                const masterAgent = this.findAgentByNumber(numbers.masterAgent, allAgents);
-                if (masterAgent) {
-                    distribution.push({
-                        userId: masterAgent.userId,
-                        name: masterAgent.fullName || `${masterAgent.firstName} ${masterAgent.lastName}`,
-                        agentCode: masterAgent.agentCode,
-                        agentNumber: masterAgent.agentNumber,
-                        type: masterAgent.type,
-                        commission: 10
-                    });
-                }
-            }
-        }
-
-        return distribution;
+        // Seller first, then each upline: a Consultant's agent and master agent, an Agent's master agent
+        const uplineNumbers = {
+            'Master Agent': [],
+            'Agent': [numbers.masterAgent],
+            'Consultant Agent': [numbers.agent, numbers.masterAgent]
+        }[agent.type] || [];
+
+        const chain = [
+            agent,
+            ...uplineNumbers.map((number) => (number ? this.findAgentByNumber(number, allAgents) : null))
+        ];
+
+        return buildCommissionDistribution({ plan, product, chain }).map((member) => ({
+            userId: member.userId,
+            name: member.fullName || `${member.firstName} ${member.lastName}`,
+            agentCode: member.agentCode,
+            agentNumber: member.agentNumber,
+            type: member.type,
+            level: member.level,
+            commission: member.sharePercentage,
+            ...(member.routedFrom ? { routedFrom: member.routedFrom } : {})
+        }));
     }
 
     /**
@@ -142,18 +102,29 @@ class HierarchyService {
     /**
      * Get agent hierarchy chain for commission distribution
      * @param {string} agentCode - The agent code to check
+     * @param {Object} [options]
+     * @param {Object} [options.plan] - Commission plan (defaults to the plan in effect now)
+     * @param {string} [options.product='default'] - 'default' or 'timeDeposit'
      * @returns {Promise<Object>} Hierarchy chain with commission details
      */
-    async getAgentHierarchy(agentCode) {
+    async getAgentHierarchy(agentCode, { plan, product = COMMISSION_PRODUCTS.DEFAULT } = {}) {
         try {
-            const agents = await Agent.findAll({ status: 'active' });
-            const targetAgent = agents.find(a => a.agentCode === agentCode);
+            // Deactivated agents stay in the chain so their share can be routed; superseded codes are history only
+            const [allAgents, activePlan] = await Promise.all([
+                Agent.findAll(),
+                plan ? null : resolveCommissionPlan()
+            ]);
+            const agents = allAgents.filter(a => (a.status || 'active') === 'active' || a.status === 'inactive');
+            const targetAgent = agents.find(a => a.agentCode === agentCode && (a.status || 'active') === 'active');
 
             if (!targetAgent) {
-                throw new Error('Agent not found');
+                throw createHttpError(404, 'Agent not found', 'AGENT_NOT_FOUND');
             }
 
-            const commissionDistribution = this.getCommissionDistribution(targetAgent, agents);
+            const commissionDistribution = this.getCommissionDistribution(targetAgent, agents, {
+                plan: plan || activePlan.plan,
+                product
+            });
 
             const response = {
                 currentAgent: {
@@ -162,7 +133,7 @@ class HierarchyService {
                     agentCode: targetAgent.agentCode,
                     agentNumber: targetAgent.agentNumber,
                     type: targetAgent.type,
-                    commission: commissionDistribution[0].commission,
+                    commission: commissionDistribution[0] ? commissionDistribution[0].commission : 0,
                     recruits: targetAgent.recruits || []
                 },
                 masterAgent: null,
@@ -172,9 +143,11 @@ class HierarchyService {
             };
 
             // Set upline agents directly from commission distribution
+            const uplineShare = commissionDistribution.find(member => member.level === 1);
+            const masterShare = commissionDistribution.find(member => member.level === 2);
             if (commissionDistribution.length > 1) {
-                // Second in distribution is always the immediate upline
-                const immediateUpline = agents.find(a => a.userId === commissionDistribution[1].userId);
+                // Level 1 is the immediate upline (missing when it is deactivated)
+                const immediateUpline = uplineShare && agents.find(a => a.userId === uplineShare.userId);
                 if (immediateUpline) {
                     response.agent = {
                         userId: immediateUpline.userId,
@@ -182,14 +155,14 @@ class HierarchyService {
                         agentCode: immediateUpline.agentCode,
                         agentNumber: immediateUpline.agentNumber,
                         type: immediateUpline.type,
-                        commission: commissionDistribution[1].commission,
+                        commission: uplineShare.commission,
                         recruits: immediateUpline.recruits || []
                     };
                 }
 
-                // Third in distribution is the master agent (if exists)
-                if (commissionDistribution[2]) {
-                    const masterAgent = agents.find(a => a.userId === commissionDistribution[2].userId);
+                // Level 2 is the master agent (if exists)
+                if (masterShare) {
+                    const masterAgent = agents.find(a => a.userId === masterShare.userId);
                     if (masterAgent) {
                         response.masterAgent = {
                             userId: masterAgent.userId,
@@ -197,7 +170,7 @@ class HierarchyService {
                             agentCode: masterAgent.agentCode,
                             agentNumber: masterAgent.agentNumber,
                             type: masterAgent.type,
-                            commission: commissionDistribution[2].commission,
+                            commission: masterShare.commission,
                             recruits: masterAgent.recruits || []
                         };
                     }
@@ -210,6 +183,55 @@ class HierarchyService {
             throw error;
         }
     }
+
+    /**
+     * Work out who would be paid what for a sale, under the plan in effect or a draft of changes
+     * The pool is amount x commissionPercentage; without one, the seller type's percentage from the plan is used
+     * @param {Object} options
+     * @param {number} options.amount - Sale amount
+     * @param {string} options.agentCode - Selling agent
+     * @param {string} [options.product='default'] - 'default' or 'timeDeposit'
+     * @param {number} [options.commissionPercentage] - Commission pool as a percentage of the amount
+     * @param {Date} [options.asOf] - Use the plan in effect at this time (defaults to now)
+     * @param {Object} [options.draft] - Plan changes to try on top of that plan; nothing is saved
+     * @returns {Promise<Object>} Simulated distribution
+     */
+    async simulateCommission({ amount, agentCode, product = COMMISSION_PRODUCTS.DEFAULT, commissionPercentage, asOf, draft }) {
+        const resolved = await resolveCommissionPlan({ asOf });
+        const plan = draft ? buildPlanOrThrow(resolved.plan, draft) : resolved.plan;
+
+        const hierarchy = await this.getAgentHierarchy(agentCode, { plan, product });
+
+        const sellerType = AgentTypeFactory.create(hierarchy.currentAgent.type, plan);
+        const poolPercentage = Number.isFinite(parseNumeric(commissionPercentage))
+            ? parseNumeric(commissionPercentage)
+            : (sellerType ? sellerType.getCommissionPercentage() : 0);
+        const principal = parseNumeric(amount) || 0;
+        const grossCommission = roundTo(principal * (poolPercentage / 100), 2);
+
+        const distribution = hierarchy.commissionDistribution.map((member) => ({
+            ...member,
+            amount: roundTo(grossCommission * (member.commission / 100), 2)
+        }));
+        const distributed = roundTo(distribution.reduce((sum, member) => sum + member.amount, 0), 2);
+
+        return {
+            plan: {
+                versionId: resolved.versionId,
+                version: resolved.version,
+                effectiveFrom: resolved.effectiveFrom,
+                draft: Boolean(draft)
+            },
+            product,
+            amount: principal,
+            commissionPercentage: poolPercentage,
+            grossCommission,
+            distribution,
+            distributed,
+            // Shares of uplines missing from the hierarchy are not paid
+            undistributed: roundTo(grossCommission - distributed, 2)
+        };
+    }
 }
 
 module.exports = new HierarchyService();
@@ -1,42 +1,591 @@
-const { getFirestore } = require('../config/firebase');
-const { normalizeTierTable } = require('../utils/timeDepositCalculator');
+const { admin, getFirestore } = require('../config/firebase');
+const { normalizeTierTable, normalizePenaltySchedule } = require('../utils/timeDepositCalculator');
+const { getTimestampMs } = require('../utils/firestoreUtils');
+const { writeAdminHistoryLog, resolveActor } = require('../utils/adminHistoryLogs');
+const { diffRateTables, isTierTable } = require('../utils/investmentRatesDiff');
+const { PROPOSAL_STATUS, isSelfReview } = require('../utils/ratesProposals');
+const { TERM_KEY_PATTERN } = require('../utils/termCatalog');
+const { loadTermCatalog } = require('./termCatalogService');
+const { createHttpError } = require('../utils/httpError');
 
 const INVESTMENT_RATES_COLLECTION = 'investmentRates';
+const RATE_VERSIONS_SUBCOLLECTION = 'versions';
+const RATE_PROPOSALS_SUBCOLLECTION = 'proposals';
 const DEFAULT_RATES_DOC_ID = process.env.INVESTMENT_RATES_DOC_ID || 'default';
-const REQUIRED_TERMS = ['sixMonths', 'oneYear', 'twoYears'];
+// Each deposit currency has its own rates document (and its own versions and proposals)
+const RATES_DOC_IDS_BY_CURRENCY = {
+    PHP: DEFAULT_RATES_DOC_ID,
+    USD: process.env.INVESTMENT_RATES_USD_DOC_ID || 'usd'
+};
+// Tables that are not term rates; every other tier table is keyed by a term from the term catalog
+const SHARED_RATE_TABLE_KEYS = ['agentRates', 'preTerminationPenalties'];
+
+const normalizePreTerminationPenalties = (penalties = {}) => {
+    if (!penalties || typeof penalties !== 'object') return {};
+
+    return Object.fromEntries(
+        Object.entries(penalties)
+            .map(([key, schedule]) => [key, normalizePenaltySchedule(schedule)])
+            .filter(([, schedule]) => schedule.length > 0)
+    );
+};
+
+/**
+ * Keys of the term rate tables in a rates payload or stored document
+ */
+const getTermTableKeys = (data = {}) => Object.keys(data || {}).filter((key) =>
+    !SHARED_RATE_TABLE_KEYS.includes(key) && TERM_KEY_PATTERN.test(key) && isTierTable(data[key])
+);
 
 const normalizeRatesPayload = (payload = {}) => {
-    const normalized = {
-        sixMonths: normalizeTierTable(payload.sixMonths || {}),
-        oneYear: normalizeTierTable(payload.oneYear || {}),
-        twoYears: normalizeTierTable(payload.twoYears || {}),
-        agentRates: normalizeTierTable(payload.agentRates || {})
+    const termTables = Object.fromEntries(
+        getTermTableKeys(payload).map((key) => [key, normalizeTierTable(payload[key])])
+    );
+
+    return {
+        ...termTables,
+        agentRates: normalizeTierTable(payload.agentRates || {}),
+        preTerminationPenalties: normalizePreTerminationPenalties(payload.preTerminationPenalties)
     };
+};
 
-    return normalized;
+/**
+ * Pre-termination penalty schedule for a term.
+ * A term-specific schedule wins over the shared 'default' schedule; an empty array means
+ * the calculator's built-in default applies.
+ */
+const getPenaltyScheduleForTerm = (rates, term) => {
+    const penalties = (rates && rates.preTerminationPenalties) || {};
+    return penalties[term] || penalties.default || [];
 };
 
-const validateRequiredRates = (rates) => {
-    const missingTerms = REQUIRED_TERMS.filter((term) => !Object.keys(rates[term] || {}).length);
+/**
+ * Check that rates exist for the given terms. Without a list, at least one term table is required.
+ */
+const validateRequiredRates = (rates, requiredTerms) => {
+    if (!requiredTerms) {
+        if (!getTermTableKeys(rates).some((term) => Object.keys(rates[term]).length)) {
+            throw new Error('Missing investment rates: no term rate tables configured');
+        }
+        return;
+    }
+
+    const missingTerms = requiredTerms.filter((term) => !Object.keys(rates[term] || {}).length);
 
     if (missingTerms.length) {
         throw new Error(`Missing investment rates for: ${missingTerms.join(', ')}`);
     }
 };
 
-const loadInvestmentRates = async (docId = DEFAULT_RATES_DOC_ID) => {
+const pickRateTables = (data = {}) => Object.fromEntries(
+    [...getTermTableKeys(data), ...SHARED_RATE_TABLE_KEYS]
+        .filter((key) => data[key] !== undefined)
+        .map((key) => [key, data[key]])
+);
+
+/**
+ * Check a submitted payload against the term catalog: every table and penalty schedule must
+ * name a known term, and the merged rates must cover every enabled term.
+ * @returns {Promise<string[]>} Enabled term keys
+ */
+const validatePayloadTerms = async (payload) => {
+    const catalog = await loadTermCatalog();
+    const penaltyKeys = Object.keys(payload.preTerminationPenalties || {}).filter((key) => key !== 'default');
+    const unknownTerms = [...getTermTableKeys(payload), ...penaltyKeys].filter((key) => !catalog[key]);
+
+    if (unknownTerms.length) {
+        throw createHttpError(400, `Unknown time deposit terms: ${[...new Set(unknownTerms)].join(', ')}`, 'UNKNOWN_TERM');
+    }
+
+    return Object.values(catalog).filter((definition) => definition.enabled).map((definition) => definition.key);
+};
+
+const toIsoString = (value) => {
+    const timestamp = getTimestampMs(value);
+    return timestamp === null ? null : new Date(timestamp).toISOString();
+};
+
+const getRatesDocRef = (db, docId = DEFAULT_RATES_DOC_ID) =>
+    db.collection(INVESTMENT_RATES_COLLECTION).doc(docId);
+
+// Pass a transaction to read the versions as part of it, e.g. before numbering a new version
+const fetchVersionDocs = async (ratesDocRef, transaction = null) => {
+    const query = ratesDocRef.collection(RATE_VERSIONS_SUBCOLLECTION);
+    const snapshot = await (transaction ? transaction.get(query) : query.get());
+    return snapshot.docs.sort(
+        (a, b) => (getTimestampMs(b.data().effectiveFrom) || 0) - (getTimestampMs(a.data().effectiveFrom) || 0)
+    );
+};
+
+// Newest version whose effectiveFrom is at or before asOf (versionDocs sorted newest first)
+const findVersionInEffect = (versionDocs, asOfMs) =>
+    versionDocs.find((doc) => (getTimestampMs(doc.data().effectiveFrom) || 0) <= asOfMs) || null;
+
+const normalizeVersion = (doc, currentVersionId = null) => {
+    const data = doc.data() || {};
+
+    return {
+        versionId: doc.id,
+        version: Number(data.version || 0),
+        effectiveFrom: toIsoString(data.effectiveFrom),
+        createdAt: toIsoString(data.createdAt),
+        createdBy: data.createdBy || null,
+        approvedBy: data.approvedBy || null,
+        note: data.note || '',
+        previousVersionId: data.previousVersionId || null,
+        isCurrent: doc.id === currentVersionId,
+        ...normalizeRatesPayload(data)
+    };
+};
+
+/**
+ * Resolve the rate table in effect at a point in time.
+ * Falls back to the investmentRates document itself while no versions have been recorded.
+ * Read-only: the base document is only rewritten when a version is recorded, so rates should be
+ * read through here rather than from investmentRates/{docId} directly.
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - Point in time (defaults to now)
+ * @param {string} [options.docId] - Rates document id
+ * @returns {Promise<{versionId: string|null, effectiveFrom: string|null, rates: Object}>}
+ */
+const resolveRatesVersion = async ({ asOf, docId = DEFAULT_RATES_DOC_ID } = {}) => {
     const db = getFirestore();
-    const ratesDocRef = db.collection(INVESTMENT_RATES_COLLECTION).doc(docId);
-    const ratesDoc = await ratesDocRef.get();
+    const ratesDocRef = getRatesDocRef(db, docId);
+    const [ratesDoc, versionDocs] = await Promise.all([ratesDocRef.get(), fetchVersionDocs(ratesDocRef)]);
+    const asOfMs = (asOf || new Date()).getTime();
+    const versionDoc = findVersionInEffect(versionDocs, asOfMs);
+
+    if (!versionDoc) {
+        if (!ratesDoc.exists) {
+            throw new Error('Investment rates configuration is missing');
+        }
+
+        const legacyRates = normalizeRatesPayload(ratesDoc.data() || {});
+        validateRequiredRates(legacyRates);
+        return { versionId: null, effectiveFrom: null, rates: { ...legacyRates, versionId: null } };
+    }
+
+    const versionData = versionDoc.data() || {};
+    const rates = normalizeRatesPayload(versionData);
+    validateRequiredRates(rates);
+
+    return {
+        versionId: versionDoc.id,
+        effectiveFrom: toIsoString(versionData.effectiveFrom),
+        rates: { ...rates, versionId: versionDoc.id }
+    };
+};
+
+/**
+ * Rates of one stored version, e.g. the version a deposit was booked with
+ * @param {string} versionId
+ * @param {string} [docId] - Rates document id
+ * @returns {Promise<Object|null>} Normalized rates carrying versionId; null when the version does not exist
+ */
+const loadRatesVersionById = async (versionId, docId = DEFAULT_RATES_DOC_ID) => {
+    const versionDoc = await getRatesDocRef(getFirestore(), docId)
+        .collection(RATE_VERSIONS_SUBCOLLECTION)
+        .doc(versionId)
+        .get();
+
+    if (!versionDoc.exists) {
+        return null;
+    }
+    return { ...normalizeRatesPayload(versionDoc.data() || {}), versionId: versionDoc.id };
+};
+
+const getRatesDocIdForCurrency = (currency) =>
+    RATES_DOC_IDS_BY_CURRENCY[currency] || DEFAULT_RATES_DOC_ID;
+
+/**
+ * Normalized rates in effect at asOf (now by default). The returned object carries versionId.
+ */
+const loadInvestmentRates = async (docId = DEFAULT_RATES_DOC_ID, { asOf } = {}) => {
+    const { rates } = await resolveRatesVersion({ docId, asOf });
+    return rates;
+};
+
+// Tables left out of a payload carry over from the version in effect at effectiveFrom
+const mergeRatesPayload = ({ existingVersions, baseData, payload, effectiveMs, requiredTerms }) => {
+    const previousDoc = findVersionInEffect(existingVersions, effectiveMs);
+    const previousTables = previousDoc
+        ? pickRateTables(previousDoc.data() || {})
+        : pickRateTables(baseData);
+    const merged = normalizeRatesPayload({ ...previousTables, ...pickRateTables(payload) });
+
+    try {
+        validateRequiredRates(merged, requiredTerms);
+    } catch (error) {
+        throw createHttpError(400, error.message, 'INVALID_RATES');
+    }
+
+    return {
+        previousDoc,
+        previousTables,
+        merged,
+        changes: diffRateTables(previousTables, merged)
+    };
+};
+
+/**
+ * Queue a new rate version on a transaction. The first version also snapshots the pre-versioning
+ * document so deposits created before versioning still resolve to the rates they used.
+ * Callers must have finished their transaction reads.
+ */
+const writeRatesVersion = ({ transaction, ratesDocRef, baseData, existingVersions, payload, effectiveFrom, note, author, approvedBy = null, requiredTerms }) => {
+    const versionsRef = ratesDocRef.collection(RATE_VERSIONS_SUBCOLLECTION);
+    const effectiveMs = effectiveFrom.getTime();
+    const nowMs = Date.now();
+
+    const baselineVersion = existingVersions.length ? null : {
+        ref: versionsRef.doc(),
+        data: {
+            ...pickRateTables(baseData),
+            version: 1,
+            effectiveFrom: admin.firestore.Timestamp.fromMillis(0),
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            createdBy: null,
+            note: `Baseline imported from ${INVESTMENT_RATES_COLLECTION}/${ratesDocRef.id} when versioning was enabled`,
+            previousVersionId: null
+        }
+    };
+
+    const { previousDoc, merged, changes } = mergeRatesPayload({ existingVersions, baseData, payload, effectiveMs, requiredTerms });
+    const latestVersion = existingVersions.reduce(
+        (max, doc) => Math.max(max, Number(doc.data().version || 0)),
+        baselineVersion ? 1 : 0
+    );
+    const previousVersionId = previousDoc ? previousDoc.id : (baselineVersion ? baselineVersion.ref.id : null);
+    const versionRef = versionsRef.doc();
+    const versionData = {
+        ...merged,
+        version: latestVersion + 1,
+        effectiveFrom: admin.firestore.Timestamp.fromDate(effectiveFrom),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        createdBy: author,
+        approvedBy,
+        note: String(note || '').trim(),
+        previousVersionId
+    };
+
+    if (baselineVersion) {
+        transaction.set(baselineVersion.ref, baselineVersion.data);
+    }
+    transaction.set(versionRef, versionData);
+
+    const laterVersionInEffect = existingVersions.some((doc) => {
+        const ms = getTimestampMs(doc.data().effectiveFrom) || 0;
+        return ms > effectiveMs && ms <= nowMs;
+    });
+    const isLive = effectiveMs <= nowMs && !laterVersionInEffect;
+
+    if (isLive) {
+        transaction.set(ratesDocRef, {
+            ...merged,
+            currentVersionId: versionRef.id,
+            effectiveFrom: versionData.effectiveFrom,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+    }
+
+    return {
+        versionId: versionRef.id,
+        version: versionData.version,
+        effectiveFrom: effectiveFrom.toISOString(),
+        note: versionData.note,
+        createdBy: author,
+        approvedBy,
+        previousVersionId,
+        isLive,
+        changes,
+        ...merged
+    };
+};
+
+const toActorRecord = (adminUser) => {
+    const actor = resolveActor(adminUser);
+    return {
+        id: actor.id,
+        email: actor.email,
+        displayName: actor.name
+    };
+};
+
+const normalizeProposal = (doc) => {
+    const data = doc.data() || {};
+
+    return {
+        proposalId: doc.id,
+        status: data.status,
+        payload: data.payload || {},
+        proposedRates: data.proposedRates || {},
+        changedTables: data.changedTables || [],
+        effectiveFrom: toIsoString(data.effectiveFrom),
+        note: data.note || '',
+        baseVersionId: data.baseVersionId || null,
+        submittedBy: data.submittedBy || null,
+        submittedAt: toIsoString(data.submittedAt),
+        reviewedBy: data.reviewedBy || null,
+        reviewedAt: toIsoString(data.reviewedAt),
+        reviewNote: data.reviewNote || null,
+        versionId: data.versionId || null
+    };
+};
+
+/**
+ * Submit a rate change for approval (maker step). Nothing goes live until a different admin approves it.
+ * @param {Object} options
+ * @param {Object} options.payload - Rate tables to change (term keys, agentRates, preTerminationPenalties)
+ * @param {Date|null} [options.effectiveFrom=null] - Requested effective date; null means on approval
+ * @param {string} options.note - Change note
+ * @param {Object} options.adminUser - Submitting admin
+ * @param {string} [options.docId] - Rates document id
+ * @returns {Promise<Object>} The pending proposal
+ */
+const submitRatesProposal = async ({ payload, effectiveFrom = null, note, adminUser, docId = DEFAULT_RATES_DOC_ID }) => {
+    const db = getFirestore();
+    const ratesDocRef = getRatesDocRef(db, docId);
+    const [ratesDoc, existingVersions] = await Promise.all([ratesDocRef.get(), fetchVersionDocs(ratesDocRef)]);
 
     if (!ratesDoc.exists) {
-        throw new Error('Investment rates configuration is missing');
+        throw createHttpError(404, 'Investment rates document not found', 'RATES_NOT_FOUND');
+    }
+
+    const submittedPayload = pickRateTables(payload);
+    const requiredTerms = await validatePayloadTerms(submittedPayload);
+    const { previousDoc, merged, changes } = mergeRatesPayload({
+        existingVersions,
+        baseData: ratesDoc.data() || {},
+        payload: submittedPayload,
+        effectiveMs: (effectiveFrom || new Date()).getTime(),
+        requiredTerms
+    });
+
+    if (!changes.changedTables.length) {
+        throw createHttpError(400, 'Proposed rates are identical to the rates in effect', 'NO_RATE_CHANGES');
+    }
+
+    const proposalRef = ratesDocRef.collection(RATE_PROPOSALS_SUBCOLLECTION).doc();
+    const proposalData = {
+        status: PROPOSAL_STATUS.PENDING,
+        payload: submittedPayload,
+        proposedRates: merged,
+        changedTables: changes.changedTables,
+        effectiveFrom: effectiveFrom ? admin.firestore.Timestamp.fromDate(effectiveFrom) : null,
+        note: String(note || '').trim(),
+        baseVersionId: previousDoc ? previousDoc.id : null,
+        submittedBy: toActorRecord(adminUser),
+        submittedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    const batch = db.batch();
+    batch.set(proposalRef, proposalData);
+    writeAdminHistoryLog(db, batch, adminUser, {
+        action: 'Submit Investment Rates Proposal',
+        resourceType: 'INVESTMENT_RATES',
+        resourceId: docId,
+        proposalId: proposalRef.id,
+        updatedTerms: changes.changedTables,
+        details: `Submitted investment rates proposal ${proposalRef.id} (${docId}) changing ${changes.changedTables.join(', ')}${effectiveFrom ? `, effective ${effectiveFrom.toISOString()}` : ', effective on approval'}. Note: ${proposalData.note}`
+    });
+    await batch.commit();
+
+    return {
+        ...normalizeProposal({ id: proposalRef.id, data: () => ({ ...proposalData, submittedAt: new Date() }) }),
+        changes
+    };
+};
+
+const getPendingProposal = (proposalDoc, adminUser) => {
+    if (!proposalDoc.exists) {
+        throw createHttpError(404, 'Rates proposal not found', 'RATES_PROPOSAL_NOT_FOUND');
+    }
+
+    const data = proposalDoc.data() || {};
+    if (data.status !== PROPOSAL_STATUS.PENDING) {
+        throw createHttpError(409, `Rates proposal is already ${data.status}`, 'RATES_PROPOSAL_NOT_PENDING');
+    }
+
+    if (isSelfReview(data, resolveActor(adminUser).id)) {
+        throw createHttpError(403, 'A rates proposal must be reviewed by a different admin', 'SELF_REVIEW_NOT_ALLOWED');
+    }
+
+    return data;
+};
+
+/**
+ * Approve a pending proposal (checker step) and record it as a rate version.
+ * The payload is re-validated against the term catalog and the rates in effect at approval time; a requested
+ * effectiveFrom that has already passed takes effect immediately instead of being backdated.
+ * @returns {Promise<{proposal: Object, version: Object}>}
+ */
+const approveRatesProposal = async ({ proposalId, reviewNote, adminUser, docId = DEFAULT_RATES_DOC_ID }) => {
+    const db = getFirestore();
+    const ratesDocRef = getRatesDocRef(db, docId);
+    const proposalRef = ratesDocRef.collection(RATE_PROPOSALS_SUBCOLLECTION).doc(proposalId);
+
+    return db.runTransaction(async (transaction) => {
+        const proposalDoc = await transaction.get(proposalRef);
+        const ratesDoc = await transaction.get(ratesDocRef);
+        // Read with the transaction so two approvals can never get the same version number
+        const existingVersions = await fetchVersionDocs(ratesDocRef, transaction);
+        const data = getPendingProposal(proposalDoc, adminUser);
+
+        if (!ratesDoc.exists) {
+            throw createHttpError(404, 'Investment rates document not found', 'RATES_NOT_FOUND');
+        }
+
+        // The term catalog may have changed since submission
+        const requiredTerms = await validatePayloadTerms(data.payload || {});
+
+        const requestedMs = getTimestampMs(data.effectiveFrom);
+        const effectiveFrom = new Date(Math.max(requestedMs || 0, Date.now()));
+        const reviewer = toActorRecord(adminUser);
+
+        const version = writeRatesVersion({
+            transaction,
+            ratesDocRef,
+            baseData: ratesDoc.data() || {},
+            existingVersions,
+            payload: data.payload || {},
+            effectiveFrom,
+            note: data.note,
+            author: data.submittedBy || null,
+            approvedBy: reviewer,
+            requiredTerms
+        });
+
+        const review = {
+            status: PROPOSAL_STATUS.APPROVED,
+            reviewedBy: reviewer,
+            reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+            reviewNote: reviewNote ? String(reviewNote).trim() : null,
+            versionId: version.versionId
+        };
+        transaction.update(proposalRef, review);
+
+        writeAdminHistoryLog(db, transaction, adminUser, {
+            action: 'Approve Investment Rates Proposal',
+            resourceType: 'INVESTMENT_RATES',
+            resourceId: docId,
+            proposalId,
+            versionId: version.versionId,
+            version: version.version,
+            submittedBy: data.submittedBy || null,
+            updatedTerms: version.changes.changedTables,
+            details: `Approved investment rates proposal ${proposalId} from ${(data.submittedBy && (data.submittedBy.displayName || data.submittedBy.email)) || 'unknown'} as version ${version.version} (${docId}) effective ${version.effectiveFrom}${version.isLive ? ' (live now)' : ''}. Changed: ${version.changes.changedTables.join(', ') || 'nothing'}.`
+        });
+
+        return {
+            proposal: normalizeProposal({ id: proposalId, data: () => ({ ...data, ...review, reviewedAt: new Date() }) }),
+            version
+        };
+    });
+};
+
+/**
+ * Reject a pending proposal (checker step). Nothing is written to the rate versions.
+ */
+const rejectRatesProposal = async ({ proposalId, reason, adminUser, docId = DEFAULT_RATES_DOC_ID }) => {
+    const db = getFirestore();
+    const proposalRef = getRatesDocRef(db, docId).collection(RATE_PROPOSALS_SUBCOLLECTION).doc(proposalId);
+
+    return db.runTransaction(async (transaction) => {
+        const proposalDoc = await transaction.get(proposalRef);
+        const data = getPendingProposal(proposalDoc, adminUser);
+
+        const review = {
+            status: PROPOSAL_STATUS.REJECTED,
+            reviewedBy: toActorRecord(adminUser),
+            reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+            reviewNote: String(reason || '').trim()
+        };
+        transaction.update(proposalRef, review);
+
+        writeAdminHistoryLog(db, transaction, adminUser, {
+            action: 'Reject Investment Rates Proposal',
+            resourceType: 'INVESTMENT_RATES',
+            resourceId: docId,
+            proposalId,
+            submittedBy: data.submittedBy || null,
+            updatedTerms: data.changedTables || [],
+            details: `Rejected investment rates proposal ${proposalId} (${docId}) changing ${(data.changedTables || []).join(', ')}. Reason: ${review.reviewNote}`
+        });
+
+        return normalizeProposal({ id: proposalId, data: () => ({ ...data, ...review, reviewedAt: new Date() }) });
+    });
+};
+
+/**
+ * Rate proposals, newest first, optionally filtered by status
+ */
+const listRatesProposals = async ({ status, page = 1, limit = 20, docId = DEFAULT_RATES_DOC_ID } = {}) => {
+    const db = getFirestore();
+    const snapshot = await getRatesDocRef(db, docId).collection(RATE_PROPOSALS_SUBCOLLECTION).get();
+    const items = snapshot.docs
+        .map(normalizeProposal)
+        .filter((proposal) => !status || proposal.status === status)
+        .sort((a, b) => (Date.parse(b.submittedAt) || 0) - (Date.parse(a.submittedAt) || 0));
+    const start = (page - 1) * limit;
+
+    return {
+        items: items.slice(start, start + limit),
+        pagination: {
+            total: items.length,
+            page,
+            limit,
+            totalPages: Math.ceil(items.length / limit)
+        }
+    };
+};
+
+/**
+ * Rate versions newest effectiveFrom first, flagged with the one in effect now
+ */
+const listRatesVersions = async ({ page = 1, limit = 20, docId = DEFAULT_RATES_DOC_ID } = {}) => {
+    const db = getFirestore();
+    const versionDocs = await fetchVersionDocs(getRatesDocRef(db, docId));
+    const current = findVersionInEffect(versionDocs, Date.now());
+    const total = versionDocs.length;
+    const start = (page - 1) * limit;
+
+    return {
+        items: versionDocs
+            .slice(start, start + limit)
+            .map((doc) => normalizeVersion(doc, current ? current.id : null)),
+        pagination: {
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+};
+
+/**
+ * Compare two versions table by table
+ */
+const diffRatesVersions = async ({ fromVersionId, toVersionId, docId = DEFAULT_RATES_DOC_ID }) => {
+    const db = getFirestore();
+    const versionsRef = getRatesDocRef(db, docId).collection(RATE_VERSIONS_SUBCOLLECTION);
+    const [fromDoc, toDoc] = await Promise.all([
+        versionsRef.doc(fromVersionId).get(),
+        versionsRef.doc(toVersionId).get()
+    ]);
+
+    const missing = [[fromVersionId, fromDoc], [toVersionId, toDoc]].filter(([, doc]) => !doc.exists);
+    if (missing.length) {
+        throw createHttpError(404, `Rate version not found: ${missing.map(([id]) => id).join(', ')}`, 'RATE_VERSION_NOT_FOUND');
     }
 
-    const normalizedRates = normalizeRatesPayload(ratesDoc.data() || {});
-    validateRequiredRates(normalizedRates);
+    const from = normalizeVersion(fromDoc);
+    const to = normalizeVersion(toDoc);
 
-    return normalizedRates;
+    return {
+        from: { versionId: from.versionId, version: from.version, effectiveFrom: from.effectiveFrom, note: from.note },
+        to: { versionId: to.versionId, version: to.version, effectiveFrom: to.effectiveFrom, note: to.note },
+        ...diffRateTables(pickRateTables(fromDoc.data() || {}), pickRateTables(toDoc.data() || {}))
+    };
 };
 
 const getRatesForTerm = (rates, term) => {
@@ -54,8 +603,23 @@ const getRatesForTerm = (rates, term) => {
 
 module.exports = {
     INVESTMENT_RATES_COLLECTION,
+    RATE_VERSIONS_SUBCOLLECTION,
+    RATE_PROPOSALS_SUBCOLLECTION,
+    PROPOSAL_STATUS,
     DEFAULT_RATES_DOC_ID,
+    RATES_DOC_IDS_BY_CURRENCY,
+    getRatesDocIdForCurrency,
+    resolveRatesVersion,
     loadInvestmentRates,
+    loadRatesVersionById,
+    submitRatesProposal,
+    approveRatesProposal,
+    rejectRatesProposal,
+    listRatesProposals,
+    listRatesVersions,
+    diffRatesVersions,
     getRatesForTerm,
-    normalizeRatesPayload
+    getPenaltyScheduleForTerm,
+    normalizeRatesPayload,
+    validateRequiredRates
 };
\ No newline at end of file
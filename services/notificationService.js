@@ -0,0 +1,72 @@
+const { admin } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+const NOTIFICATIONS_SUBCOLLECTION = 'notifications';
+const PUSH_NOTIFICATION_URL = 'https://app.nativenotify.com/api/indie/notification';
+
+/**
+ * Add an in-app notification to users/{uid}/notifications as part of a batch or transaction,
+ * so it is only saved when the change it describes is.
+ * @param {Object} writer - Firestore batch or transaction
+ * @param {Object} userRef - users document reference
+ * @param {Object} notification - { title, message, type, ...extra fields }
+ * @returns {Object} The notification document reference
+ */
+const queueUserNotification = (writer, userRef, { title, message, type, ...extra }) => {
+    const notificationRef = userRef.collection(NOTIFICATIONS_SUBCOLLECTION).doc();
+    writer.set(notificationRef, {
+        ...extra,
+        title,
+        message,
+        type,
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return notificationRef;
+};
+
+/**
+ * Best-effort push notification through NativeNotify. Off unless NATIVE_NOTIFY_APP_ID and
+ * NATIVE_NOTIFY_APP_TOKEN are set; failures are logged and never thrown.
+ * @param {Object} options
+ * @param {string} options.userId - users document id (the app subscribes with it)
+ * @param {string} options.title
+ * @param {string} options.message
+ * @returns {Promise<boolean>} Whether the push was accepted
+ */
+const sendPushNotification = async ({ userId, title, message }) => {
+    const appId = process.env.NATIVE_NOTIFY_APP_ID;
+    const appToken = process.env.NATIVE_NOTIFY_APP_TOKEN;
+
+    if (!appId || !appToken) {
+        return false;
+    }
+
+    try {
+        const response = await fetch(PUSH_NOTIFICATION_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                subID: userId,
+                appId: Number(appId),
+                appToken,
+                title,
+                message
+            })
+        });
+
+        if (!response.ok) {
+            logger.warn({ userId, status: response.status }, 'Push notification was not accepted');
+        }
+        return response.ok;
+    } catch (error) {
+        logger.warn({ err: error, userId }, 'Failed to send push notification');
+        return false;
+    }
+};
+
+module.exports = {
+    NOTIFICATIONS_SUBCOLLECTION,
+    queueUserNotification,
+    sendPushNotification
+};
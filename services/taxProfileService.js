@@ -0,0 +1,160 @@
+const { getFirestore } = require('../config/firebase');
+const { writeAdminHistoryLog } = require('../utils/adminHistoryLogs');
+const {
+    INCOME_TYPES,
+    DEFAULT_TAX_PROFILE_KEY,
+    normalizeTaxProfile,
+    normalizeTaxProfileCatalog,
+    resolveTaxProfile
+} = require('../utils/taxProfiles');
+const { createHttpError } = require('../utils/httpError');
+
+const TAX_PROFILES_COLLECTION = 'taxProfiles';
+const USERS_COLLECTION = 'users';
+
+const getDisplayName = (userData, fallbackId) =>
+    `${userData.firstName || ''} ${userData.lastName || ''}`.trim() || userData.emailAddress || fallbackId;
+
+/**
+ * Load the tax profile catalog ({ key: profile }), built-in profiles included
+ */
+const loadTaxProfiles = async () => {
+    const db = getFirestore();
+    const snapshot = await db.collection(TAX_PROFILES_COLLECTION).get();
+
+    return normalizeTaxProfileCatalog(
+        Object.fromEntries(snapshot.docs.map((doc) => [doc.id, doc.data() || {}]))
+    );
+};
+
+const listTaxProfiles = async () => {
+    const catalog = await loadTaxProfiles();
+    return Object.values(catalog).sort((a, b) => a.key.localeCompare(b.key));
+};
+
+/**
+ * Resolve the interest or commission tax profile for each user
+ * @param {Array<Object>} usersData - users document data
+ * @param {string} incomeType - 'interest' or 'commission'
+ * @param {Object} [catalog] - Preloaded catalog
+ * @returns {Promise<Array<Object>>} Profiles in the same order
+ */
+const resolveTaxProfilesForUsers = async (usersData, incomeType, catalog) => {
+    const profiles = catalog || await loadTaxProfiles();
+    return usersData.map((userData) => resolveTaxProfile(profiles, userData || {}, incomeType));
+};
+
+const upsertTaxProfile = async ({ key, profile, adminUser }) => {
+    const normalized = normalizeTaxProfile(key, profile);
+
+    if (!normalized) {
+        throw createHttpError(400, 'Tax rate must be a fraction between 0 and 1', 'INVALID_TAX_PROFILE');
+    }
+
+    const db = getFirestore();
+    const profileRef = db.collection(TAX_PROFILES_COLLECTION).doc(key);
+    const existing = await profileRef.get();
+    const batch = db.batch();
+
+    batch.set(profileRef, normalized);
+
+    writeAdminHistoryLog(db, batch, adminUser, {
+        action: existing.exists ? 'Update Tax Profile' : 'Create Tax Profile',
+        resourceType: 'TAX_PROFILE',
+        resourceId: key,
+        taxProfile: normalized,
+        details: `${existing.exists ? 'Updated' : 'Created'} tax profile ${normalized.label} (${key}) at ${Number((normalized.rate * 100).toFixed(4))}% withholding.`
+    });
+
+    await batch.commit();
+    return normalized;
+};
+
+const findUserRef = async (db, userId) => {
+    const docRef = db.collection(USERS_COLLECTION).doc(userId);
+    const directDoc = await docRef.get();
+
+    if (directDoc.exists) {
+        return { ref: docRef, snapshot: directDoc };
+    }
+
+    const snapshot = await db.collection(USERS_COLLECTION).where('userId', '==', userId).limit(1).get();
+    if (snapshot.empty) {
+        throw createHttpError(404, 'User not found', 'USER_NOT_FOUND');
+    }
+
+    return { ref: snapshot.docs[0].ref, snapshot: snapshot.docs[0] };
+};
+
+const describeAssignments = (catalog, userRef, userData) => ({
+    userId: userRef.id,
+    assigned: Object.fromEntries(INCOME_TYPES.map((type) => [type, (userData.taxProfiles || {})[type] || null])),
+    effective: Object.fromEntries(INCOME_TYPES.map((type) => [type, resolveTaxProfile(catalog, userData, type)]))
+});
+
+const getUserTaxProfiles = async ({ userId }) => {
+    const db = getFirestore();
+    const [catalog, userLookup] = await Promise.all([loadTaxProfiles(), findUserRef(db, userId)]);
+    return describeAssignments(catalog, userLookup.ref, userLookup.snapshot.data() || {});
+};
+
+/**
+ * Assign tax profiles to a user per income type. null clears an assignment (standard applies).
+ * Deposits and commissions already booked keep the profile they were created with.
+ * @param {Object} options
+ * @param {string} options.userId
+ * @param {Object} options.assignments - { interest?: string|null, commission?: string|null }
+ * @param {Object} options.adminUser
+ */
+const assignUserTaxProfiles = async ({ userId, assignments, adminUser }) => {
+    const db = getFirestore();
+    const [catalog, userLookup] = await Promise.all([loadTaxProfiles(), findUserRef(db, userId)]);
+    const userData = userLookup.snapshot.data() || {};
+    const next = { ...(userData.taxProfiles || {}) };
+
+    INCOME_TYPES.forEach((type) => {
+        if (assignments[type] === undefined) {
+            return;
+        }
+
+        if (assignments[type] !== null && !catalog[assignments[type]]) {
+            throw createHttpError(400, `Unknown tax profile: ${assignments[type]}`, 'UNKNOWN_TAX_PROFILE');
+        }
+
+        if (assignments[type] === null) {
+            delete next[type];
+        } else {
+            next[type] = assignments[type];
+        }
+    });
+
+    const batch = db.batch();
+    batch.update(userLookup.ref, { taxProfiles: next });
+
+    const targetUserName = getDisplayName(userData, userLookup.ref.id);
+    const summary = INCOME_TYPES.map((type) => `${type}: ${next[type] || DEFAULT_TAX_PROFILE_KEY}`).join(', ');
+
+    writeAdminHistoryLog(db, batch, adminUser, {
+        action: 'Assign Tax Profiles',
+        targetUserId: userData.userId || userLookup.ref.id,
+        targetUserName,
+        previousTaxProfiles: userData.taxProfiles || {},
+        taxProfiles: next,
+        resourceType: 'USER',
+        resourceId: userData.userId || userLookup.ref.id,
+        details: `Set tax profiles for user ${targetUserName} (${summary}).`
+    });
+
+    await batch.commit();
+    return describeAssignments(catalog, userLookup.ref, { ...userData, taxProfiles: next });
+};
+
+module.exports = {
+    TAX_PROFILES_COLLECTION,
+    loadTaxProfiles,
+    listTaxProfiles,
+    resolveTaxProfilesForUsers,
+    upsertTaxProfile,
+    getUserTaxProfiles,
+    assignUserTaxProfiles
+};
@@ -0,0 +1,102 @@
+const { getFirestore } = require('../config/firebase');
+const { writeAdminHistoryLog } = require('../utils/adminHistoryLogs');
+const {
+    DEFAULT_TERM_CATALOG,
+    normalizeTermDefinition,
+    normalizeTermCatalog
+} = require('../utils/termCatalog');
+const { createHttpError } = require('../utils/httpError');
+
+const TERMS_COLLECTION = 'timeDepositTerms';
+
+const sortByMonths = (definitions) =>
+    definitions.sort((a, b) => a.months - b.months || a.key.localeCompare(b.key));
+
+/**
+ * Load the term catalog ({ key: definition }). Falls back to the built-in terms while
+ * the timeDepositTerms collection is empty.
+ */
+const loadTermCatalog = async () => {
+    const db = getFirestore();
+    const snapshot = await db.collection(TERMS_COLLECTION).get();
+
+    if (snapshot.empty) {
+        return { ...DEFAULT_TERM_CATALOG };
+    }
+
+    return normalizeTermCatalog(
+        Object.fromEntries(snapshot.docs.map((doc) => [doc.id, doc.data() || {}]))
+    );
+};
+
+/**
+ * Resolve a term key to its definition for a new quote or deposit
+ * @param {string} key - Term key
+ * @param {Object} [options]
+ * @param {boolean} [options.requireEnabled=true] - Reject disabled terms
+ * @returns {Promise<Object>} Term definition
+ */
+const getTermDefinition = async (key, { requireEnabled = true } = {}) => {
+    const catalog = await loadTermCatalog();
+    const definition = catalog[key];
+
+    if (!definition) {
+        throw createHttpError(400, `Unsupported term: ${key}`, 'UNSUPPORTED_TERM');
+    }
+
+    if (requireEnabled && !definition.enabled) {
+        throw createHttpError(400, `Term ${definition.label} is not available for new deposits`, 'TERM_DISABLED');
+    }
+
+    return definition;
+};
+
+const listTerms = async ({ enabledOnly = false } = {}) => {
+    const catalog = await loadTermCatalog();
+    return sortByMonths(Object.values(catalog).filter((definition) => !enabledOnly || definition.enabled));
+};
+
+/**
+ * Create or replace a term definition. Existing deposits keep the term they were opened with.
+ * The first write copies the built-in terms into Firestore so they stay available.
+ */
+const upsertTerm = async ({ key, definition, adminUser }) => {
+    const normalized = normalizeTermDefinition(key, definition);
+
+    if (!normalized) {
+        throw createHttpError(400, 'Term length must be a whole number of payout cycles', 'INVALID_TERM');
+    }
+
+    const db = getFirestore();
+    const termsRef = db.collection(TERMS_COLLECTION);
+    const snapshot = await termsRef.get();
+    const existing = snapshot.docs.find((doc) => doc.id === key);
+    const batch = db.batch();
+
+    if (snapshot.empty) {
+        Object.values(DEFAULT_TERM_CATALOG)
+            .filter((defaultTerm) => defaultTerm.key !== key)
+            .forEach((defaultTerm) => batch.set(termsRef.doc(defaultTerm.key), defaultTerm));
+    }
+
+    batch.set(termsRef.doc(key), normalized);
+
+    writeAdminHistoryLog(db, batch, adminUser, {
+        action: existing ? 'Update Time Deposit Term' : 'Create Time Deposit Term',
+        resourceType: 'TIME_DEPOSIT_TERM',
+        resourceId: key,
+        term: normalized,
+        details: `${existing ? 'Updated' : 'Created'} time deposit term ${normalized.label} (${key}): ${normalized.months} months, ${normalized.cycleMonths}-month cycles, ${normalized.enabled ? 'enabled' : 'disabled'}.`
+    });
+
+    await batch.commit();
+    return normalized;
+};
+
+module.exports = {
+    TERMS_COLLECTION,
+    loadTermCatalog,
+    getTermDefinition,
+    listTerms,
+    upsertTerm
+};
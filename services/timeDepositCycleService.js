@@ -0,0 +1,321 @@
+const { admin, getFirestore } = require('../config/firebase');
+const logger = require('../utils/logger');
+const {
+    TAX_RATE,
+    roundTo,
+    parseNumeric,
+    calculateCycleBoundaries,
+    countDueCycles,
+    calculateCycleInterest
+} = require('../utils/timeDepositCalculator');
+const { getTimestampMs } = require('../utils/firestoreUtils');
+const { getDepositTerm } = require('../utils/termCatalog');
+const {
+    DEFAULT_CURRENCY,
+    getDepositCurrency,
+    formatMoney,
+    buildBalanceUpdate,
+    sumByCurrency
+} = require('../utils/currency');
+const { writeAdminHistoryLog } = require('../utils/adminHistoryLogs');
+const {
+    TIME_DEPOSITS_SUBCOLLECTION,
+    TRANSACTIONS_SUBCOLLECTION,
+    formatDate,
+    isActiveDeposit,
+    getDisplayName
+} = require('./timeDepositService');
+const { createHttpError } = require('../utils/httpError');
+
+const INTEREST_PAYOUT_TYPE = 'Time Deposit Interest Payout';
+
+/**
+ * Work out which cycles of a deposit are due and not yet paid
+ * @param {Object} data - inspireAuto document data
+ * @param {Date} asOf - Cut-off date
+ * @returns {Object|null} Cycle plan, or null when the deposit has no usable schedule
+ */
+const planDueCycles = (data = {}, asOf = new Date()) => {
+    const term = data.contractType || data.term;
+    const termDefinition = getDepositTerm(data);
+    const initialMs = getTimestampMs(data.initialDate);
+
+    if (initialMs === null || !termDefinition) {
+        return null;
+    }
+
+    let boundaries;
+    try {
+        boundaries = calculateCycleBoundaries(new Date(initialMs), termDefinition);
+    } catch (_) {
+        return null;
+    }
+
+    const paidCycles = Math.max(Number.parseInt(data.currentCycleCount, 10) || 0, 0);
+    const dueCycles = countDueCycles(boundaries, asOf);
+    const taxRate = Number.isFinite(parseNumeric(data.taxRate)) ? parseNumeric(data.taxRate) : TAX_RATE;
+    const interest = calculateCycleInterest({
+        amount: data.amount,
+        finalInterestRate: data.rate ?? data.finalInterestRate,
+        taxRate,
+        cycleMonths: termDefinition.cycleMonths
+    });
+
+    const cyclesToPay = boundaries
+        .filter((boundary) => boundary.cycle > paidCycles && boundary.cycle <= dueCycles)
+        .map((boundary) => ({
+            ...boundary,
+            ...interest
+        }));
+
+    return {
+        term,
+        currency: getDepositCurrency(data),
+        taxRate,
+        totalCycles: boundaries.length,
+        paidCycles,
+        dueCycles,
+        cyclesToPay,
+        nextCycleDate: boundaries[dueCycles] ? boundaries[dueCycles].endDate : null
+    };
+};
+
+const describeCyclePlan = (doc, plan) => {
+    const data = doc.data() || {};
+    const netTotal = roundTo(plan.cyclesToPay.reduce((sum, cycle) => sum + cycle.netInterest, 0), 2);
+
+    return {
+        id: doc.id,
+        userId: doc.ref.parent.parent.id,
+        displayId: data.displayId,
+        term: plan.term,
+        currency: plan.currency,
+        paidCycles: plan.paidCycles,
+        dueCycles: plan.dueCycles,
+        totalCycles: plan.totalCycles,
+        cycles: plan.cyclesToPay.map((cycle) => ({
+            cycle: cycle.cycle,
+            startDate: formatDate(cycle.startDate),
+            endDate: formatDate(cycle.endDate),
+            grossInterest: cycle.grossInterest,
+            taxAmount: cycle.taxAmount,
+            netInterest: cycle.netInterest
+        })),
+        netTotal
+    };
+};
+
+/**
+ * Book one interest payout transaction per cycle in plan.cyclesToPay, with gross, tax withheld
+ * and net. Each cycle's document id is deterministic, so a cycle can never be booked twice.
+ * Balances and the deposit are left to the caller.
+ * @param {Object} options
+ * @param {FirebaseFirestore.Transaction} options.transaction
+ * @param {FirebaseFirestore.DocumentReference} options.userRef
+ * @param {FirebaseFirestore.DocumentReference} options.timeDepositRef
+ * @param {Object} options.data - inspireAuto document data
+ * @param {Object} options.plan - From planDueCycles
+ */
+const writeCyclePayouts = ({ transaction, userRef, timeDepositRef, data, plan }) => {
+    const displayId = data.displayId || timeDepositRef.id;
+    const { currency } = plan;
+
+    plan.cyclesToPay.forEach((cycle) => {
+        const txRef = userRef
+            .collection(TRANSACTIONS_SUBCOLLECTION)
+            .doc(`${timeDepositRef.id}-cycle-${cycle.cycle}`);
+
+        transaction.set(txRef, {
+            displayId: data.displayId,
+            timeDepositId: timeDepositRef.id,
+            cycle: cycle.cycle,
+            amount: cycle.netInterest,
+            currency,
+            grossAmount: cycle.grossInterest,
+            taxAmount: cycle.taxAmount,
+            netAmount: cycle.netInterest,
+            taxRate: plan.taxRate,
+            ...(data.taxProfile ? { taxProfile: data.taxProfile } : {}),
+            cycleStartDate: admin.firestore.Timestamp.fromDate(cycle.startDate),
+            cycleEndDate: admin.firestore.Timestamp.fromDate(cycle.endDate),
+            type: INTEREST_PAYOUT_TYPE,
+            description: `Time Deposit ${displayId} interest for cycle ${cycle.cycle} of ${plan.totalCycles} (${formatDate(cycle.startDate)} to ${formatDate(cycle.endDate)}). Gross: ${formatMoney(cycle.grossInterest, currency)}, Tax Withheld: ${formatMoney(cycle.taxAmount, currency)}, Net: ${formatMoney(cycle.netInterest, currency)}.`,
+            date: admin.firestore.FieldValue.serverTimestamp(),
+            contractType: plan.term
+        });
+    });
+};
+
+/**
+ * Find active time deposits that have at least one unpaid cycle due
+ * @param {Object} options
+ * @param {Date} [options.asOf=new Date()] - Cut-off date
+ * @param {number} [options.limit] - Maximum number of deposits to return
+ * @returns {Promise<Array<{doc: Object, plan: Object}>>}
+ */
+const findDepositsWithDueCycles = async ({ asOf = new Date(), limit } = {}) => {
+    const db = getFirestore();
+    const snapshot = await db.collectionGroup(TIME_DEPOSITS_SUBCOLLECTION).get();
+
+    const due = snapshot.docs
+        .filter((doc) => isActiveDeposit(doc.data() || {}))
+        .map((doc) => ({ doc, plan: planDueCycles(doc.data() || {}, asOf) }))
+        .filter(({ plan }) => plan && plan.cyclesToPay.length > 0);
+
+    return limit ? due.slice(0, limit) : due;
+};
+
+/**
+ * Pay every due, unpaid cycle of one deposit in a single Firestore transaction.
+ * currentCycleCount is the high-water mark: cycles at or below it are never paid again,
+ * and each cycle's transaction uses a deterministic document id.
+ * @param {Object} options
+ * @param {FirebaseFirestore.DocumentReference} options.timeDepositRef - inspireAuto document reference
+ * @param {Date} [options.asOf=new Date()] - Cut-off date
+ * @param {Object|null} [options.adminUser=null] - Triggering admin (null for the scheduled job)
+ * @returns {Promise<Object>} Result with status 'paid' or 'skipped'
+ */
+const payDueCycles = async ({ timeDepositRef, asOf = new Date(), adminUser = null }) => {
+    const db = getFirestore();
+    const userRef = timeDepositRef.parent.parent;
+
+    return db.runTransaction(async (transaction) => {
+        const timeDepositDoc = await transaction.get(timeDepositRef);
+        const userDoc = await transaction.get(userRef);
+
+        if (!timeDepositDoc.exists) {
+            throw createHttpError(404, 'Time deposit not found', 'TIME_DEPOSIT_NOT_FOUND');
+        }
+
+        if (!userDoc.exists) {
+            throw createHttpError(404, 'User not found', 'USER_NOT_FOUND');
+        }
+
+        const data = timeDepositDoc.data() || {};
+        const plan = planDueCycles(data, asOf);
+
+        if (!isActiveDeposit(data) || !plan || !plan.cyclesToPay.length) {
+            return {
+                id: timeDepositDoc.id,
+                userId: userRef.id,
+                displayId: data.displayId,
+                status: 'skipped',
+                reason: !isActiveDeposit(data)
+                    ? `Time deposit is ${data.status || data.isActive || 'not active'}`
+                    : 'No unpaid cycles are due'
+            };
+        }
+
+        const summary = describeCyclePlan(timeDepositDoc, plan);
+        const userData = userDoc.data() || {};
+        const displayId = data.displayId || timeDepositRef.id;
+        const lastPaidCycle = plan.cyclesToPay[plan.cyclesToPay.length - 1].cycle;
+        const grossTotal = roundTo(plan.cyclesToPay.reduce((sum, cycle) => sum + cycle.grossInterest, 0), 2);
+        const taxTotal = roundTo(plan.cyclesToPay.reduce((sum, cycle) => sum + cycle.taxAmount, 0), 2);
+        const { currency } = plan;
+
+        writeCyclePayouts({ transaction, userRef, timeDepositRef, data, plan });
+
+        transaction.update(timeDepositRef, {
+            currentCycleCount: lastPaidCycle,
+            interestPaidAmount: roundTo(Number(data.interestPaidAmount || 0) + summary.netTotal, 2),
+            lastCyclePaidAt: admin.firestore.FieldValue.serverTimestamp(),
+            nextCycleDate: plan.nextCycleDate ? admin.firestore.Timestamp.fromDate(plan.nextCycleDate) : null
+        });
+
+        transaction.update(userRef, buildBalanceUpdate(userData, currency, { available: summary.netTotal }));
+
+        const targetUserName = getDisplayName(userData, userRef.id);
+        const cycleLabel = plan.cyclesToPay.length === 1
+            ? `cycle ${lastPaidCycle}`
+            : `cycles ${plan.cyclesToPay[0].cycle}-${lastPaidCycle}`;
+
+        writeAdminHistoryLog(db, transaction, adminUser, {
+            action: 'Time Deposit Interest Payout',
+            targetUserId: userData.userId || userRef.id,
+            targetUserName,
+            amount: summary.netTotal,
+            currency,
+            grossAmount: grossTotal,
+            taxAmount: taxTotal,
+            cycles: plan.cyclesToPay.map((cycle) => cycle.cycle),
+            displayId: data.displayId,
+            resourceType: 'DEPOSIT',
+            resourceId: displayId,
+            details: `Paid ${cycleLabel} of ${plan.totalCycles} for time deposit ${displayId} (user ${targetUserName}). Gross: ${formatMoney(grossTotal, currency)}, Tax Withheld: ${formatMoney(taxTotal, currency)}, Net credited: ${formatMoney(summary.netTotal, currency)}.`
+        });
+
+        return {
+            ...summary,
+            status: 'paid'
+        };
+    });
+};
+
+/**
+ * Pay due interest cycles for every active deposit. With dryRun, only reports what would be paid.
+ * netTotal is the PHP total; netTotalsByCurrency has every currency.
+ * @param {Object} options
+ * @param {Date} [options.asOf=new Date()] - Cut-off date
+ * @param {boolean} [options.dryRun=false] - Report without writing
+ * @param {Object|null} [options.adminUser=null] - Triggering admin (null for the scheduled job)
+ * @param {number} [options.limit] - Maximum number of deposits to process
+ * @returns {Promise<Object>} Run summary
+ */
+const runCyclePayoutJob = async ({ asOf = new Date(), dryRun = false, adminUser = null, limit } = {}) => {
+    const candidates = await findDepositsWithDueCycles({ asOf, limit });
+
+    if (dryRun) {
+        const items = candidates.map(({ doc, plan }) => describeCyclePlan(doc, plan));
+        return {
+            asOf: asOf.toISOString(),
+            dryRun: true,
+            total: items.length,
+            netTotal: sumByCurrency(items, 'netTotal')[DEFAULT_CURRENCY] || 0,
+            netTotalsByCurrency: sumByCurrency(items, 'netTotal'),
+            items
+        };
+    }
+
+    const paid = [];
+    const skipped = [];
+    const failed = [];
+
+    for (const { doc } of candidates) {
+        try {
+            const result = await payDueCycles({ timeDepositRef: doc.ref, asOf, adminUser });
+            if (result.status === 'paid') {
+                paid.push(result);
+            } else {
+                skipped.push(result);
+            }
+        } catch (error) {
+            logger.error({ err: error, timeDepositPath: doc.ref.path }, 'Failed to pay time deposit cycles');
+            failed.push({
+                id: doc.id,
+                userId: doc.ref.parent.parent.id,
+                error: error.message
+            });
+        }
+    }
+
+    return {
+        asOf: asOf.toISOString(),
+        dryRun: false,
+        total: candidates.length,
+        netTotal: sumByCurrency(paid, 'netTotal')[DEFAULT_CURRENCY] || 0,
+        netTotalsByCurrency: sumByCurrency(paid, 'netTotal'),
+        paid,
+        skipped,
+        failed
+    };
+};
+
+module.exports = {
+    INTEREST_PAYOUT_TYPE,
+    planDueCycles,
+    writeCyclePayouts,
+    findDepositsWithDueCycles,
+    payDueCycles,
+    runCyclePayoutJob
+};
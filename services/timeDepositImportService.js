@@ -0,0 +1,127 @@
+const { getFirestore } = require('../config/firebase');
+const logger = require('../utils/logger');
+const { parseImportCsv, validateImportRow, buildRowKeys } = require('../utils/timeDepositImport');
+const {
+    TIME_DEPOSITS_SUBCOLLECTION,
+    quoteTimeDeposit,
+    createTimeDeposit,
+    getUserByIdOrUserId
+} = require('./timeDepositService');
+const { createHttpError } = require('../utils/httpError');
+
+const MAX_IMPORT_ROWS = Number.parseInt(process.env.TIME_DEPOSIT_IMPORT_MAX_ROWS || '500', 10);
+
+const ROW_STATUS = {
+    VALID: 'valid',
+    INVALID: 'invalid',
+    CREATED: 'created',
+    SKIPPED: 'skipped',
+    FAILED: 'failed'
+};
+
+const summarize = (rows, dryRun) => {
+    const counts = Object.values(ROW_STATUS).reduce((totals, status) => {
+        totals[status] = rows.filter((row) => row.status === status).length;
+        return totals;
+    }, {});
+
+    return {
+        dryRun,
+        total: rows.length,
+        ...counts,
+        rows
+    };
+};
+
+/**
+ * Preview or run a bulk time deposit import.
+ * With dryRun each valid row is priced like a quote and checked against existing deposits;
+ * otherwise each valid row goes through createTimeDeposit with its deterministic idempotency key.
+ * Rows are independent: one failing row does not stop the rest.
+ * @param {Object} options
+ * @param {string} options.csv - CSV text with userId, amount, term, initialDate and optional finalInterestRate, referrerUserId, currency columns
+ * @param {boolean} [options.dryRun=true]
+ * @param {boolean} [options.queueContracts=false] - Queue contract generation for each created deposit
+ * @param {Object|null} [options.adminUser=null]
+ * @returns {Promise<Object>} Per-row report with totals by status
+ */
+const importTimeDeposits = async ({ csv, dryRun = true, queueContracts = false, adminUser = null }) => {
+    const db = getFirestore();
+    const { rows, problem } = parseImportCsv(csv, { maxRows: MAX_IMPORT_ROWS });
+
+    if (problem) {
+        throw createHttpError(400, problem.message, problem.code);
+    }
+
+    const keys = buildRowKeys(rows);
+    const results = [];
+
+    for (const [index, row] of rows.entries()) {
+        const requestId = keys[index];
+        const base = {
+            row: row.row,
+            userId: row.fields.userId || null,
+            amount: row.fields.amount || null,
+            term: row.fields.term || null,
+            initialDate: row.fields.initialDate || null,
+            requestId
+        };
+        const { payload, errors } = validateImportRow(row);
+
+        if (errors.length) {
+            results.push({ ...base, status: ROW_STATUS.INVALID, errors });
+            continue;
+        }
+
+        try {
+            if (dryRun) {
+                const userLookup = await getUserByIdOrUserId(db, row.fields.userId);
+                const [quote, existingDoc] = await Promise.all([
+                    quoteTimeDeposit({ ...payload, userId: row.fields.userId }),
+                    userLookup.ref.collection(TIME_DEPOSITS_SUBCOLLECTION).doc(requestId).get()
+                ]);
+
+                results.push({
+                    ...base,
+                    status: existingDoc.exists ? ROW_STATUS.SKIPPED : ROW_STATUS.VALID,
+                    ...(existingDoc.exists ? { reason: 'Already imported' } : {}),
+                    quote
+                });
+                continue;
+            }
+
+            const created = await createTimeDeposit({
+                targetUserId: row.fields.userId,
+                payload,
+                requestId,
+                adminUser,
+                pendingContract: queueContracts ? { lastError: null } : null
+            });
+
+            results.push({
+                ...base,
+                status: created.idempotent ? ROW_STATUS.SKIPPED : ROW_STATUS.CREATED,
+                ...(created.idempotent ? { reason: 'Already imported' } : {}),
+                timeDepositId: created.timeDeposit.id,
+                displayId: created.timeDeposit.displayId
+            });
+        } catch (error) {
+            if (!error.status) {
+                logger.error({ err: error, row: row.row }, 'Time deposit import row failed');
+            }
+
+            results.push({
+                ...base,
+                status: dryRun ? ROW_STATUS.INVALID : ROW_STATUS.FAILED,
+                errors: [{ path: 'row', code: error.code || null, message: error.message || 'Row could not be processed' }]
+            });
+        }
+    }
+
+    return summarize(results, dryRun);
+};
+
+module.exports = {
+    ROW_STATUS,
+    importTimeDeposits
+};
@@ -0,0 +1,442 @@
+const { admin, getFirestore } = require('../config/firebase');
+const logger = require('../utils/logger');
+const { TAX_RATE, roundTo, parseNumeric, getCyclesForTerm } = require('../utils/timeDepositCalculator');
+const { getTimestampMs } = require('../utils/firestoreUtils');
+const { writeAdminHistoryLog } = require('../utils/adminHistoryLogs');
+const { getDepositTerm } = require('../utils/termCatalog');
+const { isDue, selectDueDeposits } = require('../utils/timeDepositMaturity');
+const {
+    DEFAULT_CURRENCY,
+    getDepositCurrency,
+    formatMoney,
+    buildBalanceUpdate,
+    sumByCurrency
+} = require('../utils/currency');
+const { loadInvestmentRates, getRatesDocIdForCurrency } = require('./investmentRatesService');
+const { loadTaxProfiles } = require('./taxProfileService');
+const { resolveTaxProfile } = require('../utils/taxProfiles');
+const {
+    TIME_DEPOSITS_SUBCOLLECTION,
+    TRANSACTIONS_SUBCOLLECTION,
+    nextDisplayId,
+    formatDate,
+    toTermLabel,
+    isActiveDeposit,
+    getDisplayName
+} = require('./timeDepositService');
+const {
+    hasRolloverInstruction,
+    computeRolloverSplit,
+    planRolloverDeposit,
+    writeRolloverDeposit,
+    requestRolloverContract
+} = require('./timeDepositRolloverService');
+const { planDueCycles, writeCyclePayouts } = require('./timeDepositCycleService');
+const { createHttpError } = require('../utils/httpError');
+
+const MATURED_STATUS = 'Matured';
+const MATURED_TRANSACTION_TYPE = 'Time Deposit Matured';
+
+/**
+ * Cycles still unpaid when a deposit matures, the last one included. They are paid as ordinary
+ * interest payouts, so the maturity transaction itself only settles the principal.
+ * @param {Object} data - inspireAuto document data
+ * @returns {Object|null} Plan from planDueCycles; null when the deposit has no usable cycle schedule
+ */
+const planFinalCycles = (data = {}) => {
+    const completionMs = getTimestampMs(data.completionDate);
+    return completionMs === null ? null : planDueCycles(data, new Date(completionMs));
+};
+
+/**
+ * Amounts returned to the wallet when a deposit matures.
+ * Interest already credited by the cycle payout engine (interestPaidAmount) is not paid again.
+ * Deposits without a cycle schedule settle the rest of totalReturnAmount, grossed up at the deposit's tax rate.
+ * @param {Object} data - inspireAuto document data
+ * @returns {{principal: number, grossInterest: number, taxAmount: number, netInterest: number, totalCredit: number}}
+ */
+const computeMaturityPayout = (data = {}) => {
+    const principal = roundTo(Number(data.amount || 0), 2);
+    const plan = planFinalCycles(data);
+
+    if (plan) {
+        const sum = (key) => roundTo(plan.cyclesToPay.reduce((total, cycle) => total + cycle[key], 0), 2);
+        const netInterest = sum('netInterest');
+        return {
+            principal,
+            grossInterest: sum('grossInterest'),
+            taxAmount: sum('taxAmount'),
+            netInterest,
+            totalCredit: roundTo(principal + netInterest, 2)
+        };
+    }
+
+    const totalReturnAmount = roundTo(Number(data.totalReturnAmount || principal), 2);
+    const interestPaidAmount = Number(data.interestPaidAmount || 0);
+    const netInterest = roundTo(Math.max(totalReturnAmount - principal - interestPaidAmount, 0), 2);
+    const taxRate = Number.isFinite(parseNumeric(data.taxRate)) && parseNumeric(data.taxRate) < 1 ? parseNumeric(data.taxRate) : TAX_RATE;
+    const grossInterest = roundTo(netInterest / (1 - taxRate), 2);
+
+    return {
+        principal,
+        grossInterest,
+        taxAmount: roundTo(grossInterest - netInterest, 2),
+        netInterest,
+        totalCredit: roundTo(principal + netInterest, 2)
+    };
+};
+
+const describeTimeDeposit = (doc) => {
+    const data = doc.data() || {};
+    const payout = computeMaturityPayout(data);
+    const { instruction, rolloverAmount, walletCredit } = computeRolloverSplit(data, payout);
+
+    return {
+        id: doc.id,
+        userId: doc.ref.parent.parent.id,
+        displayId: data.displayId,
+        term: data.contractType || data.term,
+        currency: getDepositCurrency(data),
+        completionDate: formatDate(data.completionDate),
+        ...payout,
+        rolloverInstruction: instruction,
+        rolloverAmount,
+        walletCredit
+    };
+};
+
+/**
+ * Find active time deposits whose completionDate has passed
+ * @param {Object} options
+ * @param {Date} [options.asOf=new Date()] - Maturity cut-off
+ * @param {number} [options.limit] - Maximum number of deposits to return
+ * @returns {Promise<Array>} inspireAuto document snapshots, oldest maturity first
+ */
+const findMaturedTimeDeposits = async ({ asOf = new Date(), limit } = {}) => {
+    const db = getFirestore();
+    const asOfMs = asOf.getTime();
+    const snapshot = await db.collectionGroup(TIME_DEPOSITS_SUBCOLLECTION).get();
+
+    const deposits = snapshot.docs.map((doc) => {
+        const data = doc.data() || {};
+        return { doc, active: isActiveDeposit(data), completionMs: getTimestampMs(data.completionDate) };
+    });
+
+    return selectDueDeposits(deposits, { asOfMs, limit }).map((deposit) => deposit.doc);
+};
+
+/**
+ * Mature a single time deposit in one Firestore transaction.
+ * Re-running is safe: a deposit that is no longer Active is skipped.
+ * With a rollover instruction the renewed deposit is opened in the same transaction.
+ * @param {Object} options
+ * @param {FirebaseFirestore.DocumentReference} options.timeDepositRef - inspireAuto document reference
+ * @param {Date} [options.asOf=new Date()] - Maturity cut-off
+ * @param {Object|null} [options.adminUser=null] - Triggering admin (null for the scheduled job)
+ * @param {Object} [options.rates] - Current investment rates for the deposit's currency; loaded on demand for rollovers
+ * @param {Object} [options.taxProfiles] - Tax profile catalog; loaded on demand for rollovers
+ * @returns {Promise<Object>} Result with status 'matured' or 'skipped'
+ */
+const matureTimeDeposit = async ({ timeDepositRef, asOf = new Date(), adminUser = null, rates = null, taxProfiles = null }) => {
+    const db = getFirestore();
+    const userRef = timeDepositRef.parent.parent;
+
+    let currentRates = rates;
+    let taxProfileCatalog = taxProfiles;
+    if (!currentRates || !taxProfileCatalog) {
+        const snapshot = await timeDepositRef.get();
+        if (snapshot.exists && hasRolloverInstruction(snapshot.data() || {})) {
+            currentRates = currentRates || await loadInvestmentRates(getRatesDocIdForCurrency(getDepositCurrency(snapshot.data() || {})));
+            taxProfileCatalog = taxProfileCatalog || await loadTaxProfiles();
+        }
+    }
+
+    const result = await db.runTransaction(async (transaction) => {
+        const timeDepositDoc = await transaction.get(timeDepositRef);
+        const userDoc = await transaction.get(userRef);
+
+        if (!timeDepositDoc.exists) {
+            throw createHttpError(404, 'Time deposit not found', 'TIME_DEPOSIT_NOT_FOUND');
+        }
+
+        if (!userDoc.exists) {
+            throw createHttpError(404, 'User not found', 'USER_NOT_FOUND');
+        }
+
+        const data = timeDepositDoc.data() || {};
+        const summary = describeTimeDeposit(timeDepositDoc);
+
+        if (!isActiveDeposit(data)) {
+            return {
+                ...summary,
+                status: 'skipped',
+                reason: `Time deposit is ${data.status || data.isActive || 'not active'}`
+            };
+        }
+
+        if (!isDue(getTimestampMs(data.completionDate), asOf.getTime())) {
+            return {
+                ...summary,
+                status: 'skipped',
+                reason: 'Time deposit has not reached its completion date'
+            };
+        }
+
+        const userData = userDoc.data() || {};
+        const {
+            principal,
+            grossInterest,
+            taxAmount,
+            netInterest,
+            totalCredit,
+            rolloverInstruction,
+            rolloverAmount,
+            walletCredit,
+            currency
+        } = summary;
+        const term = data.contractType || data.term;
+
+        let rolloverPlan = null;
+        let rolloverDisplayId = null;
+        if (rolloverAmount > 0) {
+            if (!currentRates || !taxProfileCatalog) {
+                throw createHttpError(409, 'Rollover instruction changed while maturing; retry', 'ROLLOVER_RATES_MISSING');
+            }
+            rolloverPlan = planRolloverDeposit({
+                data,
+                rolloverAmount,
+                rates: currentRates,
+                taxProfile: resolveTaxProfile(taxProfileCatalog, userData, 'interest')
+            });
+            // Counter read must happen before the first write of this transaction
+            rolloverDisplayId = await nextDisplayId(db, transaction);
+        }
+
+        const rollover = rolloverPlan
+            ? writeRolloverDeposit({
+                transaction,
+                userRef,
+                previousRef: timeDepositRef,
+                previousData: data,
+                displayId: rolloverDisplayId,
+                rolloverAmount,
+                plan: rolloverPlan
+            })
+            : null;
+
+        // The last cycle (and any the cycle job has not reached) is booked like every other interest payout
+        const finalCycles = planFinalCycles(data);
+        const interestCycles = finalCycles ? finalCycles.cyclesToPay.map((cycle) => cycle.cycle) : [];
+        if (interestCycles.length) {
+            writeCyclePayouts({ transaction, userRef, timeDepositRef, data, plan: finalCycles });
+        }
+
+        transaction.update(timeDepositRef, {
+            status: MATURED_STATUS,
+            isActive: MATURED_STATUS,
+            maturedAt: admin.firestore.FieldValue.serverTimestamp(),
+            // Any cycles still unpaid are settled by this payout, so the cycle engine must not pay them again
+            currentCycleCount: Math.max(getCyclesForTerm(getDepositTerm(data)), Number(data.currentCycleCount || 0)),
+            interestPaidAmount: roundTo(Number(data.interestPaidAmount || 0) + netInterest, 2),
+            nextCycleDate: null,
+            maturityPayout: {
+                principal,
+                grossInterest,
+                taxAmount,
+                netInterest,
+                totalCredit,
+                rolloverAmount,
+                walletCredit
+            },
+            ...(rollover ? {
+                rolledOverTo: {
+                    timeDepositId: rollover.ref.id,
+                    displayId: rolloverDisplayId
+                }
+            } : {})
+        });
+
+        transaction.update(userRef, buildBalanceUpdate(userData, currency, {
+            deposit: rolloverAmount - principal,
+            available: walletCredit
+        }));
+
+        // Deterministic id so a retried transaction can never book the payout twice. Interest booked as
+        // cycle payouts (interestCycles) is already in their amounts, so only the rest moves here.
+        const txRef = userRef.collection(TRANSACTIONS_SUBCOLLECTION).doc(`${timeDepositRef.id}-maturity`);
+        transaction.set(txRef, {
+            displayId: data.displayId,
+            timeDepositId: timeDepositRef.id,
+            amount: interestCycles.length ? roundTo(walletCredit - netInterest, 2) : walletCredit,
+            currency,
+            principal,
+            grossAmount: grossInterest,
+            taxAmount,
+            netInterest,
+            interestCycles,
+            rolloverAmount,
+            type: MATURED_TRANSACTION_TYPE,
+            description: rollover
+                ? `Time Deposit ${data.displayId || timeDepositRef.id} (${toTermLabel(getDepositTerm(data) || term)}) matured. Rolled over ${formatMoney(rolloverAmount, currency)} into Time Deposit ${rolloverDisplayId} and returned ${formatMoney(walletCredit, currency)} to available balance.`
+                : `Time Deposit ${data.displayId || timeDepositRef.id} (${toTermLabel(getDepositTerm(data) || term)}) matured. Returned ${formatMoney(principal, currency)} principal and ${formatMoney(netInterest, currency)} net interest to available balance${interestCycles.length ? ' (the interest is booked as cycle payouts)' : ''}.`,
+            date: admin.firestore.FieldValue.serverTimestamp(),
+            contractType: term
+        });
+
+        const targetUserName = getDisplayName(userData, userRef.id);
+        let details = `Time deposit ${data.displayId || timeDepositRef.id} for user ${targetUserName} matured on ${formatDate(data.completionDate)}. Payout ${formatMoney(totalCredit, currency)} (${formatMoney(principal, currency)} principal + ${formatMoney(netInterest, currency)} net interest; ${formatMoney(grossInterest, currency)} gross, ${formatMoney(taxAmount, currency)} tax withheld).`;
+        if (rollover) {
+            details += ` Rolled over ${formatMoney(rolloverAmount, currency)} (${rolloverInstruction}) into time deposit ${rolloverDisplayId} at ${rollover.doc.rate}%; ${formatMoney(walletCredit, currency)} credited to available balance.`;
+        } else {
+            details += ` Credited ${formatMoney(walletCredit, currency)} to available balance.`;
+        }
+
+        writeAdminHistoryLog(db, transaction, adminUser, {
+            action: 'Time Deposit Matured',
+            targetUserId: userData.userId || userRef.id,
+            targetUserName,
+            amount: totalCredit,
+            currency,
+            principal,
+            grossAmount: grossInterest,
+            taxAmount,
+            netInterest,
+            rolloverAmount,
+            term,
+            displayId: data.displayId,
+            resourceType: 'DEPOSIT',
+            resourceId: data.displayId || timeDepositRef.id,
+            details
+        });
+
+        return {
+            ...summary,
+            status: 'matured',
+            ...(rollover ? {
+                rollover: {
+                    id: rollover.ref.id,
+                    displayId: rolloverDisplayId,
+                    amount: rolloverAmount,
+                    rate: rollover.doc.rate,
+                    completionDate: formatDate(rollover.doc.completionDate),
+                    generateContract: Boolean(rollover.doc.rollover.generateContract)
+                },
+                rolloverDoc: rollover.doc
+            } : {})
+        };
+    });
+
+    if (!result.rollover) {
+        return result;
+    }
+
+    const { rolloverDoc, ...matured } = result;
+    if (!matured.rollover.generateContract) {
+        return matured;
+    }
+
+    const contractOutcome = await requestRolloverContract({
+        rolloverRef: userRef.collection(TIME_DEPOSITS_SUBCOLLECTION).doc(matured.rollover.id),
+        rolloverDoc
+    });
+
+    return {
+        ...matured,
+        rollover: {
+            ...matured.rollover,
+            ...(contractOutcome.contract ? { contractId: contractOutcome.contract.contractId } : {}),
+            ...(contractOutcome.contractWarning ? { contractWarning: contractOutcome.contractWarning } : {})
+        }
+    };
+};
+
+// PHP totals stay in totalCredit/totalRolledOver; every currency is listed in totalsByCurrency
+const summarizeTotals = (items) => {
+    const credits = sumByCurrency(items, 'totalCredit');
+    const rolledOver = sumByCurrency(items, 'rolloverAmount');
+
+    return {
+        totalCredit: credits[DEFAULT_CURRENCY] || 0,
+        totalRolledOver: rolledOver[DEFAULT_CURRENCY] || 0,
+        totalsByCurrency: Object.fromEntries(Object.keys(credits).map((currency) => [currency, {
+            totalCredit: credits[currency],
+            totalRolledOver: rolledOver[currency] || 0
+        }]))
+    };
+};
+
+/**
+ * Mature every due time deposit. With dryRun, only reports what would be matured.
+ * @param {Object} options
+ * @param {Date} [options.asOf=new Date()] - Maturity cut-off
+ * @param {boolean} [options.dryRun=false] - Report without writing
+ * @param {Object|null} [options.adminUser=null] - Triggering admin (null for the scheduled job)
+ * @param {number} [options.limit] - Maximum number of deposits to process
+ * @returns {Promise<Object>} Run summary
+ */
+const runMaturityJob = async ({ asOf = new Date(), dryRun = false, adminUser = null, limit } = {}) => {
+    const candidates = await findMaturedTimeDeposits({ asOf, limit });
+
+    if (dryRun) {
+        const items = candidates.map(describeTimeDeposit);
+        return {
+            asOf: asOf.toISOString(),
+            dryRun: true,
+            total: items.length,
+            ...summarizeTotals(items),
+            items
+        };
+    }
+
+    const matured = [];
+    const skipped = [];
+    const failed = [];
+    // Rates (per currency) and tax profiles for rollovers are loaded once for the whole run
+    const ratesByCurrency = new Map();
+    let taxProfiles = null;
+    for (const doc of candidates) {
+        const currency = getDepositCurrency(doc.data() || {});
+        if (hasRolloverInstruction(doc.data() || {}) && !ratesByCurrency.has(currency)) {
+            ratesByCurrency.set(currency, await loadInvestmentRates(getRatesDocIdForCurrency(currency)));
+            taxProfiles = taxProfiles || await loadTaxProfiles();
+        }
+    }
+
+    for (const doc of candidates) {
+        try {
+            const rates = ratesByCurrency.get(getDepositCurrency(doc.data() || {})) || null;
+            const result = await matureTimeDeposit({ timeDepositRef: doc.ref, asOf, adminUser, rates, taxProfiles });
+            if (result.status === 'matured') {
+                matured.push(result);
+            } else {
+                skipped.push(result);
+            }
+        } catch (error) {
+            logger.error({ err: error, timeDepositPath: doc.ref.path }, 'Failed to mature time deposit');
+            failed.push({
+                id: doc.id,
+                userId: doc.ref.parent.parent.id,
+                error: error.message
+            });
+        }
+    }
+
+    return {
+        asOf: asOf.toISOString(),
+        dryRun: false,
+        total: candidates.length,
+        ...summarizeTotals(matured),
+        matured,
+        skipped,
+        failed
+    };
+};
+
+module.exports = {
+    MATURED_STATUS,
+    MATURED_TRANSACTION_TYPE,
+    computeMaturityPayout,
+    findMaturedTimeDeposits,
+    matureTimeDeposit,
+    runMaturityJob
+};
@@ -0,0 +1,221 @@
+const { admin, getFirestore } = require('../config/firebase');
+const logger = require('../utils/logger');
+const { getTimestampMs } = require('../utils/firestoreUtils');
+const { getDepositTerm } = require('../utils/termCatalog');
+const { getDepositCurrency } = require('../utils/currency');
+const { buildTaxProfileSnapshot } = require('../utils/taxProfiles');
+const { normalizeRolloverInstruction, computeRolloverSplit, priceRolloverDeposit } = require('../utils/timeDepositRollover');
+const { getRatesForTerm } = require('./investmentRatesService');
+const { generateTimeDepositContract } = require('./contractService');
+const {
+    CONTRACT_STATUS,
+    enqueueContractGeneration,
+    isRetryableContractError
+} = require('./contractQueueService');
+const {
+    TIME_DEPOSITS_SUBCOLLECTION,
+    TRANSACTIONS_SUBCOLLECTION,
+    CONTRACT_LINKS_SUBCOLLECTION,
+    buildTransactionDescription,
+    buildContractLinkDoc,
+    buildTermSnapshot
+} = require('./timeDepositService');
+
+const hasRolloverInstruction = (data = {}) =>
+    normalizeRolloverInstruction(data.rollover).instruction !== 'none';
+
+/**
+ * Quote the renewed deposit at the rates in effect now. It keeps the same term length and cycle
+ * and starts on the previous completionDate so there is no gap between the two deposits.
+ * Interest is withheld at the investor's current interest tax profile, like any new deposit.
+ */
+const planRolloverDeposit = ({ data, rolloverAmount, rates, taxProfile }) => {
+    const term = data.contractType || data.term;
+    const termDefinition = getDepositTerm(data);
+
+    if (!termDefinition) {
+        throw new Error(`Time deposit term ${term} is not recognised`);
+    }
+
+    const { quote, initialDate, completionDate } = priceRolloverDeposit({
+        termDefinition,
+        completionMs: getTimestampMs(data.completionDate),
+        rolloverAmount,
+        termRates: getRatesForTerm(rates, term),
+        agentRates: Object.keys(rates.agentRates || {}).length ? rates.agentRates : null,
+        taxRate: taxProfile.rate
+    });
+
+    return {
+        term,
+        termDefinition,
+        quote,
+        rates,
+        taxProfile,
+        initialDate,
+        completionDate
+    };
+};
+
+// One renewal per matured deposit: the id is derived from the previous deposit, not the chain
+const getRolloverRef = (userRef, previousRef, previousData = {}) =>
+    userRef
+        .collection(TIME_DEPOSITS_SUBCOLLECTION)
+        .doc(`rollover-${previousData.displayId || previousRef.id}`);
+
+/**
+ * Write the renewed inspireAuto record and its transaction inside the maturity transaction.
+ * No referral commission is paid on a renewal.
+ */
+const writeRolloverDeposit = ({ transaction, userRef, previousRef, previousData, displayId, rolloverAmount, plan }) => {
+    const { term, termDefinition, quote, initialDate, completionDate, rates, taxProfile } = plan;
+    const rolloverRef = getRolloverRef(userRef, previousRef, previousData);
+
+    const timeDepositDoc = {
+        requestId: rolloverRef.id,
+        displayId,
+        amount: rolloverAmount,
+        currency: getDepositCurrency(previousData),
+        initialDate: admin.firestore.Timestamp.fromDate(initialDate),
+        completionDate: admin.firestore.Timestamp.fromDate(completionDate),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        isActive: 'Active',
+        status: 'Active',
+        contractType: term,
+        ...buildTermSnapshot(termDefinition),
+        estimatedInterestRate: quote.estimatedInterestRate,
+        rate: quote.finalInterestRate,
+        estimatedAgentRate: quote.estimatedAgentRate || 0,
+        agentRate: 0,
+        annualNetInterest: quote.annualNetInterest,
+        totalNetInterestForTerm: quote.totalNetInterestForTerm,
+        totalReturnAmount: quote.totalReturnAmount,
+        ratesVersionId: rates.versionId || null,
+        currentCycleCount: 0,
+        // The instruction stands until an admin changes it, so the deposit keeps renewing
+        rollover: normalizeRolloverInstruction(previousData.rollover),
+        rolledOverFrom: {
+            timeDepositId: previousRef.id,
+            displayId: previousData.displayId || null
+        },
+        taxRate: taxProfile.rate,
+        taxProfile: buildTaxProfileSnapshot(taxProfile)
+    };
+
+    transaction.set(rolloverRef, timeDepositDoc);
+
+    const txRef = userRef.collection(TRANSACTIONS_SUBCOLLECTION).doc(`${rolloverRef.id}-created`);
+    transaction.set(txRef, {
+        displayId,
+        timeDepositId: rolloverRef.id,
+        previousDisplayId: previousData.displayId || null,
+        amount: rolloverAmount,
+        currency: timeDepositDoc.currency,
+        type: 'Time Deposit Rollover',
+        description: `Rolled over from Time Deposit ${previousData.displayId || previousRef.id}. ${buildTransactionDescription({
+            amount: rolloverAmount,
+            currency: timeDepositDoc.currency,
+            term: termDefinition,
+            finalRate: quote.finalInterestRate,
+            annualNetInterest: quote.annualNetInterest,
+            totalNetInterestForTerm: quote.totalNetInterestForTerm,
+            estimatedAgentRate: 0
+        })}`,
+        date: admin.firestore.FieldValue.serverTimestamp(),
+        contractType: term,
+        estimatedInterestRate: quote.estimatedInterestRate,
+        rate: quote.finalInterestRate,
+        annualNetInterest: quote.annualNetInterest,
+        totalNetInterestForTerm: quote.totalNetInterestForTerm,
+        totalReturnAmount: quote.totalReturnAmount
+    });
+
+    return { ref: rolloverRef, doc: timeDepositDoc };
+};
+
+/**
+ * Request a contract for a renewed deposit after the maturity transaction has committed.
+ * Failures never undo the rollover. Retryable failures are queued and leave contractStatus 'pending';
+ * anything else is recorded as contractStatus 'failed'.
+ * @returns {Promise<{contract?: Object, contractWarning?: string}>}
+ */
+const requestRolloverContract = async ({ rolloverRef, rolloverDoc }) => {
+    const db = getFirestore();
+    const userRef = rolloverRef.parent.parent;
+    const initialDate = new Date(getTimestampMs(rolloverDoc.initialDate));
+    const completionDate = new Date(getTimestampMs(rolloverDoc.completionDate));
+
+    try {
+        const contractResult = await generateTimeDepositContract({
+            userId: userRef.id,
+            amount: rolloverDoc.amount,
+            currency: rolloverDoc.currency,
+            term: rolloverDoc.contractType,
+            rate: rolloverDoc.rate,
+            initialDate: initialDate.toISOString().slice(0, 10),
+            completionDate: completionDate.toISOString().slice(0, 10),
+            displayId: rolloverDoc.displayId,
+            requestId: rolloverRef.id
+        });
+
+        const batch = db.batch();
+        batch.update(rolloverRef, {
+            contractId: contractResult.contractId,
+            contractStatus: CONTRACT_STATUS.GENERATED
+        });
+        batch.set(
+            userRef.collection(CONTRACT_LINKS_SUBCOLLECTION).doc(contractResult.contractId),
+            buildContractLinkDoc({
+                contractResult,
+                amount: rolloverDoc.amount,
+                currency: rolloverDoc.currency,
+                rate: rolloverDoc.rate,
+                completionDate,
+                term: rolloverDoc.contractType,
+                displayId: rolloverDoc.displayId,
+                requestId: rolloverRef.id
+            })
+        );
+        await batch.commit();
+
+        return { contract: contractResult };
+    } catch (error) {
+        logger.error({ err: error, timeDepositPath: rolloverRef.path }, 'Failed to generate rollover contract');
+
+        const message = error.message || 'Contract generation failed';
+        const retryable = isRetryableContractError(error);
+        const batch = db.batch();
+
+        batch.update(rolloverRef, {
+            contractStatus: retryable ? CONTRACT_STATUS.PENDING : CONTRACT_STATUS.FAILED,
+            contractError: message
+        });
+
+        if (retryable) {
+            enqueueContractGeneration(db, batch, {
+                userId: userRef.id,
+                timeDepositId: rolloverRef.id,
+                displayId: rolloverDoc.displayId,
+                source: 'rollover',
+                lastError: message,
+                lastErrorCode: error.code || null
+            });
+        }
+
+        await batch.commit().catch((updateError) => {
+            logger.error({ err: updateError, timeDepositPath: rolloverRef.path }, 'Failed to record rollover contract failure');
+        });
+
+        return {
+            contractWarning: retryable ? `${message}; contract generation queued for retry` : message
+        };
+    }
+};
+
+module.exports = {
+    hasRolloverInstruction,
+    computeRolloverSplit,
+    planRolloverDeposit,
+    writeRolloverDeposit,
+    requestRolloverContract
+};
@@ -0,0 +1,117 @@
+const { getFirestore } = require('../config/firebase');
+const { TAX_RATE, parseNumeric, buildEarningsSchedule } = require('../utils/timeDepositCalculator');
+const { getTimestampMs } = require('../utils/firestoreUtils');
+const { getDepositTerm } = require('../utils/termCatalog');
+const { getDepositCurrency } = require('../utils/currency');
+const { toCsv } = require('../utils/csv');
+const {
+    TIME_DEPOSITS_SUBCOLLECTION,
+    quoteTimeDeposit,
+    getUserByIdOrUserId,
+    formatDate
+} = require('./timeDepositService');
+const { createHttpError } = require('../utils/httpError');
+
+const SCHEDULE_CSV_COLUMNS = [
+    { header: 'Cycle', key: 'cycle' },
+    { header: 'Start Date', key: 'startDate' },
+    { header: 'End Date', key: 'endDate' },
+    { header: 'Gross Interest', key: 'grossInterest' },
+    { header: 'Tax Withheld', key: 'taxAmount' },
+    { header: 'Net Interest', key: 'netInterest' },
+    { header: 'Running Net Total', key: 'cumulativeNetInterest' },
+    { header: 'Paid', value: (row) => (row.paid ? 'Yes' : 'No') }
+];
+
+const formatSchedule = (schedule) => ({
+    cycles: schedule.cycles.map((cycle) => ({
+        ...cycle,
+        startDate: formatDate(cycle.startDate),
+        endDate: formatDate(cycle.endDate)
+    })),
+    totals: schedule.totals
+});
+
+/**
+ * Earnings schedule for a hypothetical deposit, priced like a quote.
+ * initialDate defaults to today; pass userId to withhold at that investor's tax profile.
+ */
+const getQuoteSchedule = async (payload = {}) => {
+    const initialDate = payload.initialDate || new Date().toISOString().slice(0, 10);
+    const quote = await quoteTimeDeposit({ ...payload, initialDate });
+    const schedule = buildEarningsSchedule({
+        amount: payload.amount,
+        finalInterestRate: quote.finalInterestRate,
+        term: { key: quote.term, label: quote.termLabel, months: quote.termMonths, cycleMonths: quote.cycleMonths },
+        initialDate,
+        taxRate: quote.taxRate
+    });
+
+    return {
+        ...quote,
+        amount: parseNumeric(payload.amount),
+        initialDate: formatDate(initialDate),
+        completionDate: formatDate(schedule.cycles[schedule.cycles.length - 1].endDate),
+        ...formatSchedule(schedule)
+    };
+};
+
+/**
+ * Earnings schedule for an existing inspireAuto record. Cycles up to currentCycleCount are marked paid.
+ */
+const getTimeDepositSchedule = async ({ userId, timeDepositId }) => {
+    const db = getFirestore();
+    const userLookup = await getUserByIdOrUserId(db, userId);
+    const timeDepositDoc = await userLookup.ref.collection(TIME_DEPOSITS_SUBCOLLECTION).doc(timeDepositId).get();
+
+    if (!timeDepositDoc.exists) {
+        throw createHttpError(404, 'Time deposit not found', 'TIME_DEPOSIT_NOT_FOUND');
+    }
+
+    const data = timeDepositDoc.data() || {};
+    const termDefinition = getDepositTerm(data);
+    const initialMs = getTimestampMs(data.initialDate);
+
+    if (!termDefinition) {
+        throw createHttpError(422, `Time deposit term ${data.contractType || data.term} is not recognised`, 'UNSUPPORTED_TERM');
+    }
+
+    if (initialMs === null) {
+        throw createHttpError(422, 'Time deposit is missing its initial date', 'TIME_DEPOSIT_DATES_MISSING');
+    }
+
+    const parsedTaxRate = parseNumeric(data.taxRate);
+    const taxRate = Number.isFinite(parsedTaxRate) ? parsedTaxRate : TAX_RATE;
+    const schedule = buildEarningsSchedule({
+        amount: data.amount,
+        finalInterestRate: data.rate ?? data.finalInterestRate,
+        term: termDefinition,
+        initialDate: new Date(initialMs),
+        taxRate,
+        paidCycles: data.currentCycleCount
+    });
+
+    return {
+        id: timeDepositDoc.id,
+        userId: userLookup.ref.id,
+        displayId: data.displayId,
+        status: data.status || data.isActive || 'Active',
+        amount: Number(data.amount || 0),
+        currency: getDepositCurrency(data),
+        term: data.contractType || data.term,
+        termLabel: termDefinition.label,
+        finalInterestRate: Number(data.rate ?? data.finalInterestRate ?? 0),
+        taxRate,
+        initialDate: formatDate(data.initialDate),
+        completionDate: formatDate(data.completionDate),
+        ...formatSchedule(schedule)
+    };
+};
+
+const toScheduleCsv = (schedule) => toCsv(SCHEDULE_CSV_COLUMNS, schedule.cycles);
+
+module.exports = {
+    getQuoteSchedule,
+    getTimeDepositSchedule,
+    toScheduleCsv
+};
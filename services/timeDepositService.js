@@ -1,28 +1,66 @@
 const crypto = require('crypto');
 const { admin, getFirestore } = require('../config/firebase');
 const hierarchyService = require('./hierarchyService');
-const { loadInvestmentRates, getRatesForTerm } = require('./investmentRatesService');
 const {
-    TAX_RATE,
+    getRatesDocIdForCurrency,
+    loadInvestmentRates,
+    loadRatesVersionById,
+    getRatesForTerm,
+    getPenaltyScheduleForTerm
+} = require('./investmentRatesService');
+const { getTimestampMs, sanitizeFirestoreData } = require('../utils/firestoreUtils');
+const { writeAdminHistoryLog } = require('../utils/adminHistoryLogs');
+const { resolveTermDefinition, getDepositTerm, checkTermAmount } = require('../utils/termCatalog');
+const { getTermDefinition } = require('./termCatalogService');
+const { loadTaxProfiles } = require('./taxProfileService');
+const { resolveCommissionPlan } = require('./commissionPlanService');
+const { COMMISSION_PRODUCTS } = require('../utils/commissionPlans');
+const { resolveTaxProfile, buildTaxProfileSnapshot } = require('../utils/taxProfiles');
+const {
+    QUEUE_STATUS,
+    CONTRACT_STATUS,
+    enqueueContractGeneration,
+    getContractQueueRef
+} = require('./contractQueueService');
+const {
+    DEFAULT_CURRENCY,
+    normalizeCurrency,
+    getDepositCurrency,
+    getCurrencyConfig,
+    formatMoney,
+    buildBalanceUpdate
+} = require('../utils/currency');
+const {
     parseNumeric,
     roundTo,
     buildQuote,
-    calculateCompletionDate
+    calculateCompletionDate,
+    calculatePreTermination,
+    TAX_RATE
 } = require('../utils/timeDepositCalculator');
+const {
+    DEFAULT_LIST_SORT_BY,
+    DEFAULT_LIST_SORT_ORDER,
+    applyListFilters,
+    sortListedRecords,
+    paginateList
+} = require('../utils/timeDepositList');
+const { ROLLOVER_INSTRUCTIONS, normalizeRolloverInstruction } = require('../utils/timeDepositRollover');
+const { getVoidWindowHours, checkVoidable, allocateCommissionReversals } = require('../utils/timeDepositVoid');
+const { createHttpError } = require('../utils/httpError');
 
 const USERS_COLLECTION = 'users';
 const COUNTERS_COLLECTION = 'counters';
 const COUNTER_DOC = 'investmentProfileId';
 const ADMIN_COLLECTION = 'adminUsers';
-
-const createHttpError = (status, message, code) => {
-    const error = new Error(message);
-    error.status = status;
-    if (code) {
-        error.code = code;
-    }
-    return error;
-};
+const TIME_DEPOSITS_SUBCOLLECTION = 'inspireAuto';
+const CONTRACT_LINKS_SUBCOLLECTION = 'contractLinks';
+const TRANSACTIONS_SUBCOLLECTION = 'transactions';
+const AGENT_TRANSACTIONS_SUBCOLLECTION = 'agentTransactions';
+const PRE_TERMINATED_STATUS = 'Pre-Terminated';
+const PRE_TERMINATION_TRANSACTION_TYPE = 'Time Deposit Pre-Termination';
+const VOIDED_STATUS = 'Voided';
+const CREATION_TRANSACTION_TYPES = ['Add Time Deposit', 'Time Deposit Rollover'];
 
 const asDate = (value) => {
     const date = new Date(value);
@@ -47,11 +85,40 @@ const formatDate = (value) => {
     return parsed.toISOString().slice(0, 10);
 };
 
+// term is a catalog definition, or a built-in term key
 const toTermLabel = (term) => {
-    if (term === 'sixMonths') return '6 Months';
-    if (term === 'oneYear') return '1 Year';
-    if (term === 'twoYears') return '2 Years';
-    return term;
+    const definition = term && typeof term === 'object' ? term : resolveTermDefinition(term);
+    return definition ? definition.label : term;
+};
+
+// Stored on each deposit so later catalog edits never change an existing deposit's schedule
+const buildTermSnapshot = (definition) => ({
+    termLabel: definition.label,
+    termMonths: definition.months,
+    cycleMonths: definition.cycleMonths
+});
+
+const resolveCurrency = (value) => {
+    const currency = normalizeCurrency(value);
+    if (!currency) {
+        throw createHttpError(400, `Unsupported currency: ${value}`, 'UNSUPPORTED_CURRENCY');
+    }
+    return currency;
+};
+
+/**
+ * Resolve the requested term from the catalog and check the amount against its limits in the
+ * deposit's currency
+ */
+const resolveTermForAmount = async (termKey, amount, currency = DEFAULT_CURRENCY) => {
+    const definition = await getTermDefinition(termKey);
+    const amountError = checkTermAmount(definition, amount, currency);
+
+    if (amountError) {
+        throw createHttpError(400, amountError, 'AMOUNT_OUT_OF_RANGE');
+    }
+
+    return definition;
 };
 
 const getUserByIdOrUserId = async (db, identifier, transaction = null) => {
@@ -109,8 +176,11 @@ const buildManualReferralDistribution = (referrerId, commissionPercentage) => [
     }
 ];
 
-const buildHierarchyDistribution = async (referrerAgentCode) => {
-    const hierarchy = await hierarchyService.getAgentHierarchy(referrerAgentCode);
+const buildHierarchyDistribution = async (referrerAgentCode, commissionPlan) => {
+    const hierarchy = await hierarchyService.getAgentHierarchy(referrerAgentCode, {
+        plan: commissionPlan.plan,
+        product: COMMISSION_PRODUCTS.TIME_DEPOSIT
+    });
     const baseDistribution = hierarchy.commissionDistribution || [];
 
     if (!baseDistribution.length) {
@@ -126,7 +196,12 @@ const buildHierarchyDistribution = async (referrerAgentCode) => {
     }));
 };
 
-const buildReferralContext = async ({ referral, quote, db, targetUserId }) => {
+/**
+ * Commission split for a referral. Hierarchy shares come from the time deposit splits of the
+ * commission plan in effect on the deposit's initialDate. Each member's share of the gross
+ * commission is withheld at the rate of that member's commission tax profile.
+ */
+const buildReferralContext = async ({ referral, quote, db, targetUserId, taxProfiles, initialDate }) => {
     if (!referral || !referral.referrerUserId) {
         return null;
     }
@@ -144,31 +219,50 @@ const buildReferralContext = async ({ referral, quote, db, targetUserId }) => {
 
     const principal = parseNumeric(quote.amount || 0);
     const grossCommission = roundTo(principal * (commissionPercentage / 100), 2);
-    const taxAmount = roundTo(grossCommission * TAX_RATE, 2);
-    const netCommission = roundTo(grossCommission - taxAmount, 2);
 
-    if (netCommission < 0) {
+    if (grossCommission < 0) {
         throw createHttpError(400, 'Referral net commission must be non-negative', 'INVALID_COMMISSION');
     }
 
     const mode = referral.mode === 'hierarchy' ? 'hierarchy' : 'manual';
 
     let distribution;
+    let commissionPlan = null;
     if (mode === 'hierarchy') {
         if (!referrerData.agentCode) {
             throw createHttpError(400, 'Selected referrer is not mapped to an agent hierarchy', 'REFERRER_AGENT_CODE_MISSING');
         }
-        distribution = await buildHierarchyDistribution(referrerData.agentCode);
+        commissionPlan = await resolveCommissionPlan({ asOf: initialDate });
+        distribution = await buildHierarchyDistribution(referrerData.agentCode, commissionPlan);
     } else {
         distribution = buildManualReferralDistribution(referrerLookup.ref.id, commissionPercentage);
     }
 
-    const distributed = distribution.map((member) => ({
-        ...member,
-        commissionAmount: roundTo(netCommission * ((Number(member.sharePercentage) || 0) / 100), 2),
-        referredUserId: targetUserId
+    const memberData = await Promise.all(distribution.map(async (member) => {
+        if (member.userId === referrerLookup.ref.id) {
+            return referrerData;
+        }
+        const lookup = await getUserByIdOrUserId(db, member.userId);
+        return lookup.snapshot.data() || {};
     }));
 
+    const distributed = distribution.map((member, index) => {
+        const taxProfile = resolveTaxProfile(taxProfiles, memberData[index], 'commission');
+        const grossAmount = roundTo(grossCommission * ((Number(member.sharePercentage) || 0) / 100), 2);
+        const memberTax = roundTo(grossAmount * taxProfile.rate, 2);
+
+        return {
+            ...member,
+            grossAmount,
+            taxAmount: memberTax,
+            taxProfile: buildTaxProfileSnapshot(taxProfile),
+            commissionAmount: roundTo(grossAmount - memberTax, 2),
+            referredUserId: targetUserId
+        };
+    });
+    const taxAmount = roundTo(distributed.reduce((sum, member) => sum + member.taxAmount, 0), 2);
+    const netCommission = roundTo(distributed.reduce((sum, member) => sum + member.commissionAmount, 0), 2);
+
     return {
         mode,
         referrerDocId: referrerLookup.ref.id,
@@ -178,6 +272,7 @@ const buildReferralContext = async ({ referral, quote, db, targetUserId }) => {
         taxAmount,
         netCommission,
         commissionPercentage,
+        commissionPlanVersionId: commissionPlan ? commissionPlan.versionId : null,
         distribution: distributed
     };
 };
@@ -190,7 +285,9 @@ const normalizeCreatedRecord = ({ id, userId, doc }) => {
         displayId: doc.displayId,
         userId,
         amount: Number(doc.amount || 0),
+        currency: getDepositCurrency(doc),
         term: doc.contractType || doc.term,
+        termLabel: toTermLabel(getDepositTerm(doc) || doc.contractType || doc.term),
         initialDate: formatDate(doc.initialDate),
         completionDate: formatDate(doc.completionDate),
         status,
@@ -202,22 +299,54 @@ const normalizeCreatedRecord = ({ id, userId, doc }) => {
         estimatedAgentRate: doc.estimatedAgentRate !== undefined ? Number(doc.estimatedAgentRate) : undefined,
         agentRate: doc.agentRate !== undefined ? Number(doc.agentRate) : undefined,
         requestId: doc.requestId,
-        contractId: doc.contractId
+        contractId: doc.contractId,
+        contractStatus: doc.contractStatus || (doc.contractId ? CONTRACT_STATUS.GENERATED : undefined),
+        ratesVersionId: doc.ratesVersionId || null,
+        ...(doc.taxProfile ? { taxRate: doc.taxRate, taxProfile: doc.taxProfile } : {}),
+        rollover: normalizeRolloverInstruction(doc.rollover),
+        rolledOverFrom: doc.rolledOverFrom,
+        rolledOverTo: doc.rolledOverTo
     };
 };
 
-const buildTransactionDescription = ({ amount, term, finalRate, annualNetInterest, totalNetInterestForTerm, estimatedAgentRate }) => {
-    const formattedAmount = Number(amount || 0).toLocaleString('en-PH', {
-        style: 'currency',
-        currency: 'PHP'
-    });
+const buildContractLinkDoc = ({ contractResult, amount, currency = DEFAULT_CURRENCY, rate, completionDate, term, displayId, requestId }) => ({
+    contractId: contractResult.contractId,
+    investmentAmount: amount,
+    currency,
+    interestRate: rate,
+    contractDate: admin.firestore.FieldValue.serverTimestamp(),
+    completionDate: admin.firestore.Timestamp.fromDate(completionDate),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    viewUrl: contractResult.urls?.view,
+    downloadUrl: contractResult.urls?.download,
+    pdfUrl: contractResult.urls?.pdf,
+    expiresAt: contractResult.expiresAt || null,
+    status: 'Active',
+    term,
+    displayId,
+    requestId
+});
+
+const buildTransactionDescription = ({ amount, currency = DEFAULT_CURRENCY, term, finalRate, annualNetInterest, totalNetInterestForTerm, estimatedAgentRate }) => {
+    const formattedAmount = formatMoney(amount, currency);
+
+    return `Added ${formattedAmount} to Time Deposit for ${toTermLabel(term)} at ${Number(finalRate || 0)}% interest (Agent Rate: ${Number(estimatedAgentRate || 0)}%). Annual Net Gain: ${formatMoney(annualNetInterest, currency)}. Total Net Gain (Term): ${formatMoney(totalNetInterestForTerm, currency)}.`;
+};
 
-    const formatPeso = (value) => Number(value || 0).toLocaleString('en-PH', {
-        style: 'currency',
-        currency: 'PHP'
-    });
+/**
+ * Tax profiles for a quote or new deposit: the investor's interest profile and, for a manual
+ * referral, the referrer's commission profile. Without a userId the standard profile applies.
+ */
+const resolveQuoteTaxProfiles = async (db, { userId, referral, taxProfiles }) => {
+    const investorData = userId ? ((await getUserByIdOrUserId(db, userId)).snapshot.data() || {}) : {};
+    const referrerData = referral && referral.referrerUserId && referral.mode !== 'hierarchy'
+        ? ((await getUserByIdOrUserId(db, referral.referrerUserId)).snapshot.data() || {})
+        : {};
 
-    return `Added ${formattedAmount} to Time Deposit for ${toTermLabel(term)} at ${Number(finalRate || 0)}% interest (Agent Rate: ${Number(estimatedAgentRate || 0)}%). Annual Net Gain: ${formatPeso(annualNetInterest)}. Total Net Gain (Term): ${formatPeso(totalNetInterestForTerm)}.`;
+    return {
+        interest: resolveTaxProfile(taxProfiles, investorData, 'interest'),
+        commission: resolveTaxProfile(taxProfiles, referrerData, 'commission')
+    };
 };
 
 const quoteTimeDeposit = async (payload) => {
@@ -227,17 +356,37 @@ const quoteTimeDeposit = async (payload) => {
         throw createHttpError(400, 'Amount must be a valid non-negative number', 'INVALID_AMOUNT');
     }
 
-    const rates = await loadInvestmentRates();
-    const termRates = getRatesForTerm(rates, payload.term);
+    const currency = resolveCurrency(payload.currency);
+    const termDefinition = await resolveTermForAmount(payload.term, amount, currency);
 
-    return buildQuote({
-        amount,
-        term: payload.term,
-        termRates,
-        finalInterestRate: payload.finalInterestRate,
-        agentRates: Object.keys(rates.agentRates || {}).length ? rates.agentRates : null,
-        referral: payload.referral
+    // Rates are resolved as of the deposit's initial date, not the day the quote is requested
+    const rates = await loadInvestmentRates(getRatesDocIdForCurrency(currency), {
+        asOf: payload.initialDate ? asDate(payload.initialDate) : undefined
+    });
+    const termRates = getRatesForTerm(rates, payload.term);
+    const tax = await resolveQuoteTaxProfiles(getFirestore(), {
+        userId: payload.userId,
+        referral: payload.referral,
+        taxProfiles: await loadTaxProfiles()
     });
+
+    return {
+        ...buildQuote({
+            amount,
+            term: termDefinition,
+            termRates,
+            finalInterestRate: payload.finalInterestRate,
+            taxRate: tax.interest.rate,
+            commissionTaxRate: tax.commission.rate,
+            agentRates: Object.keys(rates.agentRates || {}).length ? rates.agentRates : null,
+            referral: payload.referral
+        }),
+        ...buildTermSnapshot(termDefinition),
+        currency,
+        taxRate: tax.interest.rate,
+        taxProfile: buildTaxProfileSnapshot(tax.interest),
+        ratesVersionId: rates.versionId
+    };
 };
 
 const createTimeDeposit = async ({
@@ -245,7 +394,8 @@ const createTimeDeposit = async ({
     payload,
     requestId,
     adminUser,
-    contractResult
+    contractResult,
+    pendingContract = null
 }) => {
     const db = getFirestore();
     const amount = parseNumeric(payload.amount);
@@ -254,19 +404,27 @@ const createTimeDeposit = async ({
         throw createHttpError(400, 'Amount must be greater than zero', 'INVALID_AMOUNT');
     }
 
-    const rates = await loadInvestmentRates();
+    const currency = resolveCurrency(payload.currency);
+    const currencyConfig = getCurrencyConfig(currency);
+    const termDefinition = await resolveTermForAmount(payload.term, amount, currency);
+    const initialDate = asDate(payload.initialDate);
+    const rates = await loadInvestmentRates(getRatesDocIdForCurrency(currency), { asOf: initialDate });
     const termRates = getRatesForTerm(rates, payload.term);
+    const taxProfiles = await loadTaxProfiles();
+    const tax = await resolveQuoteTaxProfiles(db, { userId: targetUserId, referral: payload.referral, taxProfiles });
     const quote = buildQuote({
         amount,
-        term: payload.term,
+        term: termDefinition,
         termRates,
         finalInterestRate: payload.finalInterestRate,
+        taxRate: tax.interest.rate,
+        commissionTaxRate: tax.commission.rate,
         agentRates: Object.keys(rates.agentRates || {}).length ? rates.agentRates : null,
         referral: payload.referral
     });
+    const taxProfile = buildTaxProfileSnapshot(tax.interest);
 
-    const initialDate = asDate(payload.initialDate);
-    const completionDate = calculateCompletionDate(initialDate, payload.term);
+    const completionDate = calculateCompletionDate(initialDate, termDefinition);
 
     const refContext = await buildReferralContext({
         referral: payload.referral,
@@ -275,7 +433,9 @@ const createTimeDeposit = async ({
             amount
         },
         db,
-        targetUserId
+        targetUserId,
+        taxProfiles,
+        initialDate
     });
 
     const idempotencyKey = (requestId && requestId.trim()) || crypto.randomUUID();
@@ -285,7 +445,7 @@ const createTimeDeposit = async ({
         const userRef = userLookup.ref;
         const userData = userLookup.snapshot.data() || {};
 
-        const timeDepositRef = userRef.collection('inspireAuto').doc(idempotencyKey);
+        const timeDepositRef = userRef.collection(TIME_DEPOSITS_SUBCOLLECTION).doc(idempotencyKey);
         const existingDoc = await transaction.get(timeDepositRef);
 
         if (existingDoc.exists) {
@@ -299,33 +459,46 @@ const createTimeDeposit = async ({
             };
         }
 
+        // Firestore transactions require every read before the first write
+        const memberLookups = [];
+        if (refContext) {
+            for (const member of refContext.distribution) {
+                memberLookups.push({
+                    member,
+                    lookup: await getUserByIdOrUserId(db, member.userId, transaction)
+                });
+            }
+        }
+
         const displayId = await nextDisplayId(db, transaction);
-        const timeDepositAmount = Number(userData.timeDepositAmount || 0);
 
-        transaction.update(userRef, {
-            timeDepositAmount: roundTo(timeDepositAmount + amount, 2)
-        });
+        transaction.update(userRef, buildBalanceUpdate(userData, currency, { deposit: amount }));
 
+        const commissionEntries = [];
         if (refContext) {
-            for (const member of refContext.distribution) {
-                const memberLookup = await getUserByIdOrUserId(db, member.userId, transaction);
+            for (const { member, lookup: memberLookup } of memberLookups) {
                 const memberData = memberLookup.snapshot.data() || {};
-                const currentWallet = Number(memberData.agentWalletAmount || 0);
+                const walletField = currencyConfig.agentWalletField;
+                const currentWallet = Number(memberData[walletField] || 0);
                 const commissionAmount = Number(member.commissionAmount || 0);
 
+                // Commission is paid in the deposit's currency
                 transaction.update(memberLookup.ref, {
-                    agentWalletAmount: roundTo(currentWallet + commissionAmount, 2)
+                    [walletField]: roundTo(currentWallet + commissionAmount, 2)
                 });
 
-                const agentTransactionRef = memberLookup.ref.collection('agentTransactions').doc();
+                const agentTransactionRef = memberLookup.ref.collection(AGENT_TRANSACTIONS_SUBCOLLECTION).doc();
                 transaction.set(agentTransactionRef, {
                     amount: commissionAmount,
+                    currency,
                     date: admin.firestore.FieldValue.serverTimestamp(),
                     type: refContext.mode === 'hierarchy'
                         ? `Hierarchy Commission (${Number(member.commissionPercentage || 0)}%, Net After Tax) - Time Deposit`
                         : `Referral Bonus (${Number(refContext.commissionPercentage)}%, Net After Tax) - Time Deposit`,
-                    grossAmount: refContext.mode === 'hierarchy' ? commissionAmount : refContext.grossCommission,
-                    taxApplied: refContext.mode === 'hierarchy' ? 0 : refContext.taxAmount,
+                    grossAmount: member.grossAmount,
+                    taxApplied: member.taxAmount,
+                    taxRate: member.taxProfile.rate,
+                    taxProfile: member.taxProfile,
                     percentage: Number(member.commissionPercentage || refContext.commissionPercentage),
                     referredUserId: userRef.id,
                     referredClient: `${userData.firstName || ''} ${userData.lastName || ''}`.trim() || userData.emailAddress || userRef.id,
@@ -333,7 +506,15 @@ const createTimeDeposit = async ({
                     displayId,
                     selectedReferrerId: refContext.referrerDocId,
                     agentType: member.type || undefined,
-                    mode: refContext.mode
+                    mode: refContext.mode,
+                    ...(refContext.commissionPlanVersionId ? { commissionPlanVersionId: refContext.commissionPlanVersionId } : {})
+                });
+
+                commissionEntries.push({
+                    userId: memberLookup.ref.id,
+                    agentTransactionId: agentTransactionRef.id,
+                    amount: commissionAmount,
+                    currency
                 });
             }
         }
@@ -342,12 +523,14 @@ const createTimeDeposit = async ({
             requestId: idempotencyKey,
             displayId,
             amount,
+            currency,
             initialDate: admin.firestore.Timestamp.fromDate(initialDate),
             completionDate: admin.firestore.Timestamp.fromDate(completionDate),
             createdAt: admin.firestore.FieldValue.serverTimestamp(),
             isActive: 'Active',
             status: 'Active',
             contractType: payload.term,
+            ...buildTermSnapshot(termDefinition),
             estimatedInterestRate: quote.estimatedInterestRate,
             rate: quote.finalInterestRate,
             estimatedAgentRate: quote.estimatedAgentRate || 0,
@@ -355,21 +538,33 @@ const createTimeDeposit = async ({
             annualNetInterest: quote.annualNetInterest,
             totalNetInterestForTerm: quote.totalNetInterestForTerm,
             totalReturnAmount: quote.totalReturnAmount,
+            ratesVersionId: rates.versionId,
+            // Interest is withheld at this rate for the life of the deposit
+            taxRate: taxProfile.rate,
+            taxProfile,
             currentCycleCount: 0,
-            ...(refContext ? { referrerId: refContext.referrerDocId } : {}),
-            ...(contractResult ? { contractId: contractResult.contractId } : {})
+            ...(refContext ? { referrerId: refContext.referrerDocId, commissionEntries } : {}),
+            ...(refContext && refContext.commissionPlanVersionId ? { commissionPlanVersionId: refContext.commissionPlanVersionId } : {}),
+            ...(payload.rollover ? { rollover: normalizeRolloverInstruction(payload.rollover) } : {}),
+            ...(contractResult ? { contractId: contractResult.contractId, contractStatus: CONTRACT_STATUS.GENERATED } : {}),
+            ...(!contractResult && pendingContract ? {
+                contractStatus: CONTRACT_STATUS.PENDING,
+                contractError: pendingContract.lastError || null
+            } : {})
         };
 
         transaction.set(timeDepositRef, timeDepositDoc);
 
-        const txRef = userRef.collection('transactions').doc();
+        const txRef = userRef.collection(TRANSACTIONS_SUBCOLLECTION).doc();
         transaction.set(txRef, {
             displayId,
             amount,
+            currency,
             type: 'Add Time Deposit',
             description: buildTransactionDescription({
                 amount,
-                term: payload.term,
+                currency,
+                term: termDefinition,
                 finalRate: quote.finalInterestRate,
                 annualNetInterest: quote.annualNetInterest,
                 totalNetInterestForTerm: quote.totalNetInterestForTerm,
@@ -384,6 +579,8 @@ const createTimeDeposit = async ({
             annualNetInterest: quote.annualNetInterest,
             totalNetInterestForTerm: quote.totalNetInterestForTerm,
             totalReturnAmount: quote.totalReturnAmount,
+            ratesVersionId: rates.versionId,
+            taxProfile,
             ...(refContext ? { referrerId: refContext.referrerDocId } : {})
         });
 
@@ -398,13 +595,12 @@ const createTimeDeposit = async ({
             const targetUserName = `${userData.firstName || ''} ${userData.lastName || ''}`.trim() || userData.emailAddress || userRef.id;
             const actorName = adminUser.displayName || adminUser.email || adminId;
 
-            let details = `Admin ${actorName} added a ${Number(amount).toLocaleString('en-PH', {
-                style: 'currency',
-                currency: 'PHP'
-            })} time deposit (${toTermLabel(payload.term)}, ${quote.finalInterestRate}%) for user ${targetUserName} (ID: ${userData.userId || userRef.id}). Investment Profile ID: ${displayId}.`;
+            let details = `Admin ${actorName} added a ${formatMoney(amount, currency)} time deposit (${toTermLabel(termDefinition)}, ${quote.finalInterestRate}%) for user ${targetUserName} (ID: ${userData.userId || userRef.id}). Investment Profile ID: ${displayId}.`;
 
             if (contractResult && contractResult.contractId) {
                 details += ` Contract ID: ${contractResult.contractId}.`;
+            } else if (pendingContract) {
+                details += ' Contract generation queued.';
             }
 
             if (refContext) {
@@ -424,6 +620,7 @@ const createTimeDeposit = async ({
                 targetUserId: userData.userId || userRef.id,
                 targetUserName,
                 amount,
+                currency,
                 term: payload.term,
                 rate: quote.finalInterestRate,
                 displayId,
@@ -441,22 +638,25 @@ const createTimeDeposit = async ({
         }
 
         if (contractResult && contractResult.contractId) {
-            const contractLinkRef = userRef.collection('contractLinks').doc(contractResult.contractId);
-            transaction.set(contractLinkRef, {
-                contractId: contractResult.contractId,
-                investmentAmount: amount,
-                interestRate: quote.finalInterestRate,
-                contractDate: admin.firestore.FieldValue.serverTimestamp(),
-                completionDate: admin.firestore.Timestamp.fromDate(completionDate),
-                createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                viewUrl: contractResult.urls?.view,
-                downloadUrl: contractResult.urls?.download,
-                pdfUrl: contractResult.urls?.pdf,
-                expiresAt: contractResult.expiresAt || null,
-                status: 'Active',
+            const contractLinkRef = userRef.collection(CONTRACT_LINKS_SUBCOLLECTION).doc(contractResult.contractId);
+            transaction.set(contractLinkRef, buildContractLinkDoc({
+                contractResult,
+                amount,
+                currency,
+                rate: quote.finalInterestRate,
+                completionDate,
                 term: payload.term,
                 displayId,
                 requestId: idempotencyKey
+            }));
+        } else if (pendingContract) {
+            enqueueContractGeneration(db, transaction, {
+                userId: userRef.id,
+                timeDepositId: idempotencyKey,
+                displayId,
+                source: 'create',
+                lastError: pendingContract.lastError || null,
+                lastErrorCode: pendingContract.lastErrorCode || null
             });
         }
 
@@ -476,8 +676,749 @@ const createTimeDeposit = async ({
     };
 };
 
+const toIsoString = (value) => {
+    const timestamp = getTimestampMs(value);
+    return timestamp === null ? null : new Date(timestamp).toISOString();
+};
+
+const normalizeListedRecord = (doc) => {
+    const data = doc.data() || {};
+    const userId = doc.ref.parent.parent ? doc.ref.parent.parent.id : undefined;
+
+    return {
+        ...normalizeCreatedRecord({ id: doc.id, userId, doc: data }),
+        createdAt: toIsoString(data.createdAt),
+        referrerId: data.referrerId
+    };
+};
+
+/**
+ * List time deposits across every user's inspireAuto subcollection.
+ * Filtering and pagination happen in memory, matching the other collection group listings.
+ */
+const listTimeDeposits = async (params = {}) => {
+    const {
+        page = 1,
+        limit = 20,
+        status,
+        term,
+        currency,
+        maturityFrom,
+        maturityTo,
+        sortBy = DEFAULT_LIST_SORT_BY,
+        sortOrder = DEFAULT_LIST_SORT_ORDER
+    } = params;
+
+    const db = getFirestore();
+    const snapshot = await db.collectionGroup(TIME_DEPOSITS_SUBCOLLECTION).get();
+    const allItems = snapshot.docs.map(normalizeListedRecord);
+    const filtered = applyListFilters(allItems, { status, term, currency, maturityFrom, maturityTo });
+
+    return paginateList(sortListedRecords(filtered, sortBy, sortOrder), { page, limit });
+};
+
+const findContractLink = async (userRef, timeDepositId, data) => {
+    if (data.contractId) {
+        const contractDoc = await userRef.collection(CONTRACT_LINKS_SUBCOLLECTION).doc(data.contractId).get();
+        if (contractDoc.exists) {
+            return contractDoc;
+        }
+    }
+
+    const snapshot = await userRef
+        .collection(CONTRACT_LINKS_SUBCOLLECTION)
+        .where('requestId', '==', timeDepositId)
+        .limit(1)
+        .get();
+
+    return snapshot.empty ? null : snapshot.docs[0];
+};
+
+const findCreationTransaction = async (userRef, displayId) => {
+    if (!displayId) return null;
+
+    const snapshot = await userRef
+        .collection(TRANSACTIONS_SUBCOLLECTION)
+        .where('displayId', '==', displayId)
+        .get();
+
+    return snapshot.docs.find((doc) => CREATION_TRANSACTION_TYPES.includes((doc.data() || {}).type)) || null;
+};
+
+const getTimeDepositDetail = async ({ userId, timeDepositId }) => {
+    const db = getFirestore();
+    const userLookup = await getUserByIdOrUserId(db, userId);
+    const userRef = userLookup.ref;
+    const userData = userLookup.snapshot.data() || {};
+
+    const timeDepositDoc = await userRef.collection(TIME_DEPOSITS_SUBCOLLECTION).doc(timeDepositId).get();
+    if (!timeDepositDoc.exists) {
+        throw createHttpError(404, 'Time deposit not found', 'TIME_DEPOSIT_NOT_FOUND');
+    }
+
+    const data = timeDepositDoc.data() || {};
+    const [contractDoc, transactionDoc] = await Promise.all([
+        findContractLink(userRef, timeDepositDoc.id, data),
+        findCreationTransaction(userRef, data.displayId)
+    ]);
+
+    return {
+        timeDeposit: {
+            ...normalizeCreatedRecord({ id: timeDepositDoc.id, userId: userRef.id, doc: data }),
+            createdAt: toIsoString(data.createdAt),
+            currentCycleCount: Number(data.currentCycleCount || 0),
+            referrerId: data.referrerId
+        },
+        user: {
+            id: userRef.id,
+            userId: userData.userId || userRef.id,
+            firstName: userData.firstName,
+            lastName: userData.lastName,
+            emailAddress: userData.emailAddress,
+            accountNumber: userData.accountNumber
+        },
+        contractLink: contractDoc
+            ? { id: contractDoc.id, ...sanitizeFirestoreData(contractDoc.data() || {}) }
+            : null,
+        transaction: transactionDoc
+            ? { id: transactionDoc.id, ...sanitizeFirestoreData(transactionDoc.data() || {}) }
+            : null
+    };
+};
+
+const isActiveDeposit = (data = {}) =>
+    String(data.status || data.isActive || '').toLowerCase() === 'active';
+
+const getDisplayName = (userData, fallbackId) =>
+    `${userData.firstName || ''} ${userData.lastName || ''}`.trim() || userData.emailAddress || fallbackId;
+
+/**
+ * References to the agentTransactions commission entries booked for a deposit.
+ * Deposits created before commissionEntries was stored fall back to a displayId lookup.
+ */
+const resolveCommissionEntryRefs = async (db, userRef, data = {}) => {
+    if (Array.isArray(data.commissionEntries)) {
+        return data.commissionEntries
+            .filter((entry) => entry && entry.userId && entry.agentTransactionId)
+            .map((entry) => db
+                .collection(USERS_COLLECTION)
+                .doc(entry.userId)
+                .collection(AGENT_TRANSACTIONS_SUBCOLLECTION)
+                .doc(entry.agentTransactionId));
+    }
+
+    if (!data.referrerId || !data.displayId) {
+        return [];
+    }
+
+    const snapshot = await db
+        .collectionGroup(AGENT_TRANSACTIONS_SUBCOLLECTION)
+        .where('displayId', '==', data.displayId)
+        .get();
+
+    return snapshot.docs
+        .filter((doc) => (doc.data() || {}).referredUserId === userRef.id)
+        .map((doc) => doc.ref);
+};
+
+const computeCommissionClawback = (entryDoc, clawbackPercent) => {
+    const entry = entryDoc.data() || {};
+    const amount = Number(entry.amount || 0);
+    const alreadyClawedBack = entry.clawedBackAmount !== undefined || entry.reversedAt !== undefined;
+
+    return {
+        userId: entryDoc.ref.parent.parent.id,
+        agentTransactionId: entryDoc.id,
+        commissionAmount: amount,
+        clawbackAmount: alreadyClawedBack || amount <= 0
+            ? 0
+            : roundTo(amount * (clawbackPercent / 100), 2)
+    };
+};
+
+/**
+ * Rates a deposit was booked with, so later rate changes never change its refund or penalty.
+ * Deposits without a stored version use the rates in effect when they were created.
+ */
+const loadDepositRates = async (data = {}) => {
+    const docId = getRatesDocIdForCurrency(getDepositCurrency(data));
+    const versionRates = data.ratesVersionId ? await loadRatesVersionById(data.ratesVersionId, docId) : null;
+    if (versionRates) {
+        return versionRates;
+    }
+
+    const bookedMs = getTimestampMs(data.createdAt) ?? getTimestampMs(data.initialDate);
+    return loadInvestmentRates(docId, bookedMs === null ? {} : { asOf: new Date(bookedMs) });
+};
+
+const buildPreTerminationBreakdown = ({ data, rates, terminationDate, now = new Date() }) => {
+    if (!isActiveDeposit(data)) {
+        throw createHttpError(409, `Time deposit is ${data.status || data.isActive || 'not active'}`, 'TIME_DEPOSIT_NOT_ACTIVE');
+    }
+
+    const term = data.contractType || data.term;
+    const termDefinition = getDepositTerm(data);
+    const initialMs = getTimestampMs(data.initialDate);
+    const completionMs = getTimestampMs(data.completionDate);
+    const terminationMs = terminationDate.getTime();
+
+    if (!termDefinition) {
+        throw createHttpError(422, `Time deposit term ${term} is not recognised`, 'UNSUPPORTED_TERM');
+    }
+
+    if (initialMs === null || completionMs === null) {
+        throw createHttpError(422, 'Time deposit is missing its initial or completion date', 'TIME_DEPOSIT_DATES_MISSING');
+    }
+
+    if (Number.isNaN(terminationMs)) {
+        throw createHttpError(400, 'Termination date must be a valid date', 'INVALID_TERMINATION_DATE');
+    }
+
+    if (terminationMs < initialMs) {
+        throw createHttpError(400, 'Termination date cannot be before the initial date', 'INVALID_TERMINATION_DATE');
+    }
+
+    if (terminationMs > now.getTime()) {
+        throw createHttpError(400, 'Termination date cannot be in the future', 'INVALID_TERMINATION_DATE');
+    }
+
+    if (terminationMs >= completionMs) {
+        throw createHttpError(409, 'Time deposit has reached maturity; use the maturity process instead', 'TIME_DEPOSIT_MATURED');
+    }
+
+    const parsedTaxRate = parseNumeric(data.taxRate);
+
+    return calculatePreTermination({
+        amount: data.amount,
+        finalInterestRate: data.rate ?? data.finalInterestRate,
+        term: termDefinition,
+        initialDate: new Date(initialMs),
+        terminationDate,
+        paidCycles: data.currentCycleCount,
+        interestPaidAmount: data.interestPaidAmount,
+        schedule: getPenaltyScheduleForTerm(rates, term),
+        ...(Number.isFinite(parsedTaxRate) ? { taxRate: parsedTaxRate } : {})
+    });
+};
+
+const settleTerminationInterest = (breakdown, data) => {
+    const parsedTaxRate = parseNumeric(data.taxRate);
+    const taxRate = Number.isFinite(parsedTaxRate) && parsedTaxRate < 1 ? parsedTaxRate : TAX_RATE;
+    const netInterest = roundTo(breakdown.earnedUnpaidInterest - breakdown.forfeitedInterest - breakdown.interestClawback, 2);
+    const grossAmount = roundTo(netInterest / (1 - taxRate), 2);
+
+    return {
+        grossAmount,
+        taxAmount: roundTo(grossAmount - netInterest, 2),
+        netInterest,
+        taxRate
+    };
+};
+
+/**
+ * Quote the refund for terminating a deposit early, including commission clawbacks
+ */
+const quotePreTermination = async ({ userId, timeDepositId, terminationDate = new Date() }) => {
+    const db = getFirestore();
+    const userLookup = await getUserByIdOrUserId(db, userId);
+    const userRef = userLookup.ref;
+    const timeDepositDoc = await userRef.collection(TIME_DEPOSITS_SUBCOLLECTION).doc(timeDepositId).get();
+
+    if (!timeDepositDoc.exists) {
+        throw createHttpError(404, 'Time deposit not found', 'TIME_DEPOSIT_NOT_FOUND');
+    }
+
+    const data = timeDepositDoc.data() || {};
+    const rates = await loadDepositRates(data);
+    const breakdown = buildPreTerminationBreakdown({ data, rates, terminationDate });
+
+    const entryRefs = await resolveCommissionEntryRefs(db, userRef, data);
+    const entryDocs = await Promise.all(entryRefs.map((ref) => ref.get()));
+    const commissionClawbacks = entryDocs
+        .filter((doc) => doc.exists)
+        .map((doc) => computeCommissionClawback(doc, breakdown.commissionClawbackPercent));
+
+    return {
+        timeDeposit: normalizeCreatedRecord({ id: timeDepositDoc.id, userId: userRef.id, doc: data }),
+        terminationDate: terminationDate.toISOString(),
+        ...breakdown,
+        commissionClawbacks,
+        totalCommissionClawback: roundTo(commissionClawbacks.reduce((sum, item) => sum + item.clawbackAmount, 0), 2)
+    };
+};
+
+// A contract still waiting in the retry queue is no longer needed once the deposit is closed
+const cancelOpenContractQueueEntry = (transaction, queueDoc, reason) => {
+    if (queueDoc.exists && [QUEUE_STATUS.PENDING, QUEUE_STATUS.PROCESSING].includes((queueDoc.data() || {}).status)) {
+        transaction.update(queueDoc.ref, {
+            status: QUEUE_STATUS.CANCELLED,
+            lastError: reason,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+};
+
+/**
+ * Terminate a deposit early in one transaction: close the inspireAuto record, return the refund
+ * to the wallet, reduce timeDepositAmount, claw back the agent commissions it paid and cancel a
+ * contract generation still queued for it.
+ */
+const executePreTermination = async ({ userId, timeDepositId, terminationDate = new Date(), reason, adminUser }) => {
+    if (!reason || !String(reason).trim()) {
+        throw createHttpError(400, 'A reason is required to pre-terminate a time deposit', 'REASON_REQUIRED');
+    }
+
+    const db = getFirestore();
+    const userLookup = await getUserByIdOrUserId(db, userId);
+    const userRef = userLookup.ref;
+    const timeDepositRef = userRef.collection(TIME_DEPOSITS_SUBCOLLECTION).doc(timeDepositId);
+    const initialDoc = await timeDepositRef.get();
+
+    if (!initialDoc.exists) {
+        throw createHttpError(404, 'Time deposit not found', 'TIME_DEPOSIT_NOT_FOUND');
+    }
+
+    const rates = await loadDepositRates(initialDoc.data() || {});
+    const entryRefs = await resolveCommissionEntryRefs(db, userRef, initialDoc.data() || {});
+    const queueRef = getContractQueueRef(db, userRef.id, timeDepositId);
+
+    return db.runTransaction(async (transaction) => {
+        const timeDepositDoc = await transaction.get(timeDepositRef);
+        const userDoc = await transaction.get(userRef);
+        const queueDoc = await transaction.get(queueRef);
+        const entryDocs = [];
+        for (const ref of entryRefs) {
+            entryDocs.push(await transaction.get(ref));
+        }
+
+        const memberDocs = new Map();
+        for (const entryDoc of entryDocs) {
+            const memberRef = entryDoc.ref.parent.parent;
+            if (entryDoc.exists && !memberDocs.has(memberRef.id)) {
+                memberDocs.set(memberRef.id, await transaction.get(memberRef));
+            }
+        }
+
+        const data = timeDepositDoc.data() || {};
+        const breakdown = buildPreTerminationBreakdown({ data, rates, terminationDate });
+        const userData = userDoc.data() || {};
+        const term = data.contractType || data.term;
+        const displayId = data.displayId || timeDepositRef.id;
+        const trimmedReason = String(reason).trim();
+        const currency = getDepositCurrency(data);
+        const walletField = getCurrencyConfig(currency).agentWalletField;
+
+        transaction.update(timeDepositRef, {
+            status: PRE_TERMINATED_STATUS,
+            isActive: PRE_TERMINATED_STATUS,
+            terminatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            nextCycleDate: null,
+            preTermination: {
+                terminationDate: admin.firestore.Timestamp.fromDate(terminationDate),
+                reason: trimmedReason,
+                refundAmount: breakdown.refundAmount,
+                penaltyAmount: breakdown.penaltyAmount,
+                penaltyPercent: breakdown.penaltyPercent,
+                forfeitedInterest: breakdown.forfeitedInterest,
+                interestClawback: breakdown.interestClawback,
+                earnedUnpaidInterest: breakdown.earnedUnpaidInterest,
+                elapsedCycles: breakdown.elapsedCycles,
+                rule: breakdown.rule,
+                adminId: adminUser && adminUser.id ? adminUser.id : null
+            }
+        });
+
+        cancelOpenContractQueueEntry(transaction, queueDoc, 'Time deposit pre-terminated');
+
+        transaction.update(userRef, buildBalanceUpdate(userData, currency, {
+            deposit: -breakdown.principal,
+            available: breakdown.refundAmount
+        }));
+
+        const txRef = userRef.collection(TRANSACTIONS_SUBCOLLECTION).doc(`${timeDepositRef.id}-pretermination`);
+        transaction.set(txRef, {
+            displayId: data.displayId,
+            timeDepositId: timeDepositRef.id,
+            amount: breakdown.refundAmount,
+            currency,
+            principal: breakdown.principal,
+            penaltyAmount: breakdown.penaltyAmount,
+            forfeitedInterest: breakdown.forfeitedInterest,
+            interestClawback: breakdown.interestClawback,
+            // Interest settled by the termination: unpaid interest refunded less what was forfeited or clawed
+            // back. Negative when interest paid in earlier cycles was recovered.
+            ...settleTerminationInterest(breakdown, data),
+            type: PRE_TERMINATION_TRANSACTION_TYPE,
+            description: `Time Deposit ${displayId} (${toTermLabel(getDepositTerm(data) || term)}) pre-terminated after ${breakdown.elapsedCycles} of ${breakdown.totalCycles} cycles. Refunded ${formatMoney(breakdown.refundAmount, currency)} (Principal: ${formatMoney(breakdown.principal, currency)}, Penalty: ${formatMoney(breakdown.penaltyAmount, currency)}, Forfeited Interest: ${formatMoney(breakdown.forfeitedInterest + breakdown.interestClawback, currency)}).`,
+            date: admin.firestore.FieldValue.serverTimestamp(),
+            contractType: term
+        });
+
+        const memberWallets = new Map();
+        const commissionClawbacks = [];
+
+        entryDocs.filter((doc) => doc.exists).forEach((entryDoc) => {
+            const clawback = computeCommissionClawback(entryDoc, breakdown.commissionClawbackPercent);
+            if (clawback.clawbackAmount <= 0) {
+                commissionClawbacks.push({ ...clawback, debitedAmount: 0, outstandingAmount: 0 });
+                return;
+            }
+
+            const memberRef = entryDoc.ref.parent.parent;
+            const memberDoc = memberDocs.get(memberRef.id);
+            // A deleted member has no wallet to debit, so the whole clawback is outstanding
+            const hasWallet = Boolean(memberDoc && memberDoc.exists);
+            const storedWallet = hasWallet ? Number((memberDoc.data() || {})[walletField] || 0) : 0;
+            const wallet = memberWallets.has(memberRef.id) ? memberWallets.get(memberRef.id) : storedWallet;
+
+            // Never push the agent wallet below zero; whatever cannot be debited is recorded as outstanding
+            const debitedAmount = roundTo(Math.min(Math.max(wallet, 0), clawback.clawbackAmount), 2);
+            const outstandingAmount = roundTo(clawback.clawbackAmount - debitedAmount, 2);
+            if (hasWallet) {
+                memberWallets.set(memberRef.id, roundTo(wallet - debitedAmount, 2));
+            }
+
+            const clawbackRef = memberRef.collection(AGENT_TRANSACTIONS_SUBCOLLECTION).doc();
+            transaction.set(clawbackRef, {
+                amount: -clawback.clawbackAmount,
+                currency,
+                debitedAmount,
+                outstandingAmount,
+                date: admin.firestore.FieldValue.serverTimestamp(),
+                type: `Commission Clawback (${breakdown.commissionClawbackPercent}%) - Time Deposit Pre-Termination`,
+                reversalOf: entryDoc.id,
+                referredUserId: userRef.id,
+                referredClient: getDisplayName(userData, userRef.id),
+                investmentAmount: Number(data.amount || 0),
+                displayId: data.displayId
+            });
+
+            transaction.update(entryDoc.ref, {
+                clawedBackAmount: clawback.clawbackAmount,
+                clawedBackAt: admin.firestore.FieldValue.serverTimestamp(),
+                clawbackTransactionId: clawbackRef.id
+            });
+
+            commissionClawbacks.push({ ...clawback, debitedAmount, outstandingAmount });
+        });
+
+        memberWallets.forEach((wallet, memberId) => {
+            transaction.update(memberDocs.get(memberId).ref, { [walletField]: wallet });
+        });
+
+        const totalCommissionClawback = roundTo(commissionClawbacks.reduce((sum, item) => sum + item.clawbackAmount, 0), 2);
+        const targetUserName = getDisplayName(userData, userRef.id);
+
+        writeAdminHistoryLog(db, transaction, adminUser, {
+            action: 'Pre-Terminate Time Deposit',
+            targetUserId: userData.userId || userRef.id,
+            targetUserName,
+            amount: breakdown.refundAmount,
+            currency,
+            principal: breakdown.principal,
+            penaltyAmount: breakdown.penaltyAmount,
+            term,
+            displayId: data.displayId,
+            reason: trimmedReason,
+            resourceType: 'DEPOSIT',
+            resourceId: displayId,
+            details: `Pre-terminated time deposit ${displayId} for user ${targetUserName}. Refunded ${formatMoney(breakdown.refundAmount, currency)} to available balance (penalty ${formatMoney(breakdown.penaltyAmount, currency)}, forfeited interest ${formatMoney(breakdown.forfeitedInterest + breakdown.interestClawback, currency)}). Commission clawback: ${formatMoney(totalCommissionClawback, currency)} from ${commissionClawbacks.filter((item) => item.clawbackAmount > 0).length} agent(s). Reason: ${trimmedReason}`
+        });
+
+        return {
+            timeDeposit: {
+                ...normalizeCreatedRecord({ id: timeDepositRef.id, userId: userRef.id, doc: data }),
+                status: PRE_TERMINATED_STATUS
+            },
+            terminationDate: terminationDate.toISOString(),
+            reason: trimmedReason,
+            ...breakdown,
+            commissionClawbacks,
+            totalCommissionClawback
+        };
+    });
+};
+
+const assertVoidable = (data, now) => {
+    if (!isActiveDeposit(data)) {
+        throw createHttpError(409, `Time deposit is ${data.status || data.isActive || 'not active'}`, 'TIME_DEPOSIT_NOT_ACTIVE');
+    }
+
+    const windowHours = getVoidWindowHours();
+    const problem = checkVoidable(data, { createdMs: getTimestampMs(data.createdAt), nowMs: now.getTime(), windowHours });
+
+    if (problem) {
+        throw createHttpError(409, problem.message, problem.code);
+    }
+
+    return windowHours;
+};
+
+/**
+ * Void a deposit booked by mistake. Nothing is deleted: in one transaction the record is marked Voided,
+ * timeDepositAmount is reduced, each commission is reversed with its own agentTransactions entry,
+ * the creation transaction gets a reversing entry, the contract link is voided and an admin log is written.
+ * Only allowed within the void window and before any interest has been paid.
+ */
+const voidTimeDeposit = async ({ userId, timeDepositId, reason, adminUser, now = new Date() }) => {
+    if (!reason || !String(reason).trim()) {
+        throw createHttpError(400, 'A reason is required to void a time deposit', 'REASON_REQUIRED');
+    }
+
+    const db = getFirestore();
+    const userLookup = await getUserByIdOrUserId(db, userId);
+    const userRef = userLookup.ref;
+    const timeDepositRef = userRef.collection(TIME_DEPOSITS_SUBCOLLECTION).doc(timeDepositId);
+    const initialDoc = await timeDepositRef.get();
+
+    if (!initialDoc.exists) {
+        throw createHttpError(404, 'Time deposit not found', 'TIME_DEPOSIT_NOT_FOUND');
+    }
+
+    const initialData = initialDoc.data() || {};
+    assertVoidable(initialData, now);
+
+    const [entryRefs, contractDoc, creationTxDoc] = await Promise.all([
+        resolveCommissionEntryRefs(db, userRef, initialData),
+        findContractLink(userRef, timeDepositId, initialData),
+        findCreationTransaction(userRef, initialData.displayId)
+    ]);
+    const queueRef = getContractQueueRef(db, userRef.id, timeDepositId);
+
+    return db.runTransaction(async (transaction) => {
+        const timeDepositDoc = await transaction.get(timeDepositRef);
+        const userDoc = await transaction.get(userRef);
+        const queueDoc = await transaction.get(queueRef);
+        const entryDocs = [];
+        for (const ref of entryRefs) {
+            entryDocs.push(await transaction.get(ref));
+        }
+
+        const memberDocs = new Map();
+        for (const entryDoc of entryDocs) {
+            const memberRef = entryDoc.ref.parent.parent;
+            if (entryDoc.exists && !memberDocs.has(memberRef.id)) {
+                memberDocs.set(memberRef.id, await transaction.get(memberRef));
+            }
+        }
+
+        const data = timeDepositDoc.data() || {};
+        const windowHours = assertVoidable(data, now);
+        const userData = userDoc.data() || {};
+        const amount = Number(data.amount || 0);
+        const term = data.contractType || data.term;
+        const displayId = data.displayId || timeDepositRef.id;
+        const trimmedReason = String(reason).trim();
+        const currency = getDepositCurrency(data);
+        const walletField = getCurrencyConfig(currency).agentWalletField;
+        const voidedAt = admin.firestore.FieldValue.serverTimestamp();
+        const contractUpdate = data.contractId || data.contractStatus ? { contractStatus: CONTRACT_STATUS.VOIDED } : {};
+
+        transaction.update(timeDepositRef, {
+            status: VOIDED_STATUS,
+            isActive: VOIDED_STATUS,
+            voidedAt,
+            nextCycleDate: null,
+            ...contractUpdate,
+            void: {
+                reason: trimmedReason,
+                windowHours,
+                adminId: adminUser && adminUser.id ? adminUser.id : null
+            }
+        });
+
+        transaction.update(userRef, buildBalanceUpdate(userData, currency, { deposit: -amount }));
+
+        const reversalTxRef = userRef.collection(TRANSACTIONS_SUBCOLLECTION).doc(`${timeDepositRef.id}-void`);
+        transaction.set(reversalTxRef, {
+            displayId: data.displayId,
+            timeDepositId: timeDepositRef.id,
+            amount: -amount,
+            currency,
+            type: 'Time Deposit Void',
+            description: `Time Deposit ${displayId} (${toTermLabel(getDepositTerm(data) || term)}) of ${formatMoney(amount, currency)} voided. Reason: ${trimmedReason}`,
+            reversalOf: creationTxDoc ? creationTxDoc.id : null,
+            date: admin.firestore.FieldValue.serverTimestamp(),
+            contractType: term
+        });
+
+        if (creationTxDoc) {
+            transaction.update(creationTxDoc.ref, {
+                reversedAt: voidedAt,
+                reversalTransactionId: reversalTxRef.id
+            });
+        }
+
+        const reversals = entryDocs.filter((doc) => doc.exists).map((entryDoc) => ({
+            entryDoc,
+            ...computeCommissionClawback(entryDoc, 100)
+        }));
+        const storedWallets = new Map();
+        memberDocs.forEach((memberDoc, memberId) => {
+            storedWallets.set(memberId, memberDoc.exists ? Number((memberDoc.data() || {})[walletField] || 0) : null);
+        });
+        const allocation = allocateCommissionReversals(
+            reversals.map(({ entryDoc, clawbackAmount }) => ({ memberId: entryDoc.ref.parent.parent.id, amount: clawbackAmount })),
+            storedWallets
+        );
+
+        const commissionReversals = reversals.map(({ entryDoc, ...reversal }, index) => {
+            const { debitedAmount, outstandingAmount } = allocation.debits[index];
+            if (reversal.clawbackAmount <= 0) {
+                return { ...reversal, debitedAmount, outstandingAmount };
+            }
+
+            const memberRef = entryDoc.ref.parent.parent;
+            const reversalRef = memberRef.collection(AGENT_TRANSACTIONS_SUBCOLLECTION).doc();
+            transaction.set(reversalRef, {
+                amount: -reversal.clawbackAmount,
+                currency,
+                debitedAmount,
+                outstandingAmount,
+                date: admin.firestore.FieldValue.serverTimestamp(),
+                type: 'Commission Reversal - Time Deposit Void',
+                reversalOf: entryDoc.id,
+                referredUserId: userRef.id,
+                referredClient: getDisplayName(userData, userRef.id),
+                investmentAmount: amount,
+                displayId: data.displayId
+            });
+
+            transaction.update(entryDoc.ref, {
+                reversedAmount: reversal.clawbackAmount,
+                reversedAt: voidedAt,
+                reversalTransactionId: reversalRef.id
+            });
+
+            return { ...reversal, debitedAmount, outstandingAmount };
+        });
+
+        allocation.wallets.forEach((wallet, memberId) => {
+            transaction.update(memberDocs.get(memberId).ref, { [walletField]: wallet });
+        });
+
+        if (contractDoc) {
+            transaction.update(contractDoc.ref, {
+                status: 'Voided',
+                statusChangedAt: voidedAt,
+                voidedAt
+            });
+        }
+
+        cancelOpenContractQueueEntry(transaction, queueDoc, 'Time deposit voided');
+
+        const totalCommissionReversal = roundTo(commissionReversals.reduce((sum, item) => sum + item.clawbackAmount, 0), 2);
+        const targetUserName = getDisplayName(userData, userRef.id);
+
+        writeAdminHistoryLog(db, transaction, adminUser, {
+            action: 'Void Time Deposit',
+            targetUserId: userData.userId || userRef.id,
+            targetUserName,
+            amount,
+            currency,
+            term,
+            displayId: data.displayId,
+            reason: trimmedReason,
+            resourceType: 'DEPOSIT',
+            resourceId: displayId,
+            details: `Voided time deposit ${displayId} (${formatMoney(amount, currency)}) for user ${targetUserName}. Commission reversed: ${formatMoney(totalCommissionReversal, currency)} from ${commissionReversals.filter((item) => item.clawbackAmount > 0).length} agent(s).${contractDoc ? ` Contract ${contractDoc.id} voided.` : ''} Reason: ${trimmedReason}`
+        });
+
+        return {
+            timeDeposit: {
+                ...normalizeCreatedRecord({ id: timeDepositRef.id, userId: userRef.id, doc: { ...data, ...contractUpdate } }),
+                status: VOIDED_STATUS
+            },
+            reason: trimmedReason,
+            amount,
+            currency,
+            commissionReversals,
+            totalCommissionReversal,
+            contractId: contractDoc ? contractDoc.id : null
+        };
+    });
+};
+
+/**
+ * Set what happens to an active deposit at maturity: paid out ('none'), or renewed for the same
+ * term with the principal or the principal plus interest
+ */
+const updateRolloverInstruction = async ({ userId, timeDepositId, rollover, adminUser }) => {
+    const db = getFirestore();
+    const userLookup = await getUserByIdOrUserId(db, userId);
+    const userRef = userLookup.ref;
+    const timeDepositRef = userRef.collection(TIME_DEPOSITS_SUBCOLLECTION).doc(timeDepositId);
+    const normalized = normalizeRolloverInstruction(rollover);
+
+    return db.runTransaction(async (transaction) => {
+        const timeDepositDoc = await transaction.get(timeDepositRef);
+        const userDoc = await transaction.get(userRef);
+
+        if (!timeDepositDoc.exists) {
+            throw createHttpError(404, 'Time deposit not found', 'TIME_DEPOSIT_NOT_FOUND');
+        }
+
+        const data = timeDepositDoc.data() || {};
+        if (!isActiveDeposit(data)) {
+            throw createHttpError(409, `Time deposit is ${data.status || data.isActive || 'not active'}`, 'TIME_DEPOSIT_NOT_ACTIVE');
+        }
+
+        const userData = userDoc.data() || {};
+        const previous = normalizeRolloverInstruction(data.rollover);
+        const displayId = data.displayId || timeDepositRef.id;
+        const targetUserName = getDisplayName(userData, userRef.id);
+
+        transaction.update(timeDepositRef, {
+            rollover: normalized,
+            rolloverUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        writeAdminHistoryLog(db, transaction, adminUser, {
+            action: 'Update Time Deposit Rollover',
+            targetUserId: userData.userId || userRef.id,
+            targetUserName,
+            displayId: data.displayId,
+            previousInstruction: previous.instruction,
+            instruction: normalized.instruction,
+            generateContract: normalized.generateContract,
+            resourceType: 'DEPOSIT',
+            resourceId: displayId,
+            details: `Changed rollover instruction for time deposit ${displayId} (user ${targetUserName}) from '${previous.instruction}' to '${normalized.instruction}'${normalized.generateContract ? ' with a new contract at renewal' : ''}.`
+        });
+
+        return {
+            ...normalizeCreatedRecord({ id: timeDepositRef.id, userId: userRef.id, doc: data }),
+            rollover: normalized
+        };
+    });
+};
+
 module.exports = {
+    TIME_DEPOSITS_SUBCOLLECTION,
+    TRANSACTIONS_SUBCOLLECTION,
+    CONTRACT_LINKS_SUBCOLLECTION,
+    AGENT_TRANSACTIONS_SUBCOLLECTION,
+    PRE_TERMINATION_TRANSACTION_TYPE,
+    ROLLOVER_INSTRUCTIONS,
     quoteTimeDeposit,
     createTimeDeposit,
+    listTimeDeposits,
+    getTimeDepositDetail,
+    quotePreTermination,
+    executePreTermination,
+    voidTimeDeposit,
+    updateRolloverInstruction,
+    normalizeRolloverInstruction,
+    normalizeCreatedRecord,
+    buildTransactionDescription,
+    buildContractLinkDoc,
+    nextDisplayId,
+    getUserByIdOrUserId,
+    formatDate,
+    formatMoney,
+    toTermLabel,
+    buildTermSnapshot,
+    isActiveDeposit,
+    getDisplayName,
     createHttpError
 };
@@ -0,0 +1,353 @@
+const { admin, getFirestore } = require('../config/firebase');
+const { TAX_RATE, parseNumeric, roundTo } = require('../utils/timeDepositCalculator');
+const { getTimestampMs } = require('../utils/firestoreUtils');
+const { DEFAULT_CURRENCY, normalizeCurrency } = require('../utils/currency');
+const { toCsv } = require('../utils/csv');
+const { parseQuarter, aggregateWithholding } = require('../utils/withholdingTax');
+const { INCOME_TYPE_LABELS } = require('../utils/withholdingCertificate');
+const {
+    TRANSACTIONS_SUBCOLLECTION,
+    AGENT_TRANSACTIONS_SUBCOLLECTION,
+    PRE_TERMINATION_TRANSACTION_TYPE,
+    getUserByIdOrUserId,
+    formatDate,
+    getDisplayName
+} = require('./timeDepositService');
+const { INTEREST_PAYOUT_TYPE } = require('./timeDepositCycleService');
+const { MATURED_TRANSACTION_TYPE } = require('./timeDepositMaturityService');
+const { createHttpError } = require('../utils/httpError');
+
+const USERS_COLLECTION = 'users';
+const READ_CHUNK_SIZE = 300;
+const INTEREST_TRANSACTION_TYPES = [INTEREST_PAYOUT_TYPE, MATURED_TRANSACTION_TYPE, PRE_TERMINATION_TRANSACTION_TYPE];
+
+const getPayor = () => ({
+    name: process.env.WITHHOLDING_PAYOR_NAME || 'Inspire Holdings Incorporated',
+    tin: process.env.WITHHOLDING_PAYOR_TIN || null,
+    address: process.env.WITHHOLDING_PAYOR_ADDRESS || null
+});
+
+const REPORT_CSV_COLUMNS = [
+    { header: 'Quarter', key: 'quarter' },
+    { header: 'Payee ID', key: 'payeeUserId' },
+    { header: 'Payee Name', key: 'payeeName' },
+    { header: 'Payee Email', key: 'payeeEmail' },
+    { header: 'Income Type', value: (row) => INCOME_TYPE_LABELS[row.incomeType] || row.incomeType },
+    { header: 'Currency', key: 'currency' },
+    { header: 'Transactions', key: 'transactions' },
+    { header: 'Gross Income', key: 'grossAmount' },
+    { header: 'Tax Withheld', key: 'taxWithheld' },
+    { header: 'Net Paid', key: 'netAmount' },
+    { header: 'Tax Rates', value: (row) => row.taxRates.map((rate) => `${Number((rate * 100).toFixed(4))}%`).join('; ') },
+    { header: 'Tax Profiles', value: (row) => row.taxProfiles.join('; ') }
+];
+
+const toNumber = (value) => {
+    const parsed = parseNumeric(value);
+    return Number.isFinite(parsed) ? parsed : 0;
+};
+
+const toRate = (value) => {
+    const parsed = parseNumeric(value);
+    return Number.isFinite(parsed) ? parsed : null;
+};
+
+const resolvePeriod = (quarter) => {
+    const period = parseQuarter(quarter);
+    if (!period) {
+        throw createHttpError(400, 'Quarter must look like 2026-Q1', 'INVALID_QUARTER');
+    }
+    return period;
+};
+
+const describePeriod = (period) => ({
+    key: period.key,
+    label: period.label,
+    from: formatDate(period.start),
+    to: formatDate(new Date(period.end.getTime() - 24 * 60 * 60 * 1000))
+});
+
+const getDateMs = (data) => getTimestampMs(data.date);
+
+// Grossed up at the record's rate when only the net amount was stored
+const toIncomeAmounts = (netAmount, data) => {
+    const taxRate = toRate(data.taxRate);
+    if (data.grossAmount !== undefined) {
+        return { grossAmount: toNumber(data.grossAmount), taxWithheld: toNumber(data.taxAmount), netAmount, taxRate };
+    }
+
+    const grossUpRate = taxRate !== null && taxRate < 1 ? taxRate : TAX_RATE;
+    const grossAmount = roundTo(netAmount / (1 - grossUpRate), 2);
+    return { grossAmount, taxWithheld: roundTo(grossAmount - netAmount, 2), netAmount, taxRate: grossUpRate };
+};
+
+/**
+ * Interest income of one transactions record:
+ * - cycle payouts, including the cycles booked when a deposit matures
+ * - maturities booked before their interest was paid as cycles (no interestCycles)
+ * - pre-terminations, which settle unpaid interest and net out interest clawed back
+ */
+const toInterestRecord = (doc) => {
+    const data = doc.data() || {};
+    let netAmount = null;
+
+    if (data.type === INTEREST_PAYOUT_TYPE) {
+        netAmount = data.netAmount !== undefined ? toNumber(data.netAmount) : roundTo(toNumber(data.grossAmount) - toNumber(data.taxAmount), 2);
+    } else if (data.type === MATURED_TRANSACTION_TYPE && !(data.interestCycles || []).length) {
+        netAmount = toNumber(data.netInterest);
+    } else if (data.type === PRE_TERMINATION_TRANSACTION_TYPE) {
+        // Older records only carry the clawback of interest already paid
+        netAmount = data.netInterest !== undefined ? toNumber(data.netInterest) : -toNumber(data.interestClawback);
+    }
+
+    if (!netAmount) {
+        return null;
+    }
+
+    return {
+        payeeId: doc.ref.parent.parent.id,
+        incomeType: 'interest',
+        currency: normalizeCurrency(data.currency) || DEFAULT_CURRENCY,
+        ...toIncomeAmounts(netAmount, data),
+        taxProfileKey: data.taxProfile ? data.taxProfile.key : null,
+        dateMs: getDateMs(data)
+    };
+};
+
+/**
+ * Commission income of one agentTransactions record. Commissions on voided deposits (reversedAt)
+ * were never income, so they and their void reversals are left out. Clawbacks net out the clawed
+ * back share of the commission's gross, tax and net in the quarter of the clawback.
+ * @param {FirebaseFirestore.DocumentSnapshot} doc
+ * @param {Map<string, Object>} originals - Clawed back commissions' data by document path
+ */
+const toCommissionRecord = (doc, originals) => {
+    const data = doc.data() || {};
+    const base = {
+        payeeId: doc.ref.parent.parent.id,
+        incomeType: 'commission',
+        currency: normalizeCurrency(data.currency) || DEFAULT_CURRENCY,
+        dateMs: getDateMs(data)
+    };
+
+    if (data.reversalOf) {
+        const original = originals.get(doc.ref.parent.doc(data.reversalOf).path);
+        const originalNet = original ? toNumber(original.amount) : 0;
+        if (!original || original.reversedAt || original.grossAmount === undefined || originalNet <= 0) {
+            return null;
+        }
+
+        const share = Math.abs(toNumber(data.amount)) / originalNet;
+        return {
+            ...base,
+            grossAmount: -roundTo(toNumber(original.grossAmount) * share, 2),
+            taxWithheld: -roundTo(toNumber(original.taxApplied) * share, 2),
+            netAmount: -Math.abs(toNumber(data.amount)),
+            taxRate: toRate(original.taxRate),
+            taxProfileKey: original.taxProfile ? original.taxProfile.key : null
+        };
+    }
+
+    if (data.grossAmount === undefined || toNumber(data.amount) <= 0 || data.reversedAt) {
+        return null;
+    }
+
+    return {
+        ...base,
+        grossAmount: toNumber(data.grossAmount),
+        taxWithheld: toNumber(data.taxApplied),
+        netAmount: toNumber(data.amount),
+        taxRate: toRate(data.taxRate),
+        taxProfileKey: data.taxProfile ? data.taxProfile.key : null
+    };
+};
+
+// Commissions clawed back in the period may have been booked in an earlier one
+const loadClawedBackCommissions = async (db, docs) => {
+    const originals = new Map(docs.map((doc) => [doc.ref.path, doc.data() || {}]));
+    const missingRefs = docs
+        .filter((doc) => (doc.data() || {}).reversalOf)
+        .map((doc) => doc.ref.parent.doc(doc.data().reversalOf))
+        .filter((ref) => !originals.has(ref.path));
+
+    for (let start = 0; start < missingRefs.length; start += READ_CHUNK_SIZE) {
+        const snapshots = await db.getAll(...missingRefs.slice(start, start + READ_CHUNK_SIZE));
+        snapshots.filter((snapshot) => snapshot.exists).forEach((snapshot) => originals.set(snapshot.ref.path, snapshot.data() || {}));
+    }
+
+    return originals;
+};
+
+// Only the quarter's records are read; see firestore.indexes.json for the indexes these queries need
+const loadWithholdingRecords = async (db, incomeType, period) => {
+    const start = admin.firestore.Timestamp.fromDate(period.start);
+    const end = admin.firestore.Timestamp.fromDate(period.end);
+
+    const [interestSnapshot, commissionSnapshot] = await Promise.all([
+        incomeType === 'commission' ? null : db.collectionGroup(TRANSACTIONS_SUBCOLLECTION)
+            .where('type', 'in', INTEREST_TRANSACTION_TYPES)
+            .where('date', '>=', start)
+            .where('date', '<', end)
+            .get(),
+        incomeType === 'interest' ? null : db.collectionGroup(AGENT_TRANSACTIONS_SUBCOLLECTION)
+            .where('date', '>=', start)
+            .where('date', '<', end)
+            .get()
+    ]);
+
+    const originals = commissionSnapshot ? await loadClawedBackCommissions(db, commissionSnapshot.docs) : new Map();
+
+    return [
+        ...(interestSnapshot ? interestSnapshot.docs.map(toInterestRecord) : []),
+        ...(commissionSnapshot ? commissionSnapshot.docs.map((doc) => toCommissionRecord(doc, originals)) : [])
+    ].filter((record) => record && record.dateMs !== null);
+};
+
+const loadPayees = async (db, payeeIds) => {
+    const docs = await Promise.all(payeeIds.map((id) => db.collection(USERS_COLLECTION).doc(id).get()));
+
+    return new Map(docs.map((doc) => {
+        const data = doc.exists ? doc.data() || {} : {};
+        return [doc.id, {
+            userId: data.userId || doc.id,
+            name: getDisplayName(data, doc.id),
+            email: data.emailAddress || null
+        }];
+    }));
+};
+
+/**
+ * Withholding tax per payee for one quarter: gross income, tax withheld and net paid, split by
+ * income type (interest payouts, agent commissions) and currency.
+ * @param {Object} options
+ * @param {string} options.quarter - e.g. '2026-Q1'
+ * @param {string} [options.incomeType] - 'interest' or 'commission'
+ * @param {string} [options.userId] - Limit to one payee
+ * @returns {Promise<{period: Object, totals: Array, rows: Array}>}
+ */
+const buildWithholdingReport = async ({ quarter, incomeType, userId }) => {
+    const db = getFirestore();
+    const period = resolvePeriod(quarter);
+    const payeeRef = userId ? (await getUserByIdOrUserId(db, userId)).ref : null;
+
+    const records = (await loadWithholdingRecords(db, incomeType, period))
+        .filter((record) => !payeeRef || record.payeeId === payeeRef.id);
+    const aggregated = aggregateWithholding(records, period);
+    const payees = await loadPayees(db, [...new Set(aggregated.map((row) => row.payeeId))]);
+
+    const rows = aggregated.map((row) => ({
+        quarter: period.key,
+        payeeUserId: payees.get(row.payeeId).userId,
+        payeeName: payees.get(row.payeeId).name,
+        payeeEmail: payees.get(row.payeeId).email,
+        ...row
+    }));
+
+    const totals = Object.values(rows.reduce((byKey, row) => {
+        const key = `${row.incomeType}|${row.currency}`;
+        const total = byKey[key] || {
+            incomeType: row.incomeType,
+            currency: row.currency,
+            payees: 0,
+            grossAmount: 0,
+            taxWithheld: 0,
+            netAmount: 0
+        };
+
+        total.payees += 1;
+        total.grossAmount = roundTo(total.grossAmount + row.grossAmount, 2);
+        total.taxWithheld = roundTo(total.taxWithheld + row.taxWithheld, 2);
+        total.netAmount = roundTo(total.netAmount + row.netAmount, 2);
+        byKey[key] = total;
+        return byKey;
+    }, {}));
+
+    return {
+        period: describePeriod(period),
+        totals,
+        rows
+    };
+};
+
+/**
+ * Paginated withholding report (see buildWithholdingReport)
+ * @returns {Promise<{period: Object, totals: Array, items: Array, pagination: Object}>}
+ */
+const listWithholdingReport = async ({ page = 1, limit = 50, ...options }) => {
+    const { period, totals, rows } = await buildWithholdingReport(options);
+
+    const pageValue = Number.parseInt(page, 10) || 1;
+    const limitValue = Number.parseInt(limit, 10) || 50;
+    const skip = (pageValue - 1) * limitValue;
+    const total = rows.length;
+
+    return {
+        period,
+        totals,
+        items: rows.slice(skip, skip + limitValue),
+        pagination: {
+            total,
+            page: pageValue,
+            limit: limitValue,
+            totalPages: Math.ceil(total / limitValue) || 1
+        }
+    };
+};
+
+const toWithholdingCsv = (rows) => toCsv(REPORT_CSV_COLUMNS, rows);
+
+/**
+ * Certificate data for one payee and quarter, ready for renderCertificateHtml/renderCertificatePdf
+ * @param {Object} options
+ * @param {string} options.userId - users document id or userId field
+ * @param {string} options.quarter - e.g. '2026-Q1'
+ * @param {Date} [options.now=new Date()]
+ */
+const buildWithholdingCertificate = async ({ userId, quarter, now = new Date() }) => {
+    const { period, rows } = await buildWithholdingReport({ quarter, userId });
+
+    if (!rows.length) {
+        throw createHttpError(404, `No withheld income for this payee in ${period.label}`, 'NO_WITHHOLDING_RECORDS');
+    }
+
+    const currencies = [...new Set(rows.map((row) => row.currency))];
+
+    return {
+        certificateNumber: `WHT-${period.key}-${rows[0].payeeUserId}`,
+        period,
+        months: parseQuarter(period.key).months,
+        issuedAt: now.toISOString(),
+        payor: getPayor(),
+        payee: {
+            userId: rows[0].payeeUserId,
+            name: rows[0].payeeName,
+            email: rows[0].payeeEmail
+        },
+        lines: rows.map((row) => ({
+            incomeType: row.incomeType,
+            currency: row.currency,
+            grossByMonth: row.grossByMonth,
+            grossAmount: row.grossAmount,
+            taxWithheld: row.taxWithheld,
+            netAmount: row.netAmount,
+            taxRates: row.taxRates,
+            taxProfiles: row.taxProfiles
+        })),
+        totals: currencies.map((currency) => {
+            const lines = rows.filter((row) => row.currency === currency);
+            return {
+                currency,
+                grossAmount: roundTo(lines.reduce((sum, row) => sum + row.grossAmount, 0), 2),
+                taxWithheld: roundTo(lines.reduce((sum, row) => sum + row.taxWithheld, 0), 2),
+                netAmount: roundTo(lines.reduce((sum, row) => sum + row.netAmount, 0), 2)
+            };
+        })
+    };
+};
+
+module.exports = {
+    buildWithholdingReport,
+    listWithholdingReport,
+    toWithholdingCsv,
+    buildWithholdingCertificate
+};
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parseAgentCode,
+    getParentCode,
+    getAncestorCode,
+    buildChildCode,
+    planSubtreeMove,
+    checkRecruitCapacity
+} = require('../utils/agentCodes');
+const { AgentTypeFactory } = require('../models/AgentType');
+
+const agents = [
+    { agentCode: 'MAST1-00000-00000', userId: 'm1' },
+    { agentCode: 'MAST2-00000-00000', userId: 'm2' },
+    { agentCode: 'MAST1-AGNT1-00000', userId: 'a1' },
+    { agentCode: 'MAST1-AGNT1-CONS1', userId: 'c1' },
+    { agentCode: 'MAST1-AGNT1-CONS2', userId: 'c2' },
+    { agentCode: 'MAST1-AGNT2-00000', userId: 'a2' }
+];
+
+test('parseAgentCode reads the type from the rightmost filled slot', () => {
+    assert.deepEqual(parseAgentCode('MAST1-AGNT1-00000'), {
+        parts: ['MAST1', 'AGNT1', '00000'],
+        level: 1,
+        number: 'AGNT1',
+        type: 'Agent'
+    });
+    assert.equal(parseAgentCode('MAST1-AGNT1-CONS1').type, 'Consultant Agent');
+    assert.equal(parseAgentCode('00000-00000-00000'), null);
+    assert.equal(parseAgentCode('mast1-00000-00000'), null);
+});
+
+test('parent, ancestor and child codes', () => {
+    assert.equal(getParentCode('MAST1-AGNT1-CONS1'), 'MAST1-AGNT1-00000');
+    assert.equal(getParentCode('MAST1-AGNT1-00000'), 'MAST1-00000-00000');
+    assert.equal(getParentCode('MAST1-00000-00000'), null);
+    assert.equal(getAncestorCode('MAST1-AGNT1-CONS1', 0), 'MAST1-00000-00000');
+    assert.equal(getAncestorCode('MAST1-AGNT1-00000', 1), null);
+    assert.equal(buildChildCode(null, 'AGNT1'), 'AGNT1-00000-00000');
+    assert.equal(buildChildCode('MAST2-00000-00000', 'AGNT1'), 'MAST2-AGNT1-00000');
+    assert.equal(buildChildCode('MAST1-AGNT1-CONS1', 'XXXXX'), null);
+});
+
+test('planSubtreeMove moves the downline with the agent', () => {
+    // Agent promoted to Master Agent: its consultants become its agents
+    const promotion = planSubtreeMove({ agents, agentCode: 'MAST1-AGNT1-00000', parentCode: null });
+
+    assert.deepEqual(promotion.errors, []);
+    assert.deepEqual(
+        promotion.changes.map((change) => [change.agentCode, change.newAgentCode, change.newType]),
+        [
+            ['MAST1-AGNT1-00000', 'AGNT1-00000-00000', 'Master Agent'],
+            ['MAST1-AGNT1-CONS1', 'AGNT1-CONS1-00000', 'Agent'],
+            ['MAST1-AGNT1-CONS2', 'AGNT1-CONS2-00000', 'Agent']
+        ]
+    );
+
+    // Same level under another master agent
+    const transfer = planSubtreeMove({ agents, agentCode: 'MAST1-AGNT1-00000', parentCode: 'MAST2-00000-00000' });
+    assert.deepEqual(transfer.changes.map((change) => change.newAgentCode), [
+        'MAST2-AGNT1-00000',
+        'MAST2-AGNT1-CONS1',
+        'MAST2-AGNT1-CONS2'
+    ]);
+});
+
+test('planSubtreeMove reports downlines that cannot move down a level', () => {
+    const demotion = planSubtreeMove({ agents, agentCode: 'MAST1-AGNT1-00000', parentCode: 'MAST1-AGNT2-00000' });
+
+    assert.deepEqual(demotion.errors, [
+        'MAST1-AGNT1-CONS1 would fall below Consultant Agent level',
+        'MAST1-AGNT1-CONS2 would fall below Consultant Agent level'
+    ]);
+
+    const clash = planSubtreeMove({
+        agents: [...agents, { agentCode: 'MAST2-AGNT1-00000', userId: 'other' }],
+        agentCode: 'MAST1-AGNT1-00000',
+        parentCode: 'MAST2-00000-00000'
+    });
+    assert.deepEqual(clash.errors, ['MAST2-AGNT1-00000 is already assigned to another agent']);
+
+    const retired = planSubtreeMove({ agents, agentCode: 'MAST1-AGNT1-CONS1', parentCode: 'MAST1-00000-00000', reservedCodes: ['MAST1-CONS1-00000'] });
+    assert.deepEqual(retired.errors, ['MAST1-CONS1-00000 is already assigned to another agent']);
+});
+
+test('checkRecruitCapacity enforces the type limit unless overridden', () => {
+    const agentType = AgentTypeFactory.create('Agent');
+
+    assert.equal(checkRecruitCapacity({ referrerType: agentType, recruitCount: 49 }), null);
+    assert.deepEqual(checkRecruitCapacity({ referrerType: agentType, recruitCount: 50 }), {
+        code: 'REFERRER_AT_CAPACITY',
+        message: 'Referrer is at the Agent limit of 50 recruits',
+        details: { referrerType: 'Agent', maxRecruits: 50, recruitCount: 50 }
+    });
+    assert.equal(checkRecruitCapacity({ referrerType: agentType, recruitCount: 50, override: true }), null);
+});
+
+test('checkRecruitCapacity never lets a consultant recruit, even with an override', () => {
+    const result = checkRecruitCapacity({
+        referrerType: AgentTypeFactory.create('Consultant Agent'),
+        recruitCount: 0,
+        override: true
+    });
+    assert.equal(result.code, 'REFERRER_CANNOT_RECRUIT');
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AGENT_INTEGRITY_ISSUES, checkAgentIntegrity, collectFixes } = require('../utils/agentIntegrity');
+const { parseAgentCode } = require('../utils/agentCodes');
+
+const determineAgentType = (code) => parseAgentCode(code).type;
+const getAgentNumbers = (code) => {
+    const [masterAgent, agent, consultant] = code.split('-');
+    if (consultant !== '00000') return { currentAgent: consultant, agent, masterAgent };
+    if (agent !== '00000') return { currentAgent: agent, masterAgent };
+    return { currentAgent: masterAgent };
+};
+
+const agentRecord = (agentCode, userId, extra = {}) => ({
+    id: agentCode,
+    agentCode,
+    userId,
+    agentNumber: parseAgentCode(agentCode).number,
+    type: determineAgentType(agentCode),
+    commissionNumbers: getAgentNumbers(agentCode),
+    status: 'active',
+    ...extra
+});
+
+const check = (users, agents) => checkAgentIntegrity({ users, agents, determineAgentType, getAgentNumbers });
+const types = (issues) => issues.map((issue) => issue.type).sort();
+
+test('a consistent hierarchy has no issues', () => {
+    const users = [
+        { id: 'm', agent: true, agentCode: 'MAST1-00000-00000', agentNumber: 'MAST1' },
+        { id: 'doc-a', userId: 'a', agent: true, agentCode: 'MAST1-AGNT1-00000', agentNumber: 'AGNT1' }
+    ];
+    assert.deepEqual(check(users, [agentRecord('MAST1-00000-00000', 'm'), agentRecord('MAST1-AGNT1-00000', 'a')]), []);
+});
+
+test('users flagged as agents without a record get one proposed', () => {
+    const issues = check([
+        { id: 'u1', agent: true, agentCode: 'MAST1-00000-00000', agentNumber: 'MAST1', firstName: 'Ana', lastName: 'Cruz' },
+        { id: 'u2', agent: true, agentCode: 'pending' },
+        { id: 'u3', agent: true, agentCode: 'BAD' }
+    ], []);
+
+    assert.deepEqual(types(issues), ['INVALID_AGENT_CODE', 'MISSING_AGENT_RECORD', 'PENDING_AGENT_CODE']);
+    const missing = issues.find((issue) => issue.type === AGENT_INTEGRITY_ISSUES.MISSING_AGENT_RECORD);
+    assert.equal(missing.fix.action, 'create_agent');
+    assert.deepEqual(
+        { fullName: missing.fix.data.fullName, type: missing.fix.data.type, userId: missing.fix.data.userId },
+        { fullName: 'Ana Cruz', type: 'Master Agent', userId: 'u1' }
+    );
+});
+
+test('drifted records, stale codes, missing uplines and duplicate numbers are reported', () => {
+    const users = [
+        { id: 'a', agent: true, agentCode: 'MAST1-AGNT1-00000', agentNumber: '0' },
+        { id: 'c', agent: true, agentCode: 'MAST9-AGNT7-CONS1', agentNumber: 'CONS1' },
+        { id: 'x', agent: true, agentCode: 'pending' },
+        { id: 'd', agent: true, agentCode: 'MAST2-AGNT1-00000', agentNumber: 'AGNT1' }
+    ];
+    const agents = [
+        agentRecord('MAST1-00000-00000', 'gone'),
+        agentRecord('MAST1-AGNT1-00000', 'a', { type: 'Consultant Agent', commissionNumbers: { currentAgent: 'AGNT1' } }),
+        agentRecord('MAST1-AGNT7-CONS1', 'c', { status: 'superseded', supersededBy: 'MAST9-AGNT7-CONS1' }),
+        agentRecord('MAST9-AGNT7-CONS1', 'c'),
+        agentRecord('MAST1-AGNT1-CONS2', 'x'),
+        agentRecord('MAST2-AGNT1-00000', 'd'),
+        agentRecord('MAST2-00000-00000', 'nobody')
+    ];
+    const issues = check(users, agents);
+
+    assert.deepEqual(types(issues), [
+        'COMMISSION_NUMBERS_MISMATCH',
+        'DUPLICATE_AGENT_NUMBER',
+        'MISSING_UPLINE',
+        'ORPHANED_AGENT',
+        'ORPHANED_AGENT',
+        'ORPHANED_AGENT',
+        'TYPE_MISMATCH',
+        'USER_AGENT_NUMBER_MISMATCH'
+    ]);
+    assert.match(issues.find((issue) => issue.type === 'MISSING_UPLINE').message, /^MAST9-AGNT7-CONS1 has no agent for upline MAST9-00000-00000, MAST9-AGNT7-00000;/);
+    assert.deepEqual(collectFixes(issues), [
+        { action: 'update_user', target: 'a', data: { agentNumber: 'AGNT1' } },
+        {
+            action: 'update_agent',
+            target: 'MAST1-AGNT1-00000',
+            data: { type: 'Agent', commissionNumbers: { currentAgent: 'AGNT1', masterAgent: 'MAST1' } }
+        },
+        { action: 'update_user', target: 'x', data: { agentCode: 'MAST1-AGNT1-CONS2', agentNumber: 'CONS2', agent: true } }
+    ]);
+});
+
+test('a user left on a superseded code is pointed at the current one', () => {
+    const issues = check(
+        [{ id: 'c', agent: true, agentCode: 'MAST1-AGNT7-CONS1', agentNumber: 'CONS1' }],
+        [
+            agentRecord('MAST1-AGNT7-CONS1', 'c', { status: 'superseded', supersededBy: 'MAST1-AGNT8-CONS1' }),
+            agentRecord('MAST1-AGNT8-CONS1', 'c')
+        ]
+    );
+    const stale = issues.find((issue) => issue.type === AGENT_INTEGRITY_ISSUES.STALE_USER_CODE);
+    assert.deepEqual(stale.fix, { action: 'update_user', target: 'c', data: { agentCode: 'MAST1-AGNT8-CONS1', agentNumber: 'CONS1' } });
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    classifyAgentEntry,
+    resolveStatementPeriod,
+    getMonthPeriod,
+    getPreviousMonthKey,
+    buildAgentStatement
+} = require('../utils/agentLedger');
+
+const at = (value) => Date.parse(value);
+
+test('classifyAgentEntry separates commissions, payouts and adjustments', () => {
+    assert.deepEqual(classifyAgentEntry({ amount: 90, grossAmount: 100, taxApplied: 10 }), { entryType: 'commission', walletEffect: 90 });
+    assert.deepEqual(classifyAgentEntry({ amount: -500, entryType: 'payout' }), { entryType: 'payout', walletEffect: -500 });
+    assert.deepEqual(classifyAgentEntry({ amount: 25 }), { entryType: 'adjustment', walletEffect: 25 });
+
+    // Only the debited part of a clawback moved the wallet
+    assert.deepEqual(
+        classifyAgentEntry({ amount: -90, debitedAmount: 40, outstandingAmount: 50, reversalOf: 'c1' }),
+        { entryType: 'adjustment', walletEffect: -40 }
+    );
+});
+
+test('resolveStatementPeriod defaults to the month to date and rejects bad ranges', () => {
+    const now = new Date('2026-10-19T08:00:00Z');
+    const period = resolveStatementPeriod({ now });
+
+    assert.equal(period.from, '2026-10-01');
+    assert.equal(period.to, '2026-10-19');
+    assert.equal(period.end.toISOString(), '2026-10-20T00:00:00.000Z');
+
+    assert.equal(resolveStatementPeriod({ from: '2026-10-05', to: '2026-10-01' }), null);
+    assert.equal(resolveStatementPeriod({ from: '2026-02-30' }), null);
+});
+
+test('getMonthPeriod and getPreviousMonthKey cover calendar months in UTC', () => {
+    const period = getMonthPeriod('2026-02');
+
+    assert.equal(period.month, '2026-02');
+    assert.equal(period.from, '2026-02-01');
+    assert.equal(period.to, '2026-02-28');
+    assert.equal(getMonthPeriod('2026-13'), null);
+    assert.equal(getPreviousMonthKey(new Date('2026-01-03T00:00:00Z')), '2025-12');
+});
+
+test('buildAgentStatement ties the opening and closing balances to the current wallet', () => {
+    const entries = [
+        { id: 'old', amount: 100, grossAmount: 110, taxApplied: 10, dateMs: at('2026-08-20T00:00:00Z') },
+        { id: 'c1', amount: 90, grossAmount: 100, taxApplied: 10, percentage: 5, referredClient: 'Ana Cruz', investmentAmount: 2000, displayId: 'TD-1', type: 'Hierarchy Commission', dateMs: at('2026-09-03T00:00:00Z') },
+        { id: 'p1', amount: -150, entryType: 'payout', payoutId: 'po1', type: 'Commission Payout', dateMs: at('2026-09-10T00:00:00Z') },
+        { id: 'r1', amount: -90, debitedAmount: 30, reversalOf: 'c1', displayId: 'TD-1', dateMs: at('2026-09-30T23:59:59Z') },
+        { id: 'later', amount: 45, grossAmount: 50, taxApplied: 5, dateMs: at('2026-10-02T00:00:00Z') },
+        { id: 'pending', amount: 5, grossAmount: 5, dateMs: null }
+    ];
+
+    // Wallet now: 100 + 90 - 150 - 30 + 45 + 5 = 60, so the September opening balance is 100
+    const statement = buildAgentStatement({ entries, walletBalance: 60, period: getMonthPeriod('2026-09') });
+
+    assert.equal(statement.openingBalance, 100);
+    assert.equal(statement.closingBalance, 10);
+    assert.deepEqual(statement.commissions.map((line) => [line.id, line.balance]), [['c1', 190]]);
+    assert.equal(statement.commissions[0].referredClient, 'Ana Cruz');
+    assert.equal(statement.commissions[0].displayId, 'TD-1');
+    assert.equal(statement.commissions[0].taxAmount, 10);
+    assert.deepEqual(statement.payouts.map((line) => [line.payoutId, line.amount, line.balance]), [['po1', 150, 40]]);
+    assert.deepEqual(statement.adjustments.map((line) => [line.reversalOf, line.walletEffect, line.balance]), [['c1', -30, 10]]);
+    assert.deepEqual(statement.totals, {
+        commissionCount: 1,
+        grossCommission: 100,
+        taxWithheld: 10,
+        netCommission: 90,
+        payouts: 150,
+        adjustments: -30
+    });
+});
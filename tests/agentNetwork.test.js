@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    buildNetworkIndex,
+    toNetworkNode,
+    toNestedNetwork,
+    toNetworkDot
+} = require('../utils/agentNetwork');
+
+const agents = [
+    { agentCode: 'MAST1-00000-00000', fullName: 'Mara "M" Santos', invested: { PHP: 1000 } },
+    { agentCode: 'MAST1-AGNT1-00000', firstName: 'Ana', lastName: 'Cruz', invested: { PHP: 250.5, USD: 20 } },
+    { agentCode: 'MAST1-AGNT1-CONS1', invested: { PHP: 100, USD: 5.5 } },
+    { agentCode: 'MAST1-AGNT1-CONS2', invested: { PHP: 0.25 }, status: 'inactive' },
+    { agentCode: 'MAST1-AGNT2-00000', invested: { PHP: 40 } },
+    { agentCode: 'MAST1-AGNT9-CONS3', invested: { PHP: 999 } },
+    { agentCode: 'MAST2-00000-00000' }
+];
+
+test('buildNetworkIndex totals each subtree and skips agents outside it', () => {
+    const index = buildNetworkIndex({ agents, rootCode: 'MAST1-00000-00000' });
+
+    assert.deepEqual([...index.keys()].sort(), [
+        'MAST1-00000-00000',
+        'MAST1-AGNT1-00000',
+        'MAST1-AGNT1-CONS1',
+        'MAST1-AGNT1-CONS2',
+        'MAST1-AGNT2-00000'
+    ]);
+    assert.deepEqual(index.get('MAST1-00000-00000').subtree, {
+        agents: 5,
+        levels: { 'Master Agent': 1, 'Agent': 2, 'Consultant Agent': 2 },
+        invested: { PHP: 1390.75, USD: 25.5 }
+    });
+    assert.deepEqual(toNetworkNode(index.get('MAST1-AGNT1-00000')), {
+        agentCode: 'MAST1-AGNT1-00000',
+        agentNumber: 'AGNT1',
+        name: 'Ana Cruz',
+        type: 'Agent',
+        status: 'active',
+        userId: null,
+        invested: { PHP: 250.5, USD: 20 },
+        directRecruits: 2,
+        subtree: { agents: 3, levels: { 'Master Agent': 0, 'Agent': 1, 'Consultant Agent': 2 }, invested: { PHP: 350.75, USD: 25.5 } }
+    });
+    assert.equal(buildNetworkIndex({ agents, rootCode: 'NOPE1-00000-00000' }), null);
+});
+
+test('toNestedNetwork and toNetworkDot export the whole tree', () => {
+    const index = buildNetworkIndex({ agents, rootCode: 'MAST1-AGNT1-00000' });
+    const nested = toNestedNetwork(index, 'MAST1-AGNT1-00000');
+
+    assert.deepEqual(nested.children.map((child) => [child.agentCode, child.children.length]), [
+        ['MAST1-AGNT1-CONS1', 0],
+        ['MAST1-AGNT1-CONS2', 0]
+    ]);
+
+    const dot = toNetworkDot(buildNetworkIndex({ agents, rootCode: 'MAST1-00000-00000' }), 'MAST1-00000-00000');
+    assert.match(dot, /^digraph "agent_network_MAST1-00000-00000" \{/);
+    assert.match(dot, /"MAST1-00000-00000" \[label="Mara \\"M\\" Santos\\nMAST1-00000-00000\\nMaster Agent\\nAUM PHP 1390.75, USD 25.50"\];/);
+    assert.match(dot, /"MAST1-AGNT1-CONS2" \[label=".*", style=dashed\];/);
+    assert.match(dot, /"MAST1-AGNT1-00000" -> "MAST1-AGNT1-CONS1";/);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    getMinimumPayoutAmount,
+    normalizePayoutDestination,
+    checkPayoutAmount,
+    canTransitionPayout
+} = require('../utils/agentPayouts');
+
+test('getMinimumPayoutAmount uses the per-currency override or the default', () => {
+    assert.equal(getMinimumPayoutAmount('PHP', {}), 500);
+    assert.equal(getMinimumPayoutAmount('USD', { AGENT_PAYOUT_MIN_AMOUNT_USD: '25' }), 25);
+    assert.equal(getMinimumPayoutAmount('PHP', { AGENT_PAYOUT_MIN_AMOUNT_PHP: 'abc' }), 500);
+});
+
+test('normalizePayoutDestination trims fields and masks the account in the label', () => {
+    assert.deepEqual(
+        normalizePayoutDestination({ type: ' EWallet ', provider: 'GCash ', accountName: ' Ana Cruz', accountNumber: '0917 123 4567' }),
+        {
+            type: 'ewallet',
+            provider: 'GCash',
+            accountName: 'Ana Cruz',
+            accountNumber: '09171234567',
+            label: 'GCash *******4567'
+        }
+    );
+});
+
+test('checkPayoutAmount enforces the minimum and leaves pending requests on hold', () => {
+    assert.equal(checkPayoutAmount({ amount: 0, walletBalance: 1000, minimum: 500 }).code, 'INVALID_PAYOUT_AMOUNT');
+    assert.equal(checkPayoutAmount({ amount: 499.99, walletBalance: 1000, minimum: 500 }).code, 'PAYOUT_BELOW_MINIMUM');
+    assert.equal(checkPayoutAmount({ amount: 600, walletBalance: 1000, heldAmount: 500, minimum: 500 }).code, 'INSUFFICIENT_AGENT_BALANCE');
+    assert.equal(checkPayoutAmount({ amount: 500, walletBalance: 1000, heldAmount: 500, minimum: 500 }), null);
+});
+
+test('canTransitionPayout only decides pending requests', () => {
+    assert.equal(canTransitionPayout('pending', 'approved'), true);
+    assert.equal(canTransitionPayout('pending', 'rejected'), true);
+    assert.equal(canTransitionPayout('approved', 'rejected'), false);
+    assert.equal(canTransitionPayout('rejected', 'approved'), false);
+});
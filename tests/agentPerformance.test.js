@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    summarizeAgentProduction,
+    rankByMetric,
+    rollUpTeams,
+    sumTotals
+} = require('../utils/agentPerformance');
+const { resolveStatementPeriod } = require('../utils/agentLedger');
+
+const period = resolveStatementPeriod({ from: '2026-09-01', to: '2026-09-30' });
+const at = (date) => Date.parse(`${date}T08:00:00Z`);
+
+const agents = [
+    { agentCode: 'MAST1-00000-00000', name: 'Mara Santos' },
+    { agentCode: 'MAST1-AGNT1-00000', name: 'Ana Cruz' },
+    { agentCode: 'MAST1-AGNT1-CONS1', status: 'inactive' },
+    { agentCode: 'MAST2-00000-00000', name: 'Lito Reyes' }
+];
+
+const deposits = [
+    // inv1 was first referred in August, so only inv2 is new in September
+    { agentCode: 'MAST1-AGNT1-00000', investorId: 'inv1', amount: 1000, currency: 'PHP', dateMs: at('2026-08-20'), displayId: 'D1' },
+    { agentCode: 'MAST1-AGNT1-00000', investorId: 'inv1', amount: 5000, currency: 'PHP', dateMs: at('2026-09-02'), displayId: 'D2' },
+    { agentCode: 'MAST1-AGNT1-00000', investorId: 'inv2', amount: 2500.5, currency: 'PHP', dateMs: at('2026-09-10'), displayId: 'D3' },
+    { agentCode: 'MAST1-AGNT1-00000', investorId: 'inv3', amount: 9000, currency: 'PHP', dateMs: at('2026-09-11'), status: 'Voided' },
+    { agentCode: 'MAST1-AGNT1-00000', investorId: 'inv4', amount: 300, currency: 'USD', dateMs: at('2026-09-12') },
+    { agentCode: 'MAST1-AGNT1-CONS1', investorId: 'inv5', amount: 800, currency: 'PHP', dateMs: at('2026-09-15') },
+    { agentCode: 'MAST2-00000-00000', investorId: 'inv6', amount: 20000, currency: 'PHP', dateMs: at('2026-10-01') },
+    { agentCode: null, investorId: 'inv7', amount: 100, currency: 'PHP', dateMs: at('2026-09-15') }
+];
+
+const entries = [
+    { agentCode: 'MAST1-AGNT1-00000', amount: 45, grossAmount: 50, taxApplied: 5, currency: 'PHP', dateMs: at('2026-09-02') },
+    { agentCode: 'MAST1-AGNT1-00000', amount: -9, reversalOf: 'x', currency: 'PHP', dateMs: at('2026-09-20') },
+    { agentCode: 'MAST1-AGNT1-00000', amount: -30, entryType: 'payout', currency: 'PHP', dateMs: at('2026-09-21') },
+    { agentCode: 'MAST1-00000-00000', amount: 18, grossAmount: 20, taxApplied: 2, currency: 'PHP', dateMs: at('2026-09-02') },
+    { agentCode: 'MAST1-00000-00000', amount: 18, grossAmount: 20, taxApplied: 2, currency: 'PHP', dateMs: at('2026-08-02') }
+];
+
+const summarize = () => summarizeAgentProduction({ agents, deposits, entries, period, currency: 'PHP' });
+
+test('summarizeAgentProduction counts new investors, volume and commissions in the period', () => {
+    const rows = summarize();
+    const agent = rows.get('MAST1-AGNT1-00000');
+
+    assert.equal(agent.masterAgentCode, 'MAST1-00000-00000');
+    assert.equal(agent.type, 'Agent');
+    assert.deepEqual(agent.totals, {
+        newInvestors: 1,
+        depositCount: 2,
+        depositVolume: 7500.5,
+        commissions: { gross: 50, tax: 5, net: 45, adjustments: -9, earned: 36 }
+    });
+    assert.deepEqual(agent.deposits.map((deposit) => [deposit.displayId, deposit.newInvestor]), [['D2', false], ['D3', true]]);
+    assert.equal(rows.get('MAST1-AGNT1-CONS1').status, 'inactive');
+    assert.equal(rows.get('MAST1-00000-00000').totals.commissions.earned, 18);
+    assert.equal(rows.get('MAST2-00000-00000').totals.depositCount, 0);
+});
+
+test('rankByMetric orders highest first and shares ranks on ties', () => {
+    const rows = [...summarize().values()];
+
+    assert.deepEqual(rankByMetric(rows, 'depositVolume').map((row) => [row.agentCode, row.rank]), [
+        ['MAST1-AGNT1-00000', 1],
+        ['MAST1-AGNT1-CONS1', 2],
+        ['MAST1-00000-00000', 3],
+        ['MAST2-00000-00000', 3]
+    ]);
+    assert.deepEqual(rankByMetric(rows, 'commissions').map((row) => row.agentCode).slice(0, 2), [
+        'MAST1-AGNT1-00000',
+        'MAST1-00000-00000'
+    ]);
+});
+
+test('rollUpTeams adds each agent into its Master Agent team', () => {
+    const rows = [...summarize().values()];
+    const teams = rollUpTeams(rows);
+
+    assert.deepEqual(teams.map((team) => [team.masterAgentCode, team.name, team.agents]), [
+        ['MAST1-00000-00000', 'Mara Santos', 3],
+        ['MAST2-00000-00000', 'Lito Reyes', 1]
+    ]);
+    assert.deepEqual(teams[0].totals, {
+        newInvestors: 2,
+        depositCount: 3,
+        depositVolume: 8300.5,
+        commissions: { gross: 70, tax: 7, net: 63, adjustments: -9, earned: 54 }
+    });
+    assert.deepEqual(sumTotals(rows), teams[0].totals);
+});
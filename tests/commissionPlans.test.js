@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    DEFAULT_COMMISSION_PLAN,
+    normalizeCommissionPlan,
+    validateCommissionPlan,
+    mergeCommissionPlan,
+    buildCommissionDistribution
+} = require('../utils/commissionPlans');
+const { AgentTypeFactory } = require('../models/AgentType');
+
+test('the built-in plan is valid and keeps the original splits', () => {
+    const plan = normalizeCommissionPlan(DEFAULT_COMMISSION_PLAN);
+    const chain = [{ userId: 'c', type: 'Consultant Agent' }, { userId: 'a', type: 'Agent' }, { userId: 'm', type: 'Master Agent' }];
+
+    assert.deepEqual(validateCommissionPlan(plan), []);
+    assert.deepEqual(
+        buildCommissionDistribution({ plan, chain }).map((member) => [member.userId, member.level, member.sharePercentage]),
+        [['c', 0, 70], ['a', 1, 20], ['m', 2, 10]]
+    );
+});
+
+test('product splits fall back to default and missing uplines are skipped', () => {
+    const plan = mergeCommissionPlan(DEFAULT_COMMISSION_PLAN, {
+        products: {
+            timeDeposit: { splits: { 'Master Agent': [100], Agent: ['80', '20'], 'Consultant Agent': [60, 25, 15] } }
+        }
+    });
+
+    assert.deepEqual(validateCommissionPlan(plan), []);
+    assert.deepEqual(
+        buildCommissionDistribution({ plan, product: 'timeDeposit', chain: [{ userId: 'a', type: 'Agent' }, { userId: 'm' }] })
+            .map((member) => member.sharePercentage),
+        [80, 20]
+    );
+    assert.deepEqual(
+        buildCommissionDistribution({ plan, product: 'insurance', chain: [{ userId: 'c', type: 'Consultant Agent' }, null, { userId: 'm' }] })
+            .map((member) => [member.userId, member.sharePercentage]),
+        [['c', 70], ['m', 10]]
+    );
+});
+
+test('deactivated uplines are not paid and can route their share to the next upline', () => {
+    const plan = normalizeCommissionPlan(DEFAULT_COMMISSION_PLAN);
+    const [sellerShare, agentShare, masterShare] = plan.products.default.splits['Consultant Agent'];
+    const consultant = { agentCode: 'M-A-C', type: 'Consultant Agent' };
+    const master = { agentCode: 'M-0-0', type: 'Master Agent', status: 'active' };
+
+    const dropped = buildCommissionDistribution({
+        plan,
+        chain: [consultant, { agentCode: 'M-A-0', type: 'Agent', status: 'inactive' }, master]
+    });
+    assert.deepEqual(dropped.map((member) => [member.agentCode, member.sharePercentage]), [['M-A-C', sellerShare], ['M-0-0', masterShare]]);
+
+    const routed = buildCommissionDistribution({
+        plan,
+        chain: [consultant, { agentCode: 'M-A-0', type: 'Agent', status: 'inactive', commissionRouting: 'upline' }, master]
+    });
+    assert.deepEqual(routed[1].sharePercentage, agentShare + masterShare);
+    assert.deepEqual(routed[1].routedFrom, ['M-A-0']);
+    assert.equal(routed[1].level, 2);
+
+    const toSeller = buildCommissionDistribution({
+        plan,
+        chain: [consultant, { agentCode: 'M-A-0', type: 'Agent', status: 'inactive', commissionRouting: 'upline' }, { ...master, status: 'inactive', commissionRouting: 'upline' }]
+    });
+    assert.deepEqual(toSeller.map((member) => [member.agentCode, member.sharePercentage, member.routedFrom]), [
+        ['M-A-C', sellerShare + agentShare + masterShare, ['M-A-0', 'M-0-0']]
+    ]);
+});
+
+test('validateCommissionPlan checks share totals, override depth and agent types', () => {
+    const errors = validateCommissionPlan(mergeCommissionPlan(DEFAULT_COMMISSION_PLAN, {
+        overrideDepth: 1,
+        agentTypes: { Agent: { commissionPercentage: 150 }, Broker: { commissionPercentage: 1 } },
+        products: { timeDeposit: { splits: { 'Master Agent': [100], Agent: [70, 20], 'Consultant Agent': [70, 30] } } }
+    }));
+
+    assert.ok(errors.includes('agentTypes.Agent.commissionPercentage must be between 0 and 100'));
+    assert.ok(errors.includes('Unknown agent type: Broker'));
+    assert.ok(errors.includes('products.timeDeposit.splits.Agent shares must add up to 100'));
+    assert.ok(errors.includes('products.default.splits.Consultant Agent pays more uplines than overrideDepth allows'));
+    assert.ok(!errors.some((error) => error.startsWith('products.timeDeposit.splits.Consultant Agent')));
+});
+
+test('AgentTypeFactory takes commission percentages from the plan', () => {
+    const plan = mergeCommissionPlan(DEFAULT_COMMISSION_PLAN, { agentTypes: { Agent: { commissionPercentage: 6 } } });
+
+    assert.equal(AgentTypeFactory.fromAgentCode('00001-00002-00000').getCommissionPercentage(), 5);
+    assert.equal(AgentTypeFactory.fromAgentCode('00001-00002-00000', plan).calculateCommission(1000), 60);
+    assert.equal(AgentTypeFactory.create('Master Agent', plan).calculateCommission(1000), 100);
+    assert.deepEqual(AgentTypeFactory.getAllTypes(plan).map((type) => type.commissionPercentage), [10, 6, 2]);
+});
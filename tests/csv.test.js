@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toCsv, parseCsv } = require('../utils/csv');
+
+test('toCsv quotes special characters and neutralises formulas', () => {
+    const csv = toCsv(
+        [{ header: 'Name', key: 'name' }, { header: 'Amount', key: 'amount' }, { header: 'Paid', value: (row) => (row.paid ? 'Yes' : 'No') }],
+        [
+            { name: 'Cruz, Juan "JC"', amount: 1500.5, paid: true },
+            { name: '=SUM(A1)', amount: -20 }
+        ]
+    );
+
+    assert.equal(csv, 'Name,Amount,Paid\r\n"Cruz, Juan ""JC""",1500.5,Yes\r\n\'=SUM(A1),-20,No\r\n');
+});
+
+test('parseCsv handles quoted cells, CRLF line endings and blank lines', () => {
+    const rows = parseCsv('\uFEFFuserId,amount,note\r\nU1,"1,500.50","said ""hi""\nthen left"\r\n\r\nU2,200,\n');
+
+    assert.deepEqual(rows, [
+        ['userId', 'amount', 'note'],
+        ['U1', '1,500.50', 'said "hi"\nthen left'],
+        ['U2', '200', '']
+    ]);
+    assert.deepEqual(parseCsv(toCsv([{ header: 'A', key: 'a' }], [{ a: 'x, "y"' }])), [['A'], ['x, "y"']]);
+});
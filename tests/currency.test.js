@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { admin } = require('../config/firebase');
+const {
+    normalizeCurrency,
+    getDepositCurrency,
+    formatMoney,
+    buildBalanceUpdate,
+    sumByCurrency
+} = require('../utils/currency');
+
+test('normalizeCurrency defaults to PHP and rejects unsupported codes', () => {
+    assert.equal(normalizeCurrency(undefined), 'PHP');
+    assert.equal(normalizeCurrency(' usd '), 'USD');
+    assert.equal(normalizeCurrency('JPY'), null);
+    assert.equal(getDepositCurrency({}), 'PHP');
+    assert.equal(getDepositCurrency({ currency: 'USD' }), 'USD');
+});
+
+test('formatMoney uses the currency symbol', () => {
+    assert.equal(formatMoney(1234.5, 'PHP'), '₱1,234.50');
+    assert.equal(formatMoney(1234.5, 'USD'), '$1,234.50');
+});
+
+test('buildBalanceUpdate moves USD through the dollar fields and currencyBalances', () => {
+    const user = {
+        timeDepositAmount: 5000,
+        availBalanceAmount: 100,
+        dollarDepositAmount: 1000,
+        dollarAvailBalanceAmount: 50,
+        currencyBalances: { USD: 50, JPY: 20 }
+    };
+
+    const update = buildBalanceUpdate(user, 'USD', { deposit: -1000, available: 1012.5 });
+    assert.equal(update.dollarDepositAmount, 0);
+    assert.equal(update.dollarAvailBalanceAmount, 1062.5);
+    assert.ok(update['currencyBalances.USD'].isEqual(admin.firestore.FieldValue.increment(1012.5)));
+    assert.equal(update.currencyBalances, undefined);
+
+    assert.deepEqual(buildBalanceUpdate(user, 'PHP', { deposit: 2500 }), { timeDepositAmount: 7500 });
+});
+
+test('sumByCurrency totals each currency separately', () => {
+    assert.deepEqual(sumByCurrency([
+        { currency: 'USD', netTotal: 10.1 },
+        { netTotal: 200 },
+        { currency: 'USD', netTotal: 0.2 }
+    ], 'netTotal'), { USD: 10.3, PHP: 200 });
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { diffTierTable, diffRateTables } = require('../utils/investmentRatesDiff');
+
+test('diffTierTable reports added, removed and changed thresholds in order', () => {
+    const diff = diffTierTable(
+        { 0: 2.5, 50000: 3.0, 100000: 3.5 },
+        { 0: 2.5, 50000: 3.25, 250000: 4.0 }
+    );
+
+    assert.deepEqual(diff, {
+        added: [{ threshold: 250000, rate: 4 }],
+        removed: [{ threshold: 100000, rate: 3.5 }],
+        changed: [{ threshold: 50000, from: 3, to: 3.25 }]
+    });
+});
+
+test('diffRateTables lists only the tables that changed', () => {
+    const from = {
+        sixMonths: { 0: 2.5 },
+        oneYear: { 0: 5 },
+        twoYears: { 0: 8 },
+        preTerminationPenalties: {
+            default: [{ minCycles: 0, forfeitInterest: 'unpaid', penaltyPercent: 0 }]
+        }
+    };
+    const to = {
+        ...from,
+        oneYear: { 0: 5.5 },
+        preTerminationPenalties: {
+            default: [{ minCycles: 0, forfeitInterest: 'all', penaltyPercent: 2 }]
+        }
+    };
+
+    const diff = diffRateTables(from, to);
+
+    assert.deepEqual(diff.changedTables, ['oneYear', 'preTerminationPenalties']);
+    assert.deepEqual(diff.tables.oneYear.changed, [{ threshold: 0, from: 5, to: 5.5 }]);
+    assert.equal(diff.preTerminationPenalties.default.to[0].penaltyPercent, 2);
+    assert.deepEqual(diffRateTables(from, from).changedTables, []);
+});
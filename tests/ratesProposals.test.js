@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isSelfReview } = require('../utils/ratesProposals');
+
+test('isSelfReview stops the submitting admin from reviewing their own proposal', () => {
+    const proposal = { status: 'pending', submittedBy: { id: 'admin-a', email: 'a@example.com' } };
+
+    assert.equal(isSelfReview(proposal, 'admin-a'), true);
+    assert.equal(isSelfReview(proposal, 'admin-b'), false);
+});
+
+test('isSelfReview lets anyone review a proposal without a recorded submitter', () => {
+    assert.equal(isSelfReview({ status: 'pending' }, 'admin-a'), false);
+    assert.equal(isSelfReview({ submittedBy: null }, 'admin-a'), false);
+    assert.equal(isSelfReview({ submittedBy: { id: '' } }, ''), false);
+});
@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { computeBackoffDelayMs } = require('../utils/retryBackoff');
+
+test('computeBackoffDelayMs doubles per attempt and stops at the cap', () => {
+    const options = { baseDelayMs: 60000, maxDelayMs: 3600000 };
+
+    assert.deepEqual([1, 2, 3, 4].map((attempts) => computeBackoffDelayMs(attempts, options)), [60000, 120000, 240000, 480000]);
+    assert.equal(computeBackoffDelayMs(7, options), 3600000);
+    assert.equal(computeBackoffDelayMs(500, options), 3600000);
+    assert.equal(computeBackoffDelayMs(0, options), 60000);
+});
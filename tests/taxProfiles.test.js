@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    normalizeTaxProfile,
+    normalizeTaxProfileCatalog,
+    resolveTaxProfile,
+    buildTaxProfileSnapshot
+} = require('../utils/taxProfiles');
+
+test('normalizeTaxProfile requires a fractional rate', () => {
+    assert.deepEqual(normalizeTaxProfile('treaty10', { label: ' Treaty 10% ', rate: '0.1' }), {
+        key: 'treaty10',
+        label: 'Treaty 10%',
+        rate: 0.1,
+        description: ''
+    });
+
+    assert.equal(normalizeTaxProfile('treaty10', { rate: 10 }), null);
+    assert.equal(normalizeTaxProfile('treaty10', { rate: -0.1 }), null);
+    assert.equal(normalizeTaxProfile('bad key', { rate: 0.1 }), null);
+});
+
+test('normalizeTaxProfileCatalog keeps the built-in profiles unless overridden', () => {
+    const catalog = normalizeTaxProfileCatalog({
+        standard: { label: 'Standard', rate: 0.25 },
+        broken: { rate: 'abc' }
+    });
+
+    assert.equal(catalog.standard.rate, 0.25);
+    assert.equal(catalog.exempt.rate, 0);
+    assert.equal(catalog.broken, undefined);
+});
+
+test('resolveTaxProfile uses the assignment for the income type and falls back to standard', () => {
+    const catalog = normalizeTaxProfileCatalog({ treaty10: { rate: 0.1 } });
+    const userData = { taxProfiles: { interest: 'exempt', commission: 'treaty10' } };
+
+    assert.equal(resolveTaxProfile(catalog, userData, 'interest').key, 'exempt');
+    assert.equal(resolveTaxProfile(catalog, userData, 'commission').rate, 0.1);
+    assert.equal(resolveTaxProfile(catalog, {}, 'interest').rate, 0.2);
+    assert.equal(resolveTaxProfile(catalog, { taxProfiles: { interest: 'deleted' } }, 'interest').key, 'standard');
+    assert.deepEqual(buildTaxProfileSnapshot({ ...catalog.exempt, description: 'x' }), { key: 'exempt', label: 'Tax exempt', rate: 0 });
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    normalizeTermDefinition,
+    normalizeTermCatalog,
+    getDepositTerm,
+    getTermCycleCount,
+    checkTermAmount
+} = require('../utils/termCatalog');
+
+test('normalizeTermDefinition requires a whole number of payout cycles', () => {
+    assert.deepEqual(normalizeTermDefinition('threeMonths', { label: '3 Months', months: 3, cycleMonths: 1, maxAmount: 500000 }), {
+        key: 'threeMonths',
+        label: '3 Months',
+        months: 3,
+        cycleMonths: 1,
+        minAmount: 0,
+        maxAmount: 500000,
+        currencyLimits: {},
+        enabled: true
+    });
+
+    assert.equal(normalizeTermDefinition('nineMonths', { months: 9 }), null);
+    assert.equal(normalizeTermDefinition('bad key', { months: 6 }), null);
+    assert.equal(normalizeTermDefinition('zeroMonths', { months: 0 }), null);
+});
+
+test('normalizeTermCatalog drops invalid definitions', () => {
+    const catalog = normalizeTermCatalog({
+        threeYears: { label: '3 Years', months: '36', enabled: false },
+        broken: { months: 7 }
+    });
+
+    assert.deepEqual(Object.keys(catalog), ['threeYears']);
+    assert.equal(catalog.threeYears.months, 36);
+    assert.equal(catalog.threeYears.cycleMonths, 6);
+    assert.equal(catalog.threeYears.enabled, false);
+});
+
+test('getDepositTerm prefers the snapshot stored on the deposit', () => {
+    const stored = getDepositTerm({ contractType: 'threeMonths', termLabel: '3 Months', termMonths: 3, cycleMonths: 1 });
+    assert.equal(stored.months, 3);
+    assert.equal(getTermCycleCount(stored), 3);
+
+    const legacy = getDepositTerm({ contractType: 'twoYears' });
+    assert.equal(legacy.label, '2 Years');
+    assert.equal(getTermCycleCount(legacy), 4);
+
+    assert.equal(getDepositTerm({ contractType: 'unknownTerm' }), null);
+});
+
+test('checkTermAmount enforces minimum and maximum amounts', () => {
+    const definition = normalizeTermDefinition('threeMonths', { label: '3 Months', months: 3, cycleMonths: 1, minAmount: 10000, maxAmount: 500000 });
+
+    assert.equal(checkTermAmount(definition, 10000), null);
+    assert.equal(checkTermAmount(definition, 9999), 'Minimum amount for 3 Months is 10000');
+    assert.equal(checkTermAmount(definition, 500001), 'Maximum amount for 3 Months is 500000');
+});
+
+test('checkTermAmount uses the limits of the deposit currency', () => {
+    const definition = normalizeTermDefinition('oneYear', {
+        label: '1 Year',
+        months: 12,
+        minAmount: 10000,
+        currencyLimits: { USD: { minAmount: 200, maxAmount: 50000 }, php: { minAmount: 1 } }
+    });
+
+    assert.deepEqual(definition.currencyLimits, { USD: { minAmount: 200, maxAmount: 50000 } });
+    assert.equal(checkTermAmount(definition, 500, 'USD'), null);
+    assert.equal(checkTermAmount(definition, 199, 'USD'), 'Minimum amount for 1 Year is 200 USD');
+    assert.equal(checkTermAmount(definition, 50001, 'USD'), 'Maximum amount for 1 Year is 50000 USD');
+    assert.equal(checkTermAmount(definition, 500, 'PHP'), 'Minimum amount for 1 Year is 10000');
+    assert.equal(checkTermAmount(normalizeTermDefinition('sixMonths', { months: 6, minAmount: 10000 }), 5, 'USD'), null);
+});
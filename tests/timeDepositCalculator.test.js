@@ -5,6 +5,11 @@ const {
     interpolateTierRate,
     calculateTermEarnings,
     calculateCompletionDate,
+    calculateCycleBoundaries,
+    countDueCycles,
+    calculateCycleInterest,
+    calculatePreTermination,
+    buildEarningsSchedule,
     buildQuote
 } = require('../utils/timeDepositCalculator');
 
@@ -101,3 +106,150 @@ test('calculateCompletionDate maps terms to expected maturities', () => {
     const twoYears = calculateCompletionDate(start, 'twoYears');
     assert.equal(twoYears.toISOString().slice(0, 10), '2028-02-17');
 });
+
+test('calculateCycleBoundaries splits the term into 6-month cycles ending at maturity', () => {
+    const boundaries = calculateCycleBoundaries('2026-02-17', 'twoYears');
+
+    assert.equal(boundaries.length, 4);
+    assert.equal(boundaries[0].startDate.toISOString().slice(0, 10), '2026-02-17');
+    assert.equal(boundaries[0].endDate.toISOString().slice(0, 10), '2026-08-17');
+    assert.equal(boundaries[3].cycle, 4);
+    assert.equal(
+        boundaries[3].endDate.toISOString().slice(0, 10),
+        calculateCompletionDate('2026-02-17', 'twoYears').toISOString().slice(0, 10)
+    );
+});
+
+test('countDueCycles counts only cycles whose end date has passed', () => {
+    const boundaries = calculateCycleBoundaries('2026-02-17', 'oneYear');
+
+    assert.equal(countDueCycles(boundaries, '2026-08-16'), 0);
+    assert.equal(countDueCycles(boundaries, '2026-08-17'), 1);
+    assert.equal(countDueCycles(boundaries, '2030-01-01'), 2);
+});
+
+test('calculateCycleInterest separates gross, withheld tax and net per cycle', () => {
+    assert.deepEqual(calculateCycleInterest({ amount: 1000, finalInterestRate: 10 }), {
+        grossInterest: 100,
+        taxAmount: 20,
+        netInterest: 80
+    });
+
+    assert.deepEqual(calculateCycleInterest({ amount: 0, finalInterestRate: 10 }), {
+        grossInterest: 0,
+        taxAmount: 0,
+        netInterest: 0
+    });
+});
+
+test('calculatePreTermination forfeits earned-but-unpaid interest under the default schedule', () => {
+    const result = calculatePreTermination({
+        amount: 1000,
+        finalInterestRate: 10,
+        term: 'twoYears',
+        initialDate: '2026-02-17',
+        terminationDate: '2027-03-01',
+        paidCycles: 1,
+        interestPaidAmount: 80
+    });
+
+    assert.equal(result.elapsedCycles, 2);
+    assert.equal(result.unpaidCycles, 1);
+    assert.equal(result.earnedUnpaidInterest, 80);
+    assert.equal(result.forfeitedInterest, 80);
+    assert.equal(result.interestClawback, 0);
+    assert.equal(result.penaltyAmount, 0);
+    assert.equal(result.commissionClawbackPercent, 100);
+    assert.equal(result.refundAmount, 1000);
+});
+
+test('calculatePreTermination applies the tier matching the elapsed cycles', () => {
+    const schedule = [
+        { minCycles: 1, forfeitInterest: 'none', penaltyPercent: 1, commissionClawbackPercent: 50 },
+        { minCycles: 0, forfeitInterest: 'all', penaltyPercent: 2, commissionClawbackPercent: 100 }
+    ];
+
+    const early = calculatePreTermination({
+        amount: 1000,
+        finalInterestRate: 10,
+        term: 'oneYear',
+        initialDate: '2026-02-17',
+        terminationDate: '2026-05-01',
+        schedule
+    });
+    assert.equal(early.penaltyAmount, 20);
+    assert.equal(early.refundAmount, 980);
+    assert.equal(early.commissionClawbackPercent, 100);
+
+    const later = calculatePreTermination({
+        amount: 1000,
+        finalInterestRate: 10,
+        term: 'oneYear',
+        initialDate: '2026-02-17',
+        terminationDate: '2026-09-01',
+        schedule
+    });
+    assert.equal(later.unpaidCycles, 1);
+    assert.equal(later.forfeitedInterest, 0);
+    assert.equal(later.penaltyAmount, 10);
+    assert.equal(later.refundAmount, 1070);
+    assert.equal(later.commissionClawbackPercent, 50);
+});
+
+test('calculatePreTermination claws back paid interest when the rule forfeits all interest', () => {
+    const result = calculatePreTermination({
+        amount: 1000,
+        finalInterestRate: 10,
+        term: 'oneYear',
+        initialDate: '2026-02-17',
+        terminationDate: '2026-09-01',
+        paidCycles: 1,
+        interestPaidAmount: 80,
+        schedule: [{ minCycles: 0, forfeitInterest: 'all', penaltyPercent: 0 }]
+    });
+
+    assert.equal(result.interestClawback, 80);
+    assert.equal(result.refundAmount, 920);
+});
+
+test('catalog terms with monthly cycles scale interest by cycle length', () => {
+    const threeMonths = { key: 'threeMonths', label: '3 Months', months: 3, cycleMonths: 1 };
+
+    const completion = calculateCompletionDate('2024-01-15', threeMonths);
+    assert.equal(completion.toISOString().slice(0, 10), '2024-04-15');
+
+    const boundaries = calculateCycleBoundaries('2024-01-15', threeMonths);
+    assert.equal(boundaries.length, 3);
+    assert.equal(boundaries[1].endDate.toISOString().slice(0, 10), '2024-03-15');
+
+    // 6% per 6-month period is 1% per monthly cycle
+    const cycle = calculateCycleInterest({ amount: 120000, finalInterestRate: 6, cycleMonths: 1 });
+    assert.deepEqual(cycle, { grossInterest: 1200, taxAmount: 240, netInterest: 960 });
+
+    const earnings = calculateTermEarnings({ amount: 120000, finalInterestRate: 6, term: threeMonths });
+    assert.equal(earnings.cycles, 3);
+    assert.equal(earnings.totalNetInterestForTerm, 2880);
+});
+
+test('buildEarningsSchedule lists every cycle with a running total and paid flags', () => {
+    const schedule = buildEarningsSchedule({
+        amount: 100000,
+        finalInterestRate: 5,
+        term: 'oneYear',
+        initialDate: '2024-01-31',
+        paidCycles: 1
+    });
+
+    assert.equal(schedule.cycles.length, 2);
+    assert.deepEqual(schedule.cycles.map((cycle) => cycle.endDate.toISOString().slice(0, 10)), ['2024-07-31', '2025-01-31']);
+    assert.deepEqual(schedule.cycles.map((cycle) => cycle.cumulativeNetInterest), [4000, 8000]);
+    assert.deepEqual(schedule.cycles.map((cycle) => cycle.paid), [true, false]);
+    assert.deepEqual(schedule.totals, {
+        principal: 100000,
+        grossInterest: 10000,
+        taxAmount: 2000,
+        netInterest: 8000,
+        totalReturnAmount: 108000,
+        paidCycles: 1
+    });
+});
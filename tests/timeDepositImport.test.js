@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parseImportCsv,
+    validateImportRow,
+    buildRowKeys
+} = require('../utils/timeDepositImport');
+
+const HEADER = 'UserId,Amount,Term,InitialDate,ReferrerUserId';
+
+test('parseImportCsv maps headers case-insensitively and drops empty optional cells', () => {
+    const { rows, problem } = parseImportCsv(
+        `${HEADER},Notes\nu1, 100000 ,oneYear,2026-03-01,,ignored\nu2,50000,sixMonths,2026-03-02,ag1,\n`,
+        { maxRows: 10 }
+    );
+
+    assert.equal(problem, undefined);
+    assert.deepEqual(rows, [
+        { row: 2, fields: { userId: 'u1', amount: '100000', term: 'oneYear', initialDate: '2026-03-01' } },
+        { row: 3, fields: { userId: 'u2', amount: '50000', term: 'sixMonths', initialDate: '2026-03-02', referrerUserId: 'ag1' } }
+    ]);
+});
+
+test('parseImportCsv rejects empty files, missing columns and files over the row limit', () => {
+    assert.equal(parseImportCsv('', { maxRows: 10 }).problem.code, 'IMPORT_FILE_EMPTY');
+
+    const missing = parseImportCsv('userId,amount\nu1,1000\n', { maxRows: 10 }).problem;
+    assert.equal(missing.code, 'IMPORT_COLUMNS_MISSING');
+    assert.match(missing.message, /term, initialDate/);
+
+    const csv = `${HEADER}\nu1,1000,oneYear,2026-03-01,\nu2,1000,oneYear,2026-03-01,\n`;
+    assert.equal(parseImportCsv(csv, { maxRows: 1 }).problem.code, 'IMPORT_TOO_LARGE');
+    assert.equal(parseImportCsv(csv, { maxRows: 2 }).rows.length, 2);
+});
+
+test('validateImportRow accepts a complete row and builds the deposit payload', () => {
+    const { payload, errors } = validateImportRow({
+        fields: { userId: 'u1', amount: '100000', term: 'oneYear', initialDate: '2026-03-01', referrerUserId: 'ag1' }
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(payload.amount, 100000);
+    assert.equal(payload.term, 'oneYear');
+    assert.deepEqual(payload.referral, { referrerUserId: 'ag1' });
+});
+
+test('validateImportRow reports every problem with a row', () => {
+    const missing = validateImportRow({ fields: { amount: '1000', term: 'oneYear' } });
+    assert.equal(missing.payload, undefined);
+    assert.deepEqual(missing.errors.map((error) => error.path), ['userId', 'initialDate']);
+
+    const zero = validateImportRow({ fields: { userId: 'u1', amount: '0', term: 'oneYear', initialDate: '2026-03-01' } });
+    assert.deepEqual(zero.errors, [{ path: 'amount', message: 'Amount must be greater than zero' }]);
+
+    const badDate = validateImportRow({ fields: { userId: 'u1', amount: '1000', term: 'oneYear', initialDate: 'someday' } });
+    assert.deepEqual([...new Set(badDate.errors.map((error) => error.path))], ['initialDate']);
+});
+
+test('buildRowKeys gives the same file the same keys on every run', () => {
+    const { rows } = parseImportCsv(`${HEADER}\nu1,1000,oneYear,2026-03-01,\nu2,2000,sixMonths,2026-03-02,ag1\n`, { maxRows: 10 });
+    const keys = buildRowKeys(rows);
+
+    assert.deepEqual(buildRowKeys(rows), keys);
+    assert.notEqual(keys[0], keys[1]);
+    keys.forEach((key) => assert.match(key, /^import-[0-9a-f]{32}$/));
+
+    // Case and surrounding spaces do not change a row's key
+    const [spaced] = buildRowKeys([{ fields: { userId: ' U1 ', amount: '1000', term: 'ONEYEAR', initialDate: '2026-03-01' } }]);
+    assert.equal(spaced, keys[0]);
+});
+
+test('buildRowKeys keeps identical rows apart by occurrence', () => {
+    const row = { fields: { userId: 'u1', amount: '1000', term: 'oneYear', initialDate: '2026-03-01' } };
+    const other = { fields: { userId: 'u2', amount: '1000', term: 'oneYear', initialDate: '2026-03-01' } };
+    const keys = buildRowKeys([row, other, row]);
+
+    assert.equal(new Set(keys).size, 3);
+    // Rows before a duplicate keep their keys, so appending to a file does not re-import it
+    assert.deepEqual(buildRowKeys([row, other]), keys.slice(0, 2));
+    assert.equal(buildRowKeys([row, row])[1], keys[2]);
+});
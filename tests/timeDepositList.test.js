@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parseDateBoundary,
+    applyListFilters,
+    sortListedRecords,
+    paginateList
+} = require('../utils/timeDepositList');
+
+const deposits = [
+    { id: 'a', status: 'Active', term: 'oneYear', currency: 'PHP', amount: 100000, completionDate: '2027-01-15', createdAt: '2026-01-15T08:00:00.000Z' },
+    { id: 'b', status: 'Matured', term: 'sixMonths', currency: 'PHP', amount: 50000, completionDate: '2026-07-01', createdAt: '2026-01-01T08:00:00.000Z' },
+    { id: 'c', status: 'active', term: 'oneYear', currency: 'USD', amount: 2000, completionDate: '2027-01-31', createdAt: null },
+    { id: 'd', status: 'Active', term: 'twoYears', currency: 'PHP', amount: 75000, completionDate: null, createdAt: '2026-02-01T08:00:00.000Z' }
+];
+
+const ids = (items) => items.map((item) => item.id);
+
+test('parseDateBoundary extends a bare upper bound to the end of the day', () => {
+    assert.equal(parseDateBoundary('2027-01-15'), Date.parse('2027-01-15T00:00:00.000Z'));
+    assert.equal(parseDateBoundary('2027-01-15', true), Date.parse('2027-01-15T23:59:59.999Z'));
+    assert.equal(parseDateBoundary('2027-01-15T12:00:00Z', true), Date.parse('2027-01-15T12:00:00Z'));
+    assert.equal(parseDateBoundary('not a date'), null);
+    assert.equal(parseDateBoundary(undefined), null);
+});
+
+test('applyListFilters matches status case-insensitively, term exactly and currency in any case', () => {
+    assert.deepEqual(ids(applyListFilters(deposits, { status: 'ACTIVE' })), ['a', 'c', 'd']);
+    assert.deepEqual(ids(applyListFilters(deposits, { term: 'oneYear' })), ['a', 'c']);
+    assert.deepEqual(ids(applyListFilters(deposits, { currency: 'usd' })), ['c']);
+    assert.deepEqual(ids(applyListFilters(deposits, { status: 'active', currency: 'PHP' })), ['a', 'd']);
+    assert.deepEqual(ids(applyListFilters(deposits, {})), ['a', 'b', 'c', 'd']);
+});
+
+test('applyListFilters keeps maturities inside the range, both ends included', () => {
+    assert.deepEqual(ids(applyListFilters(deposits, { maturityFrom: '2027-01-15', maturityTo: '2027-01-31' })), ['a', 'c']);
+    assert.deepEqual(ids(applyListFilters(deposits, { maturityTo: '2027-01-15' })), ['a', 'b']);
+    assert.deepEqual(ids(applyListFilters(deposits, { maturityFrom: '2027-01-16' })), ['c']);
+});
+
+test('sortListedRecords sorts newest first by default and puts missing values last', () => {
+    assert.deepEqual(ids(sortListedRecords(deposits)), ['d', 'a', 'b', 'c']);
+    assert.deepEqual(ids(sortListedRecords(deposits, 'createdAt', 'asc')), ['b', 'a', 'd', 'c']);
+    assert.deepEqual(ids(sortListedRecords(deposits, 'completionDate', 'asc')), ['b', 'a', 'c', 'd']);
+    assert.deepEqual(ids(sortListedRecords(deposits, 'amount', 'desc')), ['a', 'd', 'b', 'c']);
+    assert.deepEqual(ids(deposits), ['a', 'b', 'c', 'd']);
+});
+
+test('paginateList returns the requested page with totals', () => {
+    const items = Array.from({ length: 45 }, (_, index) => ({ id: index + 1 }));
+
+    const third = paginateList(items, { page: '3', limit: '20' });
+    assert.deepEqual(third.items.map((item) => item.id), [41, 42, 43, 44, 45]);
+    assert.deepEqual(third.pagination, { total: 45, page: 3, limit: 20, totalPages: 3 });
+
+    assert.equal(paginateList(items, { page: 4, limit: 20 }).items.length, 0);
+    assert.deepEqual(paginateList(items, { page: 'x', limit: '' }).pagination, { total: 45, page: 1, limit: 20, totalPages: 3 });
+    assert.deepEqual(paginateList([], {}).pagination, { total: 0, page: 1, limit: 20, totalPages: 1 });
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDue, selectDueDeposits } = require('../utils/timeDepositMaturity');
+
+const asOfMs = Date.parse('2026-06-30T16:00:00Z');
+
+test('isDue is true from the completion date onward', () => {
+    assert.equal(isDue(asOfMs, asOfMs), true);
+    assert.equal(isDue(asOfMs - 1, asOfMs), true);
+    assert.equal(isDue(asOfMs + 1, asOfMs), false);
+    assert.equal(isDue(null, asOfMs), false);
+    assert.equal(isDue(undefined, asOfMs), false);
+});
+
+test('selectDueDeposits keeps active due deposits, oldest maturity first', () => {
+    const deposits = [
+        { id: 'later', active: true, completionMs: asOfMs - 1000 },
+        { id: 'future', active: true, completionMs: asOfMs + 1000 },
+        { id: 'matured', active: false, completionMs: asOfMs - 5000 },
+        { id: 'oldest', active: true, completionMs: asOfMs - 9000 },
+        { id: 'undated', active: true, completionMs: null },
+        { id: 'today', active: true, completionMs: asOfMs }
+    ];
+
+    assert.deepEqual(selectDueDeposits(deposits, { asOfMs }).map((deposit) => deposit.id), ['oldest', 'later', 'today']);
+});
+
+test('selectDueDeposits applies the limit after sorting', () => {
+    const deposits = [
+        { id: 'b', active: true, completionMs: 2 },
+        { id: 'c', active: true, completionMs: 3 },
+        { id: 'a', active: true, completionMs: 1 }
+    ];
+
+    assert.deepEqual(selectDueDeposits(deposits, { asOfMs, limit: 2 }).map((deposit) => deposit.id), ['a', 'b']);
+    assert.equal(selectDueDeposits(deposits, { asOfMs, limit: 0 }).length, 3);
+    assert.deepEqual(selectDueDeposits([], { asOfMs }), []);
+});
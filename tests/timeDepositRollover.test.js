@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    normalizeRolloverInstruction,
+    computeRolloverSplit,
+    priceRolloverDeposit
+} = require('../utils/timeDepositRollover');
+const { DEFAULT_TERM_CATALOG } = require('../utils/termCatalog');
+
+const payout = { principal: 100000, totalCredit: 102400 };
+const termRates = { 0: 5, 100000: 6, 200000: 7 };
+const completionMs = Date.parse('2026-07-10T16:00:00.000Z');
+
+test('normalizeRolloverInstruction falls back to no rollover', () => {
+    assert.deepEqual(normalizeRolloverInstruction({ instruction: 'principal', generateContract: 1 }), { instruction: 'principal', generateContract: true });
+    assert.deepEqual(normalizeRolloverInstruction({ instruction: 'everything' }), { instruction: 'none', generateContract: false });
+    assert.deepEqual(normalizeRolloverInstruction(null), { instruction: 'none', generateContract: false });
+});
+
+test('computeRolloverSplit renews the principal or the whole payout and credits the rest', () => {
+    assert.deepEqual(computeRolloverSplit({}, payout), { instruction: 'none', generateContract: false, rolloverAmount: 0, walletCredit: 102400 });
+    assert.deepEqual(
+        computeRolloverSplit({ rollover: { instruction: 'principal', generateContract: true } }, payout),
+        { instruction: 'principal', generateContract: true, rolloverAmount: 100000, walletCredit: 2400 }
+    );
+    assert.deepEqual(
+        computeRolloverSplit({ rollover: { instruction: 'principalAndInterest' } }, payout),
+        { instruction: 'principalAndInterest', generateContract: false, rolloverAmount: 102400, walletCredit: 0 }
+    );
+});
+
+test('priceRolloverDeposit starts the renewal on the old completion date for the same term', () => {
+    const { initialDate, completionDate, quote } = priceRolloverDeposit({
+        termDefinition: DEFAULT_TERM_CATALOG.oneYear,
+        completionMs,
+        rolloverAmount: 100000,
+        termRates,
+        taxRate: 0.2
+    });
+
+    assert.equal(initialDate.toISOString(), '2026-07-10T16:00:00.000Z');
+    assert.equal(completionDate.toISOString(), '2027-07-10T16:00:00.000Z');
+    assert.equal(quote.term, 'oneYear');
+    assert.equal(quote.finalInterestRate, 6);
+    assert.equal(quote.annualNetInterest, 4800);
+    assert.equal(quote.totalNetInterestForTerm, 9600);
+    assert.equal(quote.totalReturnAmount, 109600);
+    assert.equal(quote.estimatedAgentRate, undefined);
+});
+
+test('priceRolloverDeposit prices the rolled-over amount at current rates and tax', () => {
+    const { quote } = priceRolloverDeposit({
+        termDefinition: DEFAULT_TERM_CATALOG.oneYear,
+        completionMs,
+        rolloverAmount: 102400,
+        termRates,
+        agentRates: { 0: 2 },
+        taxRate: 0.1
+    });
+
+    // 102,400 sits between the 100k and 200k tiers
+    assert.equal(quote.finalInterestRate, 6.024);
+    assert.equal(quote.annualNetInterest, 5551.72);
+    assert.equal(quote.totalReturnAmount, 113503.44);
+    assert.equal(quote.estimatedAgentRate, 2);
+});
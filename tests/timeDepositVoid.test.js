@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    getVoidWindowHours,
+    checkVoidable,
+    allocateCommissionReversals
+} = require('../utils/timeDepositVoid');
+
+const HOUR_MS = 60 * 60 * 1000;
+const nowMs = Date.parse('2026-03-10T12:00:00Z');
+
+test('getVoidWindowHours uses the override or the 24 hour default', () => {
+    assert.equal(getVoidWindowHours({}), 24);
+    assert.equal(getVoidWindowHours({ TIME_DEPOSIT_VOID_WINDOW_HOURS: '6' }), 6);
+    assert.equal(getVoidWindowHours({ TIME_DEPOSIT_VOID_WINDOW_HOURS: '0' }), 0);
+    assert.equal(getVoidWindowHours({ TIME_DEPOSIT_VOID_WINDOW_HOURS: '-1' }), 24);
+    assert.equal(getVoidWindowHours({ TIME_DEPOSIT_VOID_WINDOW_HOURS: 'soon' }), 24);
+});
+
+test('checkVoidable allows a deposit up to the end of the void window', () => {
+    assert.equal(checkVoidable({}, { createdMs: nowMs - 24 * HOUR_MS, nowMs, windowHours: 24 }), null);
+    assert.equal(
+        checkVoidable({}, { createdMs: nowMs - 24 * HOUR_MS - 1, nowMs, windowHours: 24 }).code,
+        'VOID_WINDOW_EXPIRED'
+    );
+    assert.equal(checkVoidable({}, { createdMs: null, nowMs, windowHours: 24 }).code, 'VOID_WINDOW_EXPIRED');
+});
+
+test('checkVoidable refuses deposits that paid a cycle or were rolled over', () => {
+    const options = { createdMs: nowMs - HOUR_MS, nowMs, windowHours: 24 };
+
+    assert.equal(checkVoidable({ currentCycleCount: 1 }, options).code, 'TIME_DEPOSIT_HAS_PAYOUTS');
+    assert.equal(checkVoidable({ interestPaidAmount: 12.5 }, options).code, 'TIME_DEPOSIT_HAS_PAYOUTS');
+    assert.equal(checkVoidable({ rolledOverFrom: 'td-1' }, options).code, 'TIME_DEPOSIT_ROLLOVER');
+    assert.equal(checkVoidable({ currentCycleCount: 0, interestPaidAmount: 0 }, options), null);
+});
+
+test('allocateCommissionReversals stops at a zero wallet and leaves the rest outstanding', () => {
+    const { debits, wallets } = allocateCommissionReversals(
+        [
+            { memberId: 'agent', amount: 300 },
+            { memberId: 'agent', amount: 250 },
+            { memberId: 'broke', amount: 100 }
+        ],
+        new Map([['agent', 500], ['broke', -20]])
+    );
+
+    assert.deepEqual(debits, [
+        { debitedAmount: 300, outstandingAmount: 0 },
+        { debitedAmount: 200, outstandingAmount: 50 },
+        { debitedAmount: 0, outstandingAmount: 100 }
+    ]);
+    assert.deepEqual([...wallets], [['agent', 0], ['broke', -20]]);
+});
+
+test('allocateCommissionReversals does not debit deleted members or zero reversals', () => {
+    const { debits, wallets } = allocateCommissionReversals(
+        [
+            { memberId: 'gone', amount: 80.5 },
+            { memberId: 'agent', amount: 0 }
+        ],
+        new Map([['gone', null], ['agent', 100]])
+    );
+
+    assert.deepEqual(debits, [
+        { debitedAmount: 0, outstandingAmount: 80.5 },
+        { debitedAmount: 0, outstandingAmount: 0 }
+    ]);
+    assert.equal(wallets.size, 0);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { computeWebhookSignature, verifyWebhookSignature } = require('../utils/webhookSignature');
+
+const secret = 'test-secret';
+const rawBody = Buffer.from('{"type":"signed","contractId":"C-1"}');
+const now = new Date('2026-03-01T00:00:00Z');
+const timestamp = String(Math.floor(now.getTime() / 1000));
+
+test('verifyWebhookSignature accepts a body signed with the shared secret', () => {
+    const signature = computeWebhookSignature(secret, timestamp, rawBody);
+
+    assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+    assert.deepEqual(verifyWebhookSignature({ secret, signature, timestamp, rawBody, now }), { valid: true });
+});
+
+test('verifyWebhookSignature rejects tampered bodies, wrong secrets and stale timestamps', () => {
+    const signature = computeWebhookSignature(secret, timestamp, rawBody);
+
+    assert.equal(verifyWebhookSignature({ secret, signature, timestamp, rawBody: Buffer.from('{}'), now }).valid, false);
+    assert.equal(verifyWebhookSignature({ secret: 'other', signature, timestamp, rawBody, now }).valid, false);
+    assert.equal(verifyWebhookSignature({ secret, signature: 'sha256=abc', timestamp, rawBody, now }).valid, false);
+    assert.equal(verifyWebhookSignature({ secret, signature, timestamp: 'soon', rawBody, now }).reason, 'Invalid timestamp');
+    assert.equal(
+        verifyWebhookSignature({ secret, signature, timestamp, rawBody, now: new Date(now.getTime() + 10 * 60 * 1000) }).reason,
+        'Timestamp is outside the allowed window'
+    );
+    assert.equal(verifyWebhookSignature({ secret, signature: '', timestamp, rawBody, now }).valid, false);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { renderCertificateHtml, renderCertificatePdf } = require('../utils/withholdingCertificate');
+
+const certificate = {
+    certificateNumber: 'WHT-2026-Q1-u1',
+    period: { key: '2026-Q1', label: 'Q1 2026', from: '2026-01-01', to: '2026-03-31' },
+    months: ['2026-01', '2026-02', '2026-03'],
+    issuedAt: '2026-04-05T08:00:00.000Z',
+    payor: { name: 'Inspire Holdings Incorporated', tin: '123-456-789-000', address: null },
+    payee: { userId: 'u1', name: 'Juan <Dela> Cruz (JC)', email: 'juan@example.com' },
+    lines: [
+        { incomeType: 'interest', currency: 'PHP', grossByMonth: [1000, 0, 1234.5], grossAmount: 2234.5, taxWithheld: 446.9, netAmount: 1787.6, taxRates: [0.2] }
+    ],
+    totals: [{ currency: 'PHP', grossAmount: 2234.5, taxWithheld: 446.9, netAmount: 1787.6 }]
+};
+
+test('renderCertificateHtml escapes payee details and formats amounts', () => {
+    const html = renderCertificateHtml(certificate);
+
+    assert.match(html, /Juan &lt;Dela&gt; Cruz \(JC\)/);
+    assert.match(html, /<th>Mar 2026<\/th>/);
+    assert.match(html, /1,234\.50/);
+    assert.match(html, /TIN: 123-456-789-000/);
+    assert.doesNotMatch(html, /<Dela>/);
+});
+
+test('renderCertificatePdf writes a well-formed single page PDF', () => {
+    const pdf = renderCertificatePdf(certificate).toString('latin1');
+
+    assert.ok(pdf.startsWith('%PDF-1.4\n'));
+    assert.ok(pdf.endsWith('%%EOF\n'));
+    assert.match(pdf, /\(Juan <Dela> Cruz \\\(JC\\\)\) Tj/);
+    assert.match(pdf, /\(446\.90\) Tj/);
+
+    const xrefOffset = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+    assert.equal(pdf.slice(xrefOffset, xrefOffset + 4), 'xref');
+
+    const offsets = [...pdf.matchAll(/^(\d{10}) 00000 n $/gm)].map((match) => Number(match[1]));
+    offsets.forEach((offset, index) => {
+        assert.equal(pdf.slice(offset, offset + `${index + 1} 0 obj`.length), `${index + 1} 0 obj`);
+    });
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseQuarter, getQuarterKey, aggregateWithholding } = require('../utils/withholdingTax');
+
+test('parseQuarter returns the UTC bounds and months of a quarter', () => {
+    const period = parseQuarter('2026-q4');
+
+    assert.equal(period.key, '2026-Q4');
+    assert.equal(period.label, 'Q4 2026');
+    assert.equal(period.start.toISOString(), '2026-10-01T00:00:00.000Z');
+    assert.equal(period.end.toISOString(), '2027-01-01T00:00:00.000Z');
+    assert.deepEqual(period.months, ['2026-10', '2026-11', '2026-12']);
+
+    assert.equal(parseQuarter('2026-Q5'), null);
+    assert.equal(parseQuarter('2026'), null);
+    assert.equal(getQuarterKey(new Date('2026-05-31T23:59:59Z')), '2026-Q2');
+});
+
+test('aggregateWithholding totals per payee, income type and currency within the quarter', () => {
+    const period = parseQuarter('2026-Q1');
+    const at = (value) => Date.parse(value);
+    const rows = aggregateWithholding([
+        { payeeId: 'u1', incomeType: 'interest', currency: 'PHP', grossAmount: 1000, taxWithheld: 200, netAmount: 800, taxRate: 0.2, taxProfileKey: 'standard', dateMs: at('2026-01-15T00:00:00Z') },
+        { payeeId: 'u1', incomeType: 'interest', currency: 'PHP', grossAmount: 1000.1, taxWithheld: 0, netAmount: 1000.1, taxRate: 0, taxProfileKey: 'exempt', dateMs: at('2026-03-31T23:59:59Z') },
+        { payeeId: 'u1', incomeType: 'interest', currency: 'PHP', grossAmount: 500, taxWithheld: 100, netAmount: 400, taxRate: 0.2, dateMs: at('2026-04-01T00:00:00Z') },
+        { payeeId: 'ag', incomeType: 'commission', currency: 'USD', grossAmount: 50, taxWithheld: 5, netAmount: 45, taxRate: 0.1, taxProfileKey: 'treaty10', dateMs: at('2026-02-01T00:00:00Z') }
+    ], period);
+
+    assert.equal(rows.length, 2);
+    assert.deepEqual(rows[1], {
+        payeeId: 'u1',
+        incomeType: 'interest',
+        currency: 'PHP',
+        transactions: 2,
+        grossAmount: 2000.1,
+        taxWithheld: 200,
+        netAmount: 1800.1,
+        grossByMonth: [1000, 0, 1000.1],
+        taxRates: [0, 0.2],
+        taxProfiles: ['standard', 'exempt']
+    });
+    assert.equal(rows[0].payeeId, 'ag');
+    assert.deepEqual(rows[0].grossByMonth, [0, 50, 0]);
+});
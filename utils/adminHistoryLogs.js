@@ -0,0 +1,63 @@
+const { admin } = require('../config/firebase');
+
+const ADMIN_COLLECTION = 'adminUsers';
+const ADMIN_HISTORY_LOGS_SUBCOLLECTION = 'admin_history_logs';
+const SYSTEM_ACTOR_ID = process.env.SYSTEM_ADMIN_ID || 'system';
+
+/**
+ * Resolve who an admin_history_logs entry is attributed to.
+ * Scheduled jobs run without a request admin and are logged under a system actor.
+ * @param {Object|null} adminUser - req.admin as set by requireAdmin
+ * @returns {{id: string, email: string, name: string}}
+ */
+const resolveActor = (adminUser) => {
+    if (adminUser && adminUser.id) {
+        return {
+            id: adminUser.id,
+            email: adminUser.email || '',
+            name: adminUser.displayName || adminUser.email || adminUser.id
+        };
+    }
+
+    return {
+        id: SYSTEM_ACTOR_ID,
+        email: '',
+        name: 'System'
+    };
+};
+
+/**
+ * Queue an admin_history_logs entry on a transaction or batch
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.Transaction|FirebaseFirestore.WriteBatch} writer - Transaction or batch
+ * @param {Object|null} adminUser - Acting admin (null for system jobs)
+ * @param {Object} entry - Log fields (action, details, resourceType, ...)
+ * @returns {FirebaseFirestore.DocumentReference} The log document reference
+ */
+const writeAdminHistoryLog = (db, writer, adminUser, entry) => {
+    const actor = resolveActor(adminUser);
+    const logRef = db
+        .collection(ADMIN_COLLECTION)
+        .doc(actor.id)
+        .collection(ADMIN_HISTORY_LOGS_SUBCOLLECTION)
+        .doc();
+
+    writer.set(logRef, {
+        adminUid: actor.id,
+        adminEmail: actor.email,
+        adminDisplayName: actor.name,
+        adminName: actor.name,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        ...entry
+    });
+
+    return logRef;
+};
+
+module.exports = {
+    ADMIN_COLLECTION,
+    ADMIN_HISTORY_LOGS_SUBCOLLECTION,
+    SYSTEM_ACTOR_ID,
+    resolveActor,
+    writeAdminHistoryLog
+};
@@ -0,0 +1,176 @@
+// Agent codes are MMMMM-AAAAA-CCCCC: the master agent's number, then the agent's, then the
+// consultant's, with 00000 in the empty slots. The rightmost filled slot is the agent's own number
+// and its position is the agent type.
+
+const EMPTY_SLOT = '00000';
+const AGENT_CODE_PATTERN = /^[A-Z0-9]{5}-[A-Z0-9]{5}-[A-Z0-9]{5}$/;
+const AGENT_TYPES_BY_LEVEL = ['Master Agent', 'Agent', 'Consultant Agent'];
+
+/**
+ * @param {string} agentCode
+ * @returns {{parts: Array<string>, level: number, number: string, type: string}|null}
+ *   level 0 is a Master Agent, 1 an Agent and 2 a Consultant Agent; null for malformed codes
+ */
+const parseAgentCode = (agentCode) => {
+    if (!AGENT_CODE_PATTERN.test(String(agentCode || ''))) {
+        return null;
+    }
+
+    const parts = agentCode.split('-');
+    const level = parts.map((part) => part !== EMPTY_SLOT).lastIndexOf(true);
+    if (level < 0) {
+        return null;
+    }
+
+    return { parts, level, number: parts[level], type: AGENT_TYPES_BY_LEVEL[level] };
+};
+
+const getTypeLevel = (type) => AGENT_TYPES_BY_LEVEL.indexOf(type);
+
+// Direct upline's code: the agent's own slot cleared. null for master agents.
+const getParentCode = (agentCode) => {
+    const parsed = parseAgentCode(agentCode);
+    if (!parsed || parsed.level === 0) {
+        return null;
+    }
+
+    const parts = parsed.parts.map((part, index) => (index >= parsed.level ? EMPTY_SLOT : part));
+    return parseAgentCode(parts.join('-')) ? parts.join('-') : null;
+};
+
+/**
+ * Code for an agent number placed directly under an upline
+ * @param {string|null} parentCode - null places the agent at the top as a Master Agent
+ * @param {string} number - The agent's own number
+ * @returns {string|null} null when the upline is a Consultant Agent (nothing can sit below one)
+ */
+const buildChildCode = (parentCode, number) => {
+    if (!parentCode) {
+        return `${number}-${EMPTY_SLOT}-${EMPTY_SLOT}`;
+    }
+
+    const parent = parseAgentCode(parentCode);
+    if (!parent || parent.level >= AGENT_TYPES_BY_LEVEL.length - 1) {
+        return null;
+    }
+
+    const parts = [...parent.parts];
+    parts[parent.level + 1] = number;
+    return parts.join('-');
+};
+
+/**
+ * Code of the upline at a given level, e.g. the master agent (level 0) of a consultant
+ * @returns {string|null} null when level is not above the agent's own
+ */
+const getAncestorCode = (agentCode, level) => {
+    const parsed = parseAgentCode(agentCode);
+    if (!parsed || level < 0 || level >= parsed.level) {
+        return null;
+    }
+    return parsed.parts.map((part, index) => (index > level ? EMPTY_SLOT : part)).join('-');
+};
+
+/**
+ * Work out the code changes when an agent moves under a new upline. The agent's whole downline
+ * moves with it and keeps its shape, so every level shifts by the same amount.
+ * @param {Object} options
+ * @param {Array<Object>} options.agents - Agents with agentCode (and userId, referrerCode, ...)
+ * @param {string} options.agentCode - Agent being moved
+ * @param {string|null} options.parentCode - New direct upline; null makes the agent a Master Agent
+ * @param {Array<string>} [options.reservedCodes] - Codes that cannot be handed out again (e.g. retired codes)
+ * @returns {{changes: Array<Object>, errors: Array<string>}} One change per agent whose code changes,
+ *   the moved agent first, each with agentCode, newAgentCode, type, newType, parentCode and newParentCode
+ */
+const planSubtreeMove = ({ agents, agentCode, parentCode, reservedCodes = [] }) => {
+    const errors = [];
+    const changes = [];
+    const byParent = new Map();
+
+    agents.forEach((agent) => {
+        const parent = getParentCode(agent.agentCode);
+        if (parent) {
+            byParent.set(parent, [...(byParent.get(parent) || []), agent]);
+        }
+    });
+
+    const visit = (agent, newParentCode) => {
+        const parsed = parseAgentCode(agent.agentCode);
+        const newAgentCode = buildChildCode(newParentCode, parsed.number);
+
+        if (!newAgentCode) {
+            errors.push(`${agent.agentCode} would fall below Consultant Agent level`);
+            return;
+        }
+
+        changes.push({
+            agent,
+            agentCode: agent.agentCode,
+            newAgentCode,
+            type: parsed.type,
+            newType: parseAgentCode(newAgentCode).type,
+            parentCode: getParentCode(agent.agentCode),
+            newParentCode
+        });
+
+        (byParent.get(agent.agentCode) || []).forEach((child) => visit(child, newAgentCode));
+    };
+
+    const root = agents.find((agent) => agent.agentCode === agentCode);
+    if (!root || !parseAgentCode(agentCode)) {
+        return { changes: [], errors: [`Agent ${agentCode} not found`] };
+    }
+    visit(root, parentCode);
+
+    // Old codes are kept for history, so a new code can never reuse any existing one
+    const taken = new Set([...agents.map((agent) => agent.agentCode), ...reservedCodes]);
+    const moved = changes.filter((change) => change.agentCode !== change.newAgentCode);
+    moved
+        .filter((change) => taken.has(change.newAgentCode))
+        .forEach((change) => errors.push(`${change.newAgentCode} is already assigned to another agent`));
+
+    return { changes: moved, errors };
+};
+
+/**
+ * Whether a referrer can take on another direct recruit
+ * @param {Object} options
+ * @param {Object} options.referrerType - AgentType instance for the referrer's code
+ * @param {number} options.recruitCount - Direct recruits so far, including codes generated but not yet registered
+ * @param {boolean} [options.override=false] - Admin override of the recruit limit (not of canRecruit)
+ * @returns {{code: string, message: string, details: Object}|null} null when the recruit is allowed
+ */
+const checkRecruitCapacity = ({ referrerType, recruitCount, override = false }) => {
+    const maxRecruits = referrerType.getMaxRecruits();
+    const details = { referrerType: referrerType.getTypeName(), maxRecruits, recruitCount };
+
+    if (!referrerType.canRecruit()) {
+        return {
+            code: 'REFERRER_CANNOT_RECRUIT',
+            message: `${referrerType.getTypeName()} cannot recruit new agents`,
+            details
+        };
+    }
+
+    if (recruitCount >= maxRecruits && !override) {
+        return {
+            code: 'REFERRER_AT_CAPACITY',
+            message: `Referrer is at the ${referrerType.getTypeName()} limit of ${maxRecruits} recruits`,
+            details
+        };
+    }
+
+    return null;
+};
+
+module.exports = {
+    EMPTY_SLOT,
+    AGENT_TYPES_BY_LEVEL,
+    parseAgentCode,
+    getTypeLevel,
+    getParentCode,
+    buildChildCode,
+    getAncestorCode,
+    planSubtreeMove,
+    checkRecruitCapacity
+};
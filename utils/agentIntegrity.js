@@ -0,0 +1,254 @@
+const { parseAgentCode, getAncestorCode } = require('./agentCodes');
+
+const AGENT_INTEGRITY_ISSUES = {
+    MISSING_AGENT_RECORD: 'MISSING_AGENT_RECORD',
+    PENDING_AGENT_CODE: 'PENDING_AGENT_CODE',
+    INVALID_AGENT_CODE: 'INVALID_AGENT_CODE',
+    STALE_USER_CODE: 'STALE_USER_CODE',
+    AGENT_CODE_CONFLICT: 'AGENT_CODE_CONFLICT',
+    USER_AGENT_NUMBER_MISMATCH: 'USER_AGENT_NUMBER_MISMATCH',
+    ORPHANED_AGENT: 'ORPHANED_AGENT',
+    MISSING_UPLINE: 'MISSING_UPLINE',
+    DUPLICATE_AGENT_NUMBER: 'DUPLICATE_AGENT_NUMBER',
+    TYPE_MISMATCH: 'TYPE_MISMATCH',
+    AGENT_NUMBER_MISMATCH: 'AGENT_NUMBER_MISMATCH',
+    COMMISSION_NUMBERS_MISMATCH: 'COMMISSION_NUMBERS_MISMATCH'
+};
+
+const FIX_ACTIONS = {
+    CREATE_AGENT: 'create_agent',
+    UPDATE_AGENT: 'update_agent',
+    UPDATE_USER: 'update_user'
+};
+
+// '0' is the registration default and 'pending' means the code was never generated
+const isUnsetCode = (code) => !code || code === '0' || code === 'pending';
+
+const isCurrentAgent = (agent) => !agent.status || agent.status === 'active' || agent.status === 'inactive';
+
+const sameNumbers = (a = {}, b = {}) => {
+    const keys = [...new Set([...Object.keys(a || {}), ...Object.keys(b || {})])];
+    return keys.every((key) => (a || {})[key] === (b || {})[key]);
+};
+
+const getUserName = (user) => `${user.firstName || ''} ${user.lastName || ''}`.trim();
+
+/**
+ * Compare users, agent records and the codes they carry, and propose a fix where one is safe to
+ * apply automatically (fix is null when someone has to decide).
+ * @param {Object} options
+ * @param {Array<Object>} options.users - users documents with id (the document id)
+ * @param {Array<Object>} options.agents - agents documents, superseded ones included
+ * @param {Function} options.determineAgentType - Type name for an agent code
+ * @param {Function} options.getAgentNumbers - commissionNumbers for an agent code
+ * @returns {Array<Object>} Issues with type, message, agentCode, userId and fix ({ action, target, data })
+ */
+const checkAgentIntegrity = ({ users, agents, determineAgentType, getAgentNumbers }) => {
+    const issues = [];
+    const add = (type, message, { agentCode = null, userId = null, fix = null } = {}) => {
+        issues.push({ type, message, agentCode, userId, fix });
+    };
+
+    const usersByKey = new Map();
+    users.forEach((user) => {
+        usersByKey.set(user.id, user);
+        if (user.userId) {
+            usersByKey.set(user.userId, user);
+        }
+    });
+    const agentsByCode = new Map(agents.map((agent) => [agent.agentCode, agent]));
+    const current = agents.filter(isCurrentAgent);
+    const currentCodes = new Set(current.map((agent) => agent.agentCode));
+    const usersWithAgents = new Set(current.map((agent) => usersByKey.get(agent.userId)).filter(Boolean));
+
+    const latestCode = (code) => {
+        const seen = new Set();
+        let agent = agentsByCode.get(code);
+        while (agent && agent.status === 'superseded' && agent.supersededBy && !seen.has(agent.supersededBy)) {
+            seen.add(agent.supersededBy);
+            agent = agentsByCode.get(agent.supersededBy);
+        }
+        return agent && isCurrentAgent(agent) ? agent.agentCode : null;
+    };
+
+    users.forEach((user) => {
+        const code = user.agentCode;
+        const userId = user.userId || user.id;
+
+        if (isUnsetCode(code)) {
+            if (user.agent && !usersWithAgents.has(user)) {
+                const pending = code === 'pending';
+                add(
+                    pending ? AGENT_INTEGRITY_ISSUES.PENDING_AGENT_CODE : AGENT_INTEGRITY_ISSUES.MISSING_AGENT_RECORD,
+                    pending
+                        ? 'User registered as an agent but the agent code was never generated'
+                        : 'User is flagged as an agent but has no agent code',
+                    { userId }
+                );
+            }
+            return;
+        }
+
+        const parsed = parseAgentCode(code);
+        if (!parsed) {
+            add(AGENT_INTEGRITY_ISSUES.INVALID_AGENT_CODE, `User agent code ${code} is not a valid XXXXX-XXXXX-XXXXX code`, { agentCode: code, userId });
+            return;
+        }
+
+        const record = agentsByCode.get(code);
+        if (!record) {
+            if (user.agent) {
+                add(AGENT_INTEGRITY_ISSUES.MISSING_AGENT_RECORD, `User is flagged as an agent but ${code} has no agents record`, {
+                    agentCode: code,
+                    userId,
+                    fix: {
+                        action: FIX_ACTIONS.CREATE_AGENT,
+                        target: code,
+                        data: {
+                            agentNumber: parsed.number,
+                            agentCode: code,
+                            userId,
+                            firstName: user.firstName || '',
+                            lastName: user.lastName || '',
+                            fullName: getUserName(user),
+                            referrerCode: (user.pendingReferral && user.pendingReferral.referrerAgentCode) || null,
+                            referrerId: (user.pendingReferral && user.pendingReferral.referrerId) || null,
+                            type: determineAgentType(code),
+                            commissionNumbers: getAgentNumbers(code),
+                            status: 'active'
+                        }
+                    }
+                });
+            }
+            return;
+        }
+
+        if (!isCurrentAgent(record)) {
+            const latest = latestCode(code);
+            add(AGENT_INTEGRITY_ISSUES.STALE_USER_CODE, `User still holds ${code}, which is ${record.status}${latest ? `; the current code is ${latest}` : ''}`, {
+                agentCode: code,
+                userId,
+                fix: latest
+                    ? { action: FIX_ACTIONS.UPDATE_USER, target: user.id, data: { agentCode: latest, agentNumber: parseAgentCode(latest).number } }
+                    : null
+            });
+            return;
+        }
+
+        if (usersByKey.get(record.userId) !== user) {
+            add(AGENT_INTEGRITY_ISSUES.AGENT_CODE_CONFLICT, `User holds ${code}, but the agents record belongs to ${record.userId || 'no user'}`, {
+                agentCode: code,
+                userId
+            });
+            return;
+        }
+
+        if (String(user.agentNumber || '') !== parsed.number) {
+            add(AGENT_INTEGRITY_ISSUES.USER_AGENT_NUMBER_MISMATCH, `User agentNumber ${user.agentNumber || '(empty)'} does not match ${code}`, {
+                agentCode: code,
+                userId,
+                fix: { action: FIX_ACTIONS.UPDATE_USER, target: user.id, data: { agentNumber: parsed.number } }
+            });
+        }
+    });
+
+    const byNumber = new Map();
+
+    current.forEach((agent) => {
+        const code = agent.agentCode;
+        const parsed = parseAgentCode(code);
+        const owner = usersByKey.get(agent.userId);
+
+        if (!parsed) {
+            add(AGENT_INTEGRITY_ISSUES.INVALID_AGENT_CODE, `Agent record ${code} does not have a valid XXXXX-XXXXX-XXXXX code`, { agentCode: code, userId: agent.userId || null });
+            return;
+        }
+
+        if (!owner) {
+            add(AGENT_INTEGRITY_ISSUES.ORPHANED_AGENT, `Agent record ${code} belongs to no user`, { agentCode: code, userId: agent.userId || null });
+        } else if (owner.agentCode !== code) {
+            add(
+                AGENT_INTEGRITY_ISSUES.ORPHANED_AGENT,
+                isUnsetCode(owner.agentCode)
+                    ? `User ${agent.userId} has no agent code but owns ${code}`
+                    : `User ${agent.userId} now holds ${owner.agentCode}, not ${code}`,
+                {
+                    agentCode: code,
+                    userId: agent.userId,
+                    fix: isUnsetCode(owner.agentCode)
+                        ? { action: FIX_ACTIONS.UPDATE_USER, target: owner.id, data: { agentCode: code, agentNumber: parsed.number, agent: true } }
+                        : null
+                }
+            );
+        }
+
+        const expectedType = determineAgentType(code);
+        if (agent.type !== expectedType) {
+            add(AGENT_INTEGRITY_ISSUES.TYPE_MISMATCH, `${code} is recorded as ${agent.type || '(no type)'} but its code makes it ${expectedType}`, {
+                agentCode: code,
+                userId: agent.userId || null,
+                fix: { action: FIX_ACTIONS.UPDATE_AGENT, target: agent.id || code, data: { type: expectedType } }
+            });
+        }
+
+        if (String(agent.agentNumber || '') !== parsed.number) {
+            add(AGENT_INTEGRITY_ISSUES.AGENT_NUMBER_MISMATCH, `${code} has agentNumber ${agent.agentNumber || '(empty)'}`, {
+                agentCode: code,
+                userId: agent.userId || null,
+                fix: { action: FIX_ACTIONS.UPDATE_AGENT, target: agent.id || code, data: { agentNumber: parsed.number } }
+            });
+        }
+
+        const expectedNumbers = getAgentNumbers(code);
+        if (!sameNumbers(agent.commissionNumbers, expectedNumbers)) {
+            add(AGENT_INTEGRITY_ISSUES.COMMISSION_NUMBERS_MISMATCH, `${code} has commissionNumbers that do not match its code`, {
+                agentCode: code,
+                userId: agent.userId || null,
+                fix: { action: FIX_ACTIONS.UPDATE_AGENT, target: agent.id || code, data: { commissionNumbers: expectedNumbers } }
+            });
+        }
+
+        const missingUplines = Array.from({ length: parsed.level }, (_, level) => getAncestorCode(code, level))
+            .filter((uplineCode) => !currentCodes.has(uplineCode));
+        if (missingUplines.length) {
+            add(AGENT_INTEGRITY_ISSUES.MISSING_UPLINE, `${code} has no agent for upline ${missingUplines.join(', ')}; reassign it or create the upline`, {
+                agentCode: code,
+                userId: agent.userId || null
+            });
+        }
+
+        byNumber.set(parsed.number, [...(byNumber.get(parsed.number) || []), code]);
+    });
+
+    // Commission routing looks uplines up by number, so a number must belong to one agent
+    byNumber.forEach((codes, number) => {
+        if (codes.length > 1) {
+            add(AGENT_INTEGRITY_ISSUES.DUPLICATE_AGENT_NUMBER, `Agent number ${number} is used by ${codes.join(', ')}`, { agentCode: codes[0] });
+        }
+    });
+
+    return issues;
+};
+
+/**
+ * Combine the fixes of a set of issues into one write per document
+ * @returns {Array<{action: string, target: string, data: Object}>}
+ */
+const collectFixes = (issues) => {
+    const writes = new Map();
+    issues
+        .filter((issue) => issue.fix)
+        .forEach(({ fix }) => {
+            const key = `${fix.action}:${fix.target}`;
+            const existing = writes.get(key);
+            writes.set(key, existing ? { ...existing, data: { ...existing.data, ...fix.data } } : { ...fix });
+        });
+    return [...writes.values()];
+};
+
+module.exports = {
+    AGENT_INTEGRITY_ISSUES,
+    FIX_ACTIONS,
+    checkAgentIntegrity,
+    collectFixes
+};
@@ -0,0 +1,209 @@
+const { parseNumeric, roundTo } = require('./timeDepositCalculator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+/**
+ * Kinds of agentTransactions entries
+ * - commission: a commission credit (carries grossAmount)
+ * - payout: money paid out of the agent wallet (written with entryType 'payout')
+ * - adjustment: clawbacks, void reversals and any other correction
+ */
+const AGENT_ENTRY_TYPES = {
+    COMMISSION: 'commission',
+    PAYOUT: 'payout',
+    ADJUSTMENT: 'adjustment'
+};
+
+const toNumber = (value) => {
+    const parsed = parseNumeric(value);
+    return Number.isFinite(parsed) ? parsed : 0;
+};
+
+const toOptionalNumber = (value) => {
+    const parsed = parseNumeric(value);
+    return Number.isFinite(parsed) ? parsed : null;
+};
+
+/**
+ * Classify an agentTransactions entry and work out how much it moved the wallet.
+ * Debits record what was actually taken from the wallet in debitedAmount (the wallet never goes
+ * below zero); the rest of a clawback is outstanding and did not move the balance.
+ * @param {Object} data - agentTransactions document data
+ * @returns {{entryType: string, walletEffect: number}}
+ */
+const classifyAgentEntry = (data = {}) => {
+    const amount = toNumber(data.amount);
+    const walletEffect = amount < 0 && data.debitedAmount !== undefined
+        ? -Math.abs(toNumber(data.debitedAmount))
+        : amount;
+
+    if (Object.values(AGENT_ENTRY_TYPES).includes(data.entryType)) {
+        return { entryType: data.entryType, walletEffect: roundTo(walletEffect, 2) };
+    }
+
+    return {
+        entryType: data.grossAmount !== undefined && amount > 0 ? AGENT_ENTRY_TYPES.COMMISSION : AGENT_ENTRY_TYPES.ADJUSTMENT,
+        walletEffect: roundTo(walletEffect, 2)
+    };
+};
+
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+const parseDateKey = (value) => {
+    if (!DATE_PATTERN.test(String(value || ''))) {
+        return null;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) || toDateKey(date) !== value ? null : date;
+};
+
+/**
+ * Statement period from inclusive 'YYYY-MM-DD' dates (UTC). Defaults to the month to date.
+ * @param {Object} [options]
+ * @param {string} [options.from] - First day; defaults to the first of the month of now
+ * @param {string} [options.to] - Last day; defaults to the day of now
+ * @param {Date} [options.now=new Date()]
+ * @returns {{from: string, to: string, start: Date, end: Date}|null} end is exclusive; null when a date is invalid or from is after to
+ */
+const resolveStatementPeriod = ({ from, to, now = new Date() } = {}) => {
+    const start = from ? parseDateKey(from) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const last = to ? parseDateKey(to) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+    if (!start || !last || start.getTime() > last.getTime()) {
+        return null;
+    }
+
+    return {
+        from: toDateKey(start),
+        to: toDateKey(last),
+        start,
+        end: new Date(last.getTime() + DAY_MS)
+    };
+};
+
+/**
+ * Period covering one calendar month
+ * @param {string} month - 'YYYY-MM'
+ * @returns {Object|null} As resolveStatementPeriod, plus the month key
+ */
+const getMonthPeriod = (month) => {
+    const match = MONTH_PATTERN.exec(String(month || '').trim());
+    if (!match) {
+        return null;
+    }
+
+    const year = Number(match[1]);
+    const monthIndex = Number(match[2]) - 1;
+    const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0));
+
+    return {
+        month: `${match[1]}-${match[2]}`,
+        ...resolveStatementPeriod({ from: `${match[1]}-${match[2]}-01`, to: toDateKey(lastDay) })
+    };
+};
+
+// The month before the one containing date, as 'YYYY-MM'
+const getPreviousMonthKey = (date = new Date()) => {
+    const previous = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1));
+    return previous.toISOString().slice(0, 7);
+};
+
+const toStatementLine = (entry, entryType, walletEffect, balance) => {
+    const line = {
+        id: entry.id,
+        date: new Date(entry.dateMs).toISOString(),
+        entryType,
+        description: entry.type || '',
+        walletEffect,
+        balance
+    };
+
+    if (entryType === AGENT_ENTRY_TYPES.PAYOUT) {
+        return {
+            ...line,
+            amount: Math.abs(walletEffect),
+            payoutId: entry.payoutId || null,
+            method: entry.method || null,
+            reference: entry.reference || null
+        };
+    }
+
+    return {
+        ...line,
+        referredClient: entry.referredClient || null,
+        investmentAmount: toOptionalNumber(entry.investmentAmount),
+        percentage: toOptionalNumber(entry.percentage),
+        grossAmount: toOptionalNumber(entry.grossAmount),
+        taxAmount: toOptionalNumber(entry.taxApplied),
+        netAmount: toNumber(entry.amount),
+        displayId: entry.displayId || null,
+        reversalOf: entry.reversalOf || null
+    };
+};
+
+/**
+ * Reconciled statement for one agent wallet. Balances are anchored to the current wallet: the
+ * opening balance is the wallet less everything booked since the period started, so the
+ * statement always ties back to what the agent holds now.
+ * @param {Object} options
+ * @param {Array<Object>} options.entries - agentTransactions data in the statement currency, each with id and dateMs
+ *   (null dateMs means the write is still pending and counts as after the period)
+ * @param {number} options.walletBalance - Current wallet balance in that currency
+ * @param {Object} options.period - From resolveStatementPeriod or getMonthPeriod
+ * @returns {{openingBalance: number, closingBalance: number, lines: Array, commissions: Array, payouts: Array, adjustments: Array, totals: Object}}
+ *   lines holds every entry in date order with the running balance; the other lists split it by entryType
+ */
+const buildAgentStatement = ({ entries = [], walletBalance = 0, period }) => {
+    const startMs = period.start.getTime();
+    const endMs = period.end.getTime();
+    const classified = entries
+        .map((entry) => ({ entry, ...classifyAgentEntry(entry) }))
+        .map((item) => ({ ...item, dateMs: item.entry.dateMs === null ? Infinity : item.entry.dateMs }));
+
+    const sinceStart = classified
+        .filter((item) => item.dateMs >= startMs)
+        .reduce((sum, item) => sum + item.walletEffect, 0);
+    const openingBalance = roundTo(toNumber(walletBalance) - sinceStart, 2);
+
+    let balance = openingBalance;
+    const lines = classified
+        .filter((item) => item.dateMs >= startMs && item.dateMs < endMs)
+        .sort((a, b) => a.dateMs - b.dateMs)
+        .map(({ entry, entryType, walletEffect }) => {
+            balance = roundTo(balance + walletEffect, 2);
+            return toStatementLine(entry, entryType, walletEffect, balance);
+        });
+
+    const commissions = lines.filter((line) => line.entryType === AGENT_ENTRY_TYPES.COMMISSION);
+    const payouts = lines.filter((line) => line.entryType === AGENT_ENTRY_TYPES.PAYOUT);
+    const adjustments = lines.filter((line) => line.entryType === AGENT_ENTRY_TYPES.ADJUSTMENT);
+    const sum = (items, field) => roundTo(items.reduce((total, item) => total + (item[field] || 0), 0), 2);
+
+    return {
+        openingBalance,
+        closingBalance: balance,
+        lines,
+        commissions,
+        payouts,
+        adjustments,
+        totals: {
+            commissionCount: commissions.length,
+            grossCommission: sum(commissions, 'grossAmount'),
+            taxWithheld: sum(commissions, 'taxAmount'),
+            netCommission: sum(commissions, 'netAmount'),
+            payouts: sum(payouts, 'amount'),
+            adjustments: sum(adjustments, 'walletEffect')
+        }
+    };
+};
+
+module.exports = {
+    AGENT_ENTRY_TYPES,
+    classifyAgentEntry,
+    resolveStatementPeriod,
+    getMonthPeriod,
+    getPreviousMonthKey,
+    buildAgentStatement
+};
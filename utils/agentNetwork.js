@@ -0,0 +1,143 @@
+const { AGENT_TYPES_BY_LEVEL, parseAgentCode, getParentCode } = require('./agentCodes');
+const { SUPPORTED_CURRENCIES } = require('./currency');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const emptyLevelCounts = () => AGENT_TYPES_BY_LEVEL.reduce((counts, type) => ({ ...counts, [type]: 0 }), {});
+
+// Invested amounts are kept per currency; PHP and USD deposits are never added together
+const toInvested = (invested = {}) => SUPPORTED_CURRENCIES.reduce((totals, currency) => ({
+    ...totals,
+    [currency]: roundAmount(Number(invested[currency]) || 0)
+}), {});
+
+/**
+ * Index an agent's network: the agent and everyone below it, with subtree totals.
+ * @param {Object} options
+ * @param {Array<Object>} options.agents - Agent records with agentCode, and invested (the user's time deposit
+ *   balance by currency, e.g. { PHP: 1000, USD: 50 })
+ * @param {string} options.rootCode
+ * @returns {Map<string, Object>|null} Nodes by agent code, each with children (codes, sorted) and
+ *   subtree { agents, levels, invested (by currency) } counting the node itself; null when the root is not among the agents
+ */
+const buildNetworkIndex = ({ agents, rootCode }) => {
+    const byCode = new Map(agents.filter((agent) => parseAgentCode(agent.agentCode)).map((agent) => [agent.agentCode, agent]));
+    if (!byCode.has(rootCode)) {
+        return null;
+    }
+
+    const index = new Map();
+    const visit = (code) => {
+        const agent = byCode.get(code);
+        const { level, number, type } = parseAgentCode(code);
+        index.set(code, {
+            agentCode: code,
+            agentNumber: agent.agentNumber || number,
+            name: agent.fullName || `${agent.firstName || ''} ${agent.lastName || ''}`.trim() || null,
+            type,
+            level,
+            status: agent.status || 'active',
+            userId: agent.userId || null,
+            invested: toInvested(agent.invested),
+            children: []
+        });
+    };
+
+    // Codes sort parent before child, so one pass attaches every agent whose upline is in the network
+    [...byCode.keys()].sort().forEach((code) => {
+        if (code === rootCode) {
+            visit(code);
+            return;
+        }
+        const parent = index.get(getParentCode(code));
+        if (parent) {
+            visit(code);
+            parent.children.push(code);
+        }
+    });
+
+    [...index.values()]
+        .sort((a, b) => b.level - a.level)
+        .forEach((node) => {
+            const subtree = { agents: 1, levels: emptyLevelCounts(), invested: { ...node.invested } };
+            subtree.levels[node.type] += 1;
+
+            node.children.forEach((childCode) => {
+                const child = index.get(childCode).subtree;
+                subtree.agents += child.agents;
+                SUPPORTED_CURRENCIES.forEach((currency) => {
+                    subtree.invested[currency] += child.invested[currency];
+                });
+                AGENT_TYPES_BY_LEVEL.forEach((type) => {
+                    subtree.levels[type] += child.levels[type];
+                });
+            });
+
+            subtree.invested = toInvested(subtree.invested);
+            node.subtree = subtree;
+        });
+
+    return index;
+};
+
+// A node without its children, for lists and lazily loaded trees
+const toNetworkNode = (node) => ({
+    agentCode: node.agentCode,
+    agentNumber: node.agentNumber,
+    name: node.name,
+    type: node.type,
+    status: node.status,
+    userId: node.userId,
+    invested: node.invested,
+    directRecruits: node.children.length,
+    subtree: node.subtree
+});
+
+// The whole network as nested nodes, for JSON export
+const toNestedNetwork = (index, code) => {
+    const node = index.get(code);
+    return {
+        ...toNetworkNode(node),
+        children: node.children.map((childCode) => toNestedNetwork(index, childCode))
+    };
+};
+
+const escapeDot = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+/**
+ * GraphViz DOT for a network; deactivated agents are drawn dashed
+ * @param {Map<string, Object>} index - From buildNetworkIndex
+ * @param {string} rootCode
+ * @returns {string}
+ */
+const toNetworkDot = (index, rootCode) => {
+    const lines = [
+        `digraph "agent_network_${escapeDot(rootCode)}" {`,
+        '    rankdir=TB;',
+        '    node [shape=box, fontname="Helvetica"];'
+    ];
+    const edges = [];
+
+    const visit = (code) => {
+        const node = index.get(code);
+        const aum = Object.entries(node.subtree.invested).map(([currency, amount]) => `${currency} ${amount.toFixed(2)}`).join(', ');
+        const label = [node.name || node.agentCode, node.agentCode, node.type, `AUM ${aum}`]
+            .map(escapeDot)
+            .join('\\n');
+        lines.push(`    "${escapeDot(code)}" [label="${label}"${node.status === 'active' ? '' : ', style=dashed'}];`);
+        node.children.forEach((childCode) => {
+            edges.push(`    "${escapeDot(code)}" -> "${escapeDot(childCode)}";`);
+            visit(childCode);
+        });
+    };
+    visit(rootCode);
+
+    return [...lines, ...edges, '}', ''].join('\n');
+};
+
+module.exports = {
+    buildNetworkIndex,
+    toNetworkNode,
+    toNestedNetwork,
+    toNetworkDot
+};
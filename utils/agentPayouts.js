@@ -0,0 +1,92 @@
+const { parseNumeric, roundTo } = require('./timeDepositCalculator');
+
+const PAYOUT_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+};
+
+const PAYOUT_DESTINATION_TYPES = ['bank', 'ewallet'];
+
+// Smallest payout per currency unless overridden with AGENT_PAYOUT_MIN_AMOUNT_<CURRENCY>
+const DEFAULT_MINIMUM_PAYOUT = {
+    PHP: 500,
+    USD: 10
+};
+
+/**
+ * Minimum payout for a currency
+ * @param {string} currency
+ * @param {Object} [env=process.env]
+ * @returns {number}
+ */
+const getMinimumPayoutAmount = (currency, env = process.env) => {
+    const configured = parseNumeric(env[`AGENT_PAYOUT_MIN_AMOUNT_${currency}`]);
+    return Number.isFinite(configured) && configured >= 0 ? configured : (DEFAULT_MINIMUM_PAYOUT[currency] || 0);
+};
+
+// '09171234567' -> '*******4567'
+const maskAccountNumber = (value) => {
+    const text = String(value || '');
+    return text.length <= 4 ? text : `${'*'.repeat(text.length - 4)}${text.slice(-4)}`;
+};
+
+/**
+ * Clean up a payout destination. Bank transfers name the bank; e-wallets name the provider
+ * (GCash, Maya, ...). Both need the account holder's name and the account or mobile number.
+ * @returns {Object} { type, provider, accountName, accountNumber, label }
+ */
+const normalizePayoutDestination = (destination = {}) => {
+    const type = String(destination.type || '').trim().toLowerCase();
+    const provider = String(destination.provider || '').trim();
+    const accountName = String(destination.accountName || '').trim();
+    const accountNumber = String(destination.accountNumber || '').replace(/\s+/g, '');
+
+    return {
+        type,
+        provider,
+        accountName,
+        accountNumber,
+        label: `${provider} ${maskAccountNumber(accountNumber)}`.trim()
+    };
+};
+
+/**
+ * Check a payout request against the minimum and what the agent can still withdraw
+ * @param {Object} options
+ * @param {number} options.amount
+ * @param {number} options.walletBalance - Current agent wallet
+ * @param {number} [options.heldAmount=0] - Pending payout requests not yet approved
+ * @param {number} options.minimum
+ * @returns {{code: string, message: string}|null} The problem, or null when the request is fine
+ */
+const checkPayoutAmount = ({ amount, walletBalance, heldAmount = 0, minimum }) => {
+    if (!(amount > 0)) {
+        return { code: 'INVALID_PAYOUT_AMOUNT', message: 'Payout amount must be greater than zero' };
+    }
+    if (amount < minimum) {
+        return { code: 'PAYOUT_BELOW_MINIMUM', message: `The minimum payout is ${minimum}` };
+    }
+
+    const available = roundTo(Number(walletBalance || 0) - Number(heldAmount || 0), 2);
+    if (amount > available) {
+        return { code: 'INSUFFICIENT_AGENT_BALANCE', message: `Only ${Math.max(available, 0)} is available for payout` };
+    }
+
+    return null;
+};
+
+// Requests are decided once: pending moves to approved or rejected and stays there
+const canTransitionPayout = (from, to) =>
+    from === PAYOUT_STATUS.PENDING && [PAYOUT_STATUS.APPROVED, PAYOUT_STATUS.REJECTED].includes(to);
+
+module.exports = {
+    PAYOUT_STATUS,
+    PAYOUT_DESTINATION_TYPES,
+    DEFAULT_MINIMUM_PAYOUT,
+    getMinimumPayoutAmount,
+    maskAccountNumber,
+    normalizePayoutDestination,
+    checkPayoutAmount,
+    canTransitionPayout
+};
@@ -0,0 +1,180 @@
+const { parseAgentCode, getAncestorCode } = require('./agentCodes');
+const { classifyAgentEntry, AGENT_ENTRY_TYPES } = require('./agentLedger');
+const { parseNumeric, roundTo } = require('./timeDepositCalculator');
+
+// Leaderboard rankings; commissions ranks by net earned after reversals and clawbacks
+const PERFORMANCE_METRICS = ['newInvestors', 'depositVolume', 'commissions'];
+
+const toAmount = (value) => {
+    const parsed = parseNumeric(value);
+    return Number.isFinite(parsed) ? parsed : 0;
+};
+
+const inPeriod = (dateMs, period) => dateMs !== null && dateMs >= period.start.getTime() && dateMs < period.end.getTime();
+
+const emptyTotals = () => ({
+    newInvestors: 0,
+    depositCount: 0,
+    depositVolume: 0,
+    commissions: { gross: 0, tax: 0, net: 0, adjustments: 0, earned: 0 }
+});
+
+const addTotals = (target, source) => {
+    target.newInvestors += source.newInvestors;
+    target.depositCount += source.depositCount;
+    target.depositVolume += source.depositVolume;
+    Object.keys(target.commissions).forEach((key) => {
+        target.commissions[key] += source.commissions[key];
+    });
+    return target;
+};
+
+const roundTotals = (totals) => ({
+    ...totals,
+    depositVolume: roundTo(totals.depositVolume, 2),
+    commissions: Object.fromEntries(Object.entries(totals.commissions).map(([key, value]) => [key, roundTo(value, 2)]))
+});
+
+const getMetricValue = (totals, metric) => (metric === 'commissions' ? totals.commissions.earned : totals[metric]);
+
+/**
+ * Production per agent over a period: investors referred for the first time, referred deposit
+ * volume and commissions booked. Voided deposits never count, and only records in the period's
+ * currency are added up.
+ * @param {Object} options
+ * @param {Array<Object>} options.agents - Agent records with agentCode, name and status
+ * @param {Array<Object>} options.deposits - Referred deposits of the period's investors up to the period end, in any
+ *   currency: agentCode, investorId, amount, currency, dateMs, displayId and status. The earlier ones make sure an
+ *   investor is only new in the period of their first deposit.
+ * @param {Array<Object>} options.entries - agentTransactions data with agentCode and dateMs added
+ * @param {{start: Date, end: Date}} options.period - end is exclusive
+ * @param {string} options.currency
+ * @returns {Map<string, Object>} By agent code: agentCode, name, type, masterAgentCode, totals and deposits (in the period)
+ */
+const summarizeAgentProduction = ({ agents, deposits, entries, period, currency }) => {
+    const rows = new Map();
+    agents.forEach((agent) => {
+        const parsed = parseAgentCode(agent.agentCode);
+        if (!parsed) {
+            return;
+        }
+        rows.set(agent.agentCode, {
+            agentCode: agent.agentCode,
+            name: agent.name || null,
+            type: parsed.type,
+            status: agent.status || 'active',
+            masterAgentCode: parsed.level === 0 ? agent.agentCode : getAncestorCode(agent.agentCode, 0),
+            totals: emptyTotals(),
+            deposits: []
+        });
+    });
+
+    const seenInvestors = new Set();
+    deposits
+        .filter((deposit) => deposit.status !== 'Voided' && deposit.dateMs !== null && rows.has(deposit.agentCode))
+        .sort((a, b) => a.dateMs - b.dateMs)
+        .forEach((deposit) => {
+            const key = `${deposit.agentCode}:${deposit.investorId}`;
+            const isFirst = !seenInvestors.has(key);
+            seenInvestors.add(key);
+
+            if (!inPeriod(deposit.dateMs, period) || deposit.currency !== currency) {
+                return;
+            }
+
+            const row = rows.get(deposit.agentCode);
+            const amount = toAmount(deposit.amount);
+            row.totals.depositCount += 1;
+            row.totals.depositVolume += amount;
+            if (isFirst) {
+                row.totals.newInvestors += 1;
+            }
+            row.deposits.push({
+                date: new Date(deposit.dateMs).toISOString(),
+                displayId: deposit.displayId || null,
+                investorId: deposit.investorId,
+                investorName: deposit.investorName || null,
+                amount: roundTo(amount, 2),
+                newInvestor: isFirst
+            });
+        });
+
+    entries
+        .filter((entry) => rows.has(entry.agentCode) && inPeriod(entry.dateMs, period) && entry.currency === currency)
+        .forEach((entry) => {
+            const { commissions } = rows.get(entry.agentCode).totals;
+            const { entryType } = classifyAgentEntry(entry);
+
+            if (entryType === AGENT_ENTRY_TYPES.COMMISSION) {
+                commissions.gross += toAmount(entry.grossAmount);
+                commissions.tax += toAmount(entry.taxApplied);
+                commissions.net += toAmount(entry.amount);
+                commissions.earned += toAmount(entry.amount);
+            } else if (entryType === AGENT_ENTRY_TYPES.ADJUSTMENT) {
+                commissions.adjustments += toAmount(entry.amount);
+                commissions.earned += toAmount(entry.amount);
+            }
+        });
+
+    rows.forEach((row) => {
+        row.totals = roundTotals(row.totals);
+    });
+    return rows;
+};
+
+/**
+ * Order agents (or teams) by a metric, highest first. Ties share a rank.
+ * @param {Array<Object>} rows - Each with totals
+ * @param {string} metric - One of PERFORMANCE_METRICS
+ * @returns {Array<Object>} The rows with rank added
+ */
+const rankByMetric = (rows, metric) => {
+    const sorted = [...rows].sort((a, b) => getMetricValue(b.totals, metric) - getMetricValue(a.totals, metric)
+        || String(a.agentCode || a.masterAgentCode).localeCompare(String(b.agentCode || b.masterAgentCode)));
+
+    let rank = 0;
+    return sorted.map((row, index) => {
+        if (index === 0 || getMetricValue(row.totals, metric) !== getMetricValue(sorted[index - 1].totals, metric)) {
+            rank = index + 1;
+        }
+        return { ...row, rank };
+    });
+};
+
+/**
+ * Roll agent production up into Master Agent teams (the master agent and everyone below it)
+ * @param {Array<Object>} rows - From summarizeAgentProduction
+ * @returns {Array<Object>} masterAgentCode, name (the master agent's, when listed), agents and totals
+ */
+const rollUpTeams = (rows) => {
+    const teams = new Map();
+    rows.forEach((row) => {
+        const team = teams.get(row.masterAgentCode) || {
+            masterAgentCode: row.masterAgentCode,
+            name: null,
+            agents: 0,
+            totals: emptyTotals()
+        };
+        if (row.agentCode === row.masterAgentCode) {
+            team.name = row.name;
+        }
+        team.agents += 1;
+        addTotals(team.totals, row.totals);
+        teams.set(row.masterAgentCode, team);
+    });
+
+    return [...teams.values()].map((team) => ({ ...team, totals: roundTotals(team.totals) }));
+};
+
+/**
+ * Sum of several agents' totals, e.g. an agent's downline
+ */
+const sumTotals = (rows) => roundTotals(rows.reduce((totals, row) => addTotals(totals, row.totals), emptyTotals()));
+
+module.exports = {
+    PERFORMANCE_METRICS,
+    summarizeAgentProduction,
+    rankByMetric,
+    rollUpTeams,
+    sumTotals
+};
@@ -0,0 +1,128 @@
+const { createPdfDocument, formatAmount } = require('./pdf');
+
+// Renders an agent commission statement as a landscape A4 PDF, continuing onto new pages as needed.
+
+const PAGE = { width: 842, height: 595 };
+const TOP = 555;
+const BOTTOM = 50;
+
+// Column left edges, or right edges for amounts
+const COLUMNS = {
+    date: 40,
+    displayId: 110,
+    description: 190,
+    investment: 500,
+    percentage: 545,
+    gross: 620,
+    tax: 685,
+    net: 740,
+    balance: 802
+};
+
+const formatPercentage = (value) => (value === null || value === undefined ? '' : `${Number(value)}%`);
+
+const truncate = (value, length) => {
+    const text = String(value || '');
+    return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+};
+
+const describeLine = (line) => {
+    if (line.entryType === 'payout') {
+        return [line.description || 'Payout', line.method, line.reference].filter(Boolean).join(' - ');
+    }
+    return [line.referredClient, line.description].filter(Boolean).join(' - ');
+};
+
+/**
+ * Statement as a PDF
+ * @param {Object} statement - From getAgentStatement
+ * @returns {Buffer}
+ */
+const renderStatementPdf = (statement) => {
+    const pdf = createPdfDocument(PAGE);
+    const { agent, period, currency } = statement;
+    let y = TOP;
+
+    const text = (x, value, style) => pdf.text(x, y, value, style);
+    const amount = (x, value, style = {}) => pdf.text(x, y, value === null || value === undefined ? '' : formatAmount(value), { ...style, align: 'right' });
+
+    const tableHeader = () => {
+        const style = { size: 8, bold: true };
+        text(COLUMNS.date, 'Date', style);
+        text(COLUMNS.displayId, 'Deposit', style);
+        text(COLUMNS.description, 'Client / Description', style);
+        pdf.text(COLUMNS.investment, y, 'Investment', { ...style, align: 'right' });
+        pdf.text(COLUMNS.percentage, y, 'Rate', { ...style, align: 'right' });
+        pdf.text(COLUMNS.gross, y, 'Gross', { ...style, align: 'right' });
+        pdf.text(COLUMNS.tax, y, 'Tax', { ...style, align: 'right' });
+        pdf.text(COLUMNS.net, y, 'Net', { ...style, align: 'right' });
+        pdf.text(COLUMNS.balance, y, 'Balance', { ...style, align: 'right' });
+        pdf.rule(COLUMNS.date, y - 4, COLUMNS.balance);
+        y -= 16;
+    };
+
+    const nextLine = (height = 13) => {
+        y -= height;
+        if (y < BOTTOM) {
+            pdf.addPage();
+            y = TOP;
+            text(COLUMNS.date, `${agent.agentCode} statement ${period.from} to ${period.to} (continued)`, { size: 8 });
+            y -= 20;
+            tableHeader();
+        }
+    };
+
+    text(COLUMNS.date, 'Agent Commission Statement', { size: 16, bold: true });
+    y -= 22;
+    text(COLUMNS.date, `${agent.name} (${agent.agentCode})${agent.type ? ` - ${agent.type}` : ''}`);
+    y -= 14;
+    text(COLUMNS.date, `Period: ${period.from} to ${period.to}   Currency: ${currency}`);
+    y -= 14;
+    text(COLUMNS.date, `Generated: ${statement.generatedAt.slice(0, 10)}`);
+    y -= 24;
+
+    text(COLUMNS.date, 'Opening balance', { bold: true });
+    amount(COLUMNS.balance, statement.openingBalance, { bold: true });
+    y -= 20;
+
+    tableHeader();
+    statement.lines.forEach((line) => {
+        const style = { size: 8 };
+        text(COLUMNS.date, line.date.slice(0, 10), style);
+        text(COLUMNS.displayId, line.displayId || '', style);
+        text(COLUMNS.description, truncate(describeLine(line), 70), style);
+        amount(COLUMNS.investment, line.investmentAmount, style);
+        pdf.text(COLUMNS.percentage, y, formatPercentage(line.percentage), { ...style, align: 'right' });
+        amount(COLUMNS.gross, line.grossAmount, style);
+        amount(COLUMNS.tax, line.taxAmount, style);
+        amount(COLUMNS.net, line.walletEffect, style);
+        amount(COLUMNS.balance, line.balance, style);
+        nextLine();
+    });
+    if (!statement.lines.length) {
+        text(COLUMNS.description, 'No activity in this period', { size: 8 });
+        nextLine();
+    }
+
+    nextLine(10);
+    const totals = [
+        ['Gross commission', statement.totals.grossCommission],
+        ['Tax withheld', statement.totals.taxWithheld],
+        ['Net commission', statement.totals.netCommission],
+        ['Payouts', statement.totals.payouts],
+        ['Adjustments', statement.totals.adjustments]
+    ];
+    totals.forEach(([label, value]) => {
+        text(COLUMNS.net - 160, label);
+        amount(COLUMNS.balance, value);
+        nextLine();
+    });
+    text(COLUMNS.net - 160, 'Closing balance', { bold: true });
+    amount(COLUMNS.balance, statement.closingBalance, { bold: true });
+
+    return pdf.toBuffer();
+};
+
+module.exports = {
+    renderStatementPdf
+};
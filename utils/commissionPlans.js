@@ -0,0 +1,211 @@
+const { parseNumeric } = require('./timeDepositCalculator');
+
+const COMMISSION_PRODUCTS = {
+    DEFAULT: 'default',
+    TIME_DEPOSIT: 'timeDeposit'
+};
+
+const AGENT_TYPE_NAMES = ['Master Agent', 'Agent', 'Consultant Agent'];
+const MAX_OVERRIDE_DEPTH = 5;
+const PRODUCT_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9]{1,39}$/;
+
+/**
+ * Plan used until the first version is saved in commissionPlans; it matches the splits that were
+ * hard-coded before plans existed.
+ * - agentTypes: commission percentage of a sale for each agent type
+ * - overrideDepth: how many uplines above the seller can share a commission
+ * - products: per product, the shares (summing to 100) by seller type, seller first then each
+ *   upline. Products without their own splits use 'default'.
+ */
+const DEFAULT_COMMISSION_PLAN = {
+    agentTypes: {
+        'Master Agent': { commissionPercentage: 10 },
+        Agent: { commissionPercentage: 5 },
+        'Consultant Agent': { commissionPercentage: 2 }
+    },
+    overrideDepth: 2,
+    products: {
+        default: {
+            splits: {
+                'Master Agent': [100],
+                Agent: [70, 30],
+                'Consultant Agent': [70, 20, 10]
+            }
+        }
+    }
+};
+
+const toNumber = (value) => {
+    const parsed = parseNumeric(value);
+    return Number.isFinite(parsed) ? parsed : NaN;
+};
+
+const normalizeSplits = (splits = {}) => Object.fromEntries(
+    Object.entries(splits || {}).map(([type, shares]) => [
+        type,
+        Array.isArray(shares) ? shares.map(toNumber) : []
+    ])
+);
+
+/**
+ * Coerce a stored or submitted plan into numbers. Use validateCommissionPlan to check it.
+ */
+const normalizeCommissionPlan = (raw = {}) => ({
+    agentTypes: Object.fromEntries(
+        Object.entries((raw && raw.agentTypes) || {}).map(([type, config]) => [
+            type,
+            { commissionPercentage: toNumber(config && config.commissionPercentage) }
+        ])
+    ),
+    overrideDepth: Number.parseInt(raw && raw.overrideDepth, 10),
+    products: Object.fromEntries(
+        Object.entries((raw && raw.products) || {}).map(([product, config]) => [
+            product,
+            { splits: normalizeSplits(config && config.splits) }
+        ])
+    )
+});
+
+/**
+ * Check a normalized plan
+ * @returns {Array<string>} Problems found; empty when the plan is usable
+ */
+const validateCommissionPlan = (plan) => {
+    const errors = [];
+
+    if (!Number.isInteger(plan.overrideDepth) || plan.overrideDepth < 0 || plan.overrideDepth > MAX_OVERRIDE_DEPTH) {
+        errors.push(`overrideDepth must be a whole number between 0 and ${MAX_OVERRIDE_DEPTH}`);
+    }
+
+    AGENT_TYPE_NAMES.forEach((type) => {
+        const config = plan.agentTypes[type];
+        if (!config || !(config.commissionPercentage >= 0 && config.commissionPercentage <= 100)) {
+            errors.push(`agentTypes.${type}.commissionPercentage must be between 0 and 100`);
+        }
+    });
+
+    Object.keys(plan.agentTypes)
+        .filter((type) => !AGENT_TYPE_NAMES.includes(type))
+        .forEach((type) => errors.push(`Unknown agent type: ${type}`));
+
+    if (!plan.products[COMMISSION_PRODUCTS.DEFAULT]) {
+        errors.push('products.default is required');
+    }
+
+    Object.entries(plan.products).forEach(([product, { splits }]) => {
+        if (!PRODUCT_KEY_PATTERN.test(product)) {
+            errors.push(`Invalid product key: ${product}`);
+            return;
+        }
+
+        AGENT_TYPE_NAMES.forEach((type) => {
+            const shares = splits[type];
+            const path = `products.${product}.splits.${type}`;
+
+            if (!shares || !shares.length) {
+                errors.push(`${path} is required`);
+                return;
+            }
+            if (shares.some((share) => !(share >= 0 && share <= 100))) {
+                errors.push(`${path} shares must be between 0 and 100`);
+                return;
+            }
+            if (Math.abs(shares.reduce((sum, share) => sum + share, 0) - 100) > 0.0001) {
+                errors.push(`${path} shares must add up to 100`);
+            }
+            if (Number.isInteger(plan.overrideDepth) && shares.length > plan.overrideDepth + 1) {
+                errors.push(`${path} pays more uplines than overrideDepth allows`);
+            }
+        });
+
+        Object.keys(splits)
+            .filter((type) => !AGENT_TYPE_NAMES.includes(type))
+            .forEach((type) => errors.push(`Unknown agent type in products.${product}.splits: ${type}`));
+    });
+
+    return errors;
+};
+
+/**
+ * Apply a partial plan on top of another. Agent types and products are replaced one by one;
+ * anything left out carries over.
+ */
+const mergeCommissionPlan = (base, changes = {}) => {
+    const normalizedBase = normalizeCommissionPlan(base);
+    const normalizedChanges = normalizeCommissionPlan(changes);
+
+    return {
+        agentTypes: { ...normalizedBase.agentTypes, ...normalizedChanges.agentTypes },
+        overrideDepth: changes.overrideDepth !== undefined ? normalizedChanges.overrideDepth : normalizedBase.overrideDepth,
+        products: { ...normalizedBase.products, ...normalizedChanges.products }
+    };
+};
+
+// Shares for a seller type on a product, capped at the plan's override depth
+const getProductSplits = (plan, product, sellerType) => {
+    const productConfig = plan.products[product] || plan.products[COMMISSION_PRODUCTS.DEFAULT];
+    const shares = (productConfig && productConfig.splits[sellerType]) || [];
+    return shares.slice(0, plan.overrideDepth + 1);
+};
+
+/**
+ * Split a commission along a seller's upline.
+ * @param {Object} options
+ * @param {Object} options.plan - Normalized plan
+ * @param {string} [options.product='default']
+ * @param {Array<Object|null>} options.chain - Seller first, then each upline; the seller's type decides the splits.
+ *   Missing uplines (null) are skipped and their share is not paid. Deactivated uplines (status 'inactive') are
+ *   not paid either; with commissionRouting 'upline' their share goes to the next upline that is paid, or to the
+ *   seller when no upline above them is.
+ * @returns {Array<Object>} Chain members that receive a share, with level (0 = seller) and sharePercentage
+ *   (and routedFrom, the agent codes whose share they took over)
+ */
+const buildCommissionDistribution = ({ plan, product = COMMISSION_PRODUCTS.DEFAULT, chain }) => {
+    const seller = chain[0];
+    if (!seller) {
+        return [];
+    }
+
+    let routedShare = 0;
+    let routedFrom = [];
+
+    const distribution = getProductSplits(plan, product, seller.type)
+        .map((sharePercentage, level) => {
+            const member = chain[level];
+            if (!member) {
+                return null;
+            }
+
+            if (member.status === 'inactive') {
+                if (member.commissionRouting === 'upline') {
+                    routedShare += sharePercentage;
+                    routedFrom = [...routedFrom, member.agentCode];
+                }
+                return null;
+            }
+
+            const entry = routedFrom.length
+                ? { ...member, level, sharePercentage: sharePercentage + routedShare, routedFrom }
+                : { ...member, level, sharePercentage };
+            routedShare = 0;
+            routedFrom = [];
+            return entry;
+        })
+        .filter(Boolean);
+
+    if (routedFrom.length && distribution[0] && distribution[0].level === 0) {
+        distribution[0] = { ...distribution[0], sharePercentage: distribution[0].sharePercentage + routedShare, routedFrom };
+    }
+    return distribution;
+};
+
+module.exports = {
+    COMMISSION_PRODUCTS,
+    AGENT_TYPE_NAMES,
+    DEFAULT_COMMISSION_PLAN,
+    normalizeCommissionPlan,
+    validateCommissionPlan,
+    mergeCommissionPlan,
+    getProductSplits,
+    buildCommissionDistribution
+};
@@ -0,0 +1,94 @@
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array<{header: string, key?: string, value?: Function}>} columns - Column header and the row key or getter
+ * @param {Array<Object>} rows - Rows to write
+ * @returns {string} CSV text with CRLF line endings
+ */
+const toCsv = (columns, rows = []) => {
+    const lines = [columns.map((column) => escapeCsvValue(column.header)).join(',')];
+
+    rows.forEach((row) => {
+        lines.push(columns
+            .map((column) => escapeCsvValue(column.value ? column.value(row) : row[column.key]))
+            .join(','));
+    });
+
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Parse CSV text (RFC 4180 quoting, CRLF or LF line endings, optional UTF-8 BOM)
+ * @param {string} text - CSV document
+ * @returns {Array<Array<string>>} Rows of cell values; blank lines are skipped
+ */
+const parseCsv = (text = '') => {
+    const source = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.length > 1 || row[0].trim() !== '') {
+            rows.push(row);
+        }
+        row = [];
+        cell = '';
+    };
+
+    for (let index = 0; index < source.length; index += 1) {
+        const char = source[index];
+
+        if (inQuotes) {
+            if (char === '"' && source[index + 1] === '"') {
+                cell += '"';
+                index += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[index + 1] === '\n') {
+                index += 1;
+            }
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length) {
+        endRow();
+    }
+
+    return rows;
+};
+
+module.exports = {
+    escapeCsvValue,
+    toCsv,
+    parseCsv
+};
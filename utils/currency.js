@@ -0,0 +1,105 @@
+const { admin } = require('../config/firebase');
+const { roundTo } = require('./timeDepositCalculator');
+
+const DEFAULT_CURRENCY = 'PHP';
+
+// Balance fields on the users document for each currency a time deposit can be held in.
+// USD deposits also mirror the available balance into currencyBalances.USD.
+const CURRENCIES = {
+    PHP: {
+        code: 'PHP',
+        locale: 'en-PH',
+        depositField: 'timeDepositAmount',
+        availableField: 'availBalanceAmount',
+        agentWalletField: 'agentWalletAmount',
+        currencyBalanceKey: null
+    },
+    USD: {
+        code: 'USD',
+        locale: 'en-US',
+        depositField: 'dollarDepositAmount',
+        availableField: 'dollarAvailBalanceAmount',
+        agentWalletField: 'agentDollarWalletAmount',
+        currencyBalanceKey: 'USD'
+    }
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+/**
+ * Normalize a currency code; missing values default to PHP
+ * @returns {string|null} Currency code, or null when it is not supported
+ */
+const normalizeCurrency = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return DEFAULT_CURRENCY;
+    }
+    const code = String(value).trim().toUpperCase();
+    return CURRENCIES[code] ? code : null;
+};
+
+// Deposits created before currencies were introduced are PHP
+const getDepositCurrency = (data = {}) => normalizeCurrency(data.currency) || DEFAULT_CURRENCY;
+
+const getCurrencyConfig = (currency) => CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY];
+
+const formatMoney = (value, currency = DEFAULT_CURRENCY) => {
+    const config = getCurrencyConfig(currency);
+    return Number(value || 0).toLocaleString(config.locale, {
+        style: 'currency',
+        currency: config.code
+    });
+};
+
+/**
+ * Build a users document update that moves a deposit's money in its own currency.
+ * The result uses a dotted field path, so apply it with update() rather than set().
+ * @param {Object} userData - Current users document data
+ * @param {string} currency - Deposit currency
+ * @param {Object} deltas
+ * @param {number} [deltas.deposit] - Change to the time deposit balance (never goes below zero)
+ * @param {number} [deltas.available] - Change to the available balance
+ * @returns {Object} Fields to update
+ */
+const buildBalanceUpdate = (userData = {}, currency, { deposit, available } = {}) => {
+    const config = getCurrencyConfig(currency);
+    const update = {};
+
+    if (deposit !== undefined) {
+        update[config.depositField] = roundTo(Math.max(Number(userData[config.depositField] || 0) + deposit, 0), 2);
+    }
+
+    if (available !== undefined) {
+        const nextAvailable = roundTo(Number(userData[config.availableField] || 0) + available, 2);
+        update[config.availableField] = nextAvailable;
+
+        // Only touch this currency's entry so concurrent writes to other balances are kept
+        if (config.currencyBalanceKey) {
+            update[`currencyBalances.${config.currencyBalanceKey}`] = admin.firestore.FieldValue.increment(roundTo(available, 2));
+        }
+    }
+
+    return update;
+};
+
+/**
+ * Total a field per currency (items without a currency are PHP)
+ * @returns {Object} e.g. { PHP: 1200, USD: 35.5 }
+ */
+const sumByCurrency = (items = [], field) => items.reduce((totals, item) => {
+    const currency = normalizeCurrency(item.currency) || DEFAULT_CURRENCY;
+    totals[currency] = roundTo((totals[currency] || 0) + Number(item[field] || 0), 2);
+    return totals;
+}, {});
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    CURRENCIES,
+    SUPPORTED_CURRENCIES,
+    normalizeCurrency,
+    getDepositCurrency,
+    getCurrencyConfig,
+    formatMoney,
+    buildBalanceUpdate,
+    sumByCurrency
+};
@@ -0,0 +1,23 @@
+/**
+ * Error carrying the HTTP status (and optional error code) that controllers send back
+ * @param {number} status
+ * @param {string} message
+ * @param {string} [code]
+ * @param {Object|null} [details] - Extra context for the response body
+ * @returns {Error}
+ */
+const createHttpError = (status, message, code, details = null) => {
+    const error = new Error(message);
+    error.status = status;
+    if (code) {
+        error.code = code;
+    }
+    if (details) {
+        error.details = details;
+    }
+    return error;
+};
+
+module.exports = {
+    createHttpError
+};
@@ -0,0 +1,98 @@
+const { normalizeTierTable, normalizePenaltySchedule } = require('./timeDepositCalculator');
+
+const isRecord = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Whether a value looks like a tier table ({ amountThreshold: rate })
+ */
+const isTierTable = (value) =>
+    isRecord(value) && Object.keys(value).length > 0 && Object.keys(value).every((key) => /^\d+$/.test(key));
+
+/**
+ * Compare two tier tables ({ amountThreshold: rate })
+ * @returns {{added: Array, removed: Array, changed: Array}} Entries sorted by threshold
+ */
+const diffTierTable = (fromTable = {}, toTable = {}) => {
+    const from = normalizeTierTable(fromTable);
+    const to = normalizeTierTable(toTable);
+    const thresholds = [...new Set([...Object.keys(from), ...Object.keys(to)])]
+        .sort((a, b) => Number(a) - Number(b));
+
+    const diff = { added: [], removed: [], changed: [] };
+
+    thresholds.forEach((threshold) => {
+        const amount = Number(threshold);
+        if (!(threshold in from)) {
+            diff.added.push({ threshold: amount, rate: to[threshold] });
+        } else if (!(threshold in to)) {
+            diff.removed.push({ threshold: amount, rate: from[threshold] });
+        } else if (from[threshold] !== to[threshold]) {
+            diff.changed.push({ threshold: amount, from: from[threshold], to: to[threshold] });
+        }
+    });
+
+    return diff;
+};
+
+/**
+ * Compare pre-termination schedules per key ('default' or a term); schedules are compared whole
+ * @returns {Object} Changed keys mapped to { from, to }
+ */
+const diffPenaltySchedules = (fromPenalties = {}, toPenalties = {}) => {
+    const keys = [...new Set([...Object.keys(fromPenalties || {}), ...Object.keys(toPenalties || {})])].sort();
+
+    return keys.reduce((changes, key) => {
+        const from = normalizePenaltySchedule((fromPenalties || {})[key]);
+        const to = normalizePenaltySchedule((toPenalties || {})[key]);
+
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[key] = { from, to };
+        }
+        return changes;
+    }, {});
+};
+
+/**
+ * Compare two rate tables (tier tables and preTerminationPenalties)
+ * @param {Object} fromRates - Older rates
+ * @param {Object} toRates - Newer rates
+ * @returns {{changedTables: string[], tables: Object, preTerminationPenalties: Object}}
+ */
+const diffRateTables = (fromRates = {}, toRates = {}) => {
+    const tables = {};
+    const changedTables = [];
+
+    const tierTableKeys = [...new Set([...Object.keys(fromRates || {}), ...Object.keys(toRates || {})])]
+        .filter((key) => key !== 'preTerminationPenalties'
+            && (isTierTable((fromRates || {})[key]) || isTierTable((toRates || {})[key])))
+        .sort();
+
+    tierTableKeys.forEach((key) => {
+        const diff = diffTierTable(fromRates[key], toRates[key]);
+        tables[key] = diff;
+        if (diff.added.length || diff.removed.length || diff.changed.length) {
+            changedTables.push(key);
+        }
+    });
+
+    const preTerminationPenalties = diffPenaltySchedules(
+        fromRates.preTerminationPenalties,
+        toRates.preTerminationPenalties
+    );
+    if (Object.keys(preTerminationPenalties).length) {
+        changedTables.push('preTerminationPenalties');
+    }
+
+    return {
+        changedTables,
+        tables,
+        preTerminationPenalties
+    };
+};
+
+module.exports = {
+    isTierTable,
+    diffTierTable,
+    diffPenaltySchedules,
+    diffRateTables
+};
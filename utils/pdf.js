@@ -0,0 +1,100 @@
+// Minimal PDF writer for generated documents (certificates, statements): text in the built-in
+// Helvetica fonts and horizontal rules, on as many pages as needed. No external renderer.
+
+// Average Helvetica glyph width as a fraction of the font size, used to right-align amounts
+const AVERAGE_CHAR_WIDTH = 0.556;
+
+// PDF strings use the standard Helvetica (WinAnsi) encoding: escape delimiters and drop anything outside Latin-1
+const escapePdfText = (value) => String(value ?? '')
+    .replace(/[^\x20-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+
+// 1234.5 -> '1,234.50'. Currency symbols such as the peso sign are outside the PDF font encoding.
+const formatAmount = (value) => Number(value || 0).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+});
+
+/**
+ * Start a PDF document. Coordinates are in points from the bottom-left corner of the page.
+ * @param {Object} [options]
+ * @param {number} [options.width=595] - Page width (A4 portrait by default)
+ * @param {number} [options.height=842] - Page height
+ */
+const createPdfDocument = ({ width = 595, height = 842 } = {}) => {
+    const pages = [[]];
+    const current = () => pages[pages.length - 1];
+
+    return {
+        width,
+        height,
+
+        /**
+         * @param {number} x - Left edge, or right edge when align is 'right'
+         * @param {number} y - Baseline
+         * @param {*} value - Text
+         * @param {Object} [style] - { size = 10, bold = false, align = 'left' }
+         */
+        text(x, y, value, { size = 10, bold = false, align = 'left' } = {}) {
+            const content = escapePdfText(value);
+            const offset = align === 'right' ? content.length * size * AVERAGE_CHAR_WIDTH : 0;
+            current().push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${(x - offset).toFixed(2)} ${y} Td (${content}) Tj ET`);
+        },
+
+        rule(x1, y, x2) {
+            current().push(`0.6 w ${x1} ${y} m ${x2} ${y} l S`);
+        },
+
+        addPage() {
+            pages.push([]);
+        },
+
+        get pageCount() {
+            return pages.length;
+        },
+
+        /**
+         * @returns {Buffer} The finished PDF
+         */
+        toBuffer() {
+            // 1 catalog, 2 page tree, 3-4 fonts, then a page and its content stream for each page
+            const pageObjectNumber = (index) => 5 + index * 2;
+            const objects = [
+                '<< /Type /Catalog /Pages 2 0 R >>',
+                `<< /Type /Pages /Kids [${pages.map((_, index) => `${pageObjectNumber(index)} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+            ];
+
+            pages.forEach((commands, index) => {
+                const stream = commands.join('\n');
+                objects.push(
+                    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageObjectNumber(index) + 1} 0 R >>`,
+                    `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`
+                );
+            });
+
+            let body = '%PDF-1.4\n';
+            const offsets = objects.map((object, index) => {
+                const offset = Buffer.byteLength(body, 'latin1');
+                body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+                return offset;
+            });
+            const xrefOffset = Buffer.byteLength(body, 'latin1');
+
+            body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            body += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+            body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+            return Buffer.from(body, 'latin1');
+        }
+    };
+};
+
+module.exports = {
+    escapePdfText,
+    formatAmount,
+    createPdfDocument
+};
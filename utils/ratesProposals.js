@@ -0,0 +1,19 @@
+const PROPOSAL_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+};
+
+/**
+ * Two-person rule: the admin who submitted a rates proposal can never approve or reject it
+ * @param {Object} proposal - Proposal data with submittedBy
+ * @param {string} reviewerId - Admin id of the reviewer
+ * @returns {boolean}
+ */
+const isSelfReview = (proposal = {}, reviewerId) =>
+    Boolean(proposal.submittedBy && proposal.submittedBy.id && proposal.submittedBy.id === reviewerId);
+
+module.exports = {
+    PROPOSAL_STATUS,
+    isSelfReview
+};
@@ -0,0 +1,17 @@
+/**
+ * Delay before the next attempt: baseDelayMs doubled for every failed attempt, capped at maxDelayMs
+ * @param {number} attempts - Failed attempts so far (1 after the first failure)
+ * @param {Object} options
+ * @param {number} options.baseDelayMs - Delay after the first failure
+ * @param {number} options.maxDelayMs - Upper bound
+ * @returns {number} Delay in ms
+ */
+const computeBackoffDelayMs = (attempts, { baseDelayMs, maxDelayMs }) => {
+    const exponent = Math.max((Number.parseInt(attempts, 10) || 1) - 1, 0);
+    // 2 ** 30 already exceeds any sane cap; stop there so the multiplication stays finite
+    return Math.min(baseDelayMs * (2 ** Math.min(exponent, 30)), maxDelayMs);
+};
+
+module.exports = {
+    computeBackoffDelayMs
+};
@@ -0,0 +1,61 @@
+const logger = require('./logger');
+
+/**
+ * Run a job on a fixed interval inside the API process.
+ * A tick is skipped while the previous run is still in flight so slow
+ * Firestore scans never stack up behind each other.
+ * @param {Object} options
+ * @param {string} options.name - Job name used in logs
+ * @param {number} options.intervalMs - Interval in ms; 0 or less disables the job
+ * @param {Function} options.run - Async job body; its resolved value is logged
+ * @param {boolean} [options.runOnStart=false] - Also run once right after scheduling
+ * @returns {{name: string, stop: Function, runNow: Function}|null} Handle, or null when disabled
+ */
+const scheduleJob = ({ name, intervalMs, run, runOnStart = false }) => {
+    if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+        logger.info({ job: name }, 'Scheduled job disabled');
+        return null;
+    }
+
+    let running = false;
+
+    const tick = async () => {
+        if (running) {
+            logger.warn({ job: name }, 'Scheduled job still running; skipping tick');
+            return;
+        }
+
+        running = true;
+        const startedAt = Date.now();
+
+        try {
+            const result = await run();
+            logger.info({ job: name, durationMs: Date.now() - startedAt, result }, 'Scheduled job completed');
+        } catch (error) {
+            logger.error({ err: error, job: name }, 'Scheduled job failed');
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    if (typeof timer.unref === 'function') {
+        timer.unref();
+    }
+
+    if (runOnStart) {
+        setImmediate(tick);
+    }
+
+    logger.info({ job: name, intervalMs }, 'Scheduled job registered');
+
+    return {
+        name,
+        stop: () => clearInterval(timer),
+        runNow: tick
+    };
+};
+
+module.exports = {
+    scheduleJob
+};
@@ -0,0 +1,83 @@
+const { TAX_RATE } = require('./timeDepositCalculator');
+
+const INCOME_TYPES = ['interest', 'commission'];
+const DEFAULT_TAX_PROFILE_KEY = 'standard';
+
+// Built-in profiles. Saving a profile with the same key in taxProfiles overrides them.
+const DEFAULT_TAX_PROFILES = {
+    standard: { key: 'standard', label: 'Standard withholding', rate: TAX_RATE, description: '' },
+    exempt: { key: 'exempt', label: 'Tax exempt', rate: 0, description: '' }
+};
+
+const TAX_PROFILE_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]{1,39}$/;
+
+const toRate = (value) => {
+    const parsed = typeof value === 'string' ? Number(value.trim()) : value;
+    return typeof parsed === 'number' && Number.isFinite(parsed) && parsed >= 0 && parsed <= 1 ? parsed : null;
+};
+
+/**
+ * Normalize one tax profile
+ * @param {string} key - Profile key (e.g. 'treaty10')
+ * @param {Object} raw - Stored profile; rate is a fraction (0.2 = 20%)
+ * @returns {Object|null} Profile, or null when the key or rate is invalid
+ */
+const normalizeTaxProfile = (key, raw = {}) => {
+    if (!TAX_PROFILE_KEY_PATTERN.test(String(key || '')) || !raw || typeof raw !== 'object') {
+        return null;
+    }
+
+    const rate = toRate(raw.rate);
+    if (rate === null) {
+        return null;
+    }
+
+    return {
+        key,
+        label: typeof raw.label === 'string' && raw.label.trim() ? raw.label.trim() : key,
+        rate,
+        description: typeof raw.description === 'string' ? raw.description.trim() : ''
+    };
+};
+
+/**
+ * Built-in profiles merged with stored ones ({ key: profile }); invalid stored profiles are dropped
+ */
+const normalizeTaxProfileCatalog = (raw = {}) => ({
+    ...DEFAULT_TAX_PROFILES,
+    ...Object.fromEntries(
+        Object.entries(raw || {})
+            .map(([key, profile]) => [key, normalizeTaxProfile(key, profile)])
+            .filter(([, profile]) => profile)
+    )
+});
+
+/**
+ * Profile that applies to a user's income of one type. Users without an assignment, or assigned
+ * a profile that no longer exists, get the standard profile.
+ * @param {Object} catalog - Result of normalizeTaxProfileCatalog
+ * @param {Object} userData - users document data (taxProfiles: { interest, commission })
+ * @param {string} incomeType - 'interest' or 'commission'
+ */
+const resolveTaxProfile = (catalog, userData = {}, incomeType) => {
+    const assigned = userData.taxProfiles && userData.taxProfiles[incomeType];
+    return catalog[assigned] || catalog[DEFAULT_TAX_PROFILE_KEY] || DEFAULT_TAX_PROFILES[DEFAULT_TAX_PROFILE_KEY];
+};
+
+// What is stored on a deposit or transaction to show which profile was applied
+const buildTaxProfileSnapshot = (profile) => ({
+    key: profile.key,
+    label: profile.label,
+    rate: profile.rate
+});
+
+module.exports = {
+    INCOME_TYPES,
+    DEFAULT_TAX_PROFILE_KEY,
+    DEFAULT_TAX_PROFILES,
+    TAX_PROFILE_KEY_PATTERN,
+    normalizeTaxProfile,
+    normalizeTaxProfileCatalog,
+    resolveTaxProfile,
+    buildTaxProfileSnapshot
+};
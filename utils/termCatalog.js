@@ -0,0 +1,152 @@
+// Built-in terms. Used when the timeDepositTerms collection is empty and for deposits created
+// before term definitions were stored on each inspireAuto record.
+const DEFAULT_TERM_CATALOG = {
+    sixMonths: { key: 'sixMonths', label: '6 Months', months: 6, cycleMonths: 6, minAmount: 0, maxAmount: null, enabled: true },
+    oneYear: { key: 'oneYear', label: '1 Year', months: 12, cycleMonths: 6, minAmount: 0, maxAmount: null, enabled: true },
+    twoYears: { key: 'twoYears', label: '2 Years', months: 24, cycleMonths: 6, minAmount: 0, maxAmount: null, enabled: true }
+};
+
+const TERM_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9]{1,39}$/;
+
+// minAmount/maxAmount on a term are PHP; other currencies set theirs under currencyLimits
+const BASE_LIMITS_CURRENCY = 'PHP';
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+const toPositiveInteger = (value) => {
+    const parsed = typeof value === 'string' ? Number(value.trim()) : value;
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+};
+
+const toAmountLimit = (value, fallback) => {
+    if (value === undefined || value === null || value === '') return fallback;
+    const parsed = typeof value === 'string' ? Number(value.trim().replace(/,/g, '')) : value;
+    return typeof parsed === 'number' && Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const normalizeAmountLimits = (raw = {}) => {
+    const minAmount = toAmountLimit(raw.minAmount, 0);
+    const maxAmount = toAmountLimit(raw.maxAmount, null);
+    return {
+        minAmount,
+        maxAmount: maxAmount !== null && maxAmount < minAmount ? null : maxAmount
+    };
+};
+
+const normalizeCurrencyLimits = (raw) => Object.fromEntries(
+    Object.entries(raw && typeof raw === 'object' ? raw : {})
+        .filter(([code, limits]) => CURRENCY_CODE_PATTERN.test(code) && code !== BASE_LIMITS_CURRENCY && limits && typeof limits === 'object')
+        .map(([code, limits]) => [code, normalizeAmountLimits(limits)])
+);
+
+/**
+ * Normalize one term definition
+ * @param {string} key - Term key (e.g. 'threeYears')
+ * @param {Object} raw - Stored definition
+ * @returns {Object|null} Definition, or null when the key, months or cycle length is invalid
+ */
+const normalizeTermDefinition = (key, raw = {}) => {
+    if (!TERM_KEY_PATTERN.test(String(key || '')) || !raw || typeof raw !== 'object') {
+        return null;
+    }
+
+    const months = toPositiveInteger(raw.months);
+    const cycleMonths = toPositiveInteger(raw.cycleMonths ?? 6);
+
+    // A term must be a whole number of payout cycles
+    if (!months || !cycleMonths || months % cycleMonths !== 0) {
+        return null;
+    }
+
+    return {
+        key,
+        label: typeof raw.label === 'string' && raw.label.trim() ? raw.label.trim() : key,
+        months,
+        cycleMonths,
+        ...normalizeAmountLimits(raw),
+        currencyLimits: normalizeCurrencyLimits(raw.currencyLimits),
+        enabled: raw.enabled !== false
+    };
+};
+
+/**
+ * Normalize a catalog ({ key: definition }); invalid definitions are dropped
+ */
+const normalizeTermCatalog = (raw = {}) => Object.fromEntries(
+    Object.entries(raw || {})
+        .map(([key, definition]) => [key, normalizeTermDefinition(key, definition)])
+        .filter(([, definition]) => definition)
+);
+
+/**
+ * Resolve a term key or definition to a definition. Strings are looked up in the catalog.
+ * @param {string|Object} term - Term key or definition
+ * @param {Object} [catalog=DEFAULT_TERM_CATALOG]
+ * @returns {Object|null}
+ */
+const resolveTermDefinition = (term, catalog = DEFAULT_TERM_CATALOG) => {
+    if (term && typeof term === 'object') {
+        return normalizeTermDefinition(term.key || 'custom', term);
+    }
+
+    return (catalog && catalog[term]) || null;
+};
+
+/**
+ * The term a deposit was opened with. New deposits store termMonths/cycleMonths/termLabel;
+ * older ones fall back to the built-in catalog by contractType.
+ */
+const getDepositTerm = (data = {}) => {
+    const key = data.contractType || data.term;
+
+    if (data.termMonths) {
+        return normalizeTermDefinition(key, {
+            label: data.termLabel,
+            months: data.termMonths,
+            cycleMonths: data.cycleMonths
+        });
+    }
+
+    return resolveTermDefinition(key);
+};
+
+const getTermCycleCount = (definition) =>
+    definition ? definition.months / definition.cycleMonths : 0;
+
+/**
+ * A term's minimum and maximum in one currency. A currency without limits of its own has none.
+ */
+const getTermAmountLimits = (definition, currency = BASE_LIMITS_CURRENCY) => {
+    if (currency === BASE_LIMITS_CURRENCY) {
+        return { minAmount: definition.minAmount, maxAmount: definition.maxAmount };
+    }
+    return (definition.currencyLimits && definition.currencyLimits[currency]) || { minAmount: 0, maxAmount: null };
+};
+
+/**
+ * Check an amount against a term's minimum and maximum for the deposit's currency
+ * @returns {string|null} Error message, or null when the amount is allowed
+ */
+const checkTermAmount = (definition, amount, currency = BASE_LIMITS_CURRENCY) => {
+    const { minAmount, maxAmount } = getTermAmountLimits(definition, currency);
+    const suffix = currency === BASE_LIMITS_CURRENCY ? '' : ` ${currency}`;
+
+    if (minAmount && amount < minAmount) {
+        return `Minimum amount for ${definition.label} is ${minAmount}${suffix}`;
+    }
+    if (maxAmount !== null && maxAmount !== undefined && amount > maxAmount) {
+        return `Maximum amount for ${definition.label} is ${maxAmount}${suffix}`;
+    }
+    return null;
+};
+
+module.exports = {
+    DEFAULT_TERM_CATALOG,
+    TERM_KEY_PATTERN,
+    normalizeTermDefinition,
+    normalizeTermCatalog,
+    resolveTermDefinition,
+    getDepositTerm,
+    getTermCycleCount,
+    getTermAmountLimits,
+    checkTermAmount
+};
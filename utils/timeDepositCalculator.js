@@ -1,16 +1,24 @@
-const TAX_RATE = 0.2;
+const { resolveTermDefinition, getTermCycleCount } = require('./termCatalog');
 
-const TERM_TO_CYCLES = {
-    sixMonths: 1,
-    oneYear: 2,
-    twoYears: 4
-};
+const TAX_RATE = 0.2;
 
-const TERM_TO_MONTHS = {
-    sixMonths: 6,
-    oneYear: 12,
-    twoYears: 24
-};
+// v1 rule: interest is paid once per 6-month cycle. Terms can now define their own cycle length;
+// a rate always applies to a 6-month period and is prorated for shorter or longer cycles.
+const CYCLE_LENGTH_MONTHS = 6;
+const RATE_PERIOD_MONTHS = 6;
+
+const PRE_TERMINATION_INTEREST_RULES = ['none', 'unpaid', 'all'];
+
+// Used when investmentRates has no preTerminationPenalties configured:
+// earned-but-unpaid cycle interest is forfeited, no extra penalty, full commission clawback.
+const DEFAULT_PRE_TERMINATION_SCHEDULE = [
+    {
+        minCycles: 0,
+        forfeitInterest: 'unpaid',
+        penaltyPercent: 0,
+        commissionClawbackPercent: 100
+    }
+];
 
 const roundTo = (value, decimals) => {
     if (!Number.isFinite(value)) return 0;
@@ -105,9 +113,24 @@ const interpolateTierRate = (rateTable = {}, amountValue = 0) => {
     return roundTo(interpolatedRate, 4);
 };
 
-const getCyclesForTerm = (term) => TERM_TO_CYCLES[term] ?? 0;
+// term is a catalog key for the built-in terms, or a term definition from the catalog
+const getCyclesForTerm = (term) => getTermCycleCount(resolveTermDefinition(term));
+
+const getMonthsForTerm = (term) => {
+    const definition = resolveTermDefinition(term);
+    return definition ? definition.months : 0;
+};
+
+const getCycleMonthsForTerm = (term) => {
+    const definition = resolveTermDefinition(term);
+    return definition ? definition.cycleMonths : CYCLE_LENGTH_MONTHS;
+};
 
-const getMonthsForTerm = (term) => TERM_TO_MONTHS[term] ?? 0;
+const addMonths = (dateValue, months) => {
+    const date = new Date(dateValue);
+    date.setMonth(date.getMonth() + months);
+    return date;
+};
 
 const calculateCompletionDate = (initialDateValue, term) => {
     const months = getMonthsForTerm(term);
@@ -120,16 +143,64 @@ const calculateCompletionDate = (initialDateValue, term) => {
         throw new Error('Invalid initial date');
     }
 
-    const completionDate = new Date(initialDate);
-    completionDate.setMonth(completionDate.getMonth() + months);
+    return addMonths(initialDate, months);
+};
+
+/**
+ * Cycle boundaries for a deposit. Each boundary is offset from initialDate
+ * (not chained from the previous cycle) so month-end dates do not drift.
+ */
+const calculateCycleBoundaries = (initialDateValue, term, cycleMonths = getCycleMonthsForTerm(term)) => {
+    const cycles = getCyclesForTerm(term);
+    if (!cycles) {
+        throw new Error('Unsupported term');
+    }
+
+    const initialDate = new Date(initialDateValue);
+    if (Number.isNaN(initialDate.getTime())) {
+        throw new Error('Invalid initial date');
+    }
+
+    return Array.from({ length: cycles }, (_, index) => ({
+        cycle: index + 1,
+        startDate: addMonths(initialDate, index * cycleMonths),
+        endDate: addMonths(initialDate, (index + 1) * cycleMonths)
+    }));
+};
+
+const countDueCycles = (boundaries, asOfValue = new Date()) => {
+    const asOfMs = new Date(asOfValue).getTime();
+    if (Number.isNaN(asOfMs)) return 0;
+    return boundaries.filter((boundary) => boundary.endDate.getTime() <= asOfMs).length;
+};
+
+const calculateCycleInterest = ({ amount, finalInterestRate, taxRate = TAX_RATE, cycleMonths = CYCLE_LENGTH_MONTHS }) => {
+    const principal = parseNumeric(amount);
+    const ratePercent = parseNumeric(finalInterestRate);
+
+    if (!Number.isFinite(principal) || principal <= 0 || !Number.isFinite(ratePercent) || ratePercent < 0) {
+        return {
+            grossInterest: 0,
+            taxAmount: 0,
+            netInterest: 0
+        };
+    }
+
+    const grossInterest = roundTo(principal * (ratePercent / 100) * (cycleMonths / RATE_PERIOD_MONTHS), 2);
+    const taxAmount = roundTo(grossInterest * taxRate, 2);
 
-    return completionDate;
+    return {
+        grossInterest,
+        taxAmount,
+        netInterest: roundTo(grossInterest - taxAmount, 2)
+    };
 };
 
 const calculateTermEarnings = ({ amount, finalInterestRate, term, taxRate = TAX_RATE }) => {
     const principal = parseNumeric(amount);
     const ratePercent = parseNumeric(finalInterestRate);
     const cycles = getCyclesForTerm(term);
+    const ratePeriods = getMonthsForTerm(term) / RATE_PERIOD_MONTHS;
 
     if (!Number.isFinite(principal) || principal <= 0 || !Number.isFinite(ratePercent) || ratePercent < 0 || !cycles) {
         return {
@@ -140,10 +211,11 @@ const calculateTermEarnings = ({ amount, finalInterestRate, term, taxRate = TAX_
         };
     }
 
-    // v1 rule: rate is applied per 6-month cycle, then 20% tax is removed from each cycle's gross interest.
-    const grossInterestPerCycle = principal * (ratePercent / 100);
-    const annualNetInterest = grossInterestPerCycle * (1 - taxRate);
-    const totalNetInterestForTerm = annualNetInterest * cycles;
+    // v1 rule: rate is applied per 6-month period, then 20% tax is removed from each period's gross interest.
+    // annualNetInterest keeps its v1 name and meaning: net interest for one 6-month period.
+    const grossInterestPerPeriod = principal * (ratePercent / 100);
+    const annualNetInterest = grossInterestPerPeriod * (1 - taxRate);
+    const totalNetInterestForTerm = annualNetInterest * ratePeriods;
     const totalReturnAmount = principal + totalNetInterestForTerm;
 
     // v1 persistence/display rule: store quote outputs rounded to 2 decimals.
@@ -155,7 +227,162 @@ const calculateTermEarnings = ({ amount, finalInterestRate, term, taxRate = TAX_
     };
 };
 
-const buildQuote = ({ amount, term, termRates, finalInterestRate, taxRate = TAX_RATE, agentRates = null, referral = null }) => {
+const clampPercent = (value, fallback) => {
+    const parsed = parseNumeric(value);
+    if (!Number.isFinite(parsed)) return fallback;
+    return Math.min(Math.max(parsed, 0), 100);
+};
+
+/**
+ * Normalize a pre-termination penalty schedule (array of tiers keyed by elapsed cycles).
+ * Invalid tiers are dropped; the result is sorted by minCycles ascending.
+ */
+const normalizePenaltySchedule = (schedule = []) => {
+    if (!Array.isArray(schedule)) return [];
+
+    return schedule
+        .map((tier) => {
+            if (!tier || typeof tier !== 'object') return null;
+
+            const minCycles = Number.parseInt(tier.minCycles, 10);
+            if (!Number.isFinite(minCycles) || minCycles < 0) return null;
+
+            return {
+                minCycles,
+                forfeitInterest: PRE_TERMINATION_INTEREST_RULES.includes(tier.forfeitInterest)
+                    ? tier.forfeitInterest
+                    : 'unpaid',
+                penaltyPercent: clampPercent(tier.penaltyPercent, 0),
+                commissionClawbackPercent: clampPercent(tier.commissionClawbackPercent, 100)
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.minCycles - b.minCycles);
+};
+
+const resolvePenaltyRule = (schedule, elapsedCycles) => {
+    const tiers = normalizePenaltySchedule(schedule);
+    const effectiveTiers = tiers.length ? tiers : DEFAULT_PRE_TERMINATION_SCHEDULE;
+
+    return effectiveTiers.reduce(
+        (selected, tier) => (tier.minCycles <= elapsedCycles ? tier : selected),
+        effectiveTiers[0]
+    );
+};
+
+/**
+ * Refund for terminating a deposit before completionDate.
+ * forfeitInterest: 'none' pays earned-but-unpaid cycles, 'unpaid' forfeits them,
+ * 'all' also claws back interest already paid. penaltyPercent is taken from principal.
+ */
+const calculatePreTermination = ({
+    amount,
+    finalInterestRate,
+    term,
+    initialDate,
+    terminationDate = new Date(),
+    paidCycles = 0,
+    interestPaidAmount = 0,
+    schedule = [],
+    taxRate = TAX_RATE
+}) => {
+    const principal = roundTo(parseNumeric(amount), 2);
+    const boundaries = calculateCycleBoundaries(initialDate, term);
+    const elapsedCycles = countDueCycles(boundaries, terminationDate);
+    const unpaidCycles = Math.max(elapsedCycles - (Number.parseInt(paidCycles, 10) || 0), 0);
+    const { netInterest } = calculateCycleInterest({
+        amount: principal,
+        finalInterestRate,
+        taxRate,
+        cycleMonths: getCycleMonthsForTerm(term)
+    });
+    const rule = resolvePenaltyRule(schedule, elapsedCycles);
+
+    const earnedUnpaidInterest = roundTo(netInterest * unpaidCycles, 2);
+    const forfeitedInterest = rule.forfeitInterest === 'none' ? 0 : earnedUnpaidInterest;
+    const interestClawback = rule.forfeitInterest === 'all' ? roundTo(Number(interestPaidAmount) || 0, 2) : 0;
+    const penaltyAmount = roundTo(principal * (rule.penaltyPercent / 100), 2);
+    const refundAmount = roundTo(
+        Math.max(principal + earnedUnpaidInterest - forfeitedInterest - interestClawback - penaltyAmount, 0),
+        2
+    );
+
+    return {
+        principal,
+        totalCycles: boundaries.length,
+        elapsedCycles,
+        paidCycles: Number.parseInt(paidCycles, 10) || 0,
+        unpaidCycles,
+        earnedUnpaidInterest,
+        forfeitedInterest,
+        interestClawback,
+        penaltyPercent: rule.penaltyPercent,
+        penaltyAmount,
+        commissionClawbackPercent: rule.commissionClawbackPercent,
+        refundAmount,
+        rule
+    };
+};
+
+/**
+ * Cycle-by-cycle earnings schedule from initialDate to completionDate.
+ * Each cycle's amounts are the same rounded values the cycle payout engine credits, so the
+ * schedule totals can differ by a few cents from totalNetInterestForTerm in a quote.
+ * @param {Object} options
+ * @param {number|string} options.amount - Principal
+ * @param {number|string} options.finalInterestRate - Rate per 6-month period (%)
+ * @param {string|Object} options.term - Term key or definition
+ * @param {Date|string} options.initialDate - Deposit start date
+ * @param {number} [options.taxRate=TAX_RATE] - Withholding tax rate
+ * @param {number} [options.paidCycles=0] - Cycles already paid (currentCycleCount)
+ * @returns {{cycles: Array<Object>, totals: Object}}
+ */
+const buildEarningsSchedule = ({ amount, finalInterestRate, term, initialDate, taxRate = TAX_RATE, paidCycles = 0 }) => {
+    const boundaries = calculateCycleBoundaries(initialDate, term);
+    const interest = calculateCycleInterest({
+        amount,
+        finalInterestRate,
+        taxRate,
+        cycleMonths: getCycleMonthsForTerm(term)
+    });
+    const paidCount = Math.max(Number.parseInt(paidCycles, 10) || 0, 0);
+    const principal = Number.isFinite(parseNumeric(amount)) ? roundTo(parseNumeric(amount), 2) : 0;
+
+    let cumulativeNetInterest = 0;
+    const cycles = boundaries.map((boundary) => {
+        cumulativeNetInterest = roundTo(cumulativeNetInterest + interest.netInterest, 2);
+        return {
+            ...boundary,
+            ...interest,
+            cumulativeNetInterest,
+            paid: boundary.cycle <= paidCount
+        };
+    });
+
+    return {
+        cycles,
+        totals: {
+            principal,
+            grossInterest: roundTo(interest.grossInterest * cycles.length, 2),
+            taxAmount: roundTo(interest.taxAmount * cycles.length, 2),
+            netInterest: cumulativeNetInterest,
+            totalReturnAmount: roundTo(principal + cumulativeNetInterest, 2),
+            paidCycles: Math.min(paidCount, cycles.length)
+        }
+    };
+};
+
+// commissionTaxRate is the referrer's withholding rate; it defaults to the investor's rate
+const buildQuote = ({
+    amount,
+    term,
+    termRates,
+    finalInterestRate,
+    taxRate = TAX_RATE,
+    commissionTaxRate = taxRate,
+    agentRates = null,
+    referral = null
+}) => {
     const estimatedInterestRate = interpolateTierRate(termRates, amount);
     const resolvedFinalRate = Number.isFinite(parseNumeric(finalInterestRate))
         ? parseNumeric(finalInterestRate)
@@ -177,13 +404,13 @@ const buildQuote = ({ amount, term, termRates, finalInterestRate, taxRate = TAX_
 
         if (Number.isFinite(principal) && principal > 0 && commissionPercentage >= 0) {
             const grossCommission = principal * (commissionPercentage / 100);
-            const commissionTax = grossCommission * taxRate;
+            const commissionTax = grossCommission * commissionTaxRate;
             referralNetCommission = roundTo(grossCommission - commissionTax, 2);
         }
     }
 
     return {
-        term,
+        term: term && typeof term === 'object' ? term.key : term,
         cycles: earnings.cycles,
         estimatedInterestRate,
         finalInterestRate: roundTo(resolvedFinalRate, 4),
@@ -197,15 +424,26 @@ const buildQuote = ({ amount, term, termRates, finalInterestRate, taxRate = TAX_
 
 module.exports = {
     TAX_RATE,
-    TERM_TO_CYCLES,
-    TERM_TO_MONTHS,
+    PRE_TERMINATION_INTEREST_RULES,
+    DEFAULT_PRE_TERMINATION_SCHEDULE,
+    CYCLE_LENGTH_MONTHS,
+    RATE_PERIOD_MONTHS,
     roundTo,
     parseNumeric,
     normalizeTierTable,
     interpolateTierRate,
     getCyclesForTerm,
     getMonthsForTerm,
+    getCycleMonthsForTerm,
+    addMonths,
     calculateCompletionDate,
+    calculateCycleBoundaries,
+    countDueCycles,
+    calculateCycleInterest,
     calculateTermEarnings,
+    normalizePenaltySchedule,
+    resolvePenaltyRule,
+    calculatePreTermination,
+    buildEarningsSchedule,
     buildQuote
 };
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { parseCsv } = require('./csv');
+const { timeDepositQuoteBodySchema } = require('../validation/schemas');
+
+// CSV header (case-insensitive) -> row field
+const IMPORT_COLUMNS = {
+    userid: 'userId',
+    amount: 'amount',
+    term: 'term',
+    initialdate: 'initialDate',
+    finalinterestrate: 'finalInterestRate',
+    referreruserid: 'referrerUserId',
+    currency: 'currency'
+};
+const REQUIRED_COLUMNS = ['userId', 'amount', 'term', 'initialDate'];
+
+/**
+ * Read an import CSV into row objects. Empty optional cells are dropped.
+ * @param {string} text
+ * @param {Object} options
+ * @param {number} options.maxRows - Most data rows a file may have
+ * @returns {{rows?: Array<{row: number, fields: Object}>, problem?: {code: string, message: string}}}
+ *   row is the 1-based line in the file, counting the header; problem is set when the file cannot be imported
+ */
+const parseImportCsv = (text, { maxRows }) => {
+    const [header, ...records] = parseCsv(text);
+
+    if (!header) {
+        return { problem: { code: 'IMPORT_FILE_EMPTY', message: 'Import file is empty' } };
+    }
+
+    const columns = header.map((name) => IMPORT_COLUMNS[String(name).trim().toLowerCase()] || null);
+    const missing = REQUIRED_COLUMNS.filter((field) => !columns.includes(field));
+
+    if (missing.length) {
+        return { problem: { code: 'IMPORT_COLUMNS_MISSING', message: `Import file is missing required column(s): ${missing.join(', ')}` } };
+    }
+
+    if (records.length > maxRows) {
+        return { problem: { code: 'IMPORT_TOO_LARGE', message: `Import files are limited to ${maxRows} rows` } };
+    }
+
+    const rows = records.map((record, index) => {
+        const fields = {};
+        columns.forEach((field, columnIndex) => {
+            const value = String(record[columnIndex] ?? '').trim();
+            if (field && value !== '') {
+                fields[field] = value;
+            }
+        });
+        return { row: index + 2, fields };
+    });
+
+    return { rows };
+};
+
+const toPayload = (fields) => ({
+    amount: fields.amount,
+    term: fields.term,
+    initialDate: fields.initialDate,
+    ...(fields.currency ? { currency: fields.currency } : {}),
+    ...(fields.finalInterestRate ? { finalInterestRate: fields.finalInterestRate } : {}),
+    ...(fields.referrerUserId ? { referral: { referrerUserId: fields.referrerUserId } } : {})
+});
+
+/**
+ * Validate a row with the quote request rules, plus what creating a deposit needs
+ * @returns {{payload?: Object, errors: Array<{path: string, message: string}>}}
+ */
+const validateImportRow = ({ fields }) => {
+    const errors = [];
+
+    if (!fields.userId) {
+        errors.push({ path: 'userId', message: 'User identifier is required' });
+    }
+
+    if (!fields.initialDate) {
+        errors.push({ path: 'initialDate', message: 'Initial date is required' });
+    }
+
+    const result = timeDepositQuoteBodySchema.safeParse(toPayload(fields));
+    if (!result.success) {
+        result.error.errors.forEach((issue) => {
+            errors.push({ path: issue.path.join('.') || 'root', message: issue.message });
+        });
+    } else if (result.data.amount <= 0) {
+        errors.push({ path: 'amount', message: 'Amount must be greater than zero' });
+    }
+
+    return errors.length ? { errors } : { payload: result.data, errors };
+};
+
+/**
+ * Deterministic idempotency key for a row: a hash of its values and how many identical rows came
+ * before it. Re-running the same file maps every row to the deposit it created the first time,
+ * while two genuinely identical rows in one file still create two deposits.
+ */
+const buildRowKeys = (rows) => {
+    const seen = new Map();
+
+    return rows.map(({ fields }) => {
+        const content = [
+            fields.userId,
+            fields.amount,
+            fields.term,
+            fields.initialDate,
+            fields.finalInterestRate,
+            fields.referrerUserId,
+            fields.currency
+        ].map((value) => String(value ?? '').trim().toLowerCase()).join('|');
+        const occurrence = (seen.get(content) || 0) + 1;
+        seen.set(content, occurrence);
+
+        const hash = crypto.createHash('sha256').update(`${content}#${occurrence}`).digest('hex').slice(0, 32);
+        return `import-${hash}`;
+    });
+};
+
+module.exports = {
+    IMPORT_COLUMNS,
+    REQUIRED_COLUMNS,
+    parseImportCsv,
+    validateImportRow,
+    buildRowKeys
+};
@@ -0,0 +1,105 @@
+const DEFAULT_LIST_SORT_BY = 'createdAt';
+const DEFAULT_LIST_SORT_ORDER = 'desc';
+const DEFAULT_LIST_LIMIT = 20;
+
+const toTimestampMs = (value) => {
+    if (!value) return null;
+    const ms = new Date(value).getTime();
+    return Number.isNaN(ms) ? null : ms;
+};
+
+// A bare date as the upper bound covers the whole day
+const parseDateBoundary = (value, endOfDay = false) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) {
+        date.setUTCHours(23, 59, 59, 999);
+    }
+    return date.getTime();
+};
+
+/**
+ * Filter listed time deposits. Status matches case-insensitively; a maturity range leaves out
+ * deposits without a completion date.
+ * @param {Array<Object>} items - Listed records (completionDate as an ISO date)
+ * @param {Object} filters - status, term, currency, maturityFrom, maturityTo
+ * @returns {Array<Object>}
+ */
+const applyListFilters = (items, { status, term, currency, maturityFrom, maturityTo }) => {
+    const fromMs = parseDateBoundary(maturityFrom);
+    const toMs = parseDateBoundary(maturityTo, true);
+
+    return items.filter((item) => {
+        if (status && String(item.status || '').toLowerCase() !== status.toLowerCase()) {
+            return false;
+        }
+        if (term && item.term !== term) {
+            return false;
+        }
+        if (currency && item.currency !== String(currency).toUpperCase()) {
+            return false;
+        }
+        if (fromMs !== null || toMs !== null) {
+            const maturityMs = toTimestampMs(item.completionDate);
+            if (maturityMs === null) return false;
+            if (fromMs !== null && maturityMs < fromMs) return false;
+            if (toMs !== null && maturityMs > toMs) return false;
+        }
+        return true;
+    });
+};
+
+const getListSortValue = (item, field) => {
+    if (field === 'amount') {
+        return Number(item.amount || 0);
+    }
+    return toTimestampMs(item[field]);
+};
+
+// Records without a value for the sort field always go last
+const sortListedRecords = (items, sortBy = DEFAULT_LIST_SORT_BY, sortOrder = DEFAULT_LIST_SORT_ORDER) => {
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    const field = sortBy || DEFAULT_LIST_SORT_BY;
+
+    return [...items].sort((a, b) => {
+        const aValue = getListSortValue(a, field);
+        const bValue = getListSortValue(b, field);
+
+        if (aValue === null && bValue === null) return 0;
+        if (aValue === null) return 1;
+        if (bValue === null) return -1;
+
+        return direction * (aValue - bValue);
+    });
+};
+
+/**
+ * One page of a list. page and limit may be query strings; bad values fall back to page 1 of 20.
+ * @returns {{items: Array<Object>, pagination: {total: number, page: number, limit: number, totalPages: number}}}
+ */
+const paginateList = (items, { page = 1, limit = DEFAULT_LIST_LIMIT } = {}) => {
+    const pageValue = Number.parseInt(page, 10) || 1;
+    const limitValue = Number.parseInt(limit, 10) || DEFAULT_LIST_LIMIT;
+    const skip = (pageValue - 1) * limitValue;
+    const total = items.length;
+
+    return {
+        items: items.slice(skip, skip + limitValue),
+        pagination: {
+            total,
+            page: pageValue,
+            limit: limitValue,
+            totalPages: Math.ceil(total / limitValue) || 1
+        }
+    };
+};
+
+module.exports = {
+    DEFAULT_LIST_SORT_BY,
+    DEFAULT_LIST_SORT_ORDER,
+    parseDateBoundary,
+    applyListFilters,
+    sortListedRecords,
+    paginateList
+};
@@ -0,0 +1,23 @@
+// Due once the completion date is reached; a deposit without one never matures on its own
+const isDue = (completionMs, asOfMs) => completionMs !== null && completionMs !== undefined && completionMs <= asOfMs;
+
+/**
+ * Pick the deposits the maturity job should settle: active ones that are due, oldest maturity first
+ * @param {Array<{active: boolean, completionMs: number|null}>} deposits
+ * @param {Object} options
+ * @param {number} options.asOfMs - Maturity cut-off
+ * @param {number} [options.limit] - Maximum number of deposits to return
+ * @returns {Array<Object>} The selected entries as given
+ */
+const selectDueDeposits = (deposits, { asOfMs, limit }) => {
+    const due = deposits
+        .filter((deposit) => deposit.active && isDue(deposit.completionMs, asOfMs))
+        .sort((a, b) => a.completionMs - b.completionMs);
+
+    return limit ? due.slice(0, limit) : due;
+};
+
+module.exports = {
+    isDue,
+    selectDueDeposits
+};
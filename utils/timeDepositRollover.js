@@ -0,0 +1,71 @@
+const { roundTo, buildQuote, calculateCompletionDate } = require('./timeDepositCalculator');
+
+const ROLLOVER_INSTRUCTIONS = ['none', 'principal', 'principalAndInterest'];
+
+const normalizeRolloverInstruction = (rollover) => {
+    const source = rollover && typeof rollover === 'object' ? rollover : {};
+
+    return {
+        instruction: ROLLOVER_INSTRUCTIONS.includes(source.instruction) ? source.instruction : 'none',
+        generateContract: Boolean(source.generateContract)
+    };
+};
+
+/**
+ * Split a maturity payout between the renewed deposit and the wallet
+ * @param {Object} data - Matured inspireAuto document data
+ * @param {{principal: number, totalCredit: number}} payout - Result of computeMaturityPayout
+ * @returns {{instruction: string, generateContract: boolean, rolloverAmount: number, walletCredit: number}}
+ */
+const computeRolloverSplit = (data = {}, payout) => {
+    const { instruction, generateContract } = normalizeRolloverInstruction(data.rollover);
+
+    let rolloverAmount = 0;
+    if (instruction === 'principal') {
+        rolloverAmount = payout.principal;
+    } else if (instruction === 'principalAndInterest') {
+        rolloverAmount = payout.totalCredit;
+    }
+
+    return {
+        instruction,
+        generateContract,
+        rolloverAmount: roundTo(rolloverAmount, 2),
+        walletCredit: roundTo(payout.totalCredit - rolloverAmount, 2)
+    };
+};
+
+/**
+ * Price a renewed deposit. It keeps the term of the matured deposit and starts on its completion
+ * date, so there is no gap between the two; the rate is looked up for the rolled-over amount.
+ * @param {Object} options
+ * @param {Object} options.termDefinition - Term of the matured deposit
+ * @param {number} options.completionMs - Completion date of the matured deposit
+ * @param {number} options.rolloverAmount
+ * @param {Object} options.termRates - Current rate tiers for the term
+ * @param {Object|null} [options.agentRates=null] - Current agent rate tiers
+ * @param {number} options.taxRate - Investor's current interest withholding rate
+ * @returns {{quote: Object, initialDate: Date, completionDate: Date}}
+ */
+const priceRolloverDeposit = ({ termDefinition, completionMs, rolloverAmount, termRates, agentRates = null, taxRate }) => {
+    const initialDate = new Date(completionMs);
+
+    return {
+        quote: buildQuote({
+            amount: rolloverAmount,
+            term: termDefinition,
+            termRates,
+            taxRate,
+            agentRates
+        }),
+        initialDate,
+        completionDate: calculateCompletionDate(initialDate, termDefinition)
+    };
+};
+
+module.exports = {
+    ROLLOVER_INSTRUCTIONS,
+    normalizeRolloverInstruction,
+    computeRolloverSplit,
+    priceRolloverDeposit
+};
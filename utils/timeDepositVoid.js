@@ -0,0 +1,78 @@
+const { roundTo } = require('./timeDepositCalculator');
+
+// How long after creation a deposit can still be voided unless overridden with TIME_DEPOSIT_VOID_WINDOW_HOURS
+const DEFAULT_VOID_WINDOW_HOURS = 24;
+
+/**
+ * Void window in hours
+ * @param {Object} [env=process.env]
+ * @returns {number}
+ */
+const getVoidWindowHours = (env = process.env) => {
+    const parsed = Number.parseFloat(env.TIME_DEPOSIT_VOID_WINDOW_HOURS);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : DEFAULT_VOID_WINDOW_HOURS;
+};
+
+/**
+ * Check whether an active deposit can still be voided. Rollovers and deposits that have already
+ * paid interest must be pre-terminated instead.
+ * @param {Object} data - Time deposit record
+ * @param {Object} options
+ * @param {number|null} options.createdMs - Creation time of the deposit
+ * @param {number} options.nowMs
+ * @param {number} options.windowHours
+ * @returns {{code: string, message: string}|null} The problem, or null when the deposit can be voided
+ */
+const checkVoidable = (data, { createdMs, nowMs, windowHours }) => {
+    if (data.rolledOverFrom) {
+        return { code: 'TIME_DEPOSIT_ROLLOVER', message: 'A rolled-over time deposit cannot be voided' };
+    }
+
+    if (Number(data.currentCycleCount || 0) > 0 || Number(data.interestPaidAmount || 0) > 0) {
+        return { code: 'TIME_DEPOSIT_HAS_PAYOUTS', message: 'Interest has already been paid on this time deposit; pre-terminate it instead' };
+    }
+
+    if (createdMs === null || createdMs === undefined || nowMs - createdMs > windowHours * 60 * 60 * 1000) {
+        return { code: 'VOID_WINDOW_EXPIRED', message: `Time deposits can only be voided within ${windowHours} hours of creation` };
+    }
+
+    return null;
+};
+
+/**
+ * Take reversed commissions back from the agents' wallets in order. A wallet never goes below zero
+ * and a deleted member (no wallet) is not debited; whatever is not debited stays outstanding.
+ * @param {Array<{memberId: string, amount: number}>} reversals
+ * @param {Map<string, number|null>} wallets - Wallet per member, null when the member no longer exists
+ * @returns {{debits: Array<{debitedAmount: number, outstandingAmount: number}>, wallets: Map<string, number>}}
+ *   One debit per reversal, and the new balance of every member with a wallet that had something reversed
+ */
+const allocateCommissionReversals = (reversals, wallets) => {
+    const balances = new Map();
+
+    const debits = reversals.map(({ memberId, amount }) => {
+        if (!(amount > 0)) {
+            return { debitedAmount: 0, outstandingAmount: 0 };
+        }
+
+        const stored = wallets.get(memberId);
+        const hasWallet = stored !== null && stored !== undefined;
+        const wallet = balances.has(memberId) ? balances.get(memberId) : Number(stored || 0);
+        const debitedAmount = hasWallet ? roundTo(Math.min(Math.max(wallet, 0), amount), 2) : 0;
+
+        if (hasWallet) {
+            balances.set(memberId, roundTo(wallet - debitedAmount, 2));
+        }
+
+        return { debitedAmount, outstandingAmount: roundTo(amount - debitedAmount, 2) };
+    });
+
+    return { debits, wallets: balances };
+};
+
+module.exports = {
+    DEFAULT_VOID_WINDOW_HOURS,
+    getVoidWindowHours,
+    checkVoidable,
+    allocateCommissionReversals
+};
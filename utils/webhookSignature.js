@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+const SIGNATURE_PREFIX = 'sha256=';
+const DEFAULT_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * HMAC-SHA256 over `${timestamp}.${rawBody}`, hex encoded with a "sha256=" prefix.
+ * Signing the timestamp with the body lets receivers reject replayed requests.
+ */
+const computeWebhookSignature = (secret, timestamp, rawBody) => {
+    const hmac = crypto.createHmac('sha256', secret);
+    hmac.update(`${timestamp}.`);
+    hmac.update(Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(String(rawBody || ''), 'utf8'));
+    return `${SIGNATURE_PREFIX}${hmac.digest('hex')}`;
+};
+
+// Timestamps are Unix seconds, as most webhook senders use
+const parseTimestampMs = (timestamp) => {
+    if (!/^\d{1,12}$/.test(String(timestamp || '').trim())) {
+        return null;
+    }
+    return Number.parseInt(timestamp, 10) * 1000;
+};
+
+/**
+ * Check a webhook signature and its timestamp
+ * @param {Object} options
+ * @param {string} options.secret - Shared secret
+ * @param {string} options.signature - Signature header value
+ * @param {string} options.timestamp - Timestamp header value (Unix seconds)
+ * @param {Buffer|string} options.rawBody - Request body exactly as received
+ * @param {number} [options.toleranceMs=300000] - Maximum clock difference allowed
+ * @param {Date} [options.now=new Date()]
+ * @returns {{valid: boolean, reason?: string}}
+ */
+const verifyWebhookSignature = ({
+    secret,
+    signature,
+    timestamp,
+    rawBody,
+    toleranceMs = DEFAULT_TOLERANCE_MS,
+    now = new Date()
+}) => {
+    if (!signature || !timestamp) {
+        return { valid: false, reason: 'Missing signature or timestamp' };
+    }
+
+    const timestampMs = parseTimestampMs(timestamp);
+    if (timestampMs === null) {
+        return { valid: false, reason: 'Invalid timestamp' };
+    }
+
+    if (Math.abs(now.getTime() - timestampMs) > toleranceMs) {
+        return { valid: false, reason: 'Timestamp is outside the allowed window' };
+    }
+
+    const expected = Buffer.from(computeWebhookSignature(secret, String(timestamp).trim(), rawBody), 'utf8');
+    const received = Buffer.from(String(signature).trim().toLowerCase(), 'utf8');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return { valid: false, reason: 'Signature mismatch' };
+    }
+
+    return { valid: true };
+};
+
+module.exports = {
+    computeWebhookSignature,
+    verifyWebhookSignature
+};
@@ -0,0 +1,183 @@
+const { createPdfDocument, formatAmount } = require('./pdf');
+
+// Renders a payee's quarterly withholding tax certificate as HTML or a single-page PDF.
+// Both are built here so certificates do not depend on the contract service.
+
+const INCOME_TYPE_LABELS = {
+    interest: 'Time deposit interest',
+    commission: 'Agent commission'
+};
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const formatRates = (rates = []) => rates.map((rate) => `${Number((rate * 100).toFixed(4))}%`).join(', ');
+
+// 'YYYY-MM' -> 'Jan 2026'
+const toMonthLabel = (month) => `${MONTH_NAMES[Number(month.slice(5, 7)) - 1]} ${month.slice(0, 4)}`;
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Certificate as a standalone HTML document (inline styles, printable)
+ * @param {Object} certificate - From buildWithholdingCertificate
+ * @returns {string}
+ */
+const renderCertificateHtml = (certificate) => {
+    const { payor, payee, period } = certificate;
+    const monthHeaders = certificate.months.map((month) => `<th>${escapeHtml(toMonthLabel(month))}</th>`).join('');
+    const lineRows = certificate.lines.map((line) => `
+        <tr>
+            <td>${escapeHtml(INCOME_TYPE_LABELS[line.incomeType] || line.incomeType)}</td>
+            <td>${escapeHtml(line.currency)}</td>
+            ${line.grossByMonth.map((amount) => `<td class="num">${formatAmount(amount)}</td>`).join('')}
+            <td class="num">${formatAmount(line.grossAmount)}</td>
+            <td class="num">${escapeHtml(formatRates(line.taxRates))}</td>
+            <td class="num">${formatAmount(line.taxWithheld)}</td>
+            <td class="num">${formatAmount(line.netAmount)}</td>
+        </tr>`).join('');
+    const totalRows = certificate.totals.map((total) => `
+        <tr class="total">
+            <td colspan="${2 + certificate.months.length}">Total (${escapeHtml(total.currency)})</td>
+            <td class="num">${formatAmount(total.grossAmount)}</td>
+            <td></td>
+            <td class="num">${formatAmount(total.taxWithheld)}</td>
+            <td class="num">${formatAmount(total.netAmount)}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Certificate of Tax Withheld ${escapeHtml(certificate.certificateNumber)}</title>
+<style>
+    body { font-family: Helvetica, Arial, sans-serif; font-size: 12px; color: #111; margin: 32px; }
+    h1 { font-size: 18px; margin: 0 0 4px; }
+    .meta { margin-bottom: 16px; color: #444; }
+    .parties { display: flex; gap: 48px; margin-bottom: 16px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+    th { background: #eee; }
+    .num { text-align: right; }
+    .total td { font-weight: bold; }
+    .note { margin-top: 16px; color: #444; }
+</style>
+</head>
+<body>
+<h1>Certificate of Tax Withheld at Source</h1>
+<div class="meta">
+    Certificate No. ${escapeHtml(certificate.certificateNumber)}<br>
+    Period: ${escapeHtml(period.label)} (${escapeHtml(period.from)} to ${escapeHtml(period.to)})<br>
+    Issued: ${escapeHtml(certificate.issuedAt.slice(0, 10))}
+</div>
+<div class="parties">
+    <div>
+        <strong>Payor</strong><br>
+        ${escapeHtml(payor.name)}<br>
+        ${payor.tin ? `TIN: ${escapeHtml(payor.tin)}<br>` : ''}
+        ${payor.address ? `${escapeHtml(payor.address)}<br>` : ''}
+    </div>
+    <div>
+        <strong>Payee</strong><br>
+        ${escapeHtml(payee.name)}<br>
+        User ID: ${escapeHtml(payee.userId)}<br>
+        ${payee.email ? `${escapeHtml(payee.email)}<br>` : ''}
+    </div>
+</div>
+<table>
+    <thead>
+        <tr>
+            <th>Income</th>
+            <th>Currency</th>
+            ${monthHeaders}
+            <th>Total Gross</th>
+            <th>Rate</th>
+            <th>Tax Withheld</th>
+            <th>Net Paid</th>
+        </tr>
+    </thead>
+    <tbody>${lineRows}${totalRows}
+    </tbody>
+</table>
+<p class="note">Gross amounts are shown for the month the income was credited. Amounts are in the currency shown on each line.</p>
+</body>
+</html>
+`;
+};
+
+/**
+ * Certificate as a single-page A4 PDF
+ * @param {Object} certificate - From buildWithholdingCertificate
+ * @returns {Buffer}
+ */
+const renderCertificatePdf = (certificate) => {
+    const { payor, payee, period } = certificate;
+    const pdf = createPdfDocument();
+    let y = 800;
+
+    const text = (x, value, style) => pdf.text(x, y, value, style);
+    const amount = (value, style = {}) => pdf.text(555, y, formatAmount(value), { ...style, align: 'right' });
+    const nextLine = (height = 14) => {
+        y -= height;
+    };
+
+    text(40, 'Certificate of Tax Withheld at Source', { size: 16, bold: true });
+    nextLine(22);
+    text(40, `Certificate No. ${certificate.certificateNumber}`);
+    nextLine();
+    text(40, `Period: ${period.label} (${period.from} to ${period.to})`);
+    nextLine();
+    text(40, `Issued: ${certificate.issuedAt.slice(0, 10)}`);
+    nextLine(24);
+
+    text(40, 'Payor', { bold: true });
+    text(300, 'Payee', { bold: true });
+    nextLine();
+    text(40, payor.name);
+    text(300, payee.name);
+    nextLine();
+    text(40, payor.tin ? `TIN: ${payor.tin}` : '');
+    text(300, `User ID: ${payee.userId}`);
+    nextLine();
+    text(40, payor.address || '');
+    text(300, payee.email || '');
+    nextLine(28);
+
+    certificate.lines.forEach((line) => {
+        text(40, `${INCOME_TYPE_LABELS[line.incomeType] || line.incomeType} (${line.currency})`, { bold: true });
+        pdf.rule(40, y - 4, 555);
+        nextLine(16);
+        certificate.months.forEach((month, index) => {
+            text(60, `Gross credited ${toMonthLabel(month)}`);
+            amount(line.grossByMonth[index]);
+            nextLine();
+        });
+        text(60, 'Total gross income', { bold: true });
+        amount(line.grossAmount);
+        nextLine();
+        text(60, `Tax withheld${line.taxRates.length ? ` (${formatRates(line.taxRates)})` : ''}`, { bold: true });
+        amount(line.taxWithheld);
+        nextLine();
+        text(60, 'Net paid');
+        amount(line.netAmount);
+        nextLine(24);
+    });
+
+    certificate.totals.forEach((total) => {
+        text(40, `Total tax withheld (${total.currency})`, { bold: true });
+        amount(total.taxWithheld, { bold: true });
+        nextLine();
+    });
+
+    return pdf.toBuffer();
+};
+
+module.exports = {
+    INCOME_TYPE_LABELS,
+    renderCertificateHtml,
+    renderCertificatePdf
+};
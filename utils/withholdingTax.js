@@ -0,0 +1,96 @@
+const { roundTo } = require('./timeDepositCalculator');
+
+const QUARTER_PATTERN = /^(\d{4})-Q([1-4])$/i;
+
+/**
+ * Parse a quarter key such as '2026-Q1'. Quarters follow calendar months in UTC.
+ * @returns {{key: string, label: string, year: number, quarter: number, start: Date, end: Date, months: Array<string>}|null}
+ *   end is exclusive; months are 'YYYY-MM' keys. null when the key is invalid.
+ */
+const parseQuarter = (value) => {
+    const match = QUARTER_PATTERN.exec(String(value || '').trim());
+    if (!match) {
+        return null;
+    }
+
+    const year = Number(match[1]);
+    const quarter = Number(match[2]);
+    const firstMonth = (quarter - 1) * 3;
+
+    return {
+        key: `${year}-Q${quarter}`,
+        label: `Q${quarter} ${year}`,
+        year,
+        quarter,
+        start: new Date(Date.UTC(year, firstMonth, 1)),
+        end: new Date(Date.UTC(year, firstMonth + 3, 1)),
+        months: [0, 1, 2].map((offset) => `${year}-${String(firstMonth + offset + 1).padStart(2, '0')}`)
+    };
+};
+
+// Quarter containing a date, e.g. the current quarter for a default report
+const getQuarterKey = (date = new Date()) =>
+    `${date.getUTCFullYear()}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+
+/**
+ * Total withholding per payee, income type and currency.
+ * @param {Array<Object>} records - { payeeId, incomeType, currency, grossAmount, taxWithheld, netAmount, taxRate, taxProfileKey, dateMs }
+ * @param {Object} period - Result of parseQuarter; records outside it are ignored
+ * @returns {Array<Object>} One row per payee/income type/currency, with grossByMonth for the quarter's three months
+ */
+const aggregateWithholding = (records = [], period) => {
+    const rows = new Map();
+
+    records
+        .filter((record) => record.dateMs >= period.start.getTime() && record.dateMs < period.end.getTime())
+        .forEach((record) => {
+            const key = `${record.payeeId}|${record.incomeType}|${record.currency}`;
+            const row = rows.get(key) || {
+                payeeId: record.payeeId,
+                incomeType: record.incomeType,
+                currency: record.currency,
+                transactions: 0,
+                grossAmount: 0,
+                taxWithheld: 0,
+                netAmount: 0,
+                grossByMonth: period.months.map(() => 0),
+                taxRates: [],
+                taxProfiles: []
+            };
+            const monthIndex = period.months.indexOf(new Date(record.dateMs).toISOString().slice(0, 7));
+
+            row.transactions += 1;
+            row.grossAmount += record.grossAmount;
+            row.taxWithheld += record.taxWithheld;
+            row.netAmount += record.netAmount;
+            row.grossByMonth[monthIndex] += record.grossAmount;
+
+            if (Number.isFinite(record.taxRate) && !row.taxRates.includes(record.taxRate)) {
+                row.taxRates.push(record.taxRate);
+            }
+            if (record.taxProfileKey && !row.taxProfiles.includes(record.taxProfileKey)) {
+                row.taxProfiles.push(record.taxProfileKey);
+            }
+
+            rows.set(key, row);
+        });
+
+    return [...rows.values()]
+        .map((row) => ({
+            ...row,
+            grossAmount: roundTo(row.grossAmount, 2),
+            taxWithheld: roundTo(row.taxWithheld, 2),
+            netAmount: roundTo(row.netAmount, 2),
+            grossByMonth: row.grossByMonth.map((amount) => roundTo(amount, 2)),
+            taxRates: row.taxRates.sort((a, b) => a - b)
+        }))
+        .sort((a, b) => a.payeeId.localeCompare(b.payeeId)
+            || a.incomeType.localeCompare(b.incomeType)
+            || a.currency.localeCompare(b.currency));
+};
+
+module.exports = {
+    parseQuarter,
+    getQuarterKey,
+    aggregateWithholding
+};
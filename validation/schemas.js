@@ -203,7 +203,132 @@ const percentageNumericSchema = z.preprocess(
     z.number().finite().min(0).max(100)
 );
 
-const timeDepositTermSchema = z.enum(['sixMonths', 'oneYear', 'twoYears']);
+// Term keys come from the timeDepositTerms catalog; the service rejects unknown or disabled terms
+const TERM_KEY_REGEX = /^[a-zA-Z][a-zA-Z0-9]{1,39}$/;
+
+const timeDepositTermSchema = z
+    .string()
+    .trim()
+    .regex(TERM_KEY_REGEX, 'Term must be a term key such as oneYear');
+
+const timeDepositCurrencySchema = z.preprocess(
+    (value) => (typeof value === 'string' ? value.trim().toUpperCase() : value),
+    z.enum(['PHP', 'USD'])
+);
+
+const statementDateQuery = z
+    .string()
+    .trim()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, 'Dates must look like 2026-09-30')
+    .optional();
+
+const agentStatementQuerySchema = z.object({
+    from: statementDateQuery,
+    to: statementDateQuery,
+    currency: timeDepositCurrencySchema.optional(),
+    format: z.enum(['json', 'csv', 'pdf']).optional()
+});
+
+const agentLeaderboardQuerySchema = z.object({
+    metric: z.enum(['newInvestors', 'depositVolume', 'commissions']).optional(),
+    type: z.enum(['Master Agent', 'Agent', 'Consultant Agent']).optional(),
+    from: statementDateQuery,
+    to: statementDateQuery,
+    currency: timeDepositCurrencySchema.optional(),
+    page: numericQuery(1, 100000),
+    limit: numericQuery(1, 200),
+    format: z.enum(['json', 'csv']).optional(),
+    // CSV rows: one per agent, or one per Master Agent team
+    groupBy: z.enum(['agent', 'team']).optional()
+});
+
+const agentPerformanceQuerySchema = z.object({
+    from: statementDateQuery,
+    to: statementDateQuery,
+    currency: timeDepositCurrencySchema.optional(),
+    format: z.enum(['json', 'csv']).optional()
+});
+
+const agentStatementListQuerySchema = z.object({
+    page: numericQuery(1, 100000),
+    limit: numericQuery(1, 120)
+});
+
+const agentPayoutDestinationSchema = z.object({
+    type: z.preprocess(
+        (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value),
+        z.enum(['bank', 'ewallet'])
+    ),
+    // Bank name, or e-wallet provider such as GCash or Maya
+    provider: trimmedString(2, 80),
+    accountName: trimmedString(2, 120),
+    accountNumber: z.string().trim().regex(/^[0-9 -]{4,40}$/, 'Account number must be 4-40 digits')
+});
+
+const agentPayoutRequestSchema = z.object({
+    amount: positiveNumericSchema,
+    currency: timeDepositCurrencySchema.optional(),
+    destination: agentPayoutDestinationSchema,
+    note: optionalTrimmed(500),
+    requestId: optionalTrimmed(128)
+});
+
+const agentPayoutListQuerySchema = z.object({
+    page: numericQuery(1, 100000),
+    limit: numericQuery(1, 1000),
+    status: z.enum(['pending', 'approved', 'rejected']).optional(),
+    currency: timeDepositCurrencySchema.optional(),
+    agentCode: agentCodeValue.optional()
+});
+
+const agentPayoutParamsSchema = z.object({
+    payoutId: trimmedString(1, 128)
+});
+
+const agentPayoutApproveSchema = z.object({
+    reference: optionalTrimmed(120),
+    note: optionalTrimmed(500)
+});
+
+const agentPayoutRejectSchema = z.object({
+    reason: trimmedString(3, 500)
+});
+
+const agentTypeChangeSchema = z.object({
+    targetType: z.enum(['Master Agent', 'Agent', 'Consultant Agent']),
+    // New direct upline; required when demoting, defaults to the current line when promoting
+    uplineCode: agentCodeValue.optional(),
+    reason: trimmedString(3, 500),
+    preview: z.boolean().optional()
+});
+
+const agentDeactivateSchema = z.object({
+    // reassign moves the direct recruits under uplineCode; route_upline leaves them and pays the share upward
+    downline: z.enum(['reassign', 'route_upline']).optional(),
+    uplineCode: agentCodeValue.optional(),
+    reason: trimmedString(3, 500),
+    preview: z.boolean().optional()
+});
+
+const agentNetworkQuerySchema = z.object({
+    page: numericQuery(1, 100000),
+    limit: numericQuery(1, 200)
+});
+
+const agentNetworkExportQuerySchema = z.object({
+    format: z.enum(['json', 'dot']).optional()
+});
+
+const agentIntegrityRepairSchema = z.object({
+    // Issue types to repair (e.g. TYPE_MISMATCH); all fixable issues when left out
+    types: z.array(trimmedString(3, 60)).max(20).optional(),
+    preview: z.boolean().optional()
+});
+
+// Admin code generation may go over the referrer's recruit limit, so a reason is kept for audit
+const agentAdminGenerateSchema = agentGenerateSchema.extend({
+    reason: trimmedString(3, 500)
+});
 
 const validDateStringSchema = z
     .string()
@@ -225,11 +350,21 @@ const timeDepositReferralSchema = z.object({
 
 const timeDepositContractSchema = z.object({
     enabled: z.boolean().optional(),
-    strict: z.boolean().optional()
+    strict: z.boolean().optional(),
+    // Skip the synchronous call and let the contract retry queue generate it
+    defer: z.boolean().optional()
 }).optional();
 
+const timeDepositRolloverSchema = z.object({
+    instruction: z.enum(['none', 'principal', 'principalAndInterest']),
+    generateContract: z.boolean().optional()
+});
+
 const timeDepositQuoteBodySchema = z.object({
+    // Investor whose interest tax profile applies (standard withholding when omitted)
+    userId: trimmedString(1, 128).optional(),
     amount: nonNegativeNumericSchema,
+    currency: timeDepositCurrencySchema.optional(),
     term: timeDepositTermSchema,
     initialDate: validDateStringSchema.optional(),
     finalInterestRate: nonNegativeNumericSchema.optional(),
@@ -238,38 +373,337 @@ const timeDepositQuoteBodySchema = z.object({
 
 const timeDepositCreateBodySchema = z.object({
     amount: positiveNumericSchema,
+    currency: timeDepositCurrencySchema.optional(),
     term: timeDepositTermSchema,
     initialDate: validDateStringSchema,
     finalInterestRate: nonNegativeNumericSchema.optional(),
     referral: timeDepositReferralSchema.optional(),
-    contract: timeDepositContractSchema
+    contract: timeDepositContractSchema,
+    rollover: timeDepositRolloverSchema.optional()
 });
 
 const timeDepositCreateParamsSchema = z.object({
     id: trimmedString(1, 128)
 });
 
+const timeDepositUserParamsSchema = z.object({
+    userId: trimmedString(1, 128)
+});
+
+const timeDepositDetailParamsSchema = z.object({
+    userId: trimmedString(1, 128),
+    id: trimmedString(1, 128)
+});
+
+const optionalDateQuery = z
+    .string()
+    .trim()
+    .max(64)
+    .refine((value) => !Number.isNaN(Date.parse(value)), 'Must be a valid date')
+    .optional();
+
+const timeDepositListQuerySchema = z.object({
+    page: numericQuery(1, 100000),
+    limit: numericQuery(1, 1000),
+    status: optionalTrimmed(40),
+    term: timeDepositTermSchema.optional(),
+    currency: timeDepositCurrencySchema.optional(),
+    maturityFrom: optionalDateQuery,
+    maturityTo: optionalDateQuery,
+    sortBy: z.enum(['createdAt', 'initialDate', 'completionDate', 'amount']).optional(),
+    sortOrder: z.enum(['asc', 'desc']).optional()
+});
+
+const timeDepositJobRunSchema = z.object({
+    dryRun: z.boolean().optional(),
+    asOf: z
+        .string()
+        .trim()
+        .max(64)
+        .refine((value) => !Number.isNaN(Date.parse(value)), 'As-of date must be a valid date')
+        .refine((value) => new Date(value).getTime() <= Date.now(), 'As-of date cannot be in the future')
+        .optional(),
+    limit: z.number().int().min(1).max(1000).optional()
+});
+
+const terminationDateSchema = z
+    .string()
+    .trim()
+    .max(64)
+    .refine((value) => !Number.isNaN(Date.parse(value)), 'Termination date must be a valid date')
+    .refine((value) => new Date(value).getTime() <= Date.now(), 'Termination date cannot be in the future')
+    .optional();
+
+const timeDepositPreTerminationQuoteSchema = z.object({
+    terminationDate: terminationDateSchema
+});
+
+const timeDepositPreTerminationSchema = z.object({
+    terminationDate: terminationDateSchema,
+    reason: trimmedString(3, 500)
+});
+
+const timeDepositImportSchema = z.object({
+    csv: z.string().min(1, 'CSV content is required').max(1000000),
+    // Imports preview unless dryRun is explicitly false
+    dryRun: z.boolean().optional(),
+    queueContracts: z.boolean().optional()
+});
+
+const timeDepositVoidSchema = z.object({
+    reason: trimmedString(3, 500)
+});
+
+const timeDepositScheduleQuerySchema = z.object({
+    format: z.enum(['json', 'csv']).optional()
+});
+
+const timeDepositContractRunSchema = z.object({
+    dryRun: z.boolean().optional(),
+    limit: z.number().int().min(1).max(1000).optional()
+});
+
+const timeDepositMissingContractsQuerySchema = z.object({
+    page: numericQuery(1, 100000),
+    limit: numericQuery(1, 1000),
+    contractStatus: z.enum(['pending', 'failed', 'missing']).optional()
+});
+
+const contractWebhookUrlSchema = z.string().trim().url().max(2048).nullable().optional();
+
+const contractWebhookEventSchema = z.object({
+    // Used as a Firestore document id to de-duplicate redelivered events
+    eventId: z.string().trim().min(1).max(128).regex(/^[A-Za-z0-9_.:-]+$/, 'Event id contains unsupported characters'),
+    type: z.enum(['signed', 'voided', 'expired']),
+    contractId: trimmedString(1, 128),
+    occurredAt: z
+        .string()
+        .trim()
+        .max(64)
+        .refine((value) => !Number.isNaN(Date.parse(value)), 'Occurred-at must be a valid date')
+        .optional(),
+    urls: z.object({
+        view: contractWebhookUrlSchema,
+        download: contractWebhookUrlSchema,
+        pdf: contractWebhookUrlSchema
+    }).optional(),
+    expiresAt: z.string().trim().max(64).nullable().optional()
+});
+
+const timeDepositTermParamsSchema = z.object({
+    key: timeDepositTermSchema
+});
+
+const isWithinAmountLimits = (data) => data.maxAmount === undefined || data.maxAmount === null || data.maxAmount >= (data.minAmount || 0);
+
+const termAmountLimitsSchema = z.object({
+    minAmount: nonNegativeNumericSchema.optional(),
+    maxAmount: nonNegativeNumericSchema.nullable().optional()
+}).refine(isWithinAmountLimits, {
+    message: 'Maximum amount cannot be below the minimum amount',
+    path: ['maxAmount']
+});
+
+const timeDepositTermBodySchema = z.object({
+    label: trimmedString(1, 60),
+    months: z.number().int().min(1).max(600),
+    cycleMonths: z.number().int().min(1).max(600).optional(),
+    minAmount: nonNegativeNumericSchema.optional(),
+    maxAmount: nonNegativeNumericSchema.nullable().optional(),
+    // minAmount/maxAmount are PHP; USD deposits use these instead
+    currencyLimits: z.object({
+        USD: termAmountLimitsSchema.optional()
+    }).strict().optional(),
+    enabled: z.boolean().optional()
+}).refine((data) => data.months % (data.cycleMonths || 6) === 0, {
+    message: 'Term length must be a whole number of payout cycles',
+    path: ['cycleMonths']
+}).refine(isWithinAmountLimits, {
+    message: 'Maximum amount cannot be below the minimum amount',
+    path: ['maxAmount']
+});
+
+const timeDepositTermListQuerySchema = z.object({
+    enabledOnly: z.enum(['true', 'false']).optional()
+});
+
 // Investment rates schemas
 const rateTierSchema = z.record(
     z.string().regex(/^\d+$/, 'Amount threshold must be a numeric string'),
     z.number().finite().min(0, 'Rate must be a non-negative number')
 );
 
+const preTerminationPenaltyTierSchema = z.object({
+    minCycles: z.number().int().min(0),
+    forfeitInterest: z.enum(['none', 'unpaid', 'all']).optional(),
+    penaltyPercent: z.number().finite().min(0).max(100).optional(),
+    commissionClawbackPercent: z.number().finite().min(0).max(100).optional()
+});
+
+const preTerminationPenaltiesSchema = z.record(
+    z.string().regex(TERM_KEY_REGEX, 'Penalty schedule key must be default or a term key'),
+    z.array(preTerminationPenaltyTierSchema).min(1).max(20)
+);
+
+// Any other key is a term rate table (sixMonths, oneYear, ... or a catalog term)
 const investmentRatesUpdateSchema = z.object({
-    sixMonths: rateTierSchema.optional(),
-    oneYear: rateTierSchema.optional(),
-    twoYears: rateTierSchema.optional(),
-    agentRates: rateTierSchema.optional()
-}).refine((data) => {
-    return data.sixMonths || data.oneYear || data.twoYears || data.agentRates;
-}, {
-    message: 'At least one rate tier (sixMonths, oneYear, twoYears, or agentRates) must be provided'
+    agentRates: rateTierSchema.optional(),
+    preTerminationPenalties: preTerminationPenaltiesSchema.optional(),
+    effectiveFrom: z
+        .string()
+        .trim()
+        .max(64)
+        .refine((value) => !Number.isNaN(Date.parse(value)), 'Effective date must be a valid date')
+        .refine((value) => new Date(value).getTime() >= Date.now() - 5 * 60 * 1000, 'Effective date cannot be in the past')
+        .optional(),
+    note: trimmedString(3, 500)
+}).catchall(rateTierSchema).superRefine((data, ctx) => {
+    const invalidKeys = Object.keys(data).filter((key) => !TERM_KEY_REGEX.test(key));
+    if (invalidKeys.length) {
+        ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: `Invalid term keys: ${invalidKeys.join(', ')}`
+        });
+    }
+
+    const tableKeys = Object.keys(data).filter((key) => key !== 'effectiveFrom' && key !== 'note');
+    if (!tableKeys.some((key) => data[key])) {
+        ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: 'At least one term rate tier, agentRates or preTerminationPenalties must be provided'
+        });
+    }
 });
 
 const docIdParamsSchema = z.object({
     docId: trimmedString(1, 128)
 });
 
+const investmentRatesHistoryQuerySchema = z.object({
+    docId: optionalTrimmed(128),
+    page: numericQuery(1, 100000),
+    limit: numericQuery(1, 100)
+});
+
+const investmentRatesProposalParamsSchema = z.object({
+    docId: trimmedString(1, 128),
+    proposalId: trimmedString(1, 128)
+});
+
+const investmentRatesProposalListQuerySchema = z.object({
+    status: z.enum(['pending', 'approved', 'rejected']).optional(),
+    page: numericQuery(1, 100000),
+    limit: numericQuery(1, 100)
+});
+
+const investmentRatesApproveSchema = z.object({
+    note: optionalTrimmed(500)
+});
+
+const investmentRatesRejectSchema = z.object({
+    reason: trimmedString(3, 500)
+});
+
+const investmentRatesDiffQuerySchema = z.object({
+    docId: optionalTrimmed(128),
+    from: trimmedString(1, 128),
+    to: trimmedString(1, 128)
+});
+
+const taxProfileKey = z.string().trim().regex(/^[a-zA-Z][a-zA-Z0-9_-]{1,39}$/, 'Tax profile key must be 2-40 letters, digits, dashes or underscores');
+
+const taxProfileParamsSchema = z.object({
+    key: taxProfileKey
+});
+
+const taxProfileBodySchema = z.object({
+    label: trimmedString(1, 80),
+    rate: z.preprocess(
+        (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value),
+        z.number().min(0).max(1)
+    ),
+    description: optionalTrimmed(500)
+});
+
+const userTaxProfilesParamsSchema = z.object({
+    userId: trimmedString(1, 128)
+});
+
+const userTaxProfilesBodySchema = z.object({
+    interest: taxProfileKey.nullable().optional(),
+    commission: taxProfileKey.nullable().optional()
+}).refine((value) => value.interest !== undefined || value.commission !== undefined, {
+    message: 'Provide an interest or commission tax profile'
+});
+
+const quarterQuery = z.string().trim().regex(/^\d{4}-Q[1-4]$/i, 'Quarter must look like 2026-Q1');
+
+const withholdingReportQuerySchema = z.object({
+    quarter: quarterQuery,
+    incomeType: z.enum(['interest', 'commission']).optional(),
+    userId: optionalTrimmed(128),
+    page: numericQuery(1, 100000),
+    limit: numericQuery(1, 1000),
+    format: z.enum(['json', 'csv']).optional()
+});
+
+const withholdingCertificateParamsSchema = z.object({
+    userId: trimmedString(1, 128)
+});
+
+const withholdingCertificateQuerySchema = z.object({
+    quarter: quarterQuery,
+    format: z.enum(['json', 'html', 'pdf']).optional()
+});
+
+const commissionShare = z.preprocess(
+    (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value),
+    z.number().min(0).max(100)
+);
+
+// Shape only; share totals and override depth are checked against the merged plan in utils/commissionPlans
+const commissionPlanChangesSchema = z.object({
+    agentTypes: z.record(z.object({ commissionPercentage: commissionShare })).optional(),
+    overrideDepth: z.number().int().min(0).max(5).optional(),
+    products: z.record(z.object({
+        splits: z.record(z.array(commissionShare).min(1).max(6))
+    })).optional()
+});
+
+const commissionPlanCreateSchema = commissionPlanChangesSchema.extend({
+    effectiveFrom: z
+        .string()
+        .trim()
+        .max(64)
+        .refine((value) => !Number.isNaN(Date.parse(value)), 'Effective date must be a valid date')
+        .refine((value) => new Date(value).getTime() >= Date.now() - 5 * 60 * 1000, 'Effective date cannot be in the past')
+        .optional(),
+    note: trimmedString(3, 500)
+}).refine((data) => data.agentTypes || data.overrideDepth !== undefined || data.products, {
+    message: 'Provide agentTypes, overrideDepth or products'
+});
+
+const commissionPlanListQuerySchema = z.object({
+    page: numericQuery(1, 100000),
+    limit: numericQuery(1, 100)
+});
+
+const commissionPlanActiveQuerySchema = z.object({
+    asOf: optionalDateQuery
+});
+
+const commissionSimulationSchema = z.object({
+    amount: z.preprocess(
+        (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value.replace(/,/g, '')) : value),
+        z.number().positive()
+    ),
+    agentCode: agentCodeValue,
+    product: z.string().trim().regex(/^[a-zA-Z][a-zA-Z0-9]{1,39}$/).optional(),
+    commissionPercentage: commissionShare.optional(),
+    asOf: optionalDateQuery,
+    plan: commissionPlanChangesSchema.optional()
+});
+
 module.exports = {
     registerSchema,
     loginSchema,
@@ -289,11 +723,60 @@ module.exports = {
     firebaseCollectionQuerySchema,
     agentGenerateSchema,
     agentCodeParamsSchema,
+    agentStatementQuerySchema,
+    agentStatementListQuerySchema,
+    agentLeaderboardQuerySchema,
+    agentPerformanceQuerySchema,
+    agentPayoutRequestSchema,
+    agentPayoutListQuerySchema,
+    agentPayoutParamsSchema,
+    agentPayoutApproveSchema,
+    agentPayoutRejectSchema,
+    agentTypeChangeSchema,
+    agentAdminGenerateSchema,
+    agentDeactivateSchema,
+    agentIntegrityRepairSchema,
+    agentNetworkQuerySchema,
+    agentNetworkExportQuerySchema,
     timeDepositTermSchema,
+    timeDepositCurrencySchema,
     timeDepositReferralSchema,
+    timeDepositRolloverSchema,
     timeDepositQuoteBodySchema,
     timeDepositCreateBodySchema,
     timeDepositCreateParamsSchema,
+    timeDepositUserParamsSchema,
+    timeDepositDetailParamsSchema,
+    timeDepositListQuerySchema,
+    timeDepositJobRunSchema,
+    timeDepositPreTerminationQuoteSchema,
+    timeDepositPreTerminationSchema,
+    timeDepositVoidSchema,
+    timeDepositImportSchema,
+    timeDepositScheduleQuerySchema,
+    timeDepositContractRunSchema,
+    timeDepositMissingContractsQuerySchema,
+    contractWebhookEventSchema,
+    timeDepositTermParamsSchema,
+    timeDepositTermBodySchema,
+    timeDepositTermListQuerySchema,
+    taxProfileParamsSchema,
+    taxProfileBodySchema,
+    userTaxProfilesParamsSchema,
+    userTaxProfilesBodySchema,
+    withholdingReportQuerySchema,
+    withholdingCertificateParamsSchema,
+    withholdingCertificateQuerySchema,
+    commissionPlanCreateSchema,
+    commissionPlanListQuerySchema,
+    commissionPlanActiveQuerySchema,
+    commissionSimulationSchema,
     investmentRatesUpdateSchema,
+    investmentRatesHistoryQuerySchema,
+    investmentRatesDiffQuerySchema,
+    investmentRatesProposalParamsSchema,
+    investmentRatesProposalListQuerySchema,
+    investmentRatesApproveSchema,
+    investmentRatesRejectSchema,
     docIdParamsSchema
 };